@@ -0,0 +1,52 @@
+-- Message Editing and Deletion Migration
+-- Senders can edit their messages (previous versions are kept in message_edits) or delete them.
+-- Deleted messages stay in the conversation as a tombstone: the content is cleared and the
+-- edit history removed, while moderation_logs keeps the audit trail.
+
+-- ============================================
+-- 1. MESSAGE COLUMNS
+-- ============================================
+
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- ============================================
+-- 2. EDIT HISTORY TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.message_edits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID REFERENCES public.messages(id) ON DELETE CASCADE NOT NULL,
+    previous_content TEXT NOT NULL,
+    edited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    edited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON public.message_edits(message_id, edited_at);
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+ALTER TABLE public.message_edits ENABLE ROW LEVEL SECURITY;
+
+-- Both participants can see how a message changed; rows are written by the backend
+CREATE POLICY "Participants can view message edits"
+ON public.message_edits FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM public.messages m
+        WHERE m.id = message_id
+          AND (auth.uid() = m.sender_id OR auth.uid() = m.receiver_id)
+    )
+);
+
+-- Comments
+COMMENT ON TABLE public.message_edits IS 'Previous versions of edited messages';
+COMMENT ON COLUMN public.messages.deleted_at IS 'Set when the sender deletes the message; content is cleared and the row kept as a tombstone';
@@ -0,0 +1,5 @@
+-- Composite index for cursor pagination of conversation messages
+-- getConversationMessages filters by conversation_id and orders by (created_at, id)
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created_id
+    ON public.messages(conversation_id, created_at DESC, id DESC);
@@ -0,0 +1,54 @@
+-- Message Reactions and Replies Migration
+-- Messages can reply to an earlier message in the same conversation (shown with a quoted
+-- preview), and participants can react to messages with emoji.
+-- Requires create_group_conversations.sql.
+
+-- ============================================
+-- 1. REPLIES
+-- ============================================
+
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS reply_to_id UUID REFERENCES public.messages(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON public.messages(reply_to_id)
+WHERE reply_to_id IS NOT NULL;
+
+-- ============================================
+-- 2. REACTIONS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.message_reactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID REFERENCES public.messages(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    emoji TEXT NOT NULL CHECK (char_length(emoji) BETWEEN 1 AND 32),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    UNIQUE (message_id, user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message ON public.message_reactions(message_id, created_at);
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+ALTER TABLE public.message_reactions ENABLE ROW LEVEL SECURITY;
+
+-- Everyone in the conversation can see reactions; rows are written by the backend
+CREATE POLICY "Participants can view message reactions"
+ON public.message_reactions FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM public.messages m
+        WHERE m.id = message_id
+          AND (
+              auth.uid() = m.sender_id
+              OR auth.uid() = m.receiver_id
+              OR is_conversation_participant(m.conversation_id, auth.uid())
+          )
+    )
+);
+
+-- Comments
+COMMENT ON COLUMN public.messages.reply_to_id IS 'Earlier message in the same conversation this message replies to';
+COMMENT ON TABLE public.message_reactions IS 'Emoji reactions to messages, one row per user and emoji';
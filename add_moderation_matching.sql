@@ -0,0 +1,68 @@
+-- Moderation Matching Migration
+-- Blacklist entries now match whole words by default ("die" no longer blocks "diesel"), can be
+-- plain substrings or regular expressions, and an allowlist exempts phrases such as
+-- "sex differences" from rule-based moderation. Matching is done in src/services/moderationMatcher.js.
+-- Requires create_moderation_admin.sql.
+
+-- ============================================
+-- 1. MATCH TYPE
+-- ============================================
+
+-- word: whole words and common endings ("idiot" -> "idiots", "fuck" -> "fucking");
+-- substring: anywhere in the text; regex: word_or_phrase is a pattern
+ALTER TABLE public.moderation_blacklist
+ADD COLUMN IF NOT EXISTS match_type TEXT NOT NULL DEFAULT 'word'
+    CHECK (match_type IN ('word', 'substring', 'regex'));
+
+-- Stems that also appear inside compounds ("motherfucker", "pornographic", "whatsappme") keep
+-- the old substring matching; none of them occurs inside ordinary words
+UPDATE public.moderation_blacklist
+SET match_type = 'substring'
+WHERE word_or_phrase IN ('fuck', 'porn', 'nsfw', 'whatsapp', 'telegram')
+  AND created_by IS NULL;
+
+-- ============================================
+-- 2. ALLOWLIST TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.moderation_allowlist (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    phrase TEXT NOT NULL UNIQUE,
+    note TEXT CHECK (note IS NULL OR char_length(note) <= 500),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by TEXT,
+    updated_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Technical phrases the seeded blacklist would otherwise block
+INSERT INTO public.moderation_allowlist (phrase, note) VALUES
+    ('sex differences', 'Research on differences between sexes'),
+    ('sex difference', 'Research on differences between sexes'),
+    ('sex ratio', 'Demographics'),
+    ('sex chromosome', 'Biology'),
+    ('die casting', 'Manufacturing'),
+    ('die size', 'Semiconductors'),
+    ('die area', 'Semiconductors'),
+    ('hate speech', 'Research on hate speech detection'),
+    ('phone number validation', 'Software'),
+    ('phone number format', 'Software')
+ON CONFLICT (phrase) DO NOTHING;
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+-- Only the backend (service role) reads and writes the allowlist
+ALTER TABLE public.moderation_allowlist ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Deny all access to moderation allowlist" ON public.moderation_allowlist
+    FOR ALL USING (false);
+
+GRANT ALL ON public.moderation_allowlist TO service_role;
+
+-- Comments
+COMMENT ON COLUMN public.moderation_blacklist.match_type IS 'How the entry matches: word (whole words), substring (anywhere) or regex (word_or_phrase is a case-insensitive pattern)';
+COMMENT ON TABLE public.moderation_allowlist IS 'Phrases exempt from rule-based moderation; they are removed from a message before blacklist matching';
+COMMENT ON COLUMN public.moderation_allowlist.created_by IS 'Email of the moderator who added this phrase (NULL for seeded phrases)';
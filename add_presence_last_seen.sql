@@ -0,0 +1,8 @@
+-- Presence Migration
+-- Stores when each user's last connected device disconnected, so last-seen times
+-- survive server restarts. Requires create_profiles_directory.sql.
+
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.profiles.last_seen_at IS 'When the user''s last socket disconnected';
@@ -0,0 +1,157 @@
+-- Account Linking Migration
+-- Conversations started with someone who had no account only know their email (user2_email).
+-- When that person signs up, claim_pending_conversations() binds those conversations and their
+-- messages to the new account, merges any duplicate thread created since, and recomputes unread
+-- counts. The backend calls it on a user's first authenticated request or socket connection.
+-- Only a confirmed email is linked, so signing up with someone else's address reveals nothing.
+-- Requires create_pending_recipients.sql.
+
+-- ============================================
+-- 1. INDEXES
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_conversations_unclaimed_email
+ON public.conversations(lower(user2_email))
+WHERE user2_id IS NULL;
+
+-- ============================================
+-- 2. CLAIM FUNCTION
+-- ============================================
+
+CREATE OR REPLACE FUNCTION claim_pending_conversations(
+    p_user_id uuid,
+    p_email text
+)
+RETURNS integer AS $$
+DECLARE
+    v_email text := lower(p_email);
+    conv record;
+    duplicate_id uuid;
+    latest record;
+    claimed integer := 0;
+BEGIN
+    IF p_user_id IS NULL OR v_email IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    -- Only an account that proved it owns the address may claim what was sent to it
+    IF NOT EXISTS (
+        SELECT 1 FROM auth.users u
+        WHERE u.id = p_user_id
+          AND lower(u.email) = v_email
+          AND u.email_confirmed_at IS NOT NULL
+    ) THEN
+        RETURN 0;
+    END IF;
+
+    -- Attach messages addressed to the email
+    UPDATE public.messages
+    SET receiver_id = p_user_id
+    WHERE receiver_id IS NULL
+      AND lower(receiver_email) = v_email;
+
+    FOR conv IN
+        SELECT id, user1_id
+        FROM public.conversations
+        WHERE user2_id IS NULL
+          AND lower(user2_email) = v_email
+          AND user1_id <> p_user_id
+        FOR UPDATE
+    LOOP
+        -- A reply sent before linking may have opened a second thread between the same two users
+        FOR duplicate_id IN
+            SELECT id
+            FROM public.conversations
+            WHERE id <> conv.id
+              AND (
+                  (user1_id = conv.user1_id AND user2_id = p_user_id)
+                  OR (user1_id = p_user_id AND user2_id = conv.user1_id)
+              )
+        LOOP
+            UPDATE public.messages SET conversation_id = conv.id WHERE conversation_id = duplicate_id;
+            DELETE FROM public.conversations WHERE id = duplicate_id;
+        END LOOP;
+
+        SELECT id, created_at INTO latest
+        FROM public.messages
+        WHERE conversation_id = conv.id
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1;
+
+        UPDATE public.conversations
+        SET
+            user2_id = p_user_id,
+            last_message_id = COALESCE(latest.id, last_message_id),
+            last_message_at = COALESCE(latest.created_at, last_message_at),
+            user1_unread_count = (
+                SELECT COUNT(*) FROM public.messages
+                WHERE conversation_id = conv.id AND receiver_id = conv.user1_id AND status <> 'read'
+            ),
+            user2_unread_count = (
+                SELECT COUNT(*) FROM public.messages
+                WHERE conversation_id = conv.id AND receiver_id = p_user_id AND status <> 'read'
+            ),
+            updated_at = NOW()
+        WHERE id = conv.id;
+
+        claimed := claimed + 1;
+    END LOOP;
+
+    UPDATE public.pending_recipients
+    SET claimed_by = p_user_id, claimed_at = NOW(), updated_at = NOW()
+    WHERE email = v_email
+      AND claimed_by IS NULL;
+
+    RETURN claimed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Clients must not claim an arbitrary email; only the backend (service role) and the signup trigger call this
+REVOKE EXECUTE ON FUNCTION claim_pending_conversations(uuid, text) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- 3. CLAIM ON SIGNUP
+-- ============================================
+
+-- Replaces the version in create_pending_recipients.sql so conversations are linked as well
+CREATE OR REPLACE FUNCTION attach_pending_messages()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.email IS NOT NULL THEN
+        PERFORM claim_pending_conversations(NEW.id, NEW.email);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Accounts that confirm their email after signing up claim their conversations at that point
+CREATE OR REPLACE FUNCTION claim_on_email_confirmed()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.email IS NOT NULL AND NEW.email_confirmed_at IS NOT NULL AND OLD.email_confirmed_at IS NULL THEN
+        PERFORM claim_pending_conversations(NEW.id, NEW.email);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_claim_on_email_confirmed ON auth.users;
+CREATE TRIGGER trigger_claim_on_email_confirmed
+AFTER UPDATE OF email_confirmed_at ON auth.users
+FOR EACH ROW
+EXECUTE FUNCTION claim_on_email_confirmed();
+
+-- ============================================
+-- 4. LINK EXISTING ACCOUNTS
+-- ============================================
+
+-- People who signed up before this migration
+SELECT claim_pending_conversations(p.id, p.email)
+FROM public.profiles p
+WHERE EXISTS (
+    SELECT 1 FROM public.conversations c
+    WHERE c.user2_id IS NULL AND lower(c.user2_email) = p.email
+);
+
+-- Comments
+COMMENT ON FUNCTION claim_pending_conversations(uuid, text) IS 'Bind conversations and messages addressed to an email to the account that registered and confirmed it';
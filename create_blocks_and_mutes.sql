@@ -0,0 +1,117 @@
+-- User Blocking and Muting Migration
+-- Blocks stop messages and typing indicators between two users
+-- Mutes keep delivering messages but don't increment unread counts or trigger notifications
+
+-- ============================================
+-- 1. BLOCKS AND MUTES TABLES
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.user_blocks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    blocker_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    blocked_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    UNIQUE (blocker_id, blocked_id),
+    CHECK (blocker_id <> blocked_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.user_mutes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    muted_user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    UNIQUE (user_id, muted_user_id),
+    CHECK (user_id <> muted_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocker ON public.user_blocks(blocker_id);
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON public.user_blocks(blocked_id);
+CREATE INDEX IF NOT EXISTS idx_user_mutes_user ON public.user_mutes(user_id);
+
+-- ============================================
+-- 2. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+ALTER TABLE public.user_blocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_mutes ENABLE ROW LEVEL SECURITY;
+
+-- Users manage only their own lists (blocked users can't see who blocked them)
+CREATE POLICY "Users can manage their blocks"
+ON public.user_blocks FOR ALL
+USING (auth.uid() = blocker_id)
+WITH CHECK (auth.uid() = blocker_id);
+
+CREATE POLICY "Users can manage their mutes"
+ON public.user_mutes FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- ============================================
+-- 3. SKIP UNREAD INCREMENT FOR MUTED SENDERS
+-- ============================================
+
+-- Same as create_conversations_system.sql, but the receiver's unread count is only
+-- incremented when they haven't muted the sender. Each side's count is now updated in its
+-- own column (previously a reply from user2 overwrote user2_unread_count).
+CREATE OR REPLACE FUNCTION update_conversation_on_message()
+RETURNS TRIGGER AS $$
+DECLARE
+    conv_id uuid;
+    other_user_id uuid;
+    other_user_email text;
+    receiver_muted boolean;
+BEGIN
+    -- Determine the other user (receiver)
+    other_user_id := NEW.receiver_id;
+    other_user_email := NEW.receiver_email;
+
+    receiver_muted := other_user_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.user_mutes
+        WHERE user_id = other_user_id AND muted_user_id = NEW.sender_id
+    );
+
+    -- Find existing conversation (check both directions)
+    SELECT id INTO conv_id
+    FROM public.conversations
+    WHERE (
+        (user1_id = NEW.sender_id AND (
+            (other_user_id IS NOT NULL AND user2_id = other_user_id) OR
+            (other_user_email IS NOT NULL AND user2_email = other_user_email)
+        ))
+        OR
+        (other_user_id IS NOT NULL AND user1_id = other_user_id AND user2_id = NEW.sender_id)
+    )
+    LIMIT 1;
+
+    IF conv_id IS NULL THEN
+        INSERT INTO public.conversations (user1_id, user2_id, user2_email, last_message_id, last_message_at)
+        VALUES (NEW.sender_id, other_user_id, other_user_email, NEW.id, NEW.created_at)
+        RETURNING id INTO conv_id;
+    ELSE
+        UPDATE public.conversations
+        SET
+            last_message_id = NEW.id,
+            last_message_at = NEW.created_at,
+            updated_at = NOW(),
+            -- Increment unread count for the receiver unless they muted the sender
+            user1_unread_count = CASE
+                WHEN user1_id <> NEW.sender_id AND NOT receiver_muted THEN user1_unread_count + 1
+                ELSE user1_unread_count
+            END,
+            user2_unread_count = CASE
+                WHEN user1_id = NEW.sender_id AND NOT receiver_muted THEN user2_unread_count + 1
+                ELSE user2_unread_count
+            END
+        WHERE id = conv_id;
+    END IF;
+
+    -- Update message with conversation_id
+    UPDATE public.messages SET conversation_id = conv_id WHERE id = NEW.id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments
+COMMENT ON TABLE public.user_blocks IS 'Users who may not message or see typing indicators from each other';
+COMMENT ON TABLE public.user_mutes IS 'Users whose messages do not increment unread counts or trigger notifications';
@@ -0,0 +1,47 @@
+-- Connection Requests Migration
+-- A connection must be accepted before a new conversation can be started
+
+CREATE TABLE IF NOT EXISTS public.connections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    requester_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    recipient_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- Null until the recipient registers
+    recipient_email TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn', 'expired')),
+    message TEXT, -- Optional note from the requester
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    responded_at TIMESTAMP WITH TIME ZONE, -- When the request was accepted, declined, withdrawn or expired
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    CHECK (requester_id <> recipient_id)
+);
+
+-- Only one open (pending or accepted) connection per requester/recipient email
+CREATE UNIQUE INDEX IF NOT EXISTS idx_connections_open_pair
+    ON public.connections(requester_id, lower(recipient_email))
+    WHERE status IN ('pending', 'accepted');
+
+CREATE INDEX IF NOT EXISTS idx_connections_requester ON public.connections(requester_id);
+CREATE INDEX IF NOT EXISTS idx_connections_recipient ON public.connections(recipient_id);
+CREATE INDEX IF NOT EXISTS idx_connections_recipient_email ON public.connections(lower(recipient_email));
+CREATE INDEX IF NOT EXISTS idx_connections_pending_expiry ON public.connections(expires_at) WHERE status = 'pending';
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE public.connections ENABLE ROW LEVEL SECURITY;
+
+-- Both sides can view a connection
+CREATE POLICY "Users can view their connections"
+ON public.connections FOR SELECT
+USING (
+    auth.uid() = requester_id
+    OR auth.uid() = recipient_id
+    OR lower(recipient_email) = lower((SELECT email FROM auth.users WHERE id = auth.uid()))
+);
+
+-- Users can only create requests as themselves
+CREATE POLICY "Users can create connection requests"
+ON public.connections FOR INSERT
+WITH CHECK (auth.uid() = requester_id);
+
+-- Comments
+COMMENT ON TABLE public.connections IS 'Connection requests that must be accepted before a conversation can start';
+COMMENT ON COLUMN public.connections.status IS 'pending, accepted, declined, withdrawn, or expired';
@@ -0,0 +1,134 @@
+-- Conversation Settings Migration
+-- Per-user organization of the inbox: archive, pin, mute and a custom label.
+-- Settings belong to one user and never affect the other participants.
+-- Muting a conversation silences notifications for it and stops its unread count from growing,
+-- like muting a user. Requires create_group_conversations.sql.
+
+-- ============================================
+-- 1. SETTINGS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.conversation_settings (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    conversation_id UUID REFERENCES public.conversations(id) ON DELETE CASCADE NOT NULL,
+    archived_at TIMESTAMP WITH TIME ZONE,
+    pinned_at TIMESTAMP WITH TIME ZONE,
+    muted BOOLEAN NOT NULL DEFAULT false,
+    label TEXT CHECK (label IS NULL OR char_length(label) BETWEEN 1 AND 50),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    PRIMARY KEY (user_id, conversation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_settings_muted ON public.conversation_settings(user_id)
+WHERE muted;
+
+-- ============================================
+-- 2. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+ALTER TABLE public.conversation_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their conversation settings"
+ON public.conversation_settings FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- ============================================
+-- 3. CONVERSATION TRIGGER
+-- ============================================
+
+-- Replaces the version in create_group_conversations.sql so a muted conversation doesn't bump
+-- the muting user's unread count, like a muted sender
+CREATE OR REPLACE FUNCTION update_conversation_on_message()
+RETURNS TRIGGER AS $$
+DECLARE
+    conv_id uuid;
+    other_user_id uuid;
+    other_user_email text;
+    receiver_muted boolean;
+BEGIN
+    -- Group messages: bump unread counts of every other member who hasn't muted the sender or the group
+    IF NEW.conversation_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.conversations WHERE id = NEW.conversation_id AND type = 'group'
+    ) THEN
+        UPDATE public.conversations
+        SET
+            last_message_id = NEW.id,
+            last_message_at = NEW.created_at,
+            updated_at = NOW()
+        WHERE id = NEW.conversation_id;
+
+        UPDATE public.conversation_participants p
+        SET unread_count = p.unread_count + 1
+        WHERE p.conversation_id = NEW.conversation_id
+          AND p.user_id <> NEW.sender_id
+          AND NOT EXISTS (
+              SELECT 1 FROM public.user_mutes
+              WHERE user_id = p.user_id AND muted_user_id = NEW.sender_id
+          )
+          AND NOT EXISTS (
+              SELECT 1 FROM public.conversation_settings s
+              WHERE s.user_id = p.user_id AND s.conversation_id = NEW.conversation_id AND s.muted
+          );
+
+        RETURN NEW;
+    END IF;
+
+    -- Determine the other user (receiver)
+    other_user_id := NEW.receiver_id;
+    other_user_email := NEW.receiver_email;
+
+    receiver_muted := other_user_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.user_mutes
+        WHERE user_id = other_user_id AND muted_user_id = NEW.sender_id
+    );
+
+    -- Find existing conversation (check both directions)
+    SELECT id INTO conv_id
+    FROM public.conversations
+    WHERE type = 'direct' AND (
+        (user1_id = NEW.sender_id AND (
+            (other_user_id IS NOT NULL AND user2_id = other_user_id) OR
+            (other_user_email IS NOT NULL AND user2_email = other_user_email)
+        ))
+        OR
+        (other_user_id IS NOT NULL AND user1_id = other_user_id AND user2_id = NEW.sender_id)
+    )
+    LIMIT 1;
+
+    IF conv_id IS NULL THEN
+        INSERT INTO public.conversations (user1_id, user2_id, user2_email, last_message_id, last_message_at)
+        VALUES (NEW.sender_id, other_user_id, other_user_email, NEW.id, NEW.created_at)
+        RETURNING id INTO conv_id;
+    ELSE
+        receiver_muted := receiver_muted OR (other_user_id IS NOT NULL AND EXISTS (
+            SELECT 1 FROM public.conversation_settings
+            WHERE user_id = other_user_id AND conversation_id = conv_id AND muted
+        ));
+
+        UPDATE public.conversations
+        SET
+            last_message_id = NEW.id,
+            last_message_at = NEW.created_at,
+            updated_at = NOW(),
+            -- Increment unread count for the receiver unless they muted the sender or the conversation
+            user1_unread_count = CASE
+                WHEN user1_id <> NEW.sender_id AND NOT receiver_muted THEN user1_unread_count + 1
+                ELSE user1_unread_count
+            END,
+            user2_unread_count = CASE
+                WHEN user1_id = NEW.sender_id AND NOT receiver_muted THEN user2_unread_count + 1
+                ELSE user2_unread_count
+            END
+        WHERE id = conv_id;
+    END IF;
+
+    -- Update message with conversation_id
+    UPDATE public.messages SET conversation_id = conv_id WHERE id = NEW.id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments
+COMMENT ON TABLE public.conversation_settings IS 'Per-user archive, pin, mute and label settings for conversations';
@@ -0,0 +1,245 @@
+-- Group Conversations Migration
+-- Direct conversations stay a user1_id/user2_id pair. Group conversations (type = 'group') have
+-- no user1/user2; their members are in conversation_participants, which also holds each
+-- member's role, unread count and read position (used as per-member read receipts).
+-- Group messages are inserted with conversation_id set and no receiver.
+-- Requires create_blocks_and_mutes.sql.
+
+-- ============================================
+-- 1. CONVERSATION AND MESSAGE COLUMNS
+-- ============================================
+
+ALTER TABLE public.conversations
+ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'direct' CHECK (type IN ('direct', 'group'));
+
+ALTER TABLE public.conversations
+ADD COLUMN IF NOT EXISTS title TEXT;
+
+ALTER TABLE public.conversations
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- Groups have no user1/user2
+ALTER TABLE public.conversations ALTER COLUMN user1_id DROP NOT NULL;
+
+ALTER TABLE public.conversations DROP CONSTRAINT IF EXISTS conversations_type_shape;
+ALTER TABLE public.conversations ADD CONSTRAINT conversations_type_shape CHECK (
+    (type = 'direct' AND user1_id IS NOT NULL)
+    OR (type = 'group' AND user1_id IS NULL AND user2_id IS NULL AND user2_email IS NULL AND title IS NOT NULL)
+);
+
+-- Group messages have no single receiver
+ALTER TABLE public.messages ALTER COLUMN receiver_email DROP NOT NULL;
+
+-- Blocked group messages are traced back to their conversation
+ALTER TABLE public.moderation_logs
+ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES public.conversations(id) ON DELETE SET NULL;
+
+-- ============================================
+-- 2. PARTICIPANTS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.conversation_participants (
+    conversation_id UUID REFERENCES public.conversations(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+    unread_count INTEGER NOT NULL DEFAULT 0,
+    last_read_at TIMESTAMP WITH TIME ZONE,
+    last_read_message_id UUID REFERENCES public.messages(id) ON DELETE SET NULL,
+    added_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_participants_user ON public.conversation_participants(user_id);
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+-- Membership check used by policies (SECURITY DEFINER avoids recursive policy evaluation)
+CREATE OR REPLACE FUNCTION is_conversation_participant(p_conversation_id uuid, p_user_id uuid)
+RETURNS boolean AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.conversation_participants
+        WHERE conversation_id = p_conversation_id AND user_id = p_user_id
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE public.conversation_participants ENABLE ROW LEVEL SECURITY;
+
+-- Members can see who else is in their groups; rows are written by the backend
+CREATE POLICY "Members can view group participants"
+ON public.conversation_participants FOR SELECT
+USING (is_conversation_participant(conversation_id, auth.uid()));
+
+CREATE POLICY "Members can view their group conversations"
+ON public.conversations FOR SELECT
+USING (type = 'group' AND is_conversation_participant(id, auth.uid()));
+
+CREATE POLICY "Members can view group messages"
+ON public.messages FOR SELECT
+USING (receiver_id IS NULL AND conversation_id IS NOT NULL AND is_conversation_participant(conversation_id, auth.uid()));
+
+DROP POLICY IF EXISTS "Participants can view message edits" ON public.message_edits;
+CREATE POLICY "Participants can view message edits"
+ON public.message_edits FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM public.messages m
+        WHERE m.id = message_id
+          AND (
+              auth.uid() = m.sender_id
+              OR auth.uid() = m.receiver_id
+              OR is_conversation_participant(m.conversation_id, auth.uid())
+          )
+    )
+);
+
+DROP POLICY IF EXISTS "Participants can view message attachments" ON public.message_attachments;
+CREATE POLICY "Participants can view message attachments"
+ON public.message_attachments FOR SELECT
+USING (
+    auth.uid() = uploader_id
+    OR EXISTS (
+        SELECT 1 FROM public.messages m
+        WHERE m.id = message_id
+          AND (
+              auth.uid() = m.sender_id
+              OR auth.uid() = m.receiver_id
+              OR is_conversation_participant(m.conversation_id, auth.uid())
+          )
+    )
+);
+
+-- ============================================
+-- 4. CONVERSATION TRIGGER
+-- ============================================
+
+-- Replaces the version in create_blocks_and_mutes.sql to handle group messages
+CREATE OR REPLACE FUNCTION update_conversation_on_message()
+RETURNS TRIGGER AS $$
+DECLARE
+    conv_id uuid;
+    other_user_id uuid;
+    other_user_email text;
+    receiver_muted boolean;
+BEGIN
+    -- Group messages: bump unread counts of every other member who hasn't muted the sender
+    IF NEW.conversation_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.conversations WHERE id = NEW.conversation_id AND type = 'group'
+    ) THEN
+        UPDATE public.conversations
+        SET
+            last_message_id = NEW.id,
+            last_message_at = NEW.created_at,
+            updated_at = NOW()
+        WHERE id = NEW.conversation_id;
+
+        UPDATE public.conversation_participants p
+        SET unread_count = p.unread_count + 1
+        WHERE p.conversation_id = NEW.conversation_id
+          AND p.user_id <> NEW.sender_id
+          AND NOT EXISTS (
+              SELECT 1 FROM public.user_mutes
+              WHERE user_id = p.user_id AND muted_user_id = NEW.sender_id
+          );
+
+        RETURN NEW;
+    END IF;
+
+    -- Determine the other user (receiver)
+    other_user_id := NEW.receiver_id;
+    other_user_email := NEW.receiver_email;
+
+    receiver_muted := other_user_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.user_mutes
+        WHERE user_id = other_user_id AND muted_user_id = NEW.sender_id
+    );
+
+    -- Find existing conversation (check both directions)
+    SELECT id INTO conv_id
+    FROM public.conversations
+    WHERE type = 'direct' AND (
+        (user1_id = NEW.sender_id AND (
+            (other_user_id IS NOT NULL AND user2_id = other_user_id) OR
+            (other_user_email IS NOT NULL AND user2_email = other_user_email)
+        ))
+        OR
+        (other_user_id IS NOT NULL AND user1_id = other_user_id AND user2_id = NEW.sender_id)
+    )
+    LIMIT 1;
+
+    IF conv_id IS NULL THEN
+        INSERT INTO public.conversations (user1_id, user2_id, user2_email, last_message_id, last_message_at)
+        VALUES (NEW.sender_id, other_user_id, other_user_email, NEW.id, NEW.created_at)
+        RETURNING id INTO conv_id;
+    ELSE
+        UPDATE public.conversations
+        SET
+            last_message_id = NEW.id,
+            last_message_at = NEW.created_at,
+            updated_at = NOW(),
+            -- Increment unread count for the receiver unless they muted the sender
+            user1_unread_count = CASE
+                WHEN user1_id <> NEW.sender_id AND NOT receiver_muted THEN user1_unread_count + 1
+                ELSE user1_unread_count
+            END,
+            user2_unread_count = CASE
+                WHEN user1_id = NEW.sender_id AND NOT receiver_muted THEN user2_unread_count + 1
+                ELSE user2_unread_count
+            END
+        WHERE id = conv_id;
+    END IF;
+
+    -- Update message with conversation_id
+    UPDATE public.messages SET conversation_id = conv_id WHERE id = NEW.id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. READ RECEIPTS
+-- ============================================
+
+-- Replaces the version in create_conversations_system.sql to also record group read positions
+CREATE OR REPLACE FUNCTION mark_messages_as_read(
+    p_conversation_id uuid,
+    p_user_id uuid
+)
+RETURNS void AS $$
+BEGIN
+    -- Update messages to read status
+    UPDATE public.messages
+    SET
+        status = 'read',
+        read_at = NOW()
+    WHERE
+        conversation_id = p_conversation_id
+        AND receiver_id = p_user_id
+        AND status != 'read';
+
+    -- Reset unread count in conversation
+    UPDATE public.conversations
+    SET
+        user1_unread_count = CASE WHEN user1_id = p_user_id THEN 0 ELSE user1_unread_count END,
+        user2_unread_count = CASE WHEN user2_id = p_user_id THEN 0 ELSE user2_unread_count END
+    WHERE id = p_conversation_id;
+
+    -- Group members: everything up to the latest message counts as read
+    UPDATE public.conversation_participants p
+    SET
+        unread_count = 0,
+        last_read_at = NOW(),
+        last_read_message_id = c.last_message_id
+    FROM public.conversations c
+    WHERE c.id = p.conversation_id
+      AND p.conversation_id = p_conversation_id
+      AND p.user_id = p_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Comments
+COMMENT ON TABLE public.conversation_participants IS 'Members of group conversations with their role, unread count and read position';
+COMMENT ON COLUMN public.conversation_participants.last_read_at IS 'Messages created at or before this time have been read by the member';
+COMMENT ON COLUMN public.conversations.type IS 'direct (user1_id/user2_id) or group (conversation_participants)';
@@ -0,0 +1,45 @@
+-- Match Feedback Migration
+-- Stores each user's reaction to a recommended match (accept, dismiss, not relevant)
+-- Used to stop re-recommending dismissed people and to adjust ranking
+
+CREATE TABLE IF NOT EXISTS public.match_feedback (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL, -- User giving the feedback
+    target_user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL, -- Recommended user
+    action TEXT NOT NULL CHECK (action IN ('accepted', 'dismissed', 'not_relevant')),
+    reason TEXT, -- Optional free-text reason (required by the API for 'not_relevant')
+    score NUMERIC, -- Match score shown to the user when the feedback was given
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    UNIQUE (user_id, target_user_id),
+    CHECK (user_id <> target_user_id)
+);
+
+-- Create indexes for lookups by either side of the pair
+CREATE INDEX IF NOT EXISTS idx_match_feedback_user ON public.match_feedback(user_id);
+CREATE INDEX IF NOT EXISTS idx_match_feedback_target ON public.match_feedback(target_user_id);
+CREATE INDEX IF NOT EXISTS idx_match_feedback_action ON public.match_feedback(action);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE public.match_feedback ENABLE ROW LEVEL SECURITY;
+
+-- Users can view and manage only their own feedback
+CREATE POLICY "Users can view their match feedback"
+ON public.match_feedback FOR SELECT
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their match feedback"
+ON public.match_feedback FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their match feedback"
+ON public.match_feedback FOR UPDATE
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their match feedback"
+ON public.match_feedback FOR DELETE
+USING (auth.uid() = user_id);
+
+-- Comments
+COMMENT ON TABLE public.match_feedback IS 'User reactions to native match recommendations';
+COMMENT ON COLUMN public.match_feedback.action IS 'accepted, dismissed, or not_relevant';
@@ -0,0 +1,52 @@
+-- Message Attachments Migration
+-- Files (papers, figures, slide decks) are uploaded first and then sent with a message.
+-- Only metadata lives here; the file itself is kept by the storage backend named in
+-- storage_backend ("local" disk in development, a private Supabase Storage bucket in production).
+
+-- ============================================
+-- 1. ATTACHMENTS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.message_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- NULL until the upload is sent with a message
+    message_id UUID REFERENCES public.messages(id) ON DELETE CASCADE,
+    uploader_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    storage_backend TEXT NOT NULL,
+    storage_key TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size_bytes BIGINT NOT NULL CHECK (size_bytes >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    UNIQUE (storage_backend, storage_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON public.message_attachments(message_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_unsent ON public.message_attachments(uploader_id)
+WHERE message_id IS NULL;
+-- Unsent uploads are removed by the backend once they expire
+CREATE INDEX IF NOT EXISTS idx_message_attachments_unsent_age ON public.message_attachments(created_at)
+WHERE message_id IS NULL;
+
+-- ============================================
+-- 2. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+ALTER TABLE public.message_attachments ENABLE ROW LEVEL SECURITY;
+
+-- The uploader can see their own files; once sent, both participants can see them.
+-- Rows are written by the backend.
+CREATE POLICY "Participants can view message attachments"
+ON public.message_attachments FOR SELECT
+USING (
+    auth.uid() = uploader_id
+    OR EXISTS (
+        SELECT 1 FROM public.messages m
+        WHERE m.id = message_id
+          AND (auth.uid() = m.sender_id OR auth.uid() = m.receiver_id)
+    )
+);
+
+-- Comments
+COMMENT ON TABLE public.message_attachments IS 'Files sent with messages; content is held by the storage backend';
+COMMENT ON COLUMN public.message_attachments.message_id IS 'Message the file was sent with; NULL while the upload is unsent';
@@ -0,0 +1,116 @@
+-- Message Search Migration
+-- Full-text search over the messages of conversations a user participates in.
+-- search_messages() applies the access rules in the database so callers can't widen them,
+-- and returns highlighted snippets for jump-to. Requires create_group_conversations.sql.
+
+-- ============================================
+-- 1. SEARCH INDEX
+-- ============================================
+
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON public.messages USING GIN (search_vector);
+
+-- ============================================
+-- 2. SEARCH FUNCTION
+-- ============================================
+
+-- p_query uses web search syntax: "quoted phrases", OR, and -excluded words.
+-- Snippets mark matches with U+E000 / U+E001; the backend escapes them and turns the markers into <mark> tags.
+CREATE OR REPLACE FUNCTION search_messages(
+    p_user_id uuid,
+    p_query text,
+    p_participant_id uuid DEFAULT NULL,
+    p_from timestamp with time zone DEFAULT NULL,
+    p_to timestamp with time zone DEFAULT NULL,
+    p_limit integer DEFAULT 20,
+    p_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+    message_id uuid,
+    conversation_id uuid,
+    conversation_type text,
+    conversation_title text,
+    other_user_id uuid,
+    other_user_email text,
+    sender_id uuid,
+    created_at timestamp with time zone,
+    snippet text,
+    rank real
+) AS $$
+    WITH search AS (
+        SELECT websearch_to_tsquery('english', p_query) AS query
+    ),
+    visible AS (
+        -- Direct conversations, except with users the caller has blocked
+        SELECT
+            c.id,
+            c.type,
+            c.title,
+            CASE WHEN c.user1_id = p_user_id THEN c.user2_id ELSE c.user1_id END AS other_user_id,
+            CASE WHEN c.user1_id = p_user_id THEN c.user2_email END AS other_user_email
+        FROM public.conversations c
+        WHERE c.type = 'direct'
+          AND (c.user1_id = p_user_id OR c.user2_id = p_user_id)
+          AND NOT EXISTS (
+              SELECT 1 FROM public.user_blocks b
+              WHERE b.blocker_id = p_user_id
+                AND b.blocked_id = CASE WHEN c.user1_id = p_user_id THEN c.user2_id ELSE c.user1_id END
+          )
+        UNION ALL
+        -- Groups the caller is a member of
+        SELECT c.id, c.type, c.title, NULL::uuid, NULL::text
+        FROM public.conversations c
+        JOIN public.conversation_participants p ON p.conversation_id = c.id
+        WHERE c.type = 'group' AND p.user_id = p_user_id
+    )
+    SELECT
+        m.id,
+        m.conversation_id,
+        v.type,
+        v.title,
+        v.other_user_id,
+        v.other_user_email,
+        m.sender_id,
+        m.created_at,
+        ts_headline(
+            'english',
+            m.content,
+            s.query,
+            'StartSel=' || chr(57344) || ', StopSel=' || chr(57345) ||
+            ', MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "'
+        ),
+        ts_rank(m.search_vector, s.query)
+    FROM visible v
+    JOIN public.messages m ON m.conversation_id = v.id
+    CROSS JOIN search s
+    WHERE m.search_vector @@ s.query
+      AND m.deleted_at IS NULL
+      AND (p_from IS NULL OR m.created_at >= p_from)
+      AND (p_to IS NULL OR m.created_at <= p_to)
+      AND (
+          p_participant_id IS NULL
+          OR v.other_user_id = p_participant_id
+          OR (v.type = 'group' AND EXISTS (
+              SELECT 1 FROM public.conversation_participants pp
+              WHERE pp.conversation_id = v.id AND pp.user_id = p_participant_id
+          ))
+      )
+      -- Messages from blocked users stay hidden in groups too
+      AND NOT EXISTS (
+          SELECT 1 FROM public.user_blocks b
+          WHERE b.blocker_id = p_user_id AND b.blocked_id = m.sender_id
+      )
+    ORDER BY 10 DESC, m.created_at DESC, m.id
+    LIMIT LEAST(GREATEST(p_limit, 1), 100)
+    OFFSET GREATEST(p_offset, 0);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Only the backend (service role) may search on behalf of a user
+REVOKE EXECUTE ON FUNCTION search_messages(uuid, text, uuid, timestamp with time zone, timestamp with time zone, integer, integer) FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON COLUMN public.messages.search_vector IS 'Full-text search vector of the message content';
+COMMENT ON FUNCTION search_messages(uuid, text, uuid, timestamp with time zone, timestamp with time zone, integer, integer) IS 'Search messages in conversations the user participates in';
@@ -0,0 +1,49 @@
+-- Moderation Admin Migration
+-- Lets moderators manage moderation_blacklist through the API (/api/v1/moderation/blacklist)
+-- instead of running SQL by hand. Every change is recorded with the moderator who made it.
+-- Moderators are regular accounts whose email is listed in MODERATOR_EMAILS.
+-- Requires create_moderation_system.sql.
+
+-- ============================================
+-- 1. BLACKLIST COLUMNS
+-- ============================================
+
+ALTER TABLE public.moderation_blacklist
+ADD COLUMN IF NOT EXISTS updated_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_moderation_blacklist_category ON public.moderation_blacklist(category);
+
+-- ============================================
+-- 2. CHANGE HISTORY TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.moderation_blacklist_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entry_id UUID REFERENCES public.moderation_blacklist(id) ON DELETE SET NULL,
+    action TEXT NOT NULL CHECK (action IN ('created', 'updated', 'deactivated')),
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    changed_by_email TEXT NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_blacklist_changes_entry
+ON public.moderation_blacklist_changes(entry_id, created_at DESC);
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+-- Only the backend (service role) reads and writes the change history
+ALTER TABLE public.moderation_blacklist_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Deny all access to blacklist changes" ON public.moderation_blacklist_changes
+    FOR ALL USING (false);
+
+GRANT ALL ON public.moderation_blacklist_changes TO service_role;
+
+-- Comments
+COMMENT ON COLUMN public.moderation_blacklist.created_by IS 'Email of the moderator who added this entry (NULL for seeded entries)';
+COMMENT ON COLUMN public.moderation_blacklist.updated_by IS 'Email of the moderator who last changed this entry';
+COMMENT ON TABLE public.moderation_blacklist_changes IS 'Audit trail of blacklist changes made through the moderation API';
+COMMENT ON COLUMN public.moderation_blacklist_changes.changes IS 'Changed fields as { field: { from, to } }; imports also set "source": "import"';
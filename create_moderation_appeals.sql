@@ -0,0 +1,39 @@
+-- Moderation Appeals Migration
+-- Senders can appeal a blocked message with a note. Appeals wait in a moderator queue
+-- (/api/v1/moderation/appeals); accepting one overturns the block and delivers the message.
+-- Requires create_moderation_review.sql.
+
+-- ============================================
+-- 1. APPEALS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.moderation_appeals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    moderation_log_id UUID REFERENCES public.moderation_logs(id) ON DELETE CASCADE NOT NULL UNIQUE,
+    sender_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    note TEXT NOT NULL CHECK (char_length(note) BETWEEN 1 AND 1000),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+    decided_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    decided_by_email TEXT,
+    response TEXT CHECK (response IS NULL OR char_length(response) <= 1000),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_appeals_status ON public.moderation_appeals(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_moderation_appeals_sender ON public.moderation_appeals(sender_id, created_at DESC);
+
+-- ============================================
+-- 2. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+ALTER TABLE public.moderation_appeals ENABLE ROW LEVEL SECURITY;
+
+-- Senders can see their own appeals; appeals are created and decided by the backend
+CREATE POLICY "Senders can view their appeals"
+ON public.moderation_appeals FOR SELECT
+USING (auth.uid() = sender_id);
+
+-- Comments
+COMMENT ON TABLE public.moderation_appeals IS 'Sender appeals against blocked messages, one per moderation decision';
+COMMENT ON COLUMN public.moderation_appeals.response IS 'Moderator explanation sent to the sender with the outcome';
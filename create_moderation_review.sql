@@ -0,0 +1,53 @@
+-- Moderation Review Migration
+-- Moderators review blocked messages through the API (/api/v1/moderation/reviews): they confirm
+-- or overturn each decision, and an overturned message can be released to its recipients.
+-- Requires create_group_conversations.sql and create_moderation_admin.sql.
+
+-- ============================================
+-- 1. REVIEW COLUMNS
+-- ============================================
+
+ALTER TABLE public.moderation_logs
+ADD COLUMN IF NOT EXISTS category TEXT,
+ADD COLUMN IF NOT EXISTS pending_message JSONB,
+ADD COLUMN IF NOT EXISTS review_status TEXT CHECK (review_status IN ('pending', 'confirmed', 'overturned')),
+ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS reviewed_by_email TEXT,
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS review_note TEXT CHECK (review_note IS NULL OR char_length(review_note) <= 1000),
+ADD COLUMN IF NOT EXISTS released_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS released_message_id UUID REFERENCES public.messages(id) ON DELETE SET NULL;
+
+-- ============================================
+-- 2. BACKFILL
+-- ============================================
+
+-- Rule-based reasons end with "(category: <name>)"
+UPDATE public.moderation_logs
+SET category = substring(blocked_reason FROM '\(category: ([a-z0-9_]+)\)')
+WHERE category IS NULL
+  AND moderation_method = 'rule_based'
+  AND blocked_reason IS NOT NULL;
+
+-- Every earlier blocked message waits for review
+UPDATE public.moderation_logs
+SET review_status = 'pending'
+WHERE moderation_result = 'blocked'
+  AND review_status IS NULL;
+
+-- ============================================
+-- 3. INDEXES
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_moderation_logs_review
+ON public.moderation_logs(review_status, timestamp DESC)
+WHERE moderation_result = 'blocked';
+
+CREATE INDEX IF NOT EXISTS idx_moderation_logs_category ON public.moderation_logs(category)
+WHERE category IS NOT NULL;
+
+-- Comments
+COMMENT ON COLUMN public.moderation_logs.category IS 'Blacklist category that blocked the message (rule-based decisions)';
+COMMENT ON COLUMN public.moderation_logs.pending_message IS 'What a blocked new message would have sent ({ content, receiverEmail, attachmentIds, replyToId }), used to release it';
+COMMENT ON COLUMN public.moderation_logs.review_status IS 'Moderator review of a blocked decision: pending, confirmed or overturned';
+COMMENT ON COLUMN public.moderation_logs.released_message_id IS 'Message created when an overturned message was released';
@@ -0,0 +1,95 @@
+-- Pending Recipients Migration
+-- Messages sent to an email that has no account yet are stored with receiver_id NULL and
+-- the address is recorded here so an invitation is sent once per sender. When someone signs
+-- up with that email, their messages are attached to the new account.
+-- Requires create_profiles_directory.sql.
+
+-- ============================================
+-- 1. PENDING RECIPIENTS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.pending_recipients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT NOT NULL, -- Always stored lowercase
+    invited_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    invitation_sent_at TIMESTAMP WITH TIME ZONE,
+    claimed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    UNIQUE (email, invited_by)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_recipients_email ON public.pending_recipients(email);
+
+-- Invitations a sender triggered recently, for the daily per-sender limit
+CREATE INDEX IF NOT EXISTS idx_pending_recipients_inviter_sent
+ON public.pending_recipients(invited_by, invitation_sent_at);
+
+-- Unattached messages are looked up by email when their recipient signs up
+CREATE INDEX IF NOT EXISTS idx_messages_unattached_receiver_email
+ON public.messages(lower(receiver_email))
+WHERE receiver_id IS NULL;
+
+-- ============================================
+-- 2. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+ALTER TABLE public.pending_recipients ENABLE ROW LEVEL SECURITY;
+
+-- Senders can see who they invited; rows are written by the backend
+CREATE POLICY "Users can view their invitations"
+ON public.pending_recipients FOR SELECT
+USING (auth.uid() = invited_by);
+
+CREATE POLICY "Users can create their invitations"
+ON public.pending_recipients FOR INSERT
+WITH CHECK (auth.uid() = invited_by);
+
+CREATE POLICY "Users can update their invitations"
+ON public.pending_recipients FOR UPDATE
+USING (auth.uid() = invited_by);
+
+-- ============================================
+-- 3. ATTACH MESSAGES ON SIGNUP
+-- ============================================
+
+CREATE OR REPLACE FUNCTION attach_pending_messages()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.email IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    -- Unconfirmed signups must not receive messages held for someone else's address
+    IF NOT EXISTS (
+        SELECT 1 FROM auth.users u
+        WHERE u.id = NEW.id AND u.email_confirmed_at IS NOT NULL
+    ) THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE public.messages
+    SET receiver_id = NEW.id
+    WHERE receiver_id IS NULL
+      AND lower(receiver_email) = NEW.email;
+
+    UPDATE public.pending_recipients
+    SET claimed_by = NEW.id, claimed_at = NOW(), updated_at = NOW()
+    WHERE email = NEW.email
+      AND claimed_by IS NULL;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- profiles rows are created by the auth.users sync trigger when an account is created
+DROP TRIGGER IF EXISTS trigger_attach_pending_messages ON public.profiles;
+CREATE TRIGGER trigger_attach_pending_messages
+AFTER INSERT OR UPDATE OF email ON public.profiles
+FOR EACH ROW
+EXECUTE FUNCTION attach_pending_messages();
+
+-- Comments
+COMMENT ON TABLE public.pending_recipients IS 'Emails that were messaged before they had an account, one row per inviting sender';
+COMMENT ON COLUMN public.pending_recipients.claimed_by IS 'Account that signed up with the email and received the pending messages';
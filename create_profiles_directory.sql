@@ -0,0 +1,84 @@
+-- User Directory Migration
+-- Mirrors the public fields of auth.users into public.profiles so the backend can look
+-- users up by ID or email with an indexed query instead of scanning auth.admin.listUsers()
+-- (which only returns the first page of users). get_user_profiles (create_user_profiles_function.sql)
+-- stays as the fallback while this migration isn't applied.
+
+-- ============================================
+-- 1. PROFILES TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.profiles (
+    id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    email TEXT, -- Always stored lowercase for case-insensitive lookups
+    full_name TEXT,
+    avatar_url TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_profiles_email ON public.profiles(email);
+
+-- ============================================
+-- 2. KEEP PROFILES IN SYNC WITH AUTH.USERS
+-- ============================================
+
+CREATE OR REPLACE FUNCTION sync_profile_from_auth_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.profiles (id, email, full_name, avatar_url, updated_at)
+    VALUES (
+        NEW.id,
+        lower(NEW.email),
+        NEW.raw_user_meta_data->>'full_name',
+        NEW.raw_user_meta_data->>'avatar_url',
+        NOW()
+    )
+    ON CONFLICT (id) DO UPDATE SET
+        email = EXCLUDED.email,
+        full_name = EXCLUDED.full_name,
+        avatar_url = EXCLUDED.avatar_url,
+        updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, auth;
+
+DROP TRIGGER IF EXISTS trigger_sync_profile ON auth.users;
+CREATE TRIGGER trigger_sync_profile
+AFTER INSERT OR UPDATE OF email, raw_user_meta_data ON auth.users
+FOR EACH ROW
+EXECUTE FUNCTION sync_profile_from_auth_user();
+
+-- Backfill existing users
+INSERT INTO public.profiles (id, email, full_name, avatar_url)
+SELECT
+    id,
+    lower(email),
+    raw_user_meta_data->>'full_name',
+    raw_user_meta_data->>'avatar_url'
+FROM auth.users
+ON CONFLICT (id) DO UPDATE SET
+    email = EXCLUDED.email,
+    full_name = EXCLUDED.full_name,
+    avatar_url = EXCLUDED.avatar_url,
+    updated_at = NOW();
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY (RLS)
+-- ============================================
+
+ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
+
+-- The backend reads the directory with the service role, which bypasses RLS. Clients may only
+-- read their own row, so emails can't be harvested through PostgREST with the anon key
+DROP POLICY IF EXISTS "Authenticated users can view profiles" ON public.profiles;
+DROP POLICY IF EXISTS "Users can view their own profile" ON public.profiles;
+CREATE POLICY "Users can view their own profile"
+ON public.profiles FOR SELECT
+USING (auth.uid() = id);
+
+GRANT ALL ON public.profiles TO service_role;
+
+-- Comments
+COMMENT ON TABLE public.profiles IS 'Public user directory mirrored from auth.users for indexed lookups by ID and email';
+COMMENT ON COLUMN public.profiles.email IS 'Lowercased email, unique';
@@ -0,0 +1,29 @@
+-- Batch User Profile Lookup
+-- Lets the backend load many users' public profile fields in a single query
+-- instead of one auth.admin.getUserById call (or a full listUsers scan) per user
+
+CREATE OR REPLACE FUNCTION get_user_profiles(
+    p_user_ids uuid[] DEFAULT '{}',
+    p_emails text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+    id uuid,
+    email text,
+    full_name text,
+    avatar_url text
+) AS $$
+    SELECT
+        u.id,
+        u.email::text,
+        u.raw_user_meta_data->>'full_name',
+        u.raw_user_meta_data->>'avatar_url'
+    FROM auth.users u
+    WHERE u.id = ANY(p_user_ids)
+       OR lower(u.email) = ANY(SELECT lower(e) FROM unnest(p_emails) AS e);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public, auth;
+
+-- Only the backend (service role) may call this function
+REVOKE ALL ON FUNCTION get_user_profiles(uuid[], text[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_user_profiles(uuid[], text[]) TO service_role;
+
+COMMENT ON FUNCTION get_user_profiles(uuid[], text[]) IS 'Batch lookup of user id, email, name and avatar by IDs and/or emails';
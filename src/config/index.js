@@ -63,12 +63,92 @@ const config = {
     url: process.env.WEBHOOK_URL || null,
   },
 
+  // Matchmaking Configuration
+  matching: {
+    // Maximum number of partners per user in the stable mutual assignment
+    mutualSlots: parseInt(process.env.MATCH_MUTUAL_SLOTS || "5"),
+    // Write the native mutual assignment to questionnaire_responses.mutual_recommendation
+    syncMutualRecommendations: process.env.SYNC_MUTUAL_RECOMMENDATIONS === "true",
+  },
+
+  // Connection Request Configuration
+  connections: {
+    // Pending requests expire after this many days
+    requestTtlDays: parseInt(process.env.CONNECTION_REQUEST_TTL_DAYS || "30"),
+  },
+
+  // Invitation Configuration
+  invitations: {
+    // Invitation emails one sender can trigger to unregistered addresses per 24 hours
+    dailyLimit: parseInt(process.env.INVITATIONS_PER_SENDER_PER_DAY || "10"),
+  },
+
+  // Group Conversation Configuration
+  groups: {
+    // Maximum members in a group conversation, including its admins
+    maxParticipants: parseInt(process.env.GROUP_MAX_PARTICIPANTS || "20"),
+  },
+
+  // User Profile Cache Configuration
+  userCache: {
+    // How long looked-up user profiles are cached in memory
+    ttlMs: parseInt(process.env.USER_CACHE_TTL_MS || "300000"),
+  },
+
+  // Real-time (Socket.io) Configuration
+  realtime: {
+    // "memory" for a single instance, "redis" to share rooms and presence across instances
+    adapter: process.env.SOCKET_ADAPTER || "memory",
+    redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+    keyPrefix: process.env.REDIS_KEY_PREFIX || "ieee-matchmaking",
+    // Stable ID for this instance (e.g. replica ID) so it can release stale presence after a crash
+    instanceId: process.env.INSTANCE_ID || null,
+  },
+
+  // Attachment Configuration
+  attachments: {
+    // "local" stores files on disk (dev/tests), "supabase" uses Supabase Storage (prod)
+    storage: process.env.ATTACHMENT_STORAGE || "local",
+    localDir: process.env.ATTACHMENT_DIR || "uploads",
+    bucket: process.env.ATTACHMENT_BUCKET || "attachments",
+    maxSizeBytes: parseInt(process.env.ATTACHMENT_MAX_SIZE_MB || "10") * 1024 * 1024,
+    maxPerMessage: parseInt(process.env.ATTACHMENT_MAX_PER_MESSAGE || "5"),
+    // Uploads not sent with a message are deleted after this many hours; each user may hold
+    // at most maxPending of them meanwhile
+    pendingTtlHours: parseInt(process.env.ATTACHMENT_PENDING_TTL_HOURS || "24"),
+    maxPending: parseInt(process.env.ATTACHMENT_MAX_PENDING || "20"),
+    // Papers, figures and slide decks by default
+    allowedMimeTypes: (
+      process.env.ATTACHMENT_ALLOWED_TYPES ||
+      [
+        "application/pdf",
+        "image/png",
+        "image/jpeg",
+        "image/gif",
+        "image/webp",
+        "text/plain",
+        "text/csv",
+        "application/msword",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        "application/vnd.ms-powerpoint",
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+        "application/vnd.ms-excel",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      ].join(",")
+    ).split(",").map((type) => type.trim()).filter(Boolean),
+  },
+
   // Moderation Configuration
   moderation: {
     email: process.env.MODERATION_EMAIL || "ieeemetaverse@gmail.com",
     enableAI: process.env.ENABLE_AI_MODERATION === "true",
     openaiApiKey: process.env.OPENAI_API_KEY || null,
     openaiModel: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
+    // Accounts allowed to use the moderation API (comma-separated emails)
+    moderatorEmails: (process.env.MODERATOR_EMAILS || "")
+      .split(",").map((email) => email.trim().toLowerCase()).filter(Boolean),
+    // How long the compiled blacklist/allowlist is reused before other instances' changes are picked up
+    ruleCacheTtlMs: parseInt(process.env.MODERATION_RULE_CACHE_TTL_MS || "60000"),
   },
 
   // Email/SMTP Configuration
@@ -0,0 +1,86 @@
+/**
+ * Appeal Controller
+ * Handles sender appeals against blocked messages and their review by moderators
+ */
+
+import { createAppeal, getUserAppeals, listAppeals, decideAppeal } from "../services/appealService.js";
+
+/**
+ * Appeal one of the current user's blocked messages
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function submitAppeal(req, res, next) {
+    try {
+        const { moderationLogId, note } = req.body || {};
+        const appeal = await createAppeal({ userId: req.user.id, moderationLogId, note });
+        res.status(201).json({ success: true, message: "Appeal submitted", data: appeal });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get the current user's appeals
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getMyAppeals(req, res, next) {
+    try {
+        const appeals = await getUserAppeals(req.user.id);
+        res.json({ success: true, data: appeals });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * List appeals for moderators
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getAppealQueue(req, res, next) {
+    try {
+        const { status, limit, offset } = req.query;
+        const { appeals, pagination } = await listAppeals({ status, limit, offset });
+        res.json({ success: true, data: appeals, pagination });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Accept or reject an appeal
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function submitAppealDecision(req, res, next) {
+    try {
+        const { decision, response } = req.body || {};
+        const { appeal, releasedMessage, releaseError } = await decideAppeal({
+            actor: req.user,
+            appealId: req.params.appealId,
+            decision,
+            response,
+        });
+
+        let summary = appeal.status === "accepted" ? "Appeal accepted" : "Appeal rejected";
+        if (releasedMessage) summary += " and message released";
+        if (releaseError) summary += `, but the message could not be released: ${releaseError}`;
+
+        res.json({ success: true, message: summary, data: { appeal, releasedMessage, releaseError } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    submitAppeal,
+    getMyAppeals,
+    getAppealQueue,
+    submitAppealDecision,
+};
@@ -0,0 +1,60 @@
+/**
+ * Attachment Controller
+ * Handles uploading and downloading message attachments
+ */
+
+import { saveUpload, openAttachment } from "../services/attachmentService.js";
+
+/**
+ * Upload a file to send with a message
+ * The returned attachment ID is passed in attachment_ids of send_message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function uploadFile(req, res, next) {
+    try {
+        const attachment = await saveUpload({ file: req.file, uploaderId: req.user.id });
+        res.status(201).json({ success: true, message: "File uploaded", data: attachment });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Download an attachment from one of the current user's conversations
+ * Local files are streamed; object storage files redirect to a short-lived signed URL
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function downloadFile(req, res, next) {
+    try {
+        const { attachment, file } = await openAttachment(req.params.attachmentId, req.user.id);
+
+        res.set("Cache-Control", "private, no-store");
+
+        if (file.url) {
+            return res.redirect(302, file.url);
+        }
+
+        // Images are shown inline; everything else downloads, and the browser must not sniff types
+        const disposition = attachment.mime_type.startsWith("image/") ? "inline" : "attachment";
+        res.set({
+            "Content-Type": attachment.mime_type,
+            "Content-Length": String(attachment.size_bytes),
+            "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`,
+            "X-Content-Type-Options": "nosniff",
+        });
+
+        file.stream.on("error", next);
+        file.stream.pipe(res);
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    uploadFile,
+    downloadFile,
+};
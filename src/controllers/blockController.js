@@ -0,0 +1,240 @@
+/**
+ * Block Controller
+ * Handles per-user block and mute lists
+ */
+
+import { supabase } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { addToList, removeFromList, getList } from "../services/blockService.js";
+import { findConnectionBetween, notifyConnectionUpdated } from "../services/connectionService.js";
+import { findUserById } from "../services/userProfileService.js";
+
+/**
+ * Validate the target of a block or mute
+ * @param {Object} authUser - Authenticated user
+ * @param {string} targetUserId - User to block or mute
+ */
+async function validateTarget(authUser, targetUserId) {
+    if (!targetUserId || typeof targetUserId !== "string") {
+        throw new ApiError(400, "userId is required");
+    }
+
+    if (targetUserId === authUser.id) {
+        throw new ApiError(400, "You cannot block or mute yourself");
+    }
+
+    if (!(await findUserById(targetUserId))) {
+        throw new ApiError(404, "User not found");
+    }
+}
+
+/**
+ * Cancel a pending connection request between the blocker and the blocked user
+ * @param {Object} authUser - Blocker
+ * @param {string} blockedUserId - Blocked user
+ */
+async function cancelPendingConnection(authUser, blockedUserId) {
+    try {
+        const pending = await findConnectionBetween(
+            { userId: authUser.id, userEmail: authUser.email, otherUserId: blockedUserId, otherEmail: null },
+            ["pending"]
+        );
+        if (!pending) return;
+
+        const now = new Date().toISOString();
+        const { data: updated } = await supabase
+            .from("connections")
+            .update({
+                status: pending.requester_id === authUser.id ? "withdrawn" : "declined",
+                responded_at: now,
+                updated_at: now,
+            })
+            .eq("id", pending.id)
+            .eq("status", "pending")
+            .select()
+            .maybeSingle();
+
+        if (updated) {
+            notifyConnectionUpdated(updated);
+        }
+    } catch (err) {
+        logger.warn("Error cancelling pending connection after block", { error: err.message });
+    }
+}
+
+/**
+ * Get the current user's list of blocked or muted users
+ * @param {string} listName - "blocks" or "mutes"
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function sendList(listName, req, res, next) {
+    try {
+        let rows;
+        try {
+            rows = await getList(listName, req.user.id);
+        } catch (err) {
+            throw new ApiError(500, err.message);
+        }
+
+        res.json({
+            success: true,
+            data: rows.map((row) => ({
+                userId: row.blocked_id || row.muted_user_id,
+                createdAt: row.created_at,
+            })),
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get users blocked by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function getBlocks(req, res, next) {
+    return sendList("blocks", req, res, next);
+}
+
+/**
+ * Get users muted by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function getMutes(req, res, next) {
+    return sendList("mutes", req, res, next);
+}
+
+/**
+ * Block a user
+ * Blocked users can't message the blocker or see their typing indicators, and any
+ * pending connection request between them is cancelled
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function blockUser(req, res, next) {
+    try {
+        const authUser = req.user;
+        const { userId } = req.body || {};
+
+        await validateTarget(authUser, userId);
+
+        try {
+            await addToList("blocks", authUser.id, userId);
+        } catch (err) {
+            throw new ApiError(500, err.message);
+        }
+
+        await cancelPendingConnection(authUser, userId);
+
+        logger.info("User blocked", { blockerId: authUser.id, blockedId: userId });
+
+        res.json({ success: true, message: "User blocked" });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Unblock a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function unblockUser(req, res, next) {
+    try {
+        const authUser = req.user;
+        const { userId } = req.params;
+
+        let removed;
+        try {
+            removed = await removeFromList("blocks", authUser.id, userId);
+        } catch (err) {
+            throw new ApiError(500, err.message);
+        }
+
+        if (!removed) {
+            throw new ApiError(404, "User is not blocked");
+        }
+
+        logger.info("User unblocked", { blockerId: authUser.id, blockedId: userId });
+
+        res.json({ success: true, message: "User unblocked" });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Mute a user
+ * Their messages are still delivered but don't increment unread counts or trigger notifications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function muteUser(req, res, next) {
+    try {
+        const authUser = req.user;
+        const { userId } = req.body || {};
+
+        await validateTarget(authUser, userId);
+
+        try {
+            await addToList("mutes", authUser.id, userId);
+        } catch (err) {
+            throw new ApiError(500, err.message);
+        }
+
+        logger.info("User muted", { userId: authUser.id, mutedUserId: userId });
+
+        res.json({ success: true, message: "User muted" });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Unmute a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function unmuteUser(req, res, next) {
+    try {
+        const authUser = req.user;
+        const { userId } = req.params;
+
+        let removed;
+        try {
+            removed = await removeFromList("mutes", authUser.id, userId);
+        } catch (err) {
+            throw new ApiError(500, err.message);
+        }
+
+        if (!removed) {
+            throw new ApiError(404, "User is not muted");
+        }
+
+        logger.info("User unmuted", { userId: authUser.id, mutedUserId: userId });
+
+        res.json({ success: true, message: "User unmuted" });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    getBlocks,
+    blockUser,
+    unblockUser,
+    getMutes,
+    muteUser,
+    unmuteUser,
+};
@@ -0,0 +1,386 @@
+/**
+ * Connection Controller
+ * Handles connection requests that must be accepted before a conversation can start
+ */
+
+import { supabase } from "../config/supabase.js";
+import config from "../config/index.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+import {
+    findConnectionBetween,
+    formatConnection,
+    notifyConnectionUpdated,
+    expireStaleConnections,
+} from "../services/connectionService.js";
+import { isBlockedEitherWay } from "../services/blockService.js";
+import { findUserById, findUserByEmail } from "../services/userProfileService.js";
+import { recordPendingRecipient } from "../services/pendingRecipientService.js";
+import { UUID_REGEX, EMAIL_REGEX } from "../utils/validation.js";
+
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Resolve the recipient of a connection request from an ID or email
+ * @param {string|undefined} recipientId - Recipient's user ID
+ * @param {string|undefined} recipientEmail - Recipient's email
+ * @returns {Promise<{id: string|null, email: string}>}
+ */
+async function resolveRecipient(recipientId, recipientEmail) {
+    if (recipientId) {
+        const user = await findUserById(recipientId);
+        if (!user) {
+            throw new ApiError(404, "Recipient not found");
+        }
+        return { id: user.id, email: user.email.toLowerCase() };
+    }
+
+    if (!recipientEmail || typeof recipientEmail !== "string" || !EMAIL_REGEX.test(recipientEmail)) {
+        throw new ApiError(400, "A valid recipientId or recipientEmail is required");
+    }
+
+    const email = recipientEmail.trim().toLowerCase();
+
+    // Recipient may not be registered yet; the request stays addressed to their email
+    const user = await findUserByEmail(email);
+    return { id: user?.id || null, email };
+}
+
+/**
+ * Whether the user is the recipient of a connection
+ * @param {Object} connection - connections row
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+function isRecipient(connection, user) {
+    return (
+        connection.recipient_id === user.id ||
+        (!!user.email && connection.recipient_email === user.email.toLowerCase())
+    );
+}
+
+/**
+ * Load a connection the current user is part of
+ * @param {string} connectionId - Connection ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} connections row
+ * @throws {ApiError} 404 if the ID is malformed or the connection isn't the user's
+ */
+async function getOwnConnection(connectionId, user) {
+    if (!UUID_REGEX.test(connectionId || "")) {
+        throw new ApiError(404, "Connection not found");
+    }
+
+    const { data: connection, error } = await supabase
+        .from("connections")
+        .select("*")
+        .eq("id", connectionId)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch connection: ${error.message}`);
+    }
+
+    if (!connection || (connection.requester_id !== user.id && !isRecipient(connection, user))) {
+        throw new ApiError(404, "Connection not found");
+    }
+
+    return connection;
+}
+
+/**
+ * Move a pending connection to a new status
+ * @param {Object} connection - connections row
+ * @param {string} status - New status
+ * @param {Object} extra - Extra columns to update
+ * @returns {Promise<Object>} Updated connections row
+ */
+async function updatePendingConnection(connection, status, extra = {}) {
+    const now = new Date().toISOString();
+
+    const { data: updated, error } = await supabase
+        .from("connections")
+        .update({ status, responded_at: now, updated_at: now, ...extra })
+        .eq("id", connection.id)
+        .eq("status", "pending")
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to update connection: ${error.message}`);
+    }
+
+    if (!updated) {
+        throw new ApiError(409, "Connection request is no longer pending");
+    }
+
+    notifyConnectionUpdated(updated);
+    return updated;
+}
+
+/**
+ * Get connections for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getConnections(req, res, next) {
+    try {
+        const authUser = req.user;
+        const { status, direction = "all" } = req.query;
+
+        if (!["all", "incoming", "outgoing"].includes(direction)) {
+            throw new ApiError(400, "direction must be one of: all, incoming, outgoing");
+        }
+
+        logger.debug("Fetching connections", { userId: authUser.id, status, direction });
+
+        await expireStaleConnections();
+
+        // One query per side; rows may match both (a request to the user's email that was later linked)
+        const sides = [];
+        if (direction !== "incoming") {
+            sides.push({ requester_id: authUser.id });
+        }
+        if (direction !== "outgoing") {
+            sides.push({ recipient_id: authUser.id });
+            if (authUser.email) {
+                sides.push({ recipient_email: authUser.email.toLowerCase() });
+            }
+        }
+
+        const results = await Promise.all(
+            sides.map((side) => {
+                let query = supabase.from("connections").select("*").match(side);
+                if (status) {
+                    query = query.in("status", String(status).split(","));
+                }
+                return query;
+            })
+        );
+
+        const failed = results.find((result) => result.error);
+        if (failed) {
+            throw new ApiError(500, `Failed to fetch connections: ${failed.error.message}`);
+        }
+
+        const byId = new Map(results.flatMap((result) => result.data || []).map((row) => [row.id, row]));
+        const connections = [...byId.values()].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+        res.json({
+            success: true,
+            data: connections.map((connection) => ({
+                ...formatConnection(connection),
+                direction: connection.requester_id === authUser.id ? "outgoing" : "incoming",
+            })),
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Send a connection request
+ * If the recipient already has a pending request to the current user, it is accepted instead
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function requestConnection(req, res, next) {
+    try {
+        const authUser = req.user;
+        const { recipientId, recipientEmail, message } = req.body || {};
+
+        if (message !== undefined && message !== null && typeof message !== "string") {
+            throw new ApiError(400, "message must be a string");
+        }
+        const note = message?.trim() || null;
+        if (note && note.length > MAX_MESSAGE_LENGTH) {
+            throw new ApiError(400, `message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+        }
+
+        const recipient = await resolveRecipient(recipientId, recipientEmail);
+
+        if (recipient.id === authUser.id || recipient.email === authUser.email?.toLowerCase()) {
+            throw new ApiError(400, "You cannot send a connection request to yourself");
+        }
+
+        if (recipient.id && await isBlockedEitherWay(authUser.id, recipient.id)) {
+            throw new ApiError(403, "You can't send a connection request to this user");
+        }
+
+        await expireStaleConnections();
+
+        const existing = await findConnectionBetween({
+            userId: authUser.id,
+            userEmail: authUser.email,
+            otherUserId: recipient.id,
+            otherEmail: recipient.email,
+        });
+
+        if (existing?.status === "accepted") {
+            throw new ApiError(409, "You are already connected with this user");
+        }
+
+        if (existing?.status === "pending") {
+            if (existing.requester_id === authUser.id) {
+                throw new ApiError(409, "A connection request to this user is already pending");
+            }
+
+            // They already asked us - treat this request as accepting theirs
+            const accepted = await updatePendingConnection(existing, "accepted", { recipient_id: authUser.id });
+            logger.info("Connection accepted via mutual request", { connectionId: accepted.id });
+
+            return res.json({
+                success: true,
+                message: "Connection accepted",
+                data: formatConnection(accepted),
+            });
+        }
+
+        const expiresAt = new Date(Date.now() + config.connections.requestTtlDays * 24 * 60 * 60 * 1000);
+
+        const { data: connection, error } = await supabase
+            .from("connections")
+            .insert({
+                requester_id: authUser.id,
+                recipient_id: recipient.id,
+                recipient_email: recipient.email,
+                message: note,
+                status: "pending",
+                expires_at: expiresAt.toISOString(),
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new ApiError(500, `Failed to create connection request: ${error.message}`);
+        }
+
+        logger.info("Connection request created", {
+            connectionId: connection.id,
+            requesterId: authUser.id,
+            recipientId: recipient.id,
+        });
+
+        if (recipient.id) {
+            emitToUser(recipient.id, "connection_request", {
+                ...formatConnection(connection),
+                requester: {
+                    id: authUser.id,
+                    email: authUser.email,
+                    name: authUser.user_metadata?.full_name || authUser.email,
+                },
+            });
+        } else {
+            // No account yet - invite them so they can sign up and answer the request
+            setImmediate(async () => {
+                try {
+                    await recordPendingRecipient({
+                        email: recipient.email,
+                        inviter: { id: authUser.id, email: authUser.email, name: authUser.user_metadata?.full_name },
+                        reason: "connection",
+                    });
+                } catch (err) {
+                    logger.error("Error inviting unregistered connection recipient", err);
+                }
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: "Connection request sent",
+            data: formatConnection(connection),
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Accept a pending connection request addressed to the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function acceptConnection(req, res, next) {
+    try {
+        const authUser = req.user;
+
+        await expireStaleConnections();
+        const connection = await getOwnConnection(req.params.connectionId, authUser);
+
+        if (!isRecipient(connection, authUser)) {
+            throw new ApiError(403, "Only the recipient can accept a connection request");
+        }
+
+        // Bind the request to the recipient's account in case it was sent by email
+        const updated = await updatePendingConnection(connection, "accepted", { recipient_id: authUser.id });
+        logger.info("Connection accepted", { connectionId: updated.id, userId: authUser.id });
+
+        res.json({ success: true, message: "Connection accepted", data: formatConnection(updated) });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Decline a pending connection request addressed to the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function declineConnection(req, res, next) {
+    try {
+        const authUser = req.user;
+
+        await expireStaleConnections();
+        const connection = await getOwnConnection(req.params.connectionId, authUser);
+
+        if (!isRecipient(connection, authUser)) {
+            throw new ApiError(403, "Only the recipient can decline a connection request");
+        }
+
+        const updated = await updatePendingConnection(connection, "declined", { recipient_id: authUser.id });
+        logger.info("Connection declined", { connectionId: updated.id, userId: authUser.id });
+
+        res.json({ success: true, message: "Connection declined", data: formatConnection(updated) });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Withdraw a pending connection request sent by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function withdrawConnection(req, res, next) {
+    try {
+        const authUser = req.user;
+
+        await expireStaleConnections();
+        const connection = await getOwnConnection(req.params.connectionId, authUser);
+
+        if (connection.requester_id !== authUser.id) {
+            throw new ApiError(403, "Only the requester can withdraw a connection request");
+        }
+
+        const updated = await updatePendingConnection(connection, "withdrawn");
+        logger.info("Connection withdrawn", { connectionId: updated.id, userId: authUser.id });
+
+        res.json({ success: true, message: "Connection request withdrawn", data: formatConnection(updated) });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    getConnections,
+    requestConnection,
+    acceptConnection,
+    declineConnection,
+    withdrawConnection,
+};
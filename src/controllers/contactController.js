@@ -6,6 +6,7 @@
 import logger from "../utils/logger.js";
 import { ApiError } from "../middleware/errorHandler.js";
 import { sendContactEmail } from "../services/emailService.js";
+import { EMAIL_REGEX } from "../utils/validation.js";
 
 /**
  * Handle contact form submission
@@ -23,8 +24,7 @@ export async function submitContact(req, res, next) {
         }
 
         // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
+        if (!EMAIL_REGEX.test(email)) {
             throw new ApiError(400, "Invalid email format");
         }
 
@@ -33,8 +33,6 @@ export async function submitContact(req, res, next) {
         // Send email to support address
         try {
             await sendContactEmail({
-                from: email,
-                fromName: name,
                 to: "ieeemetaverse@gmail.com",
                 subject: `Contact Form: ${subject}`,
                 message,
@@ -3,13 +3,58 @@
  * Handles business logic for conversation operations
  */
 
-import { supabase, supabaseAdmin } from "../config/supabase.js";
+import { supabase } from "../config/supabase.js";
 import { ApiError } from "../middleware/errorHandler.js";
 import logger from "../utils/logger.js";
+import { getBlockedUserIds, getMutedUserIds } from "../services/blockService.js";
+import { getUserProfiles } from "../services/userProfileService.js";
+import { loadMessageDetails } from "../services/messageDetailsService.js";
+import { formatParticipant, getGroupMembership, markGroupRead } from "../services/groupService.js";
+import { searchMessages } from "../services/searchService.js";
+import { formatSettings, getSettingsMap, updateSettings } from "../services/conversationSettingsService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+const DEFAULT_MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 200;
+const ARCHIVE_FILTERS = ["false", "true", "all"];
+
+/**
+ * Resolve a pagination cursor (message ID or ISO timestamp) to a position in a conversation
+ * @param {string} conversationId - Conversation the cursor belongs to
+ * @param {string} cursor - Message ID or timestamp
+ * @param {string} name - Query parameter name (for error messages)
+ * @returns {Promise<{createdAt: string, id: string|null}>}
+ */
+async function resolveMessageCursor(conversationId, cursor, name) {
+    if (UUID_REGEX.test(cursor)) {
+        const { data: msg, error } = await supabase
+            .from("messages")
+            .select("id, created_at")
+            .eq("id", cursor)
+            .eq("conversation_id", conversationId)
+            .maybeSingle();
+
+        if (error) {
+            throw new ApiError(500, `Failed to resolve cursor: ${error.message}`);
+        }
+        if (!msg) {
+            throw new ApiError(400, `${name} does not refer to a message in this conversation`);
+        }
+        return { createdAt: msg.created_at, id: msg.id };
+    }
+
+    const date = new Date(cursor);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be a message ID or an ISO timestamp`);
+    }
+    return { createdAt: date.toISOString(), id: null };
+}
 
 /**
  * Get all conversations for the current user
- * Returns conversations with last message and unread counts
+ * Returns conversations with last message, unread counts and the user's settings.
+ * Pinned conversations come first; archived ones are hidden unless requested.
+ * Uses a fixed number of queries regardless of how many conversations the user has
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -17,15 +62,21 @@ import logger from "../utils/logger.js";
 export async function getConversations(req, res, next) {
     try {
         const authUser = req.user;
+        const archivedFilter = req.query.archived ?? "false";
+        const labelFilter = typeof req.query.label === "string" ? req.query.label.trim() : null;
 
-        logger.debug("Fetching conversations", { userId: authUser.id });
+        if (!ARCHIVE_FILTERS.includes(archivedFilter)) {
+            throw new ApiError(400, `archived must be one of: ${ARCHIVE_FILTERS.join(", ")}`);
+        }
+
+        logger.debug("Fetching conversations", { userId: authUser.id, archived: archivedFilter, label: labelFilter });
 
         // Get all conversations where user is user1 or user2
         // First, try to get conversations
         let { data: conversations, error } = await supabase
             .from("conversations")
             .select("*")
-            .or(`user1_id.eq.${authUser.id},user2_id.eq.${authUser.id},user2_email.eq."${authUser.email}"`)
+            .or(`user1_id.eq.${authUser.id},user2_id.eq.${authUser.id}`)
             .order("last_message_at", { ascending: false });
 
         // If table doesn't exist or other database error, return empty array (graceful degradation)
@@ -52,123 +103,192 @@ export async function getConversations(req, res, next) {
             throw new ApiError(500, `Failed to fetch conversations: ${error.message}`);
         }
 
-        // Fetch last messages separately if conversations exist
-        const conversationsWithMessages = await Promise.all(
-            (conversations || []).map(async (conv) => {
-                let lastMessage = null;
-                if (conv.last_message_id) {
-                    try {
-                        const { data: msg } = await supabase
-                            .from("messages")
-                            .select("id, content, created_at, status, sender_id, sender_email")
-                            .eq("id", conv.last_message_id)
-                            .single();
-                        if (msg) {
-                            lastMessage = msg;
-                        }
-                    } catch (err) {
-                        logger.warn("Error fetching last message", err);
-                    }
-                }
-                return { ...conv, last_message: lastMessage };
-            })
+        // Hide conversations with users the current user has blocked
+        let blockedIds = new Set();
+        let mutedIds = new Set();
+        try {
+            [blockedIds, mutedIds] = await Promise.all([
+                getBlockedUserIds(authUser.id),
+                getMutedUserIds(authUser.id),
+            ]);
+        } catch (err) {
+            logger.warn("Error loading block/mute lists", { error: err.message });
+        }
+
+        let settingsById = new Map();
+        try {
+            settingsById = await getSettingsMap(authUser.id);
+        } catch (err) {
+            logger.warn("Error loading conversation settings. Run create_conversation_settings.sql", { error: err.message });
+        }
+
+        const visibleConversations = (conversations || []).filter((conv) => {
+            const otherId = conv.user1_id === authUser.id ? conv.user2_id : conv.user1_id;
+            return !otherId || !blockedIds.has(otherId);
+        });
+
+        // Group conversations the user is a member of, with all their members
+        const { data: memberships, error: groupError } = await supabase
+            .from("conversation_participants")
+            .select("*, conversation:conversations(*)")
+            .eq("user_id", authUser.id);
+        if (groupError) {
+            logger.warn("Error fetching group conversations. Run create_group_conversations.sql", { error: groupError.message });
+        }
+        const groupMemberships = (memberships || []).filter((row) => row.conversation?.type === "group");
+
+        const groupMembers = new Map();
+        if (groupMemberships.length > 0) {
+            const { data: memberRows, error: membersError } = await supabase
+                .from("conversation_participants")
+                .select("*")
+                .in("conversation_id", groupMemberships.map((row) => row.conversation_id))
+                .order("joined_at", { ascending: true });
+            if (membersError) {
+                logger.warn("Error fetching group members", { error: membersError.message });
+            }
+            for (const row of memberRows || []) {
+                if (!groupMembers.has(row.conversation_id)) groupMembers.set(row.conversation_id, []);
+                groupMembers.get(row.conversation_id).push(row);
+            }
+        }
+
+        // Batch-load last messages in one query
+        const lastMessageIds = [
+            ...visibleConversations.map((conv) => conv.last_message_id),
+            ...groupMemberships.map((row) => row.conversation.last_message_id),
+        ].filter(Boolean);
+        const lastMessages = new Map();
+        if (lastMessageIds.length > 0) {
+            const { data: msgs, error: msgError } = await supabase
+                .from("messages")
+                .select("id, content, created_at, status, sender_id, sender_email, deleted_at")
+                .in("id", lastMessageIds);
+            if (msgError) {
+                logger.warn("Error fetching last messages", { error: msgError.message });
+            }
+            for (const msg of msgs || []) {
+                lastMessages.set(msg.id, msg);
+            }
+        }
+
+        // Determine the other participant of each conversation, then batch-load their profiles
+        const participants = visibleConversations.map((conv) =>
+            conv.user1_id === authUser.id
+                ? { id: conv.user2_id, email: conv.user2_email }
+                : { id: conv.user1_id, email: null }
         );
 
+        const groupMemberIds = [...groupMembers.values()].flat().map((row) => row.user_id);
+
+        let profiles = { byId: new Map(), byEmail: new Map() };
+        try {
+            profiles = await getUserProfiles({
+                ids: [...participants.map((p) => p.id), ...groupMemberIds].filter(Boolean),
+                emails: participants.filter((p) => !p.id && p.email).map((p) => p.email),
+            });
+        } catch (err) {
+            logger.error("Error fetching participant profiles", { error: err.message });
+            // Continue with available data
+        }
+
         // Format conversations with participant info
-        const formattedConversations = await Promise.all(
-            conversationsWithMessages.map(async (conv) => {
-                // Determine the other user (not the current user)
-                let otherUserId = null;
-                let otherUserEmail = null;
-                let otherUserName = null;
-                let otherUserPhoto = null;
-
-                if (conv.user1_id === authUser.id) {
-                    otherUserId = conv.user2_id;
-                    otherUserEmail = conv.user2_email;
-                } else {
-                    otherUserId = conv.user1_id;
-                }
-
-                // Get other user's info if they have an ID
-                if (otherUserId) {
-                    try {
-                        const { data: userData, error: userError } = await supabaseAdmin.auth.admin.getUserById(otherUserId);
-                        if (userError) {
-                            logger.warn("Error fetching user by ID", { userId: otherUserId, error: userError.message });
-                        } else if (userData?.user) {
-                            otherUserEmail = userData.user.email;
-                            otherUserName = userData.user.user_metadata?.full_name || userData.user.email;
-                            otherUserPhoto = userData.user.user_metadata?.avatar_url || null;
-                        }
-                    } catch (err) {
-                        logger.error("Error fetching user info", { userId: otherUserId, error: err.message });
-                        // Continue with available data
-                    }
-                } else if (otherUserEmail) {
-                    // If no user ID, try to find by email
-                    try {
-                        const { data: users, error: listError } = await supabaseAdmin.auth.admin.listUsers();
-                        if (listError) {
-                            logger.warn("Error listing users", { error: listError.message });
-                            // Use email as name if lookup fails
-                            otherUserName = otherUserEmail;
-                        } else {
-                            const otherUser = users?.users?.find((u) => u.email === otherUserEmail);
-                            if (otherUser) {
-                                otherUserId = otherUser.id;
-                                otherUserName = otherUser.user_metadata?.full_name || otherUser.email;
-                                otherUserPhoto = otherUser.user_metadata?.avatar_url || null;
-                            } else {
-                                // User not registered yet, use email as name
-                                otherUserName = otherUserEmail;
-                            }
-                        }
-                    } catch (err) {
-                        logger.error("Error looking up user by email", { email: otherUserEmail, error: err.message });
-                        // Use email as fallback name
-                        otherUserName = otherUserEmail || "Unknown User";
-                    }
-                } else {
-                    // No user ID or email available
-                    otherUserName = "Unknown User";
-                }
-
-                // Get unread count for current user
-                const unreadCount =
-                    conv.user1_id === authUser.id
-                        ? conv.user1_unread_count || 0
-                        : conv.user2_unread_count || 0;
-
-                return {
-                    id: conv.id,
-                    conversationId: conv.id,
-                    otherUser: {
-                        id: otherUserId,
-                        email: otherUserEmail,
-                        name: otherUserName,
-                        photo: otherUserPhoto,
-                    },
-                    lastMessage: conv.last_message
-                        ? {
-                              id: conv.last_message.id,
-                              content: conv.last_message.content,
-                              timestamp: conv.last_message.created_at,
-                              status: conv.last_message.status || "sent",
-                              isFromMe: conv.last_message.sender_id === authUser.id,
-                          }
-                        : null,
-                    lastMessageAt: conv.last_message_at,
-                    unreadCount,
-                    createdAt: conv.created_at,
-                    updatedAt: conv.updated_at,
-                };
-            })
+        const formattedConversations = visibleConversations.map((conv, index) => {
+            const participant = participants[index];
+            const profile = participant.id
+                ? profiles.byId.get(participant.id)
+                : participant.email && profiles.byEmail.get(participant.email.toLowerCase());
+
+            // Users not registered yet are shown by email
+            const otherUserId = profile?.id || participant.id || null;
+            const otherUserEmail = profile?.email || participant.email || null;
+            const otherUserName = profile?.name || otherUserEmail || "Unknown User";
+            const otherUserPhoto = profile?.photo || null;
+
+            // Get unread count for current user
+            const unreadCount =
+                conv.user1_id === authUser.id
+                    ? conv.user1_unread_count || 0
+                    : conv.user2_unread_count || 0;
+
+            const lastMessage = conv.last_message_id ? lastMessages.get(conv.last_message_id) : null;
+
+            return {
+                id: conv.id,
+                conversationId: conv.id,
+                type: "direct",
+                otherUser: {
+                    id: otherUserId,
+                    email: otherUserEmail,
+                    name: otherUserName,
+                    photo: otherUserPhoto,
+                },
+                lastMessage: lastMessage
+                    ? {
+                          id: lastMessage.id,
+                          content: lastMessage.deleted_at ? "" : lastMessage.content,
+                          deleted: !!lastMessage.deleted_at,
+                          timestamp: lastMessage.created_at,
+                          status: lastMessage.status || "sent",
+                          isFromMe: lastMessage.sender_id === authUser.id,
+                      }
+                    : null,
+                lastMessageAt: conv.last_message_at,
+                unreadCount,
+                isMuted: (!!otherUserId && mutedIds.has(otherUserId)) || !!settingsById.get(conv.id)?.muted,
+                settings: formatSettings(settingsById.get(conv.id)),
+                createdAt: conv.created_at,
+                updatedAt: conv.updated_at,
+            };
+        });
+
+        const formattedGroups = groupMemberships.map(({ conversation: conv, ...membership }) => {
+            const lastMessage = conv.last_message_id ? lastMessages.get(conv.last_message_id) : null;
+            const members = groupMembers.get(conv.id) || [];
+
+            return {
+                id: conv.id,
+                conversationId: conv.id,
+                type: "group",
+                title: conv.title,
+                role: membership.role,
+                participants: members.map((row) => formatParticipant(row, profiles.byId.get(row.user_id))),
+                lastMessage: lastMessage
+                    ? {
+                          id: lastMessage.id,
+                          content: lastMessage.deleted_at ? "" : lastMessage.content,
+                          deleted: !!lastMessage.deleted_at,
+                          timestamp: lastMessage.created_at,
+                          senderId: lastMessage.sender_id,
+                          isFromMe: lastMessage.sender_id === authUser.id,
+                      }
+                    : null,
+                lastMessageAt: conv.last_message_at,
+                unreadCount: membership.unread_count || 0,
+                isMuted: !!settingsById.get(conv.id)?.muted,
+                settings: formatSettings(settingsById.get(conv.id)),
+                createdAt: conv.created_at,
+                updatedAt: conv.updated_at,
+            };
+        });
+
+        // Archived conversations are hidden unless requested; label filters are case-insensitive
+        const allConversations = [...formattedConversations, ...formattedGroups].filter((conv) => {
+            if (archivedFilter === "false" && conv.settings.archived) return false;
+            if (archivedFilter === "true" && !conv.settings.archived) return false;
+            if (labelFilter && conv.settings.label?.toLowerCase() !== labelFilter.toLowerCase()) return false;
+            return true;
+        });
+
+        // Pinned first, then most recent activity
+        const activityTime = (conv) => new Date(conv.lastMessageAt || conv.createdAt).getTime();
+        allConversations.sort(
+            (a, b) => Number(b.settings.pinned) - Number(a.settings.pinned) || activityTime(b) - activityTime(a)
         );
 
         res.json({
             success: true,
-            data: formattedConversations,
+            data: allConversations,
         });
     } catch (err) {
         next(err);
@@ -177,6 +297,8 @@ export async function getConversations(req, res, next) {
 
 /**
  * Get messages for a specific conversation
+ * Cursor-paginated: returns the newest page by default, older pages with `before`
+ * and newer pages with `after`. Messages in a page are always in ascending order.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -185,58 +307,168 @@ export async function getConversationMessages(req, res, next) {
     try {
         const authUser = req.user;
         const { conversationId } = req.params;
+        const { before, after } = req.query;
 
-        logger.debug("Fetching conversation messages", { userId: authUser.id, conversationId });
+        if (before && after) {
+            throw new ApiError(400, "Use either before or after, not both");
+        }
+
+        let limit = DEFAULT_MESSAGE_PAGE_SIZE;
+        if (req.query.limit !== undefined) {
+            limit = parseInt(req.query.limit, 10);
+            if (!Number.isInteger(limit) || limit < 1) {
+                throw new ApiError(400, "limit must be a positive integer");
+            }
+            limit = Math.min(limit, MAX_MESSAGE_PAGE_SIZE);
+        }
+
+        logger.debug("Fetching conversation messages", { userId: authUser.id, conversationId, before, after, limit });
 
         // Verify user has access to this conversation
         const { data: conversation, error: convError } = await supabase
             .from("conversations")
             .select("id, user1_id, user2_id, user2_email")
             .eq("id", conversationId)
-            .or(`user1_id.eq.${authUser.id},user2_id.eq.${authUser.id},user2_email.eq."${authUser.email}"`)
+            .or(`user1_id.eq.${authUser.id},user2_id.eq.${authUser.id}`)
             .single();
 
-        if (convError || !conversation) {
+        // Otherwise the user must be a member of the group
+        const isGroup = (convError || !conversation) && !!(await getGroupMembership(conversationId, authUser.id));
+
+        if ((convError || !conversation) && !isGroup) {
             throw new ApiError(404, "Conversation not found");
         }
 
-        // Get all messages in this conversation
-        const { data: messages, error } = await supabase
+        // Page forward from `after`, otherwise page backward from `before` (or the newest message)
+        const ascending = !!after;
+        let query = supabase
             .from("messages")
             .select("*")
-            .eq("conversation_id", conversationId)
-            .order("created_at", { ascending: true });
+            .eq("conversation_id", conversationId);
+
+        // In groups, messages from members the user has blocked are hidden
+        if (isGroup) {
+            const blockedIds = await getBlockedUserIds(authUser.id);
+            if (blockedIds.size > 0) {
+                query = query.not("sender_id", "in", `(${[...blockedIds].join(",")})`);
+            }
+        }
+
+        const cursorParam = after ? "after" : before ? "before" : null;
+        if (cursorParam) {
+            const cursor = await resolveMessageCursor(conversationId, req.query[cursorParam], cursorParam);
+            const op = ascending ? "gt" : "lt";
+            query = cursor.id
+                // Break created_at ties by id so messages sharing a timestamp aren't skipped
+                ? query.or(`created_at.${op}."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.${op}.${cursor.id})`)
+                : query[op]("created_at", cursor.createdAt);
+        }
+
+        // Fetch one extra row to know whether another page exists
+        const { data: rows, error } = await query
+            .order("created_at", { ascending })
+            .order("id", { ascending })
+            .limit(limit + 1);
 
         if (error) {
             throw new ApiError(500, `Failed to fetch messages: ${error.message}`);
         }
 
+        const hasMore = (rows || []).length > limit;
+        const page = (rows || []).slice(0, limit);
+        const messages = ascending ? page : page.reverse();
+        const detailsFor = await loadMessageDetails(messages);
+
         // Format messages for frontend
-        const formattedMessages = (messages || []).map((msg) => ({
-            id: msg.id,
-            text: msg.content,
-            content: msg.content,
-            sender_id: msg.sender_id,
-            sender_email: msg.sender_email,
-            receiver_id: msg.receiver_id,
-            receiver_email: msg.receiver_email,
-            timestamp: msg.created_at,
-            created_at: msg.created_at,
-            status: msg.status || "sent",
-            delivered_at: msg.delivered_at,
-            read_at: msg.read_at,
-            isFromMe: msg.sender_id === authUser.id,
-        }));
+        const formattedMessages = (messages || []).map((msg) => {
+            const details = detailsFor(msg);
+            return {
+                id: msg.id,
+                text: msg.deleted_at ? "" : msg.content,
+                content: msg.deleted_at ? "" : msg.content,
+                sender_id: msg.sender_id,
+                sender_email: msg.sender_email,
+                receiver_id: msg.receiver_id,
+                receiver_email: msg.receiver_email,
+                timestamp: msg.created_at,
+                created_at: msg.created_at,
+                status: msg.status || "sent",
+                delivered_at: msg.delivered_at,
+                read_at: msg.read_at,
+                edited_at: msg.edited_at || null,
+                deleted: !!msg.deleted_at,
+                attachments: msg.deleted_at ? [] : details.attachments || [],
+                reply_to_id: msg.reply_to_id || null,
+                reply_to: details.replyTo,
+                reactions: msg.deleted_at ? [] : details.reactions || [],
+                isFromMe: msg.sender_id === authUser.id,
+            };
+        });
 
         res.json({
             success: true,
             data: formattedMessages,
+            pagination: {
+                limit,
+                // hasMore refers to the direction being paged: older for before/default, newer for after
+                hasMore,
+                direction: ascending ? "after" : "before",
+                oldestId: messages[0]?.id || null,
+                newestId: messages[messages.length - 1]?.id || null,
+            },
         });
     } catch (err) {
         next(err);
     }
 }
 
+/**
+ * Search messages across the current user's conversations
+ * Results carry conversation and message IDs so the client can jump to the message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function searchConversations(req, res, next) {
+    try {
+        const { q, participantId, from, to, limit, offset } = req.query;
+
+        const { results, pagination } = await searchMessages({
+            userId: req.user.id,
+            query: q,
+            participantId,
+            from,
+            to,
+            limit,
+            offset,
+        });
+
+        res.json({ success: true, data: results, pagination });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Change the current user's settings for a conversation (archive, pin, mute, label)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function updateConversationSettings(req, res, next) {
+    try {
+        const settings = await updateSettings({
+            userId: req.user.id,
+            conversationId: req.params.conversationId,
+            changes: req.body,
+        });
+
+        res.json({ success: true, message: "Conversation settings updated", data: settings });
+    } catch (err) {
+        next(err);
+    }
+}
+
 /**
  * Mark messages in a conversation as read
  * @param {Object} req - Express request object
@@ -255,9 +487,19 @@ export async function markConversationAsRead(req, res, next) {
             .from("conversations")
             .select("id")
             .eq("id", conversationId)
-            .or(`user1_id.eq.${authUser.id},user2_id.eq.${authUser.id},user2_email.eq."${authUser.email}"`)
+            .or(`user1_id.eq.${authUser.id},user2_id.eq.${authUser.id}`)
             .single();
 
+        // Groups keep a read position per member instead of per-message status
+        if ((convError || !conversation) && (await getGroupMembership(conversationId, authUser.id))) {
+            const receipt = await markGroupRead(conversationId, authUser.id);
+            return res.json({
+                success: true,
+                message: "Messages marked as read",
+                data: receipt,
+            });
+        }
+
         if (convError || !conversation) {
             throw new ApiError(404, "Conversation not found");
         }
@@ -313,7 +555,9 @@ export async function markConversationAsRead(req, res, next) {
 
 export default {
     getConversations,
+    searchConversations,
     getConversationMessages,
+    updateConversationSettings,
     markConversationAsRead,
 };
 
@@ -0,0 +1,136 @@
+/**
+ * Group Controller
+ * Handles creating group conversations and managing their members
+ */
+
+import {
+    createGroup,
+    getGroup,
+    renameGroup,
+    addGroupMembers,
+    removeGroupMember,
+    updateGroupMemberRole,
+} from "../services/groupService.js";
+
+/**
+ * Create a group conversation with the current user as admin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function createGroupConversation(req, res, next) {
+    try {
+        const { title, memberIds } = req.body || {};
+        const group = await createGroup({ actor: req.user, title, memberIds });
+        res.status(201).json({ success: true, message: "Group created", data: group });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get a group's details and members, including each member's read position
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getGroupParticipants(req, res, next) {
+    try {
+        const group = await getGroup(req.params.conversationId, req.user.id);
+        res.json({ success: true, data: group });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Rename a group (admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function updateGroup(req, res, next) {
+    try {
+        const group = await renameGroup({
+            conversationId: req.params.conversationId,
+            actorId: req.user.id,
+            title: req.body?.title,
+        });
+        res.json({ success: true, message: "Group updated", data: group });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Add members to a group (admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function addParticipants(req, res, next) {
+    try {
+        const group = await addGroupMembers({
+            conversationId: req.params.conversationId,
+            actor: req.user,
+            userIds: req.body?.userIds,
+        });
+        res.json({ success: true, message: "Members added", data: group });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Remove a member from a group, or leave it when removing yourself
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function removeParticipant(req, res, next) {
+    try {
+        const group = await removeGroupMember({
+            conversationId: req.params.conversationId,
+            actorId: req.user.id,
+            userId: req.params.userId,
+        });
+        const left = req.params.userId === req.user.id;
+        res.json({
+            success: true,
+            message: left ? "You left the group" : "Member removed",
+            // Members who left no longer see the group
+            data: left ? null : group,
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Change a member's role (admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function updateParticipantRole(req, res, next) {
+    try {
+        const group = await updateGroupMemberRole({
+            conversationId: req.params.conversationId,
+            actorId: req.user.id,
+            userId: req.params.userId,
+            role: req.body?.role,
+        });
+        res.json({ success: true, message: "Member role updated", data: group });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    createGroupConversation,
+    getGroupParticipants,
+    updateGroup,
+    addParticipants,
+    removeParticipant,
+    updateParticipantRole,
+};
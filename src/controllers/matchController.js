@@ -0,0 +1,337 @@
+/**
+ * Match Controller
+ * Handles business logic for native matchmaking operations
+ */
+
+import supabase from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import {
+    getMatchesForUser,
+    getReciprocalMatchesForUser,
+    getMutualMatchesForUser,
+} from "../services/matchingService.js";
+import {
+    saveFeedback,
+    deleteFeedback,
+    getFeedbackForUser,
+} from "../services/matchFeedbackService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Parse and validate the limit query parameter
+ * @param {string} value - Raw query value
+ * @returns {number}
+ */
+function parseLimit(value) {
+    if (value === undefined) return DEFAULT_LIMIT;
+    const limit = parseInt(value, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new ApiError(400, "limit must be a positive integer");
+    }
+    return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Parse and validate the minScore query parameter
+ * @param {string} value - Raw query value
+ * @returns {number}
+ */
+function parseMinScore(value) {
+    if (value === undefined) return 0;
+    const minScore = parseFloat(value);
+    if (Number.isNaN(minScore) || minScore < 0 || minScore > 1) {
+        throw new ApiError(400, "minScore must be a number between 0 and 1");
+    }
+    return minScore;
+}
+
+/**
+ * Send a match result, prompting users without a questionnaire to complete it
+ * @param {Object} res - Express response object
+ * @param {{hasProfile: boolean, matches: Object[]}} result - Result from the matching service
+ */
+function sendMatches(res, result) {
+    if (!result.hasProfile) {
+        return res.json({
+            success: true,
+            data: [],
+            message: "Complete the questionnaire to receive matches.",
+        });
+    }
+
+    res.json({
+        success: true,
+        data: result.matches,
+    });
+}
+
+/**
+ * Get ranked matches for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getMyMatches(req, res, next) {
+    try {
+        const authUser = req.user;
+        const limit = parseLimit(req.query.limit);
+        const minScore = parseMinScore(req.query.minScore);
+        const includeExcluded = req.query.includeExcluded === "true";
+
+        logger.debug("Fetching matches", { userId: authUser.id, limit, minScore, includeExcluded });
+
+        let result;
+        try {
+            result = await getMatchesForUser(authUser.id, { limit, minScore, includeExcluded });
+        } catch (err) {
+            logger.error("Error computing matches", err);
+            throw new ApiError(500, err.message);
+        }
+
+        sendMatches(res, result);
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get reciprocal matches for the current user
+ * Only returns candidates whose seeking/offering complements the user's in both directions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getMyReciprocalMatches(req, res, next) {
+    try {
+        const authUser = req.user;
+        const limit = parseLimit(req.query.limit);
+
+        logger.debug("Fetching reciprocal matches", { userId: authUser.id, limit });
+
+        let result;
+        try {
+            result = await getReciprocalMatchesForUser(authUser.id, { limit });
+        } catch (err) {
+            logger.error("Error computing reciprocal matches", err);
+            throw new ApiError(500, err.message);
+        }
+
+        sendMatches(res, result);
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get the current user's partners from the stable mutual assignment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getMyMutualMatches(req, res, next) {
+    try {
+        const authUser = req.user;
+
+        logger.debug("Fetching mutual matches", { userId: authUser.id });
+
+        let result;
+        try {
+            result = await getMutualMatchesForUser(authUser.id);
+        } catch (err) {
+            logger.error("Error computing mutual matches", err);
+            throw new ApiError(500, err.message);
+        }
+
+        sendMatches(res, result);
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Read the targetUserId route parameter
+ * @param {Object} req - Express request object
+ * @returns {string} Target user ID
+ * @throws {ApiError} 400 if it isn't a UUID
+ */
+function parseTargetUserId(req) {
+    const { targetUserId } = req.params;
+    if (!UUID_REGEX.test(targetUserId || "")) {
+        throw new ApiError(400, "targetUserId must be a valid user ID");
+    }
+    return targetUserId;
+}
+
+/**
+ * Validate a feedback request and save it
+ * @param {Object} req - Express request object
+ * @param {string} action - Feedback action to record
+ * @param {boolean} requireReason - Whether a reason must be provided
+ * @returns {Promise<Object>} Saved match_feedback row
+ */
+async function recordFeedback(req, action, requireReason = false) {
+    const authUser = req.user;
+    const targetUserId = parseTargetUserId(req);
+    const { reason, score } = req.body || {};
+
+    if (targetUserId === authUser.id) {
+        throw new ApiError(400, "You cannot give feedback on yourself");
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== "string") {
+        throw new ApiError(400, "reason must be a string");
+    }
+
+    const trimmedReason = reason?.trim() || null;
+    if (requireReason && !trimmedReason) {
+        throw new ApiError(400, "A reason is required when flagging a match as not relevant");
+    }
+    if (trimmedReason && trimmedReason.length > MAX_REASON_LENGTH) {
+        throw new ApiError(400, `reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    if (score !== undefined && score !== null && (typeof score !== "number" || score < 0 || score > 1)) {
+        throw new ApiError(400, "score must be a number between 0 and 1");
+    }
+
+    // Only users with a questionnaire can be recommended, so only they can receive feedback
+    const { data: target, error: targetError } = await supabase
+        .from("questionnaire_responses")
+        .select("user_id")
+        .eq("user_id", targetUserId)
+        .maybeSingle();
+
+    if (targetError) {
+        throw new ApiError(500, `Database query failed: ${targetError.message}`);
+    }
+    if (!target) {
+        throw new ApiError(404, "Recommended user not found");
+    }
+
+    logger.debug("Recording match feedback", { userId: authUser.id, targetUserId, action });
+
+    try {
+        return await saveFeedback({
+            userId: authUser.id,
+            targetUserId,
+            action,
+            reason: trimmedReason,
+            score: score ?? null,
+        });
+    } catch (err) {
+        throw new ApiError(500, err.message);
+    }
+}
+
+/**
+ * Accept a recommended match
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function acceptMatch(req, res, next) {
+    try {
+        const feedback = await recordFeedback(req, "accepted");
+        res.json({ success: true, message: "Match accepted", data: feedback });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Dismiss a recommended match so it is no longer recommended
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function dismissMatch(req, res, next) {
+    try {
+        const feedback = await recordFeedback(req, "dismissed");
+        res.json({ success: true, message: "Match dismissed", data: feedback });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Flag a recommended match as not relevant, with a reason
+ * The candidate is hidden and similar candidates are ranked lower
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function flagMatchNotRelevant(req, res, next) {
+    try {
+        const feedback = await recordFeedback(req, "not_relevant", true);
+        res.json({ success: true, message: "Match flagged as not relevant", data: feedback });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Remove feedback on a match so it can be recommended again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function removeMatchFeedback(req, res, next) {
+    try {
+        const authUser = req.user;
+        const targetUserId = parseTargetUserId(req);
+
+        let deleted;
+        try {
+            deleted = await deleteFeedback(authUser.id, targetUserId);
+        } catch (err) {
+            throw new ApiError(500, err.message);
+        }
+
+        if (!deleted) {
+            throw new ApiError(404, "Feedback not found");
+        }
+
+        res.json({ success: true, message: "Feedback removed" });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get all feedback the current user has given on matches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getMyMatchFeedback(req, res, next) {
+    try {
+        const authUser = req.user;
+
+        let feedback;
+        try {
+            feedback = await getFeedbackForUser(authUser.id);
+        } catch (err) {
+            throw new ApiError(500, err.message);
+        }
+
+        res.json({ success: true, data: feedback });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    getMyMatches,
+    getMyReciprocalMatches,
+    getMyMutualMatches,
+    acceptMatch,
+    dismissMatch,
+    flagMatchNotRelevant,
+    removeMatchFeedback,
+    getMyMatchFeedback,
+};
@@ -0,0 +1,80 @@
+/**
+ * Message Controller
+ * Handles editing and deleting individual messages
+ */
+
+import { editMessage, deleteMessage, getEditHistory } from "../services/messageEditService.js";
+
+/**
+ * Edit a message sent by the current user
+ * The new content is moderated; a blocked edit leaves the message unchanged
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function updateMessage(req, res, next) {
+    try {
+        const { content } = req.body || {};
+
+        const { message, blocked } = await editMessage({
+            messageId: req.params.messageId,
+            userId: req.user.id,
+            content,
+        });
+
+        if (blocked) {
+            return res.status(422).json({
+                success: false,
+                error: {
+                    message: blocked.reason || "Message violates community guidelines",
+                    code: "message_blocked",
+                    moderationLogId: blocked.moderationLogId,
+                },
+            });
+        }
+
+        res.json({ success: true, message: "Message edited", data: message });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Delete a message sent by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function removeMessage(req, res, next) {
+    try {
+        const message = await deleteMessage({
+            messageId: req.params.messageId,
+            userId: req.user.id,
+        });
+
+        res.json({ success: true, message: "Message deleted", data: message });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get the edit history of a message in one of the current user's conversations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getMessageHistory(req, res, next) {
+    try {
+        const history = await getEditHistory(req.params.messageId, req.user.id);
+        res.json({ success: true, data: history });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    updateMessage,
+    removeMessage,
+    getMessageHistory,
+};
@@ -0,0 +1,274 @@
+/**
+ * Moderation Controller
+ * Handles the moderator API for managing the moderation blacklist and allowlist and reviewing blocked messages
+ */
+
+import {
+    listEntries,
+    createEntry,
+    updateEntry,
+    deactivateEntry,
+    importEntries,
+    getEntryHistory,
+} from "../services/blacklistService.js";
+import {
+    listAllowlist,
+    createAllowlistEntry,
+    updateAllowlistEntry,
+    deactivateAllowlistEntry,
+} from "../services/allowlistService.js";
+import { listReviews, getReview, decideReview, releaseReview } from "../services/moderationReviewService.js";
+
+/**
+ * List blacklist entries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getBlacklist(req, res, next) {
+    try {
+        const { category, active, q, limit, offset } = req.query;
+        const { entries, pagination } = await listEntries({ category, active, q, limit, offset });
+        res.json({ success: true, data: entries, pagination });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Add a word or phrase to the blacklist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function addBlacklistEntry(req, res, next) {
+    try {
+        const { wordOrPhrase, category, matchType } = req.body || {};
+        const entry = await createEntry({ actor: req.user, wordOrPhrase, category, matchType });
+        res.status(201).json({ success: true, message: "Blacklist entry added", data: entry });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Change a blacklist entry's text, category, match type or active flag
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function updateBlacklistEntry(req, res, next) {
+    try {
+        const { wordOrPhrase, category, matchType, isActive } = req.body || {};
+        const entry = await updateEntry({
+            actor: req.user,
+            entryId: req.params.entryId,
+            changes: { wordOrPhrase, category, matchType, isActive },
+        });
+        res.json({ success: true, message: "Blacklist entry updated", data: entry });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Deactivate a blacklist entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function deactivateBlacklistEntry(req, res, next) {
+    try {
+        const entry = await deactivateEntry({ actor: req.user, entryId: req.params.entryId });
+        res.json({ success: true, message: "Blacklist entry deactivated", data: entry });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Import many blacklist entries at once
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function importBlacklist(req, res, next) {
+    try {
+        const { entries, category, matchType } = req.body || {};
+        const result = await importEntries({ actor: req.user, entries, category, matchType });
+        res.json({
+            success: true,
+            message: `Imported ${result.created.length} new and ${result.updated.length} updated entries`,
+            data: result,
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get the change history of a blacklist entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getBlacklistEntryHistory(req, res, next) {
+    try {
+        const history = await getEntryHistory(req.params.entryId);
+        res.json({ success: true, data: history });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * List allowlisted phrases
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getAllowlist(req, res, next) {
+    try {
+        const entries = await listAllowlist({ active: req.query.active });
+        res.json({ success: true, data: entries });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Exempt a phrase from rule-based moderation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function addAllowlistEntry(req, res, next) {
+    try {
+        const { phrase, note } = req.body || {};
+        const entry = await createAllowlistEntry({ actor: req.user, phrase, note });
+        res.status(201).json({ success: true, message: "Allowlist entry added", data: entry });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Change an allowlisted phrase, its note or active flag
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function changeAllowlistEntry(req, res, next) {
+    try {
+        const { phrase, note, isActive } = req.body || {};
+        const entry = await updateAllowlistEntry({
+            actor: req.user,
+            entryId: req.params.entryId,
+            changes: { phrase, note, isActive },
+        });
+        res.json({ success: true, message: "Allowlist entry updated", data: entry });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Deactivate an allowlisted phrase
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function removeAllowlistEntry(req, res, next) {
+    try {
+        const entry = await deactivateAllowlistEntry({ actor: req.user, entryId: req.params.entryId });
+        res.json({ success: true, message: "Allowlist entry deactivated", data: entry });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * List blocked messages for review
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getReviewQueue(req, res, next) {
+    try {
+        const { status, method, category, senderId, from, to, limit, offset } = req.query;
+        const { reviews, pagination } = await listReviews({ status, method, category, senderId, from, to, limit, offset });
+        res.json({ success: true, data: reviews, pagination });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get one blocked message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getReviewItem(req, res, next) {
+    try {
+        const review = await getReview(req.params.reviewId);
+        res.json({ success: true, data: review });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Confirm or overturn a blocked decision, optionally releasing an overturned message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function submitReviewDecision(req, res, next) {
+    try {
+        const { decision, note, release } = req.body || {};
+        const { review, message, releaseError } = await decideReview({
+            actor: req.user,
+            reviewId: req.params.reviewId,
+            decision,
+            note,
+            release,
+        });
+
+        let summary = review.status === "confirmed" ? "Decision confirmed" : "Decision overturned";
+        if (message) summary += " and message released";
+        if (releaseError) summary += `, but the message could not be released: ${releaseError}`;
+
+        res.json({ success: true, message: summary, data: { review, releasedMessage: message, releaseError } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Release an overturned message to its recipients
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function releaseReviewedMessage(req, res, next) {
+    try {
+        const { review, message } = await releaseReview({ actor: req.user, reviewId: req.params.reviewId });
+        res.json({ success: true, message: "Message released", data: { review, releasedMessage: message } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    getBlacklist,
+    addBlacklistEntry,
+    updateBlacklistEntry,
+    deactivateBlacklistEntry,
+    importBlacklist,
+    getBlacklistEntryHistory,
+    getReviewQueue,
+    getReviewItem,
+    submitReviewDecision,
+    releaseReviewedMessage,
+};
@@ -0,0 +1,57 @@
+/**
+ * Presence Controller
+ * Exposes online status and last-seen times
+ */
+
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { getPresence } from "../services/presenceService.js";
+import { isBlockedEitherWay } from "../services/blockService.js";
+
+const MAX_USER_IDS = 100;
+
+/**
+ * Get online status and last-seen time for a list of users
+ * Users who blocked (or were blocked by) the current user are reported as offline with no last-seen time
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function getUsersPresence(req, res, next) {
+    try {
+        const authUser = req.user;
+        const userIds = String(req.query.userIds || "")
+            .split(",")
+            .map((id) => id.trim())
+            .filter(Boolean);
+
+        if (userIds.length === 0) {
+            throw new ApiError(400, "userIds is required");
+        }
+
+        if (userIds.length > MAX_USER_IDS) {
+            throw new ApiError(400, `At most ${MAX_USER_IDS} userIds can be requested at once`);
+        }
+
+        logger.debug("Fetching presence", { userId: authUser.id, count: userIds.length });
+
+        const presence = await getPresence(userIds);
+
+        const data = await Promise.all(
+            presence.map(async (entry) => {
+                if (entry.userId !== authUser.id && await isBlockedEitherWay(authUser.id, entry.userId)) {
+                    return { userId: entry.userId, online: false, lastSeen: null };
+                }
+                return entry;
+            })
+        );
+
+        res.json({ success: true, data });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export default {
+    getUsersPresence,
+};
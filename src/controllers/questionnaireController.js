@@ -7,6 +7,8 @@ import supabase, { supabaseAdmin } from "../config/supabase.js";
 import { ApiError } from "../middleware/errorHandler.js";
 import logger from "../utils/logger.js";
 import { triggerWebhook } from "../services/webhookService.js";
+import { refreshMutualRecommendations } from "../services/matchingService.js";
+import config from "../config/index.js";
 
 /**
  * Allowed questionnaire response fields
@@ -140,6 +142,13 @@ export async function saveQuestionnaire(req, res, next) {
             });
         }
 
+        // Recompute native mutual recommendations asynchronously (don't wait for it)
+        if (savedRecord && config.matching.syncMutualRecommendations) {
+            refreshMutualRecommendations().catch((err) => {
+                logger.error("Mutual recommendation refresh failed", err);
+            });
+        }
+
         res.json({
             success: true,
             message: existing ? "Updated successfully" : "Inserted successfully",
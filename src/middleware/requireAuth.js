@@ -6,6 +6,34 @@
 import supabase from "../config/supabase.js";
 import { ApiError } from "./errorHandler.js";
 import logger from "../utils/logger.js";
+import { ensureAccountLinked } from "../services/accountLinkService.js";
+
+/**
+ * Validate a Supabase access token
+ * Shared by the HTTP middleware and the Socket.io handshake
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} Authenticated Supabase user
+ * @throws {ApiError} 401 if the token is missing, invalid or expired
+ */
+export async function verifyAccessToken(token) {
+    if (!token) {
+        throw new ApiError(401, "Access token is required");
+    }
+
+    // Validate token with Supabase
+    const { data: authData, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError) {
+        logger.warn("Token validation failed", { error: authError.message });
+        throw new ApiError(401, "Invalid or expired token");
+    }
+
+    if (!authData?.user) {
+        throw new ApiError(401, "User not found");
+    }
+
+    return authData.user;
+}
 
 /**
  * Middleware to require authentication
@@ -30,28 +58,16 @@ export default async function requireAuth(req, res, next) {
         }
 
         const token = parts[1];
-
-        if (!token) {
-            throw new ApiError(401, "Access token is required");
-        }
-
-        // Validate token with Supabase
-        const { data: authData, error: authError } = await supabase.auth.getUser(token);
-
-        if (authError) {
-            logger.warn("Token validation failed", { error: authError.message });
-            throw new ApiError(401, "Invalid or expired token");
-        }
-
-        if (!authData?.user) {
-            throw new ApiError(401, "User not found");
-        }
+        const user = await verifyAccessToken(token);
 
         // Attach user to request object
-        req.user = authData.user;
+        req.user = user;
         req.token = token;
 
-        logger.debug("User authenticated", { userId: authData.user.id });
+        logger.debug("User authenticated", { userId: user.id });
+
+        // On a user's first request, claim conversations that were addressed to their email
+        await ensureAccountLinked(user);
 
         next();
     } catch (err) {
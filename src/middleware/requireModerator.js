@@ -0,0 +1,34 @@
+/**
+ * Moderator Middleware
+ * Restricts routes to moderators (accounts listed in MODERATOR_EMAILS)
+ * Must run after requireAuth
+ */
+
+import config from "../config/index.js";
+import { ApiError } from "./errorHandler.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Whether a user is a moderator
+ * The email must be confirmed so nobody can claim a moderator's address at sign-up
+ * @param {Object} user - Authenticated Supabase user
+ * @returns {boolean}
+ */
+export function isModerator(user) {
+    const email = user?.email?.toLowerCase();
+    return !!email && !!user.email_confirmed_at && config.moderation.moderatorEmails.includes(email);
+}
+
+/**
+ * Middleware to require a moderator
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export default function requireModerator(req, res, next) {
+    if (!isModerator(req.user)) {
+        logger.warn("🚫 Moderation API refused - not a moderator", { userId: req.user?.id });
+        return next(new ApiError(403, "Moderator access required"));
+    }
+    next();
+}
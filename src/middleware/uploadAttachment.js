@@ -0,0 +1,44 @@
+/**
+ * Attachment Upload Middleware
+ * Parses a single multipart file (field "file") into memory, enforcing the configured size limit
+ */
+
+import multer from "multer";
+import config from "../config/index.js";
+import { ApiError } from "./errorHandler.js";
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.attachments.maxSizeBytes,
+        files: 1,
+    },
+}).single("file");
+
+/**
+ * Parse the uploaded file into req.file
+ * Multer errors are turned into ApiErrors so they get the standard error response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function uploadAttachment(req, res, next) {
+    upload(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+
+        if (err.code === "LIMIT_FILE_SIZE") {
+            const maxMb = Math.round(config.attachments.maxSizeBytes / (1024 * 1024));
+            return next(new ApiError(413, `File is too large. Maximum size is ${maxMb} MB`));
+        }
+
+        if (err instanceof multer.MulterError) {
+            return next(new ApiError(400, `Invalid upload: ${err.message}. Send one file in the "file" field`));
+        }
+
+        next(err);
+    });
+}
+
+export default uploadAttachment;
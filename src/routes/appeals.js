@@ -0,0 +1,28 @@
+/**
+ * Appeal Routes
+ * Defines routes for senders to appeal blocked messages
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import { submitAppeal, getMyAppeals } from "../controllers/appealController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/appeals
+ * Get the current user's appeals, newest first
+ * @requires Authentication
+ */
+router.get("/", requireAuth, getMyAppeals);
+
+/**
+ * POST /api/v1/appeals
+ * Appeal a blocked message
+ * @requires Authentication
+ * @body {string} moderationLogId - ID from the message_blocked event
+ * @body {string} note - Why the block was wrong (max 1000 characters)
+ */
+router.post("/", requireAuth, submitAppeal);
+
+export default router;
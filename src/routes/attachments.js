@@ -0,0 +1,28 @@
+/**
+ * Attachment Routes
+ * Defines routes for uploading and downloading message attachments
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import uploadAttachment from "../middleware/uploadAttachment.js";
+import { uploadFile, downloadFile } from "../controllers/attachmentController.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/attachments
+ * Upload a file to send with a message
+ * @requires Authentication
+ * @body {File} file - multipart/form-data file (size and type limits apply)
+ */
+router.post("/", requireAuth, uploadAttachment, uploadFile);
+
+/**
+ * GET /api/v1/attachments/:attachmentId
+ * Download an attachment (conversation participants only)
+ * @requires Authentication
+ */
+router.get("/:attachmentId", requireAuth, downloadFile);
+
+export default router;
@@ -0,0 +1,34 @@
+/**
+ * Block Routes
+ * Defines routes for managing blocked users
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import { getBlocks, blockUser, unblockUser } from "../controllers/blockController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/blocks
+ * Get users blocked by the current user
+ * @requires Authentication
+ */
+router.get("/", requireAuth, getBlocks);
+
+/**
+ * POST /api/v1/blocks
+ * Block a user
+ * @requires Authentication
+ * @body {string} userId - User to block
+ */
+router.post("/", requireAuth, blockUser);
+
+/**
+ * DELETE /api/v1/blocks/:userId
+ * Unblock a user
+ * @requires Authentication
+ */
+router.delete("/:userId", requireAuth, unblockUser);
+
+export default router;
@@ -0,0 +1,58 @@
+/**
+ * Connection Routes
+ * Defines routes for connection request operations
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import {
+    getConnections,
+    requestConnection,
+    acceptConnection,
+    declineConnection,
+    withdrawConnection,
+} from "../controllers/connectionController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/connections
+ * Get connections for the current user
+ * @requires Authentication
+ * @query {string} status - Comma-separated statuses to include (default all)
+ * @query {string} direction - all, incoming or outgoing (default all)
+ */
+router.get("/", requireAuth, getConnections);
+
+/**
+ * POST /api/v1/connections
+ * Send a connection request
+ * @requires Authentication
+ * @body {string} recipientId - Recipient's user ID (or recipientEmail)
+ * @body {string} recipientEmail - Recipient's email (or recipientId)
+ * @body {string} message - Optional note to the recipient
+ */
+router.post("/", requireAuth, requestConnection);
+
+/**
+ * POST /api/v1/connections/:connectionId/accept
+ * Accept a pending connection request
+ * @requires Authentication
+ */
+router.post("/:connectionId/accept", requireAuth, acceptConnection);
+
+/**
+ * POST /api/v1/connections/:connectionId/decline
+ * Decline a pending connection request
+ * @requires Authentication
+ */
+router.post("/:connectionId/decline", requireAuth, declineConnection);
+
+/**
+ * POST /api/v1/connections/:connectionId/withdraw
+ * Withdraw a pending connection request you sent
+ * @requires Authentication
+ */
+router.post("/:connectionId/withdraw", requireAuth, withdrawConnection);
+
+export default router;
@@ -1,29 +1,66 @@
 /**
  * Conversation Routes
- * Defines routes for conversation operations
+ * Defines routes for conversation operations, including group conversations
  */
 
 import express from "express";
 import requireAuth from "../middleware/requireAuth.js";
 import {
     getConversations,
+    searchConversations,
     getConversationMessages,
+    updateConversationSettings,
     markConversationAsRead,
 } from "../controllers/conversationController.js";
+import {
+    createGroupConversation,
+    getGroupParticipants,
+    updateGroup,
+    addParticipants,
+    removeParticipant,
+    updateParticipantRole,
+} from "../controllers/groupController.js";
 
 const router = express.Router();
 
 /**
  * GET /api/v1/conversations
- * Get all conversations for the current user
+ * Get all conversations for the current user, pinned first
  * @requires Authentication
+ * @query {string} archived - "false" (default) hides archived, "true" returns only archived, "all" returns both
+ * @query {string} label - Only conversations with this label
  */
 router.get("/", requireAuth, getConversations);
 
+/**
+ * GET /api/v1/conversations/search
+ * Full-text search across messages in the current user's conversations
+ * @requires Authentication
+ * @query {string} q - Search terms; "quoted phrases", OR and -excluded words are supported
+ * @query {string} participantId - Only conversations with this user
+ * @query {string} from - Only messages at or after this ISO date
+ * @query {string} to - Only messages at or before this ISO date
+ * @query {number} limit - Page size (default 20, max 50)
+ * @query {number} offset - Results to skip
+ */
+router.get("/search", requireAuth, searchConversations);
+
+/**
+ * POST /api/v1/conversations/groups
+ * Create a group conversation; the current user becomes its admin
+ * @requires Authentication
+ * @body {string} title - Group title
+ * @body {string[]} memberIds - Other members (each needs an accepted connection with the creator)
+ */
+router.post("/groups", requireAuth, createGroupConversation);
+
 /**
  * GET /api/v1/conversations/:conversationId/messages
- * Get messages for a specific conversation
+ * Get messages for a specific conversation, newest page first
  * @requires Authentication
+ * @query {string} before - Message ID or ISO timestamp; return messages older than it
+ * @query {string} after - Message ID or ISO timestamp; return messages newer than it
+ * @query {number} limit - Page size (default 50, max 200)
  */
 router.get("/:conversationId/messages", requireAuth, getConversationMessages);
 
@@ -34,7 +71,53 @@ router.get("/:conversationId/messages", requireAuth, getConversationMessages);
  */
 router.post("/:conversationId/read", requireAuth, markConversationAsRead);
 
-export default router;
+/**
+ * PATCH /api/v1/conversations/:conversationId/settings
+ * Change the current user's settings for a conversation
+ * @requires Authentication
+ * @body {boolean} archived - Archive or unarchive
+ * @body {boolean} pinned - Pin or unpin
+ * @body {boolean} muted - Silence notifications
+ * @body {string|null} label - Custom label (max 50 characters), null to clear
+ */
+router.patch("/:conversationId/settings", requireAuth, updateConversationSettings);
+
+/**
+ * PATCH /api/v1/conversations/:conversationId
+ * Rename a group conversation (admins only)
+ * @requires Authentication
+ * @body {string} title - New title
+ */
+router.patch("/:conversationId", requireAuth, updateGroup);
+
+/**
+ * GET /api/v1/conversations/:conversationId/participants
+ * Get a group's members with their roles and read positions
+ * @requires Authentication
+ */
+router.get("/:conversationId/participants", requireAuth, getGroupParticipants);
+
+/**
+ * POST /api/v1/conversations/:conversationId/participants
+ * Add members to a group (admins only)
+ * @requires Authentication
+ * @body {string[]} userIds - Users to add (each needs an accepted connection with the admin)
+ */
+router.post("/:conversationId/participants", requireAuth, addParticipants);
 
+/**
+ * PATCH /api/v1/conversations/:conversationId/participants/:userId
+ * Change a member's role (admins only)
+ * @requires Authentication
+ * @body {string} role - "admin" or "member"
+ */
+router.patch("/:conversationId/participants/:userId", requireAuth, updateParticipantRole);
 
+/**
+ * DELETE /api/v1/conversations/:conversationId/participants/:userId
+ * Remove a member (admins), or leave the group by removing yourself
+ * @requires Authentication
+ */
+router.delete("/:conversationId/participants/:userId", requireAuth, removeParticipant);
 
+export default router;
@@ -7,6 +7,15 @@ import express from "express";
 import questionnaireRoutes from "./questionnaire.js";
 import contactRoutes from "./contact.js";
 import conversationRoutes from "./conversations.js";
+import messageRoutes from "./messages.js";
+import attachmentRoutes from "./attachments.js";
+import matchRoutes from "./matches.js";
+import connectionRoutes from "./connections.js";
+import blockRoutes from "./blocks.js";
+import muteRoutes from "./mutes.js";
+import presenceRoutes from "./presence.js";
+import moderationRoutes from "./moderation.js";
+import appealRoutes from "./appeals.js";
 
 const router = express.Router();
 
@@ -16,6 +25,15 @@ const router = express.Router();
 router.use("/questionnaire", questionnaireRoutes);
 router.use("/contact", contactRoutes);
 router.use("/conversations", conversationRoutes);
+router.use("/messages", messageRoutes);
+router.use("/attachments", attachmentRoutes);
+router.use("/matches", matchRoutes);
+router.use("/connections", connectionRoutes);
+router.use("/blocks", blockRoutes);
+router.use("/mutes", muteRoutes);
+router.use("/presence", presenceRoutes);
+router.use("/moderation", moderationRoutes);
+router.use("/appeals", appealRoutes);
 
 /**
  * Health check endpoint
@@ -0,0 +1,87 @@
+/**
+ * Match Routes
+ * Defines routes for native matchmaking operations
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import {
+    getMyMatches,
+    getMyReciprocalMatches,
+    getMyMutualMatches,
+    acceptMatch,
+    dismissMatch,
+    flagMatchNotRelevant,
+    removeMatchFeedback,
+    getMyMatchFeedback,
+} from "../controllers/matchController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/matches/me
+ * Get ranked matches with per-factor score breakdowns for the current user
+ * @requires Authentication
+ * @query {number} limit - Maximum number of matches (default 20, max 100)
+ * @query {number} minScore - Minimum score between 0 and 1 (default 0)
+ * @query {boolean} includeExcluded - Also return pairs excluded by compatibility rules (default false)
+ */
+router.get("/me", requireAuth, getMyMatches);
+
+/**
+ * GET /api/v1/matches/me/reciprocal
+ * Get matches where each side offers something the other is seeking
+ * @requires Authentication
+ * @query {number} limit - Maximum number of matches (default 20, max 100)
+ */
+router.get("/me/reciprocal", requireAuth, getMyReciprocalMatches);
+
+/**
+ * GET /api/v1/matches/me/mutual
+ * Get the current user's partners from the stable mutual assignment
+ * @requires Authentication
+ */
+router.get("/me/mutual", requireAuth, getMyMutualMatches);
+
+/**
+ * GET /api/v1/matches/me/feedback
+ * Get all feedback the current user has given on matches
+ * @requires Authentication
+ */
+router.get("/me/feedback", requireAuth, getMyMatchFeedback);
+
+/**
+ * POST /api/v1/matches/:targetUserId/accept
+ * Accept a recommended match
+ * @requires Authentication
+ * @body {string} reason - Optional reason
+ * @body {number} score - Optional score shown to the user
+ */
+router.post("/:targetUserId/accept", requireAuth, acceptMatch);
+
+/**
+ * POST /api/v1/matches/:targetUserId/dismiss
+ * Dismiss a recommended match so it is no longer recommended
+ * @requires Authentication
+ * @body {string} reason - Optional reason
+ * @body {number} score - Optional score shown to the user
+ */
+router.post("/:targetUserId/dismiss", requireAuth, dismissMatch);
+
+/**
+ * POST /api/v1/matches/:targetUserId/not-relevant
+ * Flag a recommended match as not relevant
+ * @requires Authentication
+ * @body {string} reason - Why the match is not relevant (required)
+ * @body {number} score - Optional score shown to the user
+ */
+router.post("/:targetUserId/not-relevant", requireAuth, flagMatchNotRelevant);
+
+/**
+ * DELETE /api/v1/matches/:targetUserId/feedback
+ * Remove feedback so the user can be recommended again
+ * @requires Authentication
+ */
+router.delete("/:targetUserId/feedback", requireAuth, removeMatchFeedback);
+
+export default router;
@@ -0,0 +1,34 @@
+/**
+ * Message Routes
+ * Defines routes for editing and deleting messages
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import { updateMessage, removeMessage, getMessageHistory } from "../controllers/messageController.js";
+
+const router = express.Router();
+
+/**
+ * PATCH /api/v1/messages/:messageId
+ * Edit a message sent by the current user
+ * @requires Authentication
+ * @body {string} content - New message content (moderated)
+ */
+router.patch("/:messageId", requireAuth, updateMessage);
+
+/**
+ * DELETE /api/v1/messages/:messageId
+ * Delete a message sent by the current user, leaving a tombstone
+ * @requires Authentication
+ */
+router.delete("/:messageId", requireAuth, removeMessage);
+
+/**
+ * GET /api/v1/messages/:messageId/history
+ * Get previous versions of an edited message
+ * @requires Authentication
+ */
+router.get("/:messageId/history", requireAuth, getMessageHistory);
+
+export default router;
@@ -0,0 +1,178 @@
+/**
+ * Moderation Routes
+ * Defines moderator-only routes for managing the moderation blacklist and allowlist and reviewing blocked messages
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import requireModerator from "../middleware/requireModerator.js";
+import {
+    getBlacklist,
+    addBlacklistEntry,
+    updateBlacklistEntry,
+    deactivateBlacklistEntry,
+    importBlacklist,
+    getBlacklistEntryHistory,
+    getAllowlist,
+    addAllowlistEntry,
+    changeAllowlistEntry,
+    removeAllowlistEntry,
+    getReviewQueue,
+    getReviewItem,
+    submitReviewDecision,
+    releaseReviewedMessage,
+} from "../controllers/moderationController.js";
+import { getAppealQueue, submitAppealDecision } from "../controllers/appealController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/moderation/blacklist
+ * List blacklist entries, by category then text
+ * @requires Authentication, Moderator
+ * @query {string} active - "true" (default), "false" or "all"
+ * @query {string} category - Only this category
+ * @query {string} q - Only entries containing this text
+ * @query {number} limit - Page size (default 50, max 200)
+ * @query {number} offset - Entries to skip
+ */
+router.get("/blacklist", requireAuth, requireModerator, getBlacklist);
+
+/**
+ * POST /api/v1/moderation/blacklist
+ * Add a word or phrase to the blacklist
+ * @requires Authentication, Moderator
+ * @body {string} wordOrPhrase - Word or phrase to block (a pattern for "regex" entries)
+ * @body {string} category - Category (default "explicit")
+ * @body {string} matchType - "word" (whole words, default), "substring" or "regex"
+ */
+router.post("/blacklist", requireAuth, requireModerator, addBlacklistEntry);
+
+/**
+ * POST /api/v1/moderation/blacklist/import
+ * Add or reactivate many entries at once
+ * @requires Authentication, Moderator
+ * @body {Array<string|Object>} entries - Phrases, or { wordOrPhrase, category, matchType } objects (max 1000)
+ * @body {string} category - Category for entries without one (default "explicit")
+ * @body {string} matchType - Match type for entries without one (default "word")
+ */
+router.post("/blacklist/import", requireAuth, requireModerator, importBlacklist);
+
+/**
+ * PATCH /api/v1/moderation/blacklist/:entryId
+ * Change an entry's text, category, match type or active flag
+ * @requires Authentication, Moderator
+ * @body {string} wordOrPhrase - New text
+ * @body {string} category - New category
+ * @body {string} matchType - "word", "substring" or "regex"
+ * @body {boolean} isActive - Activate or deactivate the entry
+ */
+router.patch("/blacklist/:entryId", requireAuth, requireModerator, updateBlacklistEntry);
+
+/**
+ * DELETE /api/v1/moderation/blacklist/:entryId
+ * Deactivate an entry (it is kept with its history and can be reactivated)
+ * @requires Authentication, Moderator
+ */
+router.delete("/blacklist/:entryId", requireAuth, requireModerator, deactivateBlacklistEntry);
+
+/**
+ * GET /api/v1/moderation/blacklist/:entryId/history
+ * Who changed an entry and how, newest first
+ * @requires Authentication, Moderator
+ */
+router.get("/blacklist/:entryId/history", requireAuth, requireModerator, getBlacklistEntryHistory);
+
+/**
+ * GET /api/v1/moderation/allowlist
+ * List phrases exempt from rule-based moderation
+ * @requires Authentication, Moderator
+ * @query {string} active - "true" (default), "false" or "all"
+ */
+router.get("/allowlist", requireAuth, requireModerator, getAllowlist);
+
+/**
+ * POST /api/v1/moderation/allowlist
+ * Exempt a phrase (e.g. "sex differences") from rule-based moderation
+ * @requires Authentication, Moderator
+ * @body {string} phrase - Phrase to exempt
+ * @body {string} note - Why it is exempt (optional)
+ */
+router.post("/allowlist", requireAuth, requireModerator, addAllowlistEntry);
+
+/**
+ * PATCH /api/v1/moderation/allowlist/:entryId
+ * Change an allowlisted phrase, its note or active flag
+ * @requires Authentication, Moderator
+ * @body {string} phrase - New phrase
+ * @body {string} note - New note
+ * @body {boolean} isActive - Activate or deactivate the phrase
+ */
+router.patch("/allowlist/:entryId", requireAuth, requireModerator, changeAllowlistEntry);
+
+/**
+ * DELETE /api/v1/moderation/allowlist/:entryId
+ * Deactivate an allowlisted phrase (it can be reactivated)
+ * @requires Authentication, Moderator
+ */
+router.delete("/allowlist/:entryId", requireAuth, requireModerator, removeAllowlistEntry);
+
+/**
+ * GET /api/v1/moderation/reviews
+ * List blocked messages for review (pending: oldest first; otherwise newest first)
+ * @requires Authentication, Moderator
+ * @query {string} status - "pending" (default), "confirmed", "overturned" or "all"
+ * @query {string} method - "rule_based", "ai_based" or "fallback"
+ * @query {string} category - Blacklist category
+ * @query {string} senderId - Only messages from this user
+ * @query {string} from - Only decisions at or after this ISO date
+ * @query {string} to - Only decisions at or before this ISO date
+ * @query {number} limit - Page size (default 20, max 100)
+ * @query {number} offset - Items to skip
+ */
+router.get("/reviews", requireAuth, requireModerator, getReviewQueue);
+
+/**
+ * GET /api/v1/moderation/reviews/:reviewId
+ * Get one blocked message
+ * @requires Authentication, Moderator
+ */
+router.get("/reviews/:reviewId", requireAuth, requireModerator, getReviewItem);
+
+/**
+ * POST /api/v1/moderation/reviews/:reviewId/decision
+ * Confirm or overturn a pending decision
+ * @requires Authentication, Moderator
+ * @body {string} decision - "confirm" or "overturn"
+ * @body {string} note - Reason for the decision (optional)
+ * @body {boolean} release - Also deliver an overturned message (default false)
+ */
+router.post("/reviews/:reviewId/decision", requireAuth, requireModerator, submitReviewDecision);
+
+/**
+ * POST /api/v1/moderation/reviews/:reviewId/release
+ * Deliver an overturned message that wasn't released yet
+ * @requires Authentication, Moderator
+ */
+router.post("/reviews/:reviewId/release", requireAuth, requireModerator, releaseReviewedMessage);
+
+/**
+ * GET /api/v1/moderation/appeals
+ * List sender appeals with the blocked message they contest (pending: oldest first)
+ * @requires Authentication, Moderator
+ * @query {string} status - "pending" (default), "accepted", "rejected" or "all"
+ * @query {number} limit - Page size (default 20, max 100)
+ * @query {number} offset - Appeals to skip
+ */
+router.get("/appeals", requireAuth, requireModerator, getAppealQueue);
+
+/**
+ * POST /api/v1/moderation/appeals/:appealId/decision
+ * Accept (overturn the block and deliver the message) or reject an appeal
+ * @requires Authentication, Moderator
+ * @body {string} decision - "accept" or "reject"
+ * @body {string} response - Explanation sent to the sender (optional)
+ */
+router.post("/appeals/:appealId/decision", requireAuth, requireModerator, submitAppealDecision);
+
+export default router;
@@ -0,0 +1,34 @@
+/**
+ * Mute Routes
+ * Defines routes for managing muted users
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import { getMutes, muteUser, unmuteUser } from "../controllers/blockController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/mutes
+ * Get users muted by the current user
+ * @requires Authentication
+ */
+router.get("/", requireAuth, getMutes);
+
+/**
+ * POST /api/v1/mutes
+ * Mute a user
+ * @requires Authentication
+ * @body {string} userId - User to mute
+ */
+router.post("/", requireAuth, muteUser);
+
+/**
+ * DELETE /api/v1/mutes/:userId
+ * Unmute a user
+ * @requires Authentication
+ */
+router.delete("/:userId", requireAuth, unmuteUser);
+
+export default router;
@@ -0,0 +1,20 @@
+/**
+ * Presence Routes
+ * Defines routes for online status and last-seen times
+ */
+
+import express from "express";
+import requireAuth from "../middleware/requireAuth.js";
+import { getUsersPresence } from "../controllers/presenceController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/presence
+ * Get online status and last-seen time for users
+ * @requires Authentication
+ * @query {string} userIds - Comma-separated user IDs (max 100)
+ */
+router.get("/", requireAuth, getUsersPresence);
+
+export default router;
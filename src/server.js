@@ -11,6 +11,7 @@ import config from "./config/index.js";
 import logger from "./utils/logger.js";
 import routes from "./routes/index.js";
 import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
+import { startUploadCleanup } from "./services/attachmentService.js";
 
 // Initialize Express app
 const app = express();
@@ -112,8 +113,14 @@ const io = new Server(httpServer, {
     allowEIO3: true,
 });
 
-import { setupSocket } from "./socket/socketHandler.js";
-setupSocket(io);
+import { setupSocket, shutdownSocket } from "./socket/socketHandler.js";
+try {
+    await setupSocket(io);
+} catch (error) {
+    // Without its adapter the realtime layer can't work, so refuse to start rather than run half-broken
+    logger.error("❌ Failed to set up Socket.io, exiting", { error: error.message });
+    process.exit(1);
+}
 
 /**
  * Server Startup
@@ -128,22 +135,28 @@ const server = httpServer.listen(PORT, () => {
     });
 });
 
+// Remove uploads that were never sent with a message
+startUploadCleanup();
+
 /**
  * Graceful Shutdown
  */
-const gracefulShutdown = (signal) => {
+const gracefulShutdown = async (signal) => {
     logger.info(`${signal} received, shutting down gracefully`);
 
-    server.close(() => {
-        logger.info("Server closed");
-        process.exit(0);
-    });
-
     // Force close after 10 seconds
     setTimeout(() => {
         logger.error("Forced shutdown after timeout");
         process.exit(1);
     }, 10000);
+
+    // Disconnect this instance's sockets so their users' presence is released
+    await shutdownSocket(io);
+
+    server.close(() => {
+        logger.info("Server closed");
+        process.exit(0);
+    });
 };
 
 process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
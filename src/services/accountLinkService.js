@@ -0,0 +1,78 @@
+/**
+ * Account Link Service
+ * Binds conversations and messages that were addressed to a user's email before they had an
+ * account. Runs on a user's first authenticated request or socket connection, so everything
+ * downstream can match conversations by user ID only.
+ */
+
+import { supabase } from "../config/supabase.js";
+import logger from "../utils/logger.js";
+
+/**
+ * User IDs already linked by this process
+ */
+const linkedUsers = new Set();
+
+/**
+ * In-flight link operations, so concurrent first requests share one call
+ */
+const pendingLinks = new Map();
+
+/**
+ * Claim conversations and messages addressed to the user's email
+ * Only runs once per user per process; failures are logged and retried on the next request.
+ * The email must be confirmed, so nobody can read messages held for an address by signing up with it
+ * @param {Object} user - Authenticated user ({ id, email, email_confirmed_at })
+ * @returns {Promise<number>} Number of conversations claimed (0 if already linked or unconfirmed)
+ */
+export async function ensureAccountLinked(user) {
+    if (!user?.id || !user.email || !user.email_confirmed_at || linkedUsers.has(user.id)) {
+        return 0;
+    }
+
+    if (!pendingLinks.has(user.id)) {
+        pendingLinks.set(
+            user.id,
+            linkAccount(user).finally(() => pendingLinks.delete(user.id))
+        );
+    }
+
+    return pendingLinks.get(user.id);
+}
+
+/**
+ * Run the claim for a user
+ * @param {Object} user - Authenticated user with a confirmed email ({ id, email })
+ * @returns {Promise<number>} Number of conversations claimed
+ */
+async function linkAccount(user) {
+    try {
+        const { data: claimed, error } = await supabase.rpc("claim_pending_conversations", {
+            p_user_id: user.id,
+            p_email: user.email,
+        });
+
+        if (error) {
+            logger.warn("Failed to link pending conversations. Run create_account_linking.sql", {
+                userId: user.id,
+                error: error.message,
+            });
+            return 0;
+        }
+
+        linkedUsers.add(user.id);
+
+        if (claimed > 0) {
+            logger.info("🔗 Linked pending conversations to account", { userId: user.id, conversations: claimed });
+        }
+
+        return claimed || 0;
+    } catch (err) {
+        logger.error("Error linking pending conversations", err);
+        return 0;
+    }
+}
+
+export default {
+    ensureAccountLinked,
+};
@@ -0,0 +1,206 @@
+/**
+ * Allowlist Service
+ * Moderator management of moderation_allowlist (see add_moderation_matching.sql): phrases that are
+ * removed from a message before it is matched against the blacklist.
+ */
+
+import { supabaseAdmin } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { canonicalPhrase } from "./moderationMatcher.js";
+import { invalidateRuleCache } from "./moderationService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+const MAX_PHRASE_LENGTH = 200;
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Format an allowlist row for API responses
+ * @param {Object} row - moderation_allowlist row
+ * @returns {Object}
+ */
+export function formatAllowlistEntry(row) {
+    return {
+        id: row.id,
+        phrase: row.phrase,
+        note: row.note,
+        isActive: row.is_active !== false,
+        createdBy: row.created_by || null,
+        updatedBy: row.updated_by || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Normalize an allowlisted phrase (lowercase, single spaces)
+ * @param {string} value - Phrase
+ * @returns {string}
+ * @throws {ApiError} 400 if it is empty, too long or has no letters or digits
+ */
+function normalizePhrase(value) {
+    const phrase = typeof value === "string" ? value.trim().replace(/\s+/g, " ").toLowerCase() : "";
+    if (!phrase) {
+        throw new ApiError(400, "phrase is required");
+    }
+    if (phrase.length > MAX_PHRASE_LENGTH) {
+        throw new ApiError(400, `phrase must be at most ${MAX_PHRASE_LENGTH} characters`);
+    }
+    if (!canonicalPhrase(phrase)) {
+        throw new ApiError(400, "phrase must contain letters or digits");
+    }
+    return phrase;
+}
+
+/**
+ * Validate an optional note
+ * @param {*} value - Note
+ * @returns {string|null} Trimmed note
+ */
+function normalizeNote(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== "string" || value.trim().length > MAX_NOTE_LENGTH) {
+        throw new ApiError(400, `note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    return value.trim() || null;
+}
+
+/**
+ * List allowlisted phrases, alphabetically
+ * @param {Object} params
+ * @param {string} params.active - "true" (default), "false" or "all"
+ * @returns {Promise<Object[]>}
+ */
+export async function listAllowlist({ active }) {
+    const activeFilter = active === undefined ? "true" : active;
+    if (!["true", "false", "all"].includes(activeFilter)) {
+        throw new ApiError(400, "active must be true, false or all");
+    }
+
+    let query = supabaseAdmin
+        .from("moderation_allowlist")
+        .select("*")
+        .order("phrase", { ascending: true });
+
+    if (activeFilter !== "all") {
+        query = query.eq("is_active", activeFilter === "true");
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        logger.error("Error listing allowlist. Run add_moderation_matching.sql", { error: error.message });
+        throw new ApiError(500, `Failed to list allowlist: ${error.message}`);
+    }
+
+    return (data || []).map(formatAllowlistEntry);
+}
+
+/**
+ * Exempt a phrase from rule-based moderation
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.phrase - Phrase to exempt
+ * @param {string} params.note - Why it is exempt (optional)
+ * @returns {Promise<Object>} Formatted entry
+ * @throws {ApiError} 409 if the phrase is already allowlisted
+ */
+export async function createAllowlistEntry({ actor, phrase, note }) {
+    const text = normalizePhrase(phrase);
+
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_allowlist")
+        .insert({
+            phrase: text,
+            note: normalizeNote(note),
+            is_active: true,
+            created_by: actor.email,
+            updated_by: actor.email,
+        })
+        .select()
+        .single();
+
+    if (error?.code === "23505") {
+        throw new ApiError(409, `"${text}" is already on the allowlist`);
+    }
+    if (error) {
+        throw new ApiError(500, `Failed to add allowlist entry: ${error.message}`);
+    }
+
+    invalidateRuleCache();
+    logger.info("🛡️ Allowlist entry added", { entryId: row.id, moderatorId: actor.id });
+    return formatAllowlistEntry(row);
+}
+
+/**
+ * Change an allowlisted phrase, its note or active flag
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.entryId - Entry ID
+ * @param {Object} params.changes - { phrase?, note?, isActive? }
+ * @returns {Promise<Object>} Formatted entry
+ * @throws {ApiError} 404 if the entry doesn't exist, 409 if the new phrase is already allowlisted
+ */
+export async function updateAllowlistEntry({ actor, entryId, changes = {} }) {
+    const update = {};
+    if (changes.phrase !== undefined) {
+        update.phrase = normalizePhrase(changes.phrase);
+    }
+    if (changes.note !== undefined) {
+        update.note = normalizeNote(changes.note);
+    }
+    if (changes.isActive !== undefined) {
+        if (typeof changes.isActive !== "boolean") {
+            throw new ApiError(400, "isActive must be a boolean");
+        }
+        update.is_active = changes.isActive;
+    }
+
+    if (Object.keys(update).length === 0) {
+        throw new ApiError(400, "Provide phrase, note or isActive");
+    }
+
+    if (!UUID_REGEX.test(entryId || "")) {
+        throw new ApiError(404, "Allowlist entry not found");
+    }
+
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_allowlist")
+        .update({ ...update, updated_by: actor.email, updated_at: new Date().toISOString() })
+        .eq("id", entryId)
+        .select()
+        .maybeSingle();
+
+    if (error?.code === "23505") {
+        throw new ApiError(409, `"${update.phrase}" is already on the allowlist`);
+    }
+    if (error) {
+        throw new ApiError(500, `Failed to update allowlist entry: ${error.message}`);
+    }
+    if (!row) {
+        throw new ApiError(404, "Allowlist entry not found");
+    }
+
+    invalidateRuleCache();
+    logger.info("🛡️ Allowlist entry updated", { entryId: row.id, moderatorId: actor.id });
+    return formatAllowlistEntry(row);
+}
+
+/**
+ * Deactivate an allowlisted phrase
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.entryId - Entry ID
+ * @returns {Promise<Object>} Formatted entry
+ */
+export async function deactivateAllowlistEntry({ actor, entryId }) {
+    return updateAllowlistEntry({ actor, entryId, changes: { isActive: false } });
+}
+
+export default {
+    formatAllowlistEntry,
+    listAllowlist,
+    createAllowlistEntry,
+    updateAllowlistEntry,
+    deactivateAllowlistEntry,
+};
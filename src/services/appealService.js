@@ -0,0 +1,354 @@
+/**
+ * Appeal Service
+ * Senders appeal blocked messages (see create_moderation_appeals.sql); moderators accept an appeal,
+ * which overturns the block and delivers the message, or reject it. The sender is told the outcome
+ * over the socket and by email.
+ */
+
+import { supabaseAdmin } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+import { findUserById } from "./userProfileService.js";
+import { sendAppealOutcomeEmail } from "./emailService.js";
+import { formatReviews, recordReviewDecision, releaseReview } from "./moderationReviewService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_NOTE_LENGTH = 1000;
+
+export const APPEAL_STATUSES = ["pending", "accepted", "rejected"];
+
+/**
+ * Appeal status set by each moderator decision
+ */
+const DECISIONS = {
+    accept: "accepted",
+    reject: "rejected",
+};
+
+/**
+ * Format an appeal row for API responses
+ * @param {Object} row - moderation_appeals row
+ * @returns {Object}
+ */
+export function formatAppeal(row) {
+    return {
+        id: row.id,
+        moderationLogId: row.moderation_log_id,
+        status: row.status,
+        note: row.note,
+        response: row.response,
+        decidedAt: row.decided_at,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Validate an optional free-text note
+ * @param {*} value - Note
+ * @param {string} name - Field name (for error messages)
+ * @returns {string|null} Trimmed note
+ */
+function normalizeNote(value, name) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== "string" || value.trim().length > MAX_NOTE_LENGTH) {
+        throw new ApiError(400, `${name} must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    return value.trim() || null;
+}
+
+/**
+ * Appeal a blocked message
+ * @param {Object} params
+ * @param {string} params.userId - Sender of the blocked message
+ * @param {string} params.moderationLogId - ID from the message_blocked event
+ * @param {string} params.note - Why the block was wrong
+ * @returns {Promise<Object>} Formatted appeal
+ * @throws {ApiError} 404 if the block isn't the user's, 409 if already appealed or overturned
+ */
+export async function createAppeal({ userId, moderationLogId, note }) {
+    const text = normalizeNote(note, "note");
+    if (!text) {
+        throw new ApiError(400, "note is required");
+    }
+
+    if (!UUID_REGEX.test(moderationLogId || "")) {
+        throw new ApiError(404, "Blocked message not found");
+    }
+
+    const { data: log, error: logError } = await supabaseAdmin
+        .from("moderation_logs")
+        .select("id, sender_id, review_status")
+        .eq("id", moderationLogId)
+        .eq("moderation_result", "blocked")
+        .maybeSingle();
+
+    if (logError) {
+        throw new ApiError(500, `Failed to fetch blocked message: ${logError.message}`);
+    }
+
+    if (!log || log.sender_id !== userId) {
+        throw new ApiError(404, "Blocked message not found");
+    }
+
+    if (log.review_status === "overturned") {
+        throw new ApiError(409, "A moderator has already lifted this block");
+    }
+
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_appeals")
+        .insert({ moderation_log_id: log.id, sender_id: userId, note: text })
+        .select()
+        .single();
+
+    if (error?.code === "23505") {
+        throw new ApiError(409, "You have already appealed this block");
+    }
+    if (error) {
+        throw new ApiError(500, `Failed to create appeal: ${error.message}`);
+    }
+
+    logger.info("📨 Moderation appeal created", { appealId: row.id, moderationLogId: log.id, senderId: userId });
+    return formatAppeal(row);
+}
+
+/**
+ * Get a sender's appeals, newest first
+ * @param {string} userId - Sender
+ * @returns {Promise<Object[]>}
+ */
+export async function getUserAppeals(userId) {
+    const { data, error } = await supabaseAdmin
+        .from("moderation_appeals")
+        .select("*")
+        .eq("sender_id", userId)
+        .order("created_at", { ascending: false });
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch appeals: ${error.message}`);
+    }
+
+    return (data || []).map(formatAppeal);
+}
+
+/**
+ * Attach the blocked decision each appeal contests
+ * @param {Object[]} rows - moderation_appeals rows
+ * @returns {Promise<Object[]>} Formatted appeals with a `blocked` review item
+ */
+async function withBlockedItems(rows) {
+    if (rows.length === 0) return [];
+
+    const { data: logs, error } = await supabaseAdmin
+        .from("moderation_logs")
+        .select("*")
+        .in("id", rows.map((row) => row.moderation_log_id));
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch blocked messages: ${error.message}`);
+    }
+
+    const reviews = new Map((await formatReviews(logs || [])).map((review) => [review.id, review]));
+
+    return rows.map((row) => ({
+        ...formatAppeal(row),
+        decidedBy: row.decided_by ? { id: row.decided_by, email: row.decided_by_email } : null,
+        blocked: reviews.get(row.moderation_log_id) || null,
+    }));
+}
+
+/**
+ * List appeals for moderators (pending: oldest first; otherwise newest first)
+ * @param {Object} params
+ * @param {string} params.status - "pending" (default), "accepted", "rejected" or "all"
+ * @param {number|string} params.limit - Page size
+ * @param {number|string} params.offset - Appeals to skip
+ * @returns {Promise<{appeals: Object[], pagination: Object}>}
+ */
+export async function listAppeals({ status, limit, offset }) {
+    const statusFilter = status === undefined ? "pending" : status;
+    if (statusFilter !== "all" && !APPEAL_STATUSES.includes(statusFilter)) {
+        throw new ApiError(400, `status must be one of: ${[...APPEAL_STATUSES, "all"].join(", ")}`);
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new ApiError(400, "limit must be a positive integer");
+    }
+    const skip = offset === undefined ? 0 : parseInt(offset, 10);
+    if (!Number.isInteger(skip) || skip < 0) {
+        throw new ApiError(400, "offset must be a non-negative integer");
+    }
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+
+    let query = supabaseAdmin
+        .from("moderation_appeals")
+        .select("*", { count: "exact" })
+        .order("created_at", { ascending: statusFilter === "pending" })
+        .range(skip, skip + size - 1);
+
+    if (statusFilter !== "all") query = query.eq("status", statusFilter);
+
+    const { data, count, error } = await query;
+
+    if (error) {
+        logger.error("Error listing appeals. Run create_moderation_appeals.sql", { error: error.message });
+        throw new ApiError(500, `Failed to list appeals: ${error.message}`);
+    }
+
+    return {
+        appeals: await withBlockedItems(data || []),
+        pagination: {
+            limit: size,
+            offset: skip,
+            total: count ?? null,
+            hasMore: count != null ? skip + size < count : (data || []).length === size,
+        },
+    };
+}
+
+/**
+ * Tell the sender how their appeal was decided, over the socket and by email
+ * @param {Object} appeal - Formatted appeal
+ * @param {Object} log - moderation_logs row the appeal contested
+ * @param {Object|null} releasedMessage - The delivered message, if any
+ */
+function notifySender(appeal, log, releasedMessage) {
+    emitToUser(log.sender_id, "appeal_decided", { appeal, releasedMessage });
+
+    setImmediate(async () => {
+        try {
+            const sender = await findUserById(log.sender_id);
+            if (!sender?.email) return;
+
+            await sendAppealOutcomeEmail({
+                to: sender.email,
+                senderName: sender.name || sender.email,
+                accepted: appeal.status === "accepted",
+                messageContent: log.message_content,
+                released: !!releasedMessage || !!log.released_at,
+                response: appeal.response,
+            });
+        } catch (err) {
+            logger.error("❌ Error sending appeal outcome email", { appealId: appeal.id, error: err.message });
+        }
+    });
+}
+
+/**
+ * Accept or reject an appeal
+ * Accepting overturns the block and delivers the message (if it wasn't already); rejecting
+ * confirms the block. Either way the moderator's response is sent to the sender.
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.appealId - Appeal ID
+ * @param {string} params.decision - "accept" or "reject"
+ * @param {string} params.response - Explanation for the sender (optional)
+ * @returns {Promise<{appeal: Object, releasedMessage: Object|null, releaseError: string|null}>}
+ * @throws {ApiError} 409 if the appeal was already decided, or rejecting a block that was lifted
+ */
+export async function decideAppeal({ actor, appealId, decision, response }) {
+    const status = DECISIONS[decision];
+    if (!status) {
+        throw new ApiError(400, `decision must be one of: ${Object.keys(DECISIONS).join(", ")}`);
+    }
+    const responseText = normalizeNote(response, "response");
+
+    if (!UUID_REGEX.test(appealId || "")) {
+        throw new ApiError(404, "Appeal not found");
+    }
+
+    const { data: appealRow, error: appealError } = await supabaseAdmin
+        .from("moderation_appeals")
+        .select("*, log:moderation_logs(*)")
+        .eq("id", appealId)
+        .maybeSingle();
+
+    if (appealError) {
+        throw new ApiError(500, `Failed to fetch appeal: ${appealError.message}`);
+    }
+    if (!appealRow) {
+        throw new ApiError(404, "Appeal not found");
+    }
+    if (appealRow.status !== "pending") {
+        throw new ApiError(409, "This appeal has already been decided");
+    }
+
+    const log = appealRow.log;
+    if (status === "rejected" && log.review_status === "overturned") {
+        throw new ApiError(409, "The block was already lifted; accept the appeal instead");
+    }
+
+    // Claim the appeal so two moderators can't decide it differently
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_appeals")
+        .update({
+            status,
+            decided_by: actor.id,
+            decided_by_email: actor.email,
+            response: responseText,
+            decided_at: new Date().toISOString(),
+        })
+        .eq("id", appealRow.id)
+        .eq("status", "pending")
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to save appeal decision: ${error.message}`);
+    }
+    if (!row) {
+        throw new ApiError(409, "This appeal has already been decided");
+    }
+
+    let releasedMessage = null;
+    let releaseError = null;
+
+    if (status === "accepted") {
+        if (log.review_status !== "overturned") {
+            await recordReviewDecision({
+                actor,
+                reviewId: log.id,
+                reviewStatus: "overturned",
+                note: responseText || "Appeal accepted",
+                fromStatuses: ["pending", "confirmed"],
+            });
+        }
+
+        if (!log.released_at) {
+            try {
+                ({ message: releasedMessage } = await releaseReview({ actor, reviewId: log.id }));
+            } catch (err) {
+                if (!err.statusCode || err.statusCode >= 500) {
+                    logger.error("Error releasing message after accepted appeal", { appealId, error: err.message });
+                }
+                releaseError = err.statusCode < 500 ? err.message : "Failed to release message";
+            }
+        }
+    } else {
+        await recordReviewDecision({
+            actor,
+            reviewId: log.id,
+            reviewStatus: "confirmed",
+            note: responseText || "Appeal rejected",
+            fromStatuses: ["pending", "confirmed"],
+        });
+    }
+
+    const appeal = formatAppeal(row);
+    notifySender(appeal, log, releasedMessage);
+
+    logger.info("📨 Moderation appeal decided", { appealId, status, moderatorId: actor.id });
+    return { appeal, releasedMessage, releaseError };
+}
+
+export default {
+    APPEAL_STATUSES,
+    formatAppeal,
+    createAppeal,
+    getUserAppeals,
+    listAppeals,
+    decideAppeal,
+};
@@ -0,0 +1,401 @@
+/**
+ * Attachment Service
+ * Validates and stores uploaded files, links them to messages, and authorizes downloads
+ * so only the participants of a conversation can read its attachments
+ */
+
+import { randomUUID } from "crypto";
+import { supabase } from "../config/supabase.js";
+import config from "../config/index.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { getStorage } from "./attachmentStorage.js";
+import { isGroupParticipant } from "./groupService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+/**
+ * How often unsent uploads past their expiry are removed
+ */
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const OOXML_SIGNATURE = [0x50, 0x4b, 0x03, 0x04]; // ZIP container
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0]; // Legacy Office documents
+
+/**
+ * Leading bytes each binary type must start with, so a renamed executable can't pass as a PDF
+ */
+const SIGNATURES = {
+    "application/pdf": [[0x25, 0x50, 0x44, 0x46]],
+    "image/png": [[0x89, 0x50, 0x4e, 0x47]],
+    "image/jpeg": [[0xff, 0xd8, 0xff]],
+    "image/gif": [[0x47, 0x49, 0x46, 0x38]],
+    "image/webp": [[0x52, 0x49, 0x46, 0x46]],
+    "application/msword": [OLE_SIGNATURE],
+    "application/vnd.ms-powerpoint": [OLE_SIGNATURE],
+    "application/vnd.ms-excel": [OLE_SIGNATURE],
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [OOXML_SIGNATURE],
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation": [OOXML_SIGNATURE],
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [OOXML_SIGNATURE],
+};
+
+/**
+ * Whether a file's content is plausible for its declared MIME type
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean}
+ */
+function contentMatchesType(buffer, mimeType) {
+    if (mimeType.startsWith("text/")) {
+        // Text files must not contain NUL bytes
+        return !buffer.subarray(0, 4096).includes(0);
+    }
+
+    const signatures = SIGNATURES[mimeType];
+    if (!signatures) return true;
+    return signatures.some((signature) => signature.every((byte, i) => buffer[i] === byte));
+}
+
+/**
+ * Make an uploaded file name safe to store and send back in headers
+ * @param {string} name - Original file name
+ * @returns {string}
+ */
+function sanitizeFileName(name) {
+    const base = String(name || "file").split(/[\\/]/).pop();
+    const cleaned = base.replace(/[\x00-\x1f\x7f"]/g, "").trim();
+    return (cleaned || "file").slice(0, 255);
+}
+
+/**
+ * Format an attachment row for API responses and socket events
+ * @param {Object} row - message_attachments row
+ * @returns {Object}
+ */
+export function formatAttachment(row) {
+    return {
+        id: row.id,
+        fileName: row.file_name,
+        mimeType: row.mime_type,
+        size: row.size_bytes,
+        url: `/api/v1/attachments/${row.id}`,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Oldest creation time of an unsent upload that hasn't expired yet
+ * @returns {string} ISO timestamp
+ */
+function pendingCutoff() {
+    return new Date(Date.now() - config.attachments.pendingTtlHours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Count a user's unsent uploads that haven't expired yet
+ * @param {string} uploaderId - Uploading user
+ * @returns {Promise<number>}
+ */
+async function countPendingUploads(uploaderId) {
+    const { count, error } = await supabase
+        .from("message_attachments")
+        .select("id", { count: "exact", head: true })
+        .eq("uploader_id", uploaderId)
+        .is("message_id", null)
+        .gte("created_at", pendingCutoff());
+
+    if (error) {
+        throw new ApiError(500, `Failed to check pending uploads: ${error.message}`);
+    }
+
+    return count || 0;
+}
+
+/**
+ * Validate and store an uploaded file
+ * The attachment stays unlinked until it is sent with a message, and is removed by
+ * removeStaleUploads if it isn't sent within the pending TTL
+ * @param {Object} params
+ * @param {Object} params.file - Uploaded file ({ originalname, mimetype, size, buffer })
+ * @param {string} params.uploaderId - Uploading user
+ * @returns {Promise<Object>} Formatted attachment
+ */
+export async function saveUpload({ file, uploaderId }) {
+    const { maxSizeBytes, allowedMimeTypes } = config.attachments;
+
+    if (!file) {
+        throw new ApiError(400, "A file is required");
+    }
+
+    if (file.size > maxSizeBytes) {
+        throw new ApiError(413, `File is too large. Maximum size is ${Math.round(maxSizeBytes / (1024 * 1024))} MB`);
+    }
+
+    if (!allowedMimeTypes.includes(file.mimetype)) {
+        throw new ApiError(415, `File type ${file.mimetype} is not allowed`);
+    }
+
+    if (!contentMatchesType(file.buffer, file.mimetype)) {
+        throw new ApiError(415, "File content does not match its type");
+    }
+
+    if ((await countPendingUploads(uploaderId)) >= config.attachments.maxPending) {
+        throw new ApiError(429, `At most ${config.attachments.maxPending} uploads can be waiting to be sent`);
+    }
+
+    const storage = getStorage();
+    const storageKey = `${uploaderId}/${randomUUID()}`;
+
+    try {
+        await storage.put(storageKey, file.buffer, file.mimetype);
+    } catch (err) {
+        throw new ApiError(500, err.message);
+    }
+
+    const { data: row, error } = await supabase
+        .from("message_attachments")
+        .insert({
+            uploader_id: uploaderId,
+            storage_backend: storage.name,
+            storage_key: storageKey,
+            file_name: sanitizeFileName(file.originalname),
+            mime_type: file.mimetype,
+            size_bytes: file.size,
+        })
+        .select()
+        .single();
+
+    if (error) {
+        await storage.remove([storageKey]).catch(() => {});
+        throw new ApiError(500, `Failed to save attachment: ${error.message}`);
+    }
+
+    logger.info("📎 Attachment uploaded", { attachmentId: row.id, uploaderId, size: file.size });
+    return formatAttachment(row);
+}
+
+/**
+ * Check that attachments can be sent with a new message
+ * They must exist, belong to the sender, and not be linked to another message yet
+ * @param {string[]} attachmentIds - Attachment IDs
+ * @param {string} uploaderId - Sender's ID
+ * @returns {Promise<Object[]>} The attachment rows ({ id, file_name })
+ * @throws {ApiError} 400 if any attachment is invalid
+ */
+export async function validatePendingAttachments(attachmentIds, uploaderId) {
+    if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) return [];
+
+    if (attachmentIds.length > config.attachments.maxPerMessage) {
+        throw new ApiError(400, `At most ${config.attachments.maxPerMessage} attachments can be sent per message`);
+    }
+
+    if (!attachmentIds.every((id) => UUID_REGEX.test(id))) {
+        throw new ApiError(400, "Invalid attachment ID");
+    }
+
+    const { data, error } = await supabase
+        .from("message_attachments")
+        .select("id, file_name")
+        .in("id", attachmentIds)
+        .eq("uploader_id", uploaderId)
+        .is("message_id", null);
+
+    if (error) {
+        throw new ApiError(500, `Failed to check attachments: ${error.message}`);
+    }
+
+    if ((data || []).length !== new Set(attachmentIds).size) {
+        throw new ApiError(400, "Attachments must be your own uploads that haven't been sent yet");
+    }
+
+    return data;
+}
+
+/**
+ * Link uploaded attachments to a saved message
+ * @param {Object} params
+ * @param {string[]} params.attachmentIds - Attachment IDs
+ * @param {string} params.uploaderId - Sender's ID
+ * @param {string} params.messageId - Saved message ID
+ * @returns {Promise<Object[]>} Formatted attachments
+ */
+export async function attachToMessage({ attachmentIds, uploaderId, messageId }) {
+    if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from("message_attachments")
+        .update({ message_id: messageId })
+        .in("id", attachmentIds)
+        .eq("uploader_id", uploaderId)
+        .is("message_id", null)
+        .select();
+
+    if (error) {
+        throw new Error(`Failed to link attachments: ${error.message}`);
+    }
+
+    return (data || [])
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map(formatAttachment);
+}
+
+/**
+ * Load the attachments of several messages in one query
+ * @param {string[]} messageIds - Message IDs
+ * @returns {Promise<Map<string, Object[]>>} messageId -> formatted attachments
+ */
+export async function loadAttachments(messageIds) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+
+    const { data, error } = await supabase
+        .from("message_attachments")
+        .select("*")
+        .in("message_id", messageIds)
+        .order("created_at", { ascending: true });
+
+    if (error) {
+        logger.warn("Error loading attachments", { error: error.message });
+        return byMessage;
+    }
+
+    for (const row of data || []) {
+        if (!byMessage.has(row.message_id)) byMessage.set(row.message_id, []);
+        byMessage.get(row.message_id).push(formatAttachment(row));
+    }
+    return byMessage;
+}
+
+/**
+ * Open an attachment for download
+ * Only the uploader (before sending) or the participants of its conversation may read it
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - Requesting user
+ * @returns {Promise<{attachment: Object, file: {stream: Object}|{url: string}}>}
+ */
+export async function openAttachment(attachmentId, userId) {
+    if (!UUID_REGEX.test(attachmentId || "")) {
+        throw new ApiError(404, "Attachment not found");
+    }
+
+    const { data: row, error } = await supabase
+        .from("message_attachments")
+        .select("*, message:messages(sender_id, receiver_id, receiver_email, conversation_id, deleted_at)")
+        .eq("id", attachmentId)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch attachment: ${error.message}`);
+    }
+
+    const message = row?.message;
+    let allowed = !!row && (message
+        ? !message.deleted_at && (message.sender_id === userId || message.receiver_id === userId)
+        : row.uploader_id === userId);
+
+    // Group messages have no receiver; every member of the group may read them
+    if (row && message && !allowed && !message.deleted_at && !message.receiver_email) {
+        allowed = await isGroupParticipant(message.conversation_id, userId);
+    }
+
+    if (!allowed) {
+        throw new ApiError(404, "Attachment not found");
+    }
+
+    try {
+        const file = await getStorage(row.storage_backend).get(row.storage_key);
+        return { attachment: row, file };
+    } catch (err) {
+        logger.error("Error reading attachment from storage", { attachmentId, error: err.message });
+        throw new ApiError(404, "Attachment file is unavailable");
+    }
+}
+
+/**
+ * Remove the files of deleted attachment rows from their storage backends
+ * @param {Object[]} rows - Deleted rows ({ storage_backend, storage_key })
+ * @returns {Promise<void>}
+ */
+async function removeStoredFiles(rows) {
+    const byBackend = new Map();
+    for (const row of rows) {
+        if (!byBackend.has(row.storage_backend)) byBackend.set(row.storage_backend, []);
+        byBackend.get(row.storage_backend).push(row.storage_key);
+    }
+
+    await Promise.all(
+        [...byBackend.entries()].map(([backend, keys]) => getStorage(backend).remove(keys))
+    );
+}
+
+/**
+ * Remove the attachments of a deleted message from storage and the database
+ * @param {string} messageId - Message ID
+ * @returns {Promise<void>}
+ */
+export async function removeMessageAttachments(messageId) {
+    const { data, error } = await supabase
+        .from("message_attachments")
+        .delete()
+        .eq("message_id", messageId)
+        .select("storage_backend, storage_key");
+
+    if (error) {
+        throw new Error(`Failed to remove attachments: ${error.message}`);
+    }
+
+    await removeStoredFiles(data || []);
+}
+
+/**
+ * Remove uploads that were never sent with a message within the pending TTL
+ * Rows are deleted first, so an upload linked to a message meanwhile is never removed
+ * @returns {Promise<number>} Number of removed uploads
+ */
+export async function removeStaleUploads() {
+    const { data, error } = await supabase
+        .from("message_attachments")
+        .delete()
+        .is("message_id", null)
+        .lt("created_at", pendingCutoff())
+        .select("storage_backend, storage_key");
+
+    if (error) {
+        logger.error("Error removing stale uploads", { error: error.message });
+        return 0;
+    }
+
+    try {
+        await removeStoredFiles(data || []);
+    } catch (err) {
+        logger.error("Error removing stale upload files from storage", { error: err.message });
+    }
+
+    if (data?.length) {
+        logger.info("🧹 Removed stale uploads", { count: data.length });
+    }
+
+    return data?.length || 0;
+}
+
+/**
+ * Remove stale uploads now and then every hour
+ * Every instance runs the job; the deletes are idempotent
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startUploadCleanup() {
+    removeStaleUploads();
+    // Don't keep the process alive just for the cleanup
+    return setInterval(removeStaleUploads, CLEANUP_INTERVAL_MS).unref();
+}
+
+export default {
+    formatAttachment,
+    saveUpload,
+    validatePendingAttachments,
+    attachToMessage,
+    loadAttachments,
+    openAttachment,
+    removeMessageAttachments,
+    removeStaleUploads,
+    startUploadCleanup,
+};
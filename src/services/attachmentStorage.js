@@ -0,0 +1,129 @@
+/**
+ * Attachment Storage
+ * Storage backends for message attachments. Local disk is used for development and tests;
+ * Supabase Storage (object storage) is used in production.
+ *
+ * A backend implements:
+ *   name                        -> Backend name stored with each attachment
+ *   put(key, buffer, mimeType)  -> Promise<void>
+ *   get(key)                    -> Promise<{stream}|{url}> a readable stream, or a short-lived download URL
+ *   remove(keys)                -> Promise<void>
+ */
+
+import fs from "fs";
+import path from "path";
+import { supabaseAdmin } from "../config/supabase.js";
+import config from "../config/index.js";
+
+/**
+ * How long signed download URLs stay valid (seconds)
+ */
+const SIGNED_URL_TTL_SECONDS = 60;
+
+/**
+ * Create a backend that stores files on local disk
+ * @param {string} baseDir - Directory for uploaded files
+ * @returns {Object} Storage backend
+ */
+export function createLocalStorage(baseDir) {
+    const root = path.resolve(baseDir);
+
+    // Keys are generated by the server, but never let one escape the upload directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: "local",
+
+        async put(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        async get(key) {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath);
+            return { stream: fs.createReadStream(filePath) };
+        },
+
+        async remove(keys) {
+            await Promise.all(
+                keys.map((key) => fs.promises.rm(resolveKey(key), { force: true }))
+            );
+        },
+    };
+}
+
+/**
+ * Create a backend that stores files in a Supabase Storage bucket
+ * The bucket should be private; downloads use short-lived signed URLs
+ * @param {string} bucket - Bucket name
+ * @returns {Object} Storage backend
+ */
+export function createSupabaseStorage(bucket) {
+    const storage = () => supabaseAdmin.storage.from(bucket);
+
+    return {
+        name: "supabase",
+
+        async put(key, buffer, mimeType) {
+            const { error } = await storage().upload(key, buffer, { contentType: mimeType, upsert: false });
+            if (error) {
+                throw new Error(`Failed to upload attachment: ${error.message}`);
+            }
+        },
+
+        async get(key) {
+            const { data, error } = await storage().createSignedUrl(key, SIGNED_URL_TTL_SECONDS);
+            if (error) {
+                throw new Error(`Failed to create download URL: ${error.message}`);
+            }
+            return { url: data.signedUrl };
+        },
+
+        async remove(keys) {
+            if (keys.length === 0) return;
+            const { error } = await storage().remove(keys);
+            if (error) {
+                throw new Error(`Failed to remove attachments: ${error.message}`);
+            }
+        },
+    };
+}
+
+/**
+ * Backends by name, created on first use
+ */
+const backends = new Map();
+
+/**
+ * Get a storage backend by name (defaults to the configured one)
+ * Attachments remember which backend stored them, so old files stay readable after a switch
+ * @param {string} name - "local" or "supabase"
+ * @returns {Object} Storage backend
+ * @throws {Error} If the backend is unknown
+ */
+export function getStorage(name = config.attachments.storage) {
+    if (!backends.has(name)) {
+        if (name === "local") {
+            backends.set(name, createLocalStorage(config.attachments.localDir));
+        } else if (name === "supabase") {
+            backends.set(name, createSupabaseStorage(config.attachments.bucket));
+        } else {
+            throw new Error(`Unknown ATTACHMENT_STORAGE "${name}". Use "local" or "supabase".`);
+        }
+    }
+    return backends.get(name);
+}
+
+export default {
+    createLocalStorage,
+    createSupabaseStorage,
+    getStorage,
+};
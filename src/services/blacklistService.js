@@ -0,0 +1,517 @@
+/**
+ * Blacklist Service
+ * Moderator management of moderation_blacklist (see create_moderation_admin.sql).
+ * Every change records the moderator who made it in moderation_blacklist_changes.
+ * Entries match whole words, substrings or regular expressions (see moderationMatcher.js).
+ */
+
+import { supabaseAdmin } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { MATCH_TYPES, compilePattern } from "./moderationMatcher.js";
+import { invalidateRuleCache } from "./moderationService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_PHRASE_LENGTH = 200;
+const MAX_IMPORT_ENTRIES = 1000;
+const CATEGORY_REGEX = /^[a-z][a-z0-9_]{1,49}$/;
+
+/**
+ * Format a blacklist row for API responses
+ * @param {Object} row - moderation_blacklist row
+ * @returns {Object}
+ */
+export function formatEntry(row) {
+    return {
+        id: row.id,
+        wordOrPhrase: row.word_or_phrase,
+        category: row.category,
+        matchType: row.match_type || "word",
+        isActive: row.is_active !== false,
+        createdBy: row.created_by || null,
+        updatedBy: row.updated_by || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Normalize a blocked word, phrase or pattern
+ * Matching is case-insensitive, so words and phrases are stored lowercase with single spaces;
+ * patterns are stored as given once they compile
+ * @param {string} value - Word, phrase or regular expression
+ * @param {string} matchType - "word", "substring" or "regex"
+ * @returns {string}
+ * @throws {ApiError} 400 if it is empty, too long or an invalid pattern
+ */
+function normalizePhrase(value, matchType) {
+    const phrase = typeof value !== "string"
+        ? ""
+        : matchType === "regex" ? value.trim() : value.trim().replace(/\s+/g, " ").toLowerCase();
+    if (!phrase) {
+        throw new ApiError(400, "wordOrPhrase is required");
+    }
+    if (phrase.length > MAX_PHRASE_LENGTH) {
+        throw new ApiError(400, `wordOrPhrase must be at most ${MAX_PHRASE_LENGTH} characters`);
+    }
+    if (matchType === "regex") {
+        try {
+            compilePattern(phrase);
+        } catch (err) {
+            throw new ApiError(400, `wordOrPhrase is not an allowed regular expression: ${err.message}`);
+        }
+    }
+    return phrase;
+}
+
+/**
+ * Validate a match type
+ * @param {string} value - "word", "substring" or "regex"
+ * @returns {string}
+ * @throws {ApiError} 400 if it isn't one of MATCH_TYPES
+ */
+function normalizeMatchType(value) {
+    if (!MATCH_TYPES.includes(value)) {
+        throw new ApiError(400, `matchType must be one of: ${MATCH_TYPES.join(", ")}`);
+    }
+    return value;
+}
+
+/**
+ * Normalize a category name
+ * @param {string} value - Category (e.g. "explicit", "abusive", "off_platform")
+ * @returns {string}
+ * @throws {ApiError} 400 if it isn't a lowercase identifier
+ */
+function normalizeCategory(value) {
+    const category = typeof value === "string" ? value.trim().toLowerCase() : "";
+    if (!CATEGORY_REGEX.test(category)) {
+        throw new ApiError(400, "category must be 2-50 lowercase letters, digits or underscores");
+    }
+    return category;
+}
+
+/**
+ * Load a blacklist entry
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Object>} moderation_blacklist row
+ * @throws {ApiError} 404 if it doesn't exist
+ */
+async function getEntryRow(entryId) {
+    if (!UUID_REGEX.test(entryId || "")) {
+        throw new ApiError(404, "Blacklist entry not found");
+    }
+
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_blacklist")
+        .select("*")
+        .eq("id", entryId)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch blacklist entry: ${error.message}`);
+    }
+
+    if (!row) {
+        throw new ApiError(404, "Blacklist entry not found");
+    }
+
+    return row;
+}
+
+/**
+ * Describe the fields that differ between two versions of an entry
+ * @param {Object|null} before - Previous row (null for new entries)
+ * @param {Object} after - New row
+ * @returns {Object} { field: { from, to } }
+ */
+function diffEntry(before, after) {
+    const changes = {};
+    for (const field of ["word_or_phrase", "category", "match_type", "is_active"]) {
+        const from = before ? before[field] ?? (field === "match_type" ? "word" : null) : null;
+        if (from !== after[field]) {
+            changes[field] = { from, to: after[field] };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Record blacklist changes in the audit trail
+ * The changes are already applied, so a failure is logged rather than thrown
+ * @param {Object} actor - Moderator ({ id, email })
+ * @param {Object[]} records - [{ entryId, action, changes }]
+ * @returns {Promise<void>}
+ */
+async function recordChanges(actor, records) {
+    if (records.length === 0) return;
+
+    const { error } = await supabaseAdmin.from("moderation_blacklist_changes").insert(
+        records.map(({ entryId, action, changes }) => ({
+            entry_id: entryId,
+            action,
+            changed_by: actor.id,
+            changed_by_email: actor.email,
+            changes,
+        }))
+    );
+
+    if (error) {
+        logger.error("❌ Error recording blacklist changes. Run create_moderation_admin.sql", {
+            error: error.message,
+            moderatorId: actor.id,
+            entries: records.map((record) => record.entryId),
+        });
+    }
+}
+
+/**
+ * List blacklist entries
+ * @param {Object} params
+ * @param {string} params.category - Only this category (optional)
+ * @param {string} params.active - "true" (default), "false" or "all"
+ * @param {string} params.q - Only entries containing this text (optional)
+ * @param {number|string} params.limit - Page size
+ * @param {number|string} params.offset - Entries to skip
+ * @returns {Promise<{entries: Object[], pagination: Object}>}
+ */
+export async function listEntries({ category, active, q, limit, offset }) {
+    const activeFilter = active === undefined ? "true" : active;
+    if (!["true", "false", "all"].includes(activeFilter)) {
+        throw new ApiError(400, "active must be true, false or all");
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new ApiError(400, "limit must be a positive integer");
+    }
+    const skip = offset === undefined ? 0 : parseInt(offset, 10);
+    if (!Number.isInteger(skip) || skip < 0) {
+        throw new ApiError(400, "offset must be a non-negative integer");
+    }
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+
+    let query = supabaseAdmin
+        .from("moderation_blacklist")
+        .select("*", { count: "exact" })
+        .order("category", { ascending: true })
+        .order("word_or_phrase", { ascending: true })
+        .range(skip, skip + size - 1);
+
+    if (activeFilter !== "all") {
+        query = query.eq("is_active", activeFilter === "true");
+    }
+    if (category) {
+        query = query.eq("category", normalizeCategory(category));
+    }
+    if (typeof q === "string" && q.trim()) {
+        // Escape LIKE wildcards so the search text is matched literally
+        query = query.ilike("word_or_phrase", `%${q.trim().replace(/[\\%_]/g, "\\$&")}%`);
+    }
+
+    const { data, count, error } = await query;
+
+    if (error) {
+        throw new ApiError(500, `Failed to list blacklist entries: ${error.message}`);
+    }
+
+    return {
+        entries: (data || []).map(formatEntry),
+        pagination: {
+            limit: size,
+            offset: skip,
+            total: count ?? null,
+            hasMore: count != null ? skip + size < count : (data || []).length === size,
+        },
+    };
+}
+
+/**
+ * Add a word or phrase to the blacklist
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.wordOrPhrase - Word or phrase to block
+ * @param {string} params.category - Category (defaults to "explicit")
+ * @param {string} params.matchType - "word" (default), "substring" or "regex"
+ * @returns {Promise<Object>} Formatted entry
+ * @throws {ApiError} 409 if the entry already exists
+ */
+export async function createEntry({ actor, wordOrPhrase, category = "explicit", matchType = "word" }) {
+    const entryMatchType = normalizeMatchType(matchType);
+    const phrase = normalizePhrase(wordOrPhrase, entryMatchType);
+    const entryCategory = normalizeCategory(category);
+
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_blacklist")
+        .insert({
+            word_or_phrase: phrase,
+            category: entryCategory,
+            match_type: entryMatchType,
+            is_active: true,
+            created_by: actor.email,
+            updated_by: actor.email,
+        })
+        .select()
+        .single();
+
+    if (error?.code === "23505") {
+        throw new ApiError(409, `"${phrase}" is already on the blacklist`);
+    }
+    if (error) {
+        throw new ApiError(500, `Failed to add blacklist entry: ${error.message}`);
+    }
+
+    invalidateRuleCache();
+    await recordChanges(actor, [{ entryId: row.id, action: "created", changes: diffEntry(null, row) }]);
+
+    logger.info("🛡️ Blacklist entry added", { entryId: row.id, category: entryCategory, moderatorId: actor.id });
+    return formatEntry(row);
+}
+
+/**
+ * Change a blacklist entry's text, category, match type or active flag
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.entryId - Entry ID
+ * @param {Object} params.changes - { wordOrPhrase?, category?, matchType?, isActive? }
+ * @returns {Promise<Object>} Formatted entry
+ */
+export async function updateEntry({ actor, entryId, changes = {} }) {
+    const update = {};
+    if (changes.matchType !== undefined) {
+        update.match_type = normalizeMatchType(changes.matchType);
+    }
+    if (changes.category !== undefined) {
+        update.category = normalizeCategory(changes.category);
+    }
+    if (changes.isActive !== undefined) {
+        if (typeof changes.isActive !== "boolean") {
+            throw new ApiError(400, "isActive must be a boolean");
+        }
+        update.is_active = changes.isActive;
+    }
+
+    if (Object.keys(update).length === 0 && changes.wordOrPhrase === undefined) {
+        throw new ApiError(400, "Provide wordOrPhrase, category, matchType or isActive");
+    }
+
+    const before = await getEntryRow(entryId);
+
+    // The text is checked against the entry's match type, so a new type re-checks the old text
+    if (changes.wordOrPhrase !== undefined || update.match_type !== undefined) {
+        update.word_or_phrase = normalizePhrase(
+            changes.wordOrPhrase ?? before.word_or_phrase,
+            update.match_type ?? before.match_type ?? "word"
+        );
+    }
+    const diff = diffEntry(before, { ...before, ...update });
+    if (Object.keys(diff).length === 0) {
+        return formatEntry(before);
+    }
+
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_blacklist")
+        .update({ ...update, updated_by: actor.email, updated_at: new Date().toISOString() })
+        .eq("id", before.id)
+        .select()
+        .single();
+
+    if (error?.code === "23505") {
+        throw new ApiError(409, `"${update.word_or_phrase}" is already on the blacklist`);
+    }
+    if (error) {
+        throw new ApiError(500, `Failed to update blacklist entry: ${error.message}`);
+    }
+
+    invalidateRuleCache();
+    const action = diff.is_active && !row.is_active ? "deactivated" : "updated";
+    await recordChanges(actor, [{ entryId: row.id, action, changes: diff }]);
+
+    logger.info("🛡️ Blacklist entry updated", { entryId: row.id, action, moderatorId: actor.id });
+    return formatEntry(row);
+}
+
+/**
+ * Deactivate a blacklist entry
+ * The entry stays in the list (and its history) and can be reactivated with isActive: true
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.entryId - Entry ID
+ * @returns {Promise<Object>} Formatted entry
+ */
+export async function deactivateEntry({ actor, entryId }) {
+    return updateEntry({ actor, entryId, changes: { isActive: false } });
+}
+
+/**
+ * Import many blacklist entries at once
+ * New phrases are added, existing ones are reactivated and moved to the given category and match type,
+ * and invalid items are reported without failing the rest of the import
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {Array<string|Object>} params.entries - Phrases, or { wordOrPhrase, category, matchType } objects
+ * @param {string} params.category - Category for items without one (defaults to "explicit")
+ * @param {string} params.matchType - Match type for items without one (defaults to "word")
+ * @returns {Promise<Object>} { created, updated, unchanged, invalid }
+ */
+export async function importEntries({ actor, entries, category = "explicit", matchType = "word" }) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new ApiError(400, "entries must be a non-empty array");
+    }
+    if (entries.length > MAX_IMPORT_ENTRIES) {
+        throw new ApiError(400, `At most ${MAX_IMPORT_ENTRIES} entries can be imported at once`);
+    }
+    const defaultCategory = normalizeCategory(category);
+    const defaultMatchType = normalizeMatchType(matchType);
+
+    // Later duplicates of the same phrase win
+    const wanted = new Map();
+    const invalid = [];
+    entries.forEach((item, index) => {
+        const raw = typeof item === "string" ? { wordOrPhrase: item } : item || {};
+        try {
+            const entryMatchType = raw.matchType === undefined ? defaultMatchType : normalizeMatchType(raw.matchType);
+            const phrase = normalizePhrase(raw.wordOrPhrase, entryMatchType);
+            const entryCategory = raw.category === undefined ? defaultCategory : normalizeCategory(raw.category);
+            wanted.set(phrase, { category: entryCategory, matchType: entryMatchType });
+        } catch (err) {
+            invalid.push({ index, error: err.message });
+        }
+    });
+
+    if (wanted.size === 0) {
+        return { created: [], updated: [], unchanged: 0, invalid };
+    }
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+        .from("moderation_blacklist")
+        .select("*")
+        .in("word_or_phrase", [...wanted.keys()]);
+
+    if (fetchError) {
+        throw new ApiError(500, `Failed to check existing entries: ${fetchError.message}`);
+    }
+
+    const existingByPhrase = new Map((existing || []).map((row) => [row.word_or_phrase, row]));
+    const now = new Date().toISOString();
+    const toInsert = [];
+    const toUpdate = [];
+    let unchanged = 0;
+
+    for (const [phrase, { category: entryCategory, matchType: entryMatchType }] of wanted) {
+        const row = existingByPhrase.get(phrase);
+        if (!row) {
+            toInsert.push({
+                word_or_phrase: phrase,
+                category: entryCategory,
+                match_type: entryMatchType,
+                is_active: true,
+                created_by: actor.email,
+                updated_by: actor.email,
+            });
+        } else if (row.category !== entryCategory || (row.match_type || "word") !== entryMatchType || row.is_active === false) {
+            toUpdate.push({
+                ...row,
+                category: entryCategory,
+                match_type: entryMatchType,
+                is_active: true,
+                updated_by: actor.email,
+                updated_at: now,
+            });
+        } else {
+            unchanged += 1;
+        }
+    }
+
+    let created = [];
+    if (toInsert.length > 0) {
+        const { data, error } = await supabaseAdmin.from("moderation_blacklist").insert(toInsert).select();
+        if (error) {
+            throw new ApiError(500, `Failed to import blacklist entries: ${error.message}`);
+        }
+        created = data || [];
+    }
+
+    let updated = [];
+    if (toUpdate.length > 0) {
+        const { data, error } = await supabaseAdmin
+            .from("moderation_blacklist")
+            .upsert(toUpdate, { onConflict: "id" })
+            .select();
+        if (error) {
+            throw new ApiError(500, `Failed to import blacklist entries: ${error.message}`);
+        }
+        updated = data || [];
+    }
+
+    if (created.length > 0 || updated.length > 0) {
+        invalidateRuleCache();
+    }
+
+    await recordChanges(actor, [
+        ...created.map((row) => ({
+            entryId: row.id,
+            action: "created",
+            changes: { ...diffEntry(null, row), source: "import" },
+        })),
+        ...updated.map((row) => ({
+            entryId: row.id,
+            action: "updated",
+            changes: { ...diffEntry(existingByPhrase.get(row.word_or_phrase), row), source: "import" },
+        })),
+    ]);
+
+    logger.info("🛡️ Blacklist import", {
+        moderatorId: actor.id,
+        created: created.length,
+        updated: updated.length,
+        unchanged,
+        invalid: invalid.length,
+    });
+
+    return {
+        created: created.map(formatEntry),
+        updated: updated.map(formatEntry),
+        unchanged,
+        invalid,
+    };
+}
+
+/**
+ * Get the change history of a blacklist entry, newest first
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Object[]>}
+ */
+export async function getEntryHistory(entryId) {
+    const entry = await getEntryRow(entryId);
+
+    const { data, error } = await supabaseAdmin
+        .from("moderation_blacklist_changes")
+        .select("*")
+        .eq("entry_id", entry.id)
+        .order("created_at", { ascending: false });
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch entry history: ${error.message}`);
+    }
+
+    return (data || []).map((change) => ({
+        id: change.id,
+        action: change.action,
+        changedBy: { id: change.changed_by, email: change.changed_by_email },
+        changes: change.changes,
+        createdAt: change.created_at,
+    }));
+}
+
+export default {
+    formatEntry,
+    listEntries,
+    createEntry,
+    updateEntry,
+    deactivateEntry,
+    importEntries,
+    getEntryHistory,
+};
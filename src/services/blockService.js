@@ -0,0 +1,234 @@
+/**
+ * Block Service
+ * Per-user block and mute lists with a short in-process cache
+ * Checked on every message and typing event, so lookups avoid hitting the database each time
+ */
+
+import { supabase } from "../config/supabase.js";
+import logger from "../utils/logger.js";
+
+/**
+ * How long a user's block/mute list is cached (milliseconds)
+ */
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Cache of userId -> { ids: Set<string>, expiresAt: number }
+ */
+const blockCache = new Map();
+const muteCache = new Map();
+
+/**
+ * Cache of userId -> { ids: Set<string>, expiresAt: number } of users who blocked them
+ */
+const blockedByCache = new Map();
+
+/**
+ * List configuration for blocks and mutes
+ */
+const LISTS = {
+    blocks: { table: "user_blocks", ownerColumn: "blocker_id", targetColumn: "blocked_id", cache: blockCache },
+    mutes: { table: "user_mutes", ownerColumn: "user_id", targetColumn: "muted_user_id", cache: muteCache },
+};
+
+/**
+ * Load the set of user IDs on a user's list, using the cache when fresh
+ * @param {string} listName - "blocks" or "mutes"
+ * @param {string} userId - Owner of the list
+ * @returns {Promise<Set<string>>}
+ */
+async function getListIds(listName, userId) {
+    const { table, ownerColumn, targetColumn, cache } = LISTS[listName];
+
+    const cached = cache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.ids;
+    }
+
+    const { data, error } = await supabase
+        .from(table)
+        .select(targetColumn)
+        .eq(ownerColumn, userId);
+
+    if (error) {
+        throw new Error(`Failed to load ${listName}: ${error.message}`);
+    }
+
+    const ids = new Set((data || []).map((row) => row[targetColumn]));
+    cache.set(userId, { ids, expiresAt: Date.now() + CACHE_TTL_MS });
+    return ids;
+}
+
+/**
+ * Get the IDs of users the given user has blocked
+ * @param {string} userId - Blocker's ID
+ * @returns {Promise<Set<string>>}
+ */
+export function getBlockedUserIds(userId) {
+    return getListIds("blocks", userId);
+}
+
+/**
+ * Get the IDs of users the given user has muted
+ * @param {string} userId - User's ID
+ * @returns {Promise<Set<string>>}
+ */
+export function getMutedUserIds(userId) {
+    return getListIds("mutes", userId);
+}
+
+/**
+ * Get the IDs of users who have blocked the given user
+ * @param {string} userId - Blocked user's ID
+ * @returns {Promise<Set<string>>}
+ */
+async function getBlockedByUserIds(userId) {
+    const cached = blockedByCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.ids;
+    }
+
+    const { data, error } = await supabase
+        .from("user_blocks")
+        .select("blocker_id")
+        .eq("blocked_id", userId);
+
+    if (error) {
+        throw new Error(`Failed to load blocks: ${error.message}`);
+    }
+
+    const ids = new Set((data || []).map((row) => row.blocker_id));
+    blockedByCache.set(userId, { ids, expiresAt: Date.now() + CACHE_TTL_MS });
+    return ids;
+}
+
+/**
+ * Get the IDs of users in a block relationship with the given user, in either direction
+ * @param {string} userId - User ID
+ * @returns {Promise<Set<string>>}
+ */
+export async function getBlockRelatedUserIds(userId) {
+    const [blocked, blockedBy] = await Promise.all([getBlockedUserIds(userId), getBlockedByUserIds(userId)]);
+    return new Set([...blocked, ...blockedBy]);
+}
+
+/**
+ * Whether either user has blocked the other
+ * Fails closed: if the lists can't be read, the pair is treated as blocked
+ * @param {string} userA - User ID
+ * @param {string} userB - User ID
+ * @returns {Promise<boolean>}
+ */
+export async function isBlockedEitherWay(userA, userB) {
+    if (!userA || !userB) return false;
+    try {
+        const [aBlocks, bBlocks] = await Promise.all([getBlockedUserIds(userA), getBlockedUserIds(userB)]);
+        return aBlocks.has(userB) || bBlocks.has(userA);
+    } catch (err) {
+        logger.error("Error checking blocks", err);
+        return true;
+    }
+}
+
+/**
+ * Whether a user has muted another user
+ * Fails open: if the list can't be read, the user is treated as not muted
+ * @param {string} userId - User who may have muted
+ * @param {string} otherUserId - Possibly muted user
+ * @returns {Promise<boolean>}
+ */
+export async function hasMuted(userId, otherUserId) {
+    if (!userId || !otherUserId) return false;
+    try {
+        return (await getMutedUserIds(userId)).has(otherUserId);
+    } catch (err) {
+        logger.error("Error checking mutes", err);
+        return false;
+    }
+}
+
+/**
+ * Add a user to a list
+ * @param {string} listName - "blocks" or "mutes"
+ * @param {string} userId - Owner of the list
+ * @param {string} targetUserId - User to add
+ * @returns {Promise<Object>} Saved row
+ */
+export async function addToList(listName, userId, targetUserId) {
+    const { table, ownerColumn, targetColumn, cache } = LISTS[listName];
+
+    const { data, error } = await supabase
+        .from(table)
+        .upsert({ [ownerColumn]: userId, [targetColumn]: targetUserId }, { onConflict: `${ownerColumn},${targetColumn}` })
+        .select()
+        .single();
+
+    cache.delete(userId);
+    if (listName === "blocks") blockedByCache.delete(targetUserId);
+
+    if (error) {
+        throw new Error(`Failed to update ${listName}: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Remove a user from a list
+ * @param {string} listName - "blocks" or "mutes"
+ * @param {string} userId - Owner of the list
+ * @param {string} targetUserId - User to remove
+ * @returns {Promise<boolean>} Whether a row was removed
+ */
+export async function removeFromList(listName, userId, targetUserId) {
+    const { table, ownerColumn, targetColumn, cache } = LISTS[listName];
+
+    const { data, error } = await supabase
+        .from(table)
+        .delete()
+        .eq(ownerColumn, userId)
+        .eq(targetColumn, targetUserId)
+        .select("id");
+
+    cache.delete(userId);
+    if (listName === "blocks") blockedByCache.delete(targetUserId);
+
+    if (error) {
+        throw new Error(`Failed to update ${listName}: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+}
+
+/**
+ * Get the rows on a user's list, newest first
+ * @param {string} listName - "blocks" or "mutes"
+ * @param {string} userId - Owner of the list
+ * @returns {Promise<Object[]>}
+ */
+export async function getList(listName, userId) {
+    const { table, ownerColumn } = LISTS[listName];
+
+    const { data, error } = await supabase
+        .from(table)
+        .select("*")
+        .eq(ownerColumn, userId)
+        .order("created_at", { ascending: false });
+
+    if (error) {
+        throw new Error(`Failed to load ${listName}: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+export default {
+    getBlockedUserIds,
+    getMutedUserIds,
+    getBlockRelatedUserIds,
+    isBlockedEitherWay,
+    hasMuted,
+    addToList,
+    removeFromList,
+    getList,
+};
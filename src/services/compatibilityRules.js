@@ -0,0 +1,182 @@
+/**
+ * Compatibility Rules
+ * Classifies IP licensing stances and data sharing constraints from questionnaire answers
+ * and decides whether two researchers can legally collaborate
+ */
+
+/**
+ * Text just before a match that negates it ("non-exclusive", "no patents", "not confidential",
+ * "not strictly exclusive"), so the match doesn't count
+ */
+const NEGATION = /(?:\bnon[\s-]?|\b(?:no|not|without|never|isn't|aren't|doesn't|don't)\s+(?:\w+\s+)?)$/;
+
+/**
+ * How far back to look for a negation
+ */
+const NEGATION_WINDOW = 30;
+
+/**
+ * IP licensing stance categories, matched against the lowercase answer text
+ * The first matching category wins, so stricter categories come first
+ * A negated match ("non-exclusive", "no patents") is ignored
+ */
+const IP_STANCES = [
+    { id: "open_only", patterns: [/open[\s-]?source only/, /only open[\s-]?source/, /must be open/, /open licen[cs]es? only/, /copyleft/, /\bgpl\b/] },
+    { id: "exclusive", patterns: [/exclusive/, /proprietary/, /closed[\s-]?source/, /company[\s-]owned/, /employer owns/] },
+    { id: "patent", patterns: [/patent/] },
+    { id: "open", patterns: [/open[\s-]?source/, /open access/, /permissive/, /\bmit\b/, /apache/, /creative commons/, /\bcc[\s-]by\b/, /public domain/] },
+    { id: "negotiable", patterns: [/negotiable/, /flexible/, /case[\s-]by[\s-]case/, /joint ownership/, /shared ownership/, /open to discuss/] },
+];
+
+/**
+ * Data sharing constraint categories
+ * Unlike IP stances, an answer can match several of these
+ * A negated match ("not confidential") is ignored
+ */
+const DATA_CONSTRAINTS = [
+    { id: "no_sharing", patterns: [/cannot share/, /can't share/, /no data sharing/, /not able to share/, /confidential/, /classified/, /\bnda\b/] },
+    { id: "export_controlled", patterns: [/export[\s-]control/, /\bitar\b/] },
+    { id: "on_premise", patterns: [/on[\s-]?prem/, /cannot leave/, /can't leave/, /stays? on[\s-]site/, /federated/, /local only/] },
+    { id: "regulated", patterns: [/hipaa/, /gdpr/, /patient data/, /personal data/, /\birb\b/, /ethics approval/] },
+    { id: "anonymized", patterns: [/anonymi[sz]ed/, /de[\s-]?identified/, /aggregated/] },
+    { id: "open_data", patterns: [/open data/, /publish (all |the )?data/, /data must be (public|published|open)/, /public datasets? only/, /fair data/] },
+];
+
+/**
+ * Pairwise rules between two users' categories
+ * "exclude" drops the pair entirely; "penalize" multiplies the score by `multiplier`
+ */
+const IP_RULES = [
+    { a: "open_only", b: "exclusive", effect: "exclude", reason: "IP stances conflict: open-source-only vs exclusive licensing" },
+    { a: "open_only", b: "patent", effect: "exclude", reason: "IP stances conflict: open-source-only vs patent-based licensing" },
+    { a: "open", b: "exclusive", effect: "penalize", multiplier: 0.6, reason: "IP stances differ: open-source vs exclusive licensing" },
+    { a: "open", b: "patent", effect: "penalize", multiplier: 0.8, reason: "IP stances differ: open-source vs patent-based licensing" },
+];
+
+const DATA_RULES = [
+    { a: "open_data", b: "no_sharing", effect: "exclude", reason: "Data sharing constraints conflict: open data required vs no data sharing allowed" },
+    { a: "open_data", b: "export_controlled", effect: "exclude", reason: "Data sharing constraints conflict: open data required vs export-controlled data" },
+    { a: "open_data", b: "on_premise", effect: "penalize", multiplier: 0.6, reason: "Data sharing constraints differ: open data required vs data must stay on-premise" },
+    { a: "open_data", b: "regulated", effect: "penalize", multiplier: 0.7, reason: "Data sharing constraints differ: open data required vs regulated personal data" },
+];
+
+/**
+ * Flatten an answer (string, array or object) into lowercase text
+ * @param {*} value - Raw answer value
+ * @returns {string}
+ */
+function answerText(value) {
+    if (value === null || value === undefined) return "";
+    if (Array.isArray(value)) return value.map(answerText).join(" ");
+    if (typeof value === "object") return Object.values(value).map(answerText).join(" ");
+    return String(value).toLowerCase();
+}
+
+/**
+ * Whether a pattern matches the text anywhere it isn't negated
+ * @param {RegExp} pattern - Category pattern
+ * @param {string} text - Lowercase answer text
+ * @returns {boolean}
+ */
+function matchesAffirmed(pattern, text) {
+    const global = new RegExp(pattern.source, "g");
+    for (const match of text.matchAll(global)) {
+        const before = text.slice(Math.max(0, match.index - NEGATION_WINDOW), match.index);
+        if (!NEGATION.test(before)) return true;
+    }
+    return false;
+}
+
+/**
+ * Classify an IP licensing stance answer
+ * @param {*} value - ip_licensing_stance answer
+ * @returns {string|null} Category id, or null if the stance is unknown
+ */
+export function classifyIpStance(value) {
+    const text = answerText(value);
+    if (!text) return null;
+    const stance = IP_STANCES.find(({ patterns }) => patterns.some((p) => matchesAffirmed(p, text)));
+    return stance ? stance.id : null;
+}
+
+/**
+ * Classify a data sharing constraints answer
+ * @param {*} value - data_sharing_constraints answer
+ * @returns {Set<string>} Matching category ids
+ */
+export function classifyDataConstraints(value) {
+    const text = answerText(value);
+    return new Set(
+        DATA_CONSTRAINTS.filter(({ patterns }) => patterns.some((p) => matchesAffirmed(p, text))).map(({ id }) => id)
+    );
+}
+
+/**
+ * Build the constraint profile for a questionnaire response
+ * @param {Object} response - questionnaire_responses row
+ * @returns {{ipStance: string|null, dataConstraints: Set<string>}}
+ */
+export function buildConstraintProfile(response) {
+    return {
+        ipStance: classifyIpStance(response.ip_licensing_stance),
+        dataConstraints: classifyDataConstraints(response.data_sharing_constraints),
+    };
+}
+
+/**
+ * Whether a symmetric rule applies to two sets of categories
+ * @param {Object} rule - Rule with `a` and `b` categories
+ * @param {Set<string>} mine - Categories of the first user
+ * @param {Set<string>} theirs - Categories of the second user
+ * @returns {boolean}
+ */
+function ruleApplies(rule, mine, theirs) {
+    return (mine.has(rule.a) && theirs.has(rule.b)) || (mine.has(rule.b) && theirs.has(rule.a));
+}
+
+/**
+ * Evaluate compatibility rules between two constraint profiles
+ * @param {Object} a - Constraint profile from buildConstraintProfile
+ * @param {Object} b - Constraint profile from buildConstraintProfile
+ * @returns {{excluded: boolean, multiplier: number, reasons: Object[]}}
+ */
+export function evaluateConstraints(a, b) {
+    const result = { excluded: false, multiplier: 1, reasons: [] };
+
+    const checks = [
+        {
+            field: "ip_licensing_stance",
+            rules: IP_RULES,
+            mine: new Set(a.ipStance ? [a.ipStance] : []),
+            theirs: new Set(b.ipStance ? [b.ipStance] : []),
+        },
+        {
+            field: "data_sharing_constraints",
+            rules: DATA_RULES,
+            mine: a.dataConstraints,
+            theirs: b.dataConstraints,
+        },
+    ];
+
+    for (const { field, rules, mine, theirs } of checks) {
+        for (const rule of rules) {
+            if (!ruleApplies(rule, mine, theirs)) continue;
+
+            result.reasons.push({ field, effect: rule.effect, reason: rule.reason });
+            if (rule.effect === "exclude") {
+                result.excluded = true;
+            } else {
+                result.multiplier *= rule.multiplier;
+            }
+        }
+    }
+
+    return result;
+}
+
+export default {
+    classifyIpStance,
+    classifyDataConstraints,
+    buildConstraintProfile,
+    evaluateConstraints,
+};
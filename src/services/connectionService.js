@@ -0,0 +1,207 @@
+/**
+ * Connection Service
+ * Shared connection-request checks used by REST controllers and the socket layer
+ */
+
+import { supabase } from "../config/supabase.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+
+/**
+ * Connection statuses that still occupy the pair (only one may exist at a time)
+ */
+export const OPEN_STATUSES = ["pending", "accepted"];
+
+/**
+ * Column matches for a connection between two users in either direction
+ * The other user may be identified by ID, email, or both. Each match is run as its own
+ * .match() query, so IDs and emails are sent as values and never spliced into a filter string.
+ * @param {Object} params
+ * @param {string} params.userId - Current user's ID
+ * @param {string} params.userEmail - Current user's email
+ * @param {string|null} params.otherUserId - Other user's ID
+ * @param {string|null} params.otherEmail - Other user's email
+ * @returns {Object[]} [{ column: value }]
+ */
+function pairConditions({ userId, userEmail, otherUserId, otherEmail }) {
+    const conditions = [];
+    if (otherUserId) {
+        conditions.push({ requester_id: userId, recipient_id: otherUserId });
+        conditions.push({ requester_id: otherUserId, recipient_id: userId });
+        if (userEmail) {
+            conditions.push({ requester_id: otherUserId, recipient_email: userEmail.toLowerCase() });
+        }
+    }
+    if (otherEmail) {
+        conditions.push({ requester_id: userId, recipient_email: otherEmail.toLowerCase() });
+    }
+    return conditions;
+}
+
+/**
+ * Find the connection between two users in either direction
+ * @param {Object} pair - See pairConditions
+ * @param {string[]} statuses - Statuses to consider
+ * @returns {Promise<Object|null>} Most recent matching connection row
+ */
+export async function findConnectionBetween(pair, statuses = OPEN_STATUSES) {
+    const conditions = pairConditions(pair);
+    if (conditions.length === 0) return null;
+
+    const results = await Promise.all(
+        conditions.map((condition) =>
+            supabase
+                .from("connections")
+                .select("*")
+                .match(condition)
+                .in("status", statuses)
+                .order("created_at", { ascending: false })
+                .limit(1)
+        )
+    );
+
+    const failed = results.find((result) => result.error);
+    if (failed) {
+        throw new Error(`Failed to look up connection: ${failed.error.message}`);
+    }
+
+    const rows = results.flatMap((result) => result.data || []);
+    rows.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    return rows[0] || null;
+}
+
+/**
+ * Whether a conversation already exists between two users
+ * Conversations created before connection requests existed stay open.
+ * A registered receiver is matched by ID only; the email is used only for receivers without an account.
+ * @param {Object} params
+ * @param {string} params.senderId - Sender's ID
+ * @param {string|null} params.receiverId - Receiver's ID
+ * @param {string|null} params.receiverEmail - Receiver's email
+ * @returns {Promise<boolean>}
+ */
+export async function conversationExists({ senderId, receiverId, receiverEmail }) {
+    const conditions = receiverId
+        ? [
+            { user1_id: senderId, user2_id: receiverId },
+            { user1_id: receiverId, user2_id: senderId },
+        ]
+        : receiverEmail
+            ? [{ user1_id: senderId, user2_email: receiverEmail }]
+            : [];
+    if (conditions.length === 0) return false;
+
+    const results = await Promise.all(
+        conditions.map((condition) => supabase.from("conversations").select("id").match(condition).limit(1))
+    );
+
+    const failed = results.find((result) => result.error);
+    if (failed) {
+        throw new Error(`Failed to look up conversation: ${failed.error.message}`);
+    }
+
+    return results.some((result) => (result.data || []).length > 0);
+}
+
+/**
+ * Whether a sender may message a receiver
+ * Allowed if a conversation already exists or the two have an accepted connection
+ * @param {Object} params
+ * @param {string} params.senderId - Sender's ID
+ * @param {string} params.senderEmail - Sender's email
+ * @param {string|null} params.receiverId - Receiver's ID
+ * @param {string|null} params.receiverEmail - Receiver's email
+ * @returns {Promise<boolean>}
+ */
+export async function canStartConversation({ senderId, senderEmail, receiverId, receiverEmail }) {
+    if (receiverId && receiverId === senderId) {
+        return true;
+    }
+
+    try {
+        if (await conversationExists({ senderId, receiverId, receiverEmail })) {
+            return true;
+        }
+
+        const connection = await findConnectionBetween(
+            { userId: senderId, userEmail: senderEmail, otherUserId: receiverId, otherEmail: receiverEmail },
+            ["accepted"]
+        );
+        return !!connection;
+    } catch (err) {
+        // Fail closed - without a verified connection the message is refused
+        logger.error("Error checking connection before messaging", err);
+        return false;
+    }
+}
+
+/**
+ * Format a connection row for API responses and socket events
+ * @param {Object} connection - connections row
+ * @returns {Object}
+ */
+export function formatConnection(connection) {
+    return {
+        id: connection.id,
+        requesterId: connection.requester_id,
+        recipientId: connection.recipient_id,
+        recipientEmail: connection.recipient_email,
+        status: connection.status,
+        message: connection.message,
+        createdAt: connection.created_at,
+        respondedAt: connection.responded_at,
+        expiresAt: connection.expires_at,
+    };
+}
+
+/**
+ * Notify both sides of a connection about a status change
+ * @param {Object} connection - connections row
+ */
+export function notifyConnectionUpdated(connection) {
+    const payload = formatConnection(connection);
+    emitToUser(connection.requester_id, "connection_updated", payload);
+    if (connection.recipient_id) {
+        emitToUser(connection.recipient_id, "connection_updated", payload);
+    }
+}
+
+/**
+ * Mark pending requests past their expiry as expired
+ * Runs lazily before connections are read or answered
+ * @returns {Promise<number>} Number of expired requests
+ */
+export async function expireStaleConnections() {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from("connections")
+        .update({ status: "expired", responded_at: now, updated_at: now })
+        .eq("status", "pending")
+        .lt("expires_at", now)
+        .select();
+
+    if (error) {
+        logger.error("Error expiring stale connection requests", error);
+        return 0;
+    }
+
+    for (const connection of data || []) {
+        notifyConnectionUpdated(connection);
+    }
+
+    if (data?.length) {
+        logger.info("Expired stale connection requests", { count: data.length });
+    }
+
+    return data?.length || 0;
+}
+
+export default {
+    findConnectionBetween,
+    conversationExists,
+    canStartConversation,
+    formatConnection,
+    notifyConnectionUpdated,
+    expireStaleConnections,
+};
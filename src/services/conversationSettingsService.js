@@ -0,0 +1,211 @@
+/**
+ * Conversation Settings Service
+ * Per-user archive, pin, mute and label settings for conversations
+ */
+
+import { supabase } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+import { getGroupMembership } from "./groupService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+const MAX_LABEL_LENGTH = 50;
+
+/**
+ * Settings of a conversation the user never changed
+ */
+const DEFAULT_SETTINGS = {
+    archived: false,
+    archivedAt: null,
+    pinned: false,
+    pinnedAt: null,
+    muted: false,
+    label: null,
+};
+
+/**
+ * Format a settings row for API responses
+ * @param {Object|undefined} row - conversation_settings row
+ * @returns {Object}
+ */
+export function formatSettings(row) {
+    if (!row) return { ...DEFAULT_SETTINGS };
+    return {
+        archived: !!row.archived_at,
+        archivedAt: row.archived_at,
+        pinned: !!row.pinned_at,
+        pinnedAt: row.pinned_at,
+        muted: row.muted,
+        label: row.label,
+    };
+}
+
+/**
+ * Load all of a user's conversation settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Map<string, Object>>} conversationId -> conversation_settings row
+ */
+export async function getSettingsMap(userId) {
+    const { data, error } = await supabase
+        .from("conversation_settings")
+        .select("*")
+        .eq("user_id", userId);
+
+    if (error) {
+        throw new Error(`Failed to load conversation settings: ${error.message}`);
+    }
+
+    return new Map((data || []).map((row) => [row.conversation_id, row]));
+}
+
+/**
+ * Get the IDs of conversations a user has muted
+ * @param {string} userId - User ID
+ * @returns {Promise<Set<string>>}
+ */
+export async function getMutedConversationIds(userId) {
+    const { data, error } = await supabase
+        .from("conversation_settings")
+        .select("conversation_id")
+        .eq("user_id", userId)
+        .eq("muted", true);
+
+    if (error) {
+        throw new Error(`Failed to load muted conversations: ${error.message}`);
+    }
+
+    return new Set((data || []).map((row) => row.conversation_id));
+}
+
+/**
+ * Whether a user has muted a conversation
+ * Errors count as not muted, so a settings lookup never stops delivery
+ * @param {string|null} userId - User ID
+ * @param {string|null} conversationId - Conversation ID
+ * @returns {Promise<boolean>}
+ */
+export async function isConversationMuted(userId, conversationId) {
+    if (!userId || !conversationId) return false;
+
+    const { data, error } = await supabase
+        .from("conversation_settings")
+        .select("muted")
+        .eq("user_id", userId)
+        .eq("conversation_id", conversationId)
+        .maybeSingle();
+
+    if (error) {
+        logger.warn("Error checking conversation mute", { error: error.message });
+        return false;
+    }
+
+    return !!data?.muted;
+}
+
+/**
+ * Check that a user participates in a conversation (direct or group)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ * @throws {ApiError} 404 if the conversation isn't visible to the user
+ */
+async function requireParticipant(conversationId, userId) {
+    if (!UUID_REGEX.test(conversationId || "")) {
+        throw new ApiError(404, "Conversation not found");
+    }
+
+    const { data: conversation, error } = await supabase
+        .from("conversations")
+        .select("id")
+        .eq("id", conversationId)
+        .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch conversation: ${error.message}`);
+    }
+
+    if (!conversation && !(await getGroupMembership(conversationId, userId))) {
+        throw new ApiError(404, "Conversation not found");
+    }
+}
+
+/**
+ * Change a user's settings for a conversation
+ * Only the fields present in changes are updated; the user's other devices are notified
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.conversationId - Conversation ID
+ * @param {Object} params.changes - { archived?, pinned?, muted?, label? }
+ * @returns {Promise<Object>} The updated settings
+ */
+export async function updateSettings({ userId, conversationId, changes }) {
+    const { archived, pinned, muted, label } = changes || {};
+    const update = {};
+
+    for (const [name, value] of Object.entries({ archived, pinned, muted })) {
+        if (value !== undefined && typeof value !== "boolean") {
+            throw new ApiError(400, `${name} must be a boolean`);
+        }
+    }
+
+    if (label !== undefined) {
+        if (label !== null && typeof label !== "string") {
+            throw new ApiError(400, "label must be a string or null");
+        }
+        const trimmed = label?.trim() || null;
+        if (trimmed && trimmed.length > MAX_LABEL_LENGTH) {
+            throw new ApiError(400, `label must be at most ${MAX_LABEL_LENGTH} characters`);
+        }
+        update.label = trimmed;
+    }
+
+    const now = new Date().toISOString();
+    if (archived !== undefined) update.archived_at = archived ? now : null;
+    if (pinned !== undefined) update.pinned_at = pinned ? now : null;
+    if (muted !== undefined) update.muted = muted;
+
+    if (Object.keys(update).length === 0) {
+        throw new ApiError(400, "Provide at least one of archived, pinned, muted or label");
+    }
+
+    await requireParticipant(conversationId, userId);
+
+    // Re-archiving or re-pinning keeps the original time
+    const { data: existing } = await supabase
+        .from("conversation_settings")
+        .select("*")
+        .eq("user_id", userId)
+        .eq("conversation_id", conversationId)
+        .maybeSingle();
+
+    if (existing?.archived_at && update.archived_at) update.archived_at = existing.archived_at;
+    if (existing?.pinned_at && update.pinned_at) update.pinned_at = existing.pinned_at;
+
+    const { data: row, error } = await supabase
+        .from("conversation_settings")
+        .upsert(
+            { user_id: userId, conversation_id: conversationId, ...update, updated_at: now },
+            { onConflict: "user_id,conversation_id" }
+        )
+        .select()
+        .single();
+
+    if (error) {
+        throw new ApiError(500, `Failed to update conversation settings: ${error.message}`);
+    }
+
+    const settings = formatSettings(row);
+    emitToUser(userId, "conversation_settings_updated", { conversationId, settings });
+
+    return settings;
+}
+
+export default {
+    formatSettings,
+    getSettingsMap,
+    getMutedConversationIds,
+    isConversationMuted,
+    updateSettings,
+};
@@ -0,0 +1,133 @@
+/**
+ * Delivery Service
+ * Formats messages for clients and delivers messages that arrived while their receiver was offline
+ */
+
+import { supabase } from "../config/supabase.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+import { getBlockedUserIds, getMutedUserIds } from "./blockService.js";
+import { getMutedConversationIds } from "./conversationSettingsService.js";
+import { loadMessageDetails } from "./messageDetailsService.js";
+
+/**
+ * Maximum number of undelivered messages replayed per connection
+ * Anything older is still available through GET /conversations/:id/messages
+ */
+const MAX_REPLAY_MESSAGES = 500;
+
+/**
+ * Format a messages row for frontend consumption
+ * Deleted messages are returned as tombstones without content
+ * @param {Object} message - messages row
+ * @param {Object} options
+ * @param {boolean} options.muted - Whether the receiver has muted the sender or the conversation
+ * @param {Object[]} options.attachments - Formatted attachments of the message
+ * @param {Object|null} options.replyTo - Quoted preview of the replied-to message
+ * @param {Object[]} options.reactions - Aggregated reactions
+ * @returns {Object}
+ */
+export function formatMessageForClient(message, { muted = false, attachments = [], replyTo = null, reactions = [] } = {}) {
+    const content = message.deleted_at ? "" : message.content;
+    return {
+        id: message.id,
+        text: content,
+        content,
+        sender_id: message.sender_id,
+        sender_email: message.sender_email,
+        receiver_email: message.receiver_email,
+        receiver_id: message.receiver_id,
+        conversation_id: message.conversation_id,
+        timestamp: message.created_at,
+        created_at: message.created_at,
+        status: message.status || "sent",
+        edited_at: message.edited_at || null,
+        deleted: !!message.deleted_at,
+        deleted_at: message.deleted_at || null,
+        attachments: message.deleted_at ? [] : attachments,
+        reply_to_id: message.reply_to_id || null,
+        reply_to: replyTo,
+        reactions: message.deleted_at ? [] : reactions,
+        muted,
+    };
+}
+
+/**
+ * Deliver messages that were sent to a user while they were offline
+ * Messages are claimed by moving them from 'sent' to 'delivered' first, so a user connecting
+ * several devices (or instances) at once never receives the same message twice; claimed
+ * messages go to every device in the user's room
+ * @param {string} userId - Receiver's user ID
+ * @returns {Promise<number>} Number of messages delivered
+ */
+export async function deliverPendingMessages(userId) {
+    const { data: pending, error } = await supabase
+        .from("messages")
+        .select("id, sender_id")
+        .eq("receiver_id", userId)
+        .eq("status", "sent")
+        .order("created_at", { ascending: true })
+        .limit(MAX_REPLAY_MESSAGES);
+
+    if (error) {
+        throw new Error(`Failed to load undelivered messages: ${error.message}`);
+    }
+
+    if (!pending || pending.length === 0) {
+        return 0;
+    }
+
+    // Messages from users the receiver has blocked stay undelivered
+    const [blocked, muted, mutedConversations] = await Promise.all([
+        getBlockedUserIds(userId),
+        getMutedUserIds(userId),
+        getMutedConversationIds(userId).catch((err) => {
+            logger.warn("Error loading muted conversations", { error: err.message });
+            return new Set();
+        }),
+    ]);
+    const ids = pending.filter((message) => !blocked.has(message.sender_id)).map((message) => message.id);
+
+    if (ids.length === 0) {
+        return 0;
+    }
+
+    const { data: claimed, error: claimError } = await supabase
+        .from("messages")
+        .update({
+            status: "delivered",
+            delivered_at: new Date().toISOString(),
+        })
+        .in("id", ids)
+        .eq("status", "sent")
+        .select();
+
+    if (claimError) {
+        throw new Error(`Failed to mark messages as delivered: ${claimError.message}`);
+    }
+
+    const delivered = (claimed || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const detailsFor = await loadMessageDetails(delivered);
+
+    for (const message of delivered) {
+        emitToUser(userId, "receive_message", formatMessageForClient(message, {
+            muted: muted.has(message.sender_id) || mutedConversations.has(message.conversation_id),
+            ...detailsFor(message),
+        }));
+        emitToUser(message.sender_id, "message_status_update", {
+            messageId: message.id,
+            status: "delivered",
+        });
+    }
+
+    if (delivered.length > 0) {
+        logger.info(`📬 Delivered ${delivered.length} offline message(s) to user ${userId}`);
+    }
+
+    return delivered.length;
+}
+
+export default {
+    formatMessageForClient,
+    deliverPendingMessages,
+};
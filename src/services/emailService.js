@@ -132,54 +132,163 @@ function createTransporter() {
 }
 
 /**
- * Send contact form email
- * @param {Object} emailData - Email data
- * @param {string} emailData.from - Sender email
- * @param {string} emailData.fromName - Sender name
- * @param {string} emailData.to - Recipient email
- * @param {string} emailData.subject - Email subject
- * @param {string} emailData.message - Email message body
- * @param {string} emailData.userEmail - User's email (for reply-to)
- * @param {string} emailData.userName - User's name
- * @returns {Promise<void>}
+ * Escape text for use inside an HTML email
+ * @param {string} value - Raw text
+ * @returns {string}
  */
-export async function sendContactEmail({ from, fromName, to, subject, message, userEmail, userName }) {
-    const transporter = createTransporter();
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
 
-    // If no transporter (dev mode without SMTP), just log
-    if (!transporter) {
-        logger.info("📧 Email (not sent - dev mode):", {
+/**
+ * A single plain address, with nothing that could end or extend a MIME header
+ */
+const RECIPIENT_REGEX = /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;]+$/;
+
+/**
+ * Longest an SMTP send may take before it is reported as failed
+ */
+const SMTP_SEND_TIMEOUT_MS = 15000;
+
+/**
+ * Send an email through the configured service (Gmail API, SendGrid or SMTP)
+ * The recipient and subject go into raw MIME headers for the Gmail API, so the recipient must be
+ * a plain address and line breaks are removed from the subject
+ * @param {Object} email - Email data
+ * @param {string} email.to - Recipient
+ * @param {string} email.subject - Subject line
+ * @param {string} email.html - HTML body
+ * @param {string} email.text - Plain-text body
+ * @param {string} email.replyTo - Optional Reply-To address, checked like the recipient
+ * @returns {Promise<boolean>} Whether the email was handed to a mail service
+ * @throws {Error} If the recipient or Reply-To isn't a single valid address
+ */
+async function sendEmail({ to, subject: rawSubject, html, text, replyTo }) {
+    if (typeof to !== "string" || !RECIPIENT_REGEX.test(to)) {
+        throw new Error("Invalid recipient address");
+    }
+    if (replyTo !== undefined && (typeof replyTo !== "string" || !RECIPIENT_REGEX.test(replyTo))) {
+        throw new Error("Invalid reply-to address");
+    }
+    const subject = String(rawSubject).replace(/[\r\n]+/g, " ");
+
+    if (emailService === "gmail_api" && gmailClient) {
+        const fromEmail = process.env.GMAIL_USER_EMAIL || "ieeemetaverse@gmail.com";
+        const message = [
+            `From: IEEE Matchmaking Platform <${fromEmail}>`,
+            `To: ${to}`,
+            ...(replyTo ? [`Reply-To: ${replyTo}`] : []),
+            `Subject: ${encodeSubject(subject)}`,
+            `MIME-Version: 1.0`,
+            `Content-Type: multipart/alternative; boundary="boundary123"`,
+            ``,
+            `--boundary123`,
+            `Content-Type: text/plain; charset=utf-8`,
+            ``,
+            text,
+            ``,
+            `--boundary123`,
+            `Content-Type: text/html; charset=utf-8`,
+            ``,
+            html,
+            ``,
+            `--boundary123--`,
+        ].join("\r\n");
+
+        // Encode message in base64url format (Gmail API requirement)
+        const encodedMessage = Buffer.from(message)
+            .toString("base64")
+            .replace(/\+/g, "-")
+            .replace(/\//g, "_")
+            .replace(/=+$/, "");
+
+        await gmailClient.users.messages.send({
+            userId: "me",
+            requestBody: { raw: encodedMessage },
+        });
+        return true;
+    }
+
+    if (emailService === "sendgrid" && process.env.SENDGRID_API_KEY) {
+        await sgMail.send({
             to,
+            from: process.env.SENDGRID_FROM_EMAIL || "ieeemetaverse@gmail.com",
+            replyTo,
             subject,
-            from: `${fromName} <${from}>`,
-            message,
+            html,
+            text,
         });
-        return;
+        return true;
     }
 
-    const mailOptions = {
-        from: `${fromName} <${from}>`,
-        to,
-        replyTo: userEmail,
-        subject,
-        html: `
+    const transporter = createTransporter();
+    if (!transporter) {
+        logger.info("📧 Email (not sent - no email service configured):", { to, subject });
+        return false;
+    }
+
+    // The transporter has its own timeouts, but a stuck pool must not hold the caller forever
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(
+            () => reject(new Error(`Email send timeout after ${SMTP_SEND_TIMEOUT_MS / 1000} seconds`)),
+            SMTP_SEND_TIMEOUT_MS
+        );
+    });
+    try {
+        await Promise.race([
+            transporter.sendMail({
+                from: `IEEE Matchmaking Platform <${process.env.SMTP_USER}>`,
+                to,
+                replyTo,
+                subject,
+                html,
+                text,
+            }),
+            timeout,
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+    return true;
+}
+
+/**
+ * Send a contact form submission to the support address
+ * It is sent from the platform with Reply-To set to the user, since mail services reject
+ * senders they can't vouch for
+ * @param {Object} emailData - Email data
+ * @param {string} emailData.to - Support address
+ * @param {string} emailData.subject - Email subject
+ * @param {string} emailData.message - Email message body
+ * @param {string} emailData.userEmail - User's email (for reply-to)
+ * @param {string} emailData.userName - User's name
+ * @returns {Promise<boolean>} Whether the email was handed to a mail service
+ */
+export async function sendContactEmail({ to, subject, message, userEmail, userName }) {
+    const html = `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                 <h2 style="color: #1e293b;">Contact Form Submission</h2>
                 <div style="background: #f8fafc; padding: 1.5rem; border-radius: 8px; margin: 1rem 0;">
-                    <p><strong>From:</strong> ${userName} (${userEmail})</p>
-                    <p><strong>Subject:</strong> ${subject}</p>
+                    <p><strong>From:</strong> ${escapeHtml(userName)} (${escapeHtml(userEmail)})</p>
+                    <p><strong>Subject:</strong> ${escapeHtml(subject)}</p>
                 </div>
                 <div style="background: #ffffff; padding: 1.5rem; border: 1px solid #e2e8f0; border-radius: 8px;">
                     <h3 style="color: #1e293b; margin-top: 0;">Message:</h3>
-                    <p style="white-space: pre-wrap; color: #334155; line-height: 1.6;">${message}</p>
+                    <p style="white-space: pre-wrap; color: #334155; line-height: 1.6;">${escapeHtml(message)}</p>
                 </div>
                 <div style="margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid #e2e8f0; color: #64748b; font-size: 0.875rem;">
                     <p>This email was sent from the IEEE Matchmaking Platform contact form.</p>
-                    <p>To reply, simply reply to this email or send to: ${userEmail}</p>
+                    <p>To reply, simply reply to this email or send to: ${escapeHtml(userEmail)}</p>
                 </div>
             </div>
-        `,
-        text: `
+        `;
+
+    const text = `
 Contact Form Submission
 
 From: ${userName} (${userEmail})
@@ -191,18 +300,16 @@ ${message}
 ---
 This email was sent from the IEEE Matchmaking Platform contact form.
 To reply, send an email to: ${userEmail}
-        `.trim(),
-    };
+        `.trim();
 
     try {
-        const info = await transporter.sendMail(mailOptions);
-        logger.info("Contact email sent successfully", {
-            messageId: info.messageId,
-            to,
-        });
-        return info;
+        const sent = await sendEmail({ to, subject, html, text, replyTo: userEmail });
+        if (sent) {
+            logger.info("Contact email sent successfully", { to });
+        }
+        return sent;
     } catch (error) {
-        logger.error("Error sending contact email", error);
+        logger.error("Error sending contact email", { to, error: error.message });
         throw error;
     }
 }
@@ -217,7 +324,7 @@ To reply, send an email to: ${userEmail}
  * @param {string} alertData.messageContent - Blocked message content
  * @param {string} alertData.blockedReason - Reason for blocking
  * @param {string} alertData.timestamp - Timestamp of blocked message
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} Whether the email was handed to a mail service
  */
 export async function sendModerationAlert({
     senderName,
@@ -228,9 +335,9 @@ export async function sendModerationAlert({
     blockedReason,
     timestamp,
 }) {
-    const moderationEmail = process.env.MODERATION_EMAIL || "ieeemetaverse@gmail.com";
+    const moderationEmail = config.moderation.email;
+    const subject = "🚨 Blocked Message Alert - Community Guidelines Violation";
 
-    // Shared HTML content for all email services
     const htmlContent = `
             <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto; background: #ffffff;">
                 <div style="background: #dc2626; color: #ffffff; padding: 1.5rem; border-radius: 8px 8px 0 0;">
@@ -243,11 +350,11 @@ export async function sendModerationAlert({
                         <table style="width: 100%; border-collapse: collapse;">
                             <tr>
                                 <td style="padding: 0.5rem; color: #64748b; font-weight: bold; width: 150px;">Sender:</td>
-                                <td style="padding: 0.5rem; color: #1e293b;">${senderName} (${senderEmail})</td>
+                                <td style="padding: 0.5rem; color: #1e293b;">${escapeHtml(senderName)} (${escapeHtml(senderEmail)})</td>
                             </tr>
                             <tr>
                                 <td style="padding: 0.5rem; color: #64748b; font-weight: bold;">Receiver:</td>
-                                <td style="padding: 0.5rem; color: #1e293b;">${receiverName} (${receiverEmail})</td>
+                                <td style="padding: 0.5rem; color: #1e293b;">${escapeHtml(receiverName)} (${escapeHtml(receiverEmail)})</td>
                             </tr>
                             <tr>
                                 <td style="padding: 0.5rem; color: #64748b; font-weight: bold;">Timestamp:</td>
@@ -255,7 +362,7 @@ export async function sendModerationAlert({
                             </tr>
                             <tr>
                                 <td style="padding: 0.5rem; color: #64748b; font-weight: bold;">Reason:</td>
-                                <td style="padding: 0.5rem; color: #dc2626; font-weight: bold;">${blockedReason || "Content violation"}</td>
+                                <td style="padding: 0.5rem; color: #dc2626; font-weight: bold;">${escapeHtml(blockedReason || "Content violation")}</td>
                             </tr>
                         </table>
                     </div>
@@ -263,7 +370,7 @@ export async function sendModerationAlert({
                     <div style="background: #ffffff; padding: 1.5rem; border-radius: 8px; border: 1px solid #e2e8f0;">
                         <h3 style="color: #1e293b; margin-top: 0;">Blocked Message Content</h3>
                         <div style="background: #f1f5f9; padding: 1rem; border-radius: 4px; border-left: 3px solid #dc2626;">
-                            <p style="margin: 0; white-space: pre-wrap; color: #334155; font-family: monospace; font-size: 0.9rem;">${messageContent}</p>
+                            <p style="margin: 0; white-space: pre-wrap; color: #334155; font-family: monospace; font-size: 0.9rem;">${escapeHtml(messageContent)}</p>
                         </div>
                     </div>
                     
@@ -302,198 +409,157 @@ Please review this incident and take appropriate action if necessary.
 This is an automated alert from the IEEE Matchmaking Platform moderation system.
     `.trim();
 
-    // Use Gmail API if configured (preferred - works on Railway)
-    if (emailService === "gmail_api" && gmailClient) {
-        try {
-            logger.info("📧 Sending moderation alert via Gmail API...", {
+    try {
+        const sent = await sendEmail({ to: moderationEmail, subject, html: htmlContent, text: textContent });
+        if (sent) {
+            logger.info("✅ Moderation alert email sent", { to: moderationEmail, emailService });
+        } else {
+            logger.warn("📧 Moderation alert not sent (no email service configured)", {
                 to: moderationEmail,
-                senderEmail,
-                receiverEmail,
-            });
-
-            const fromEmail = process.env.GMAIL_USER_EMAIL || "ieeemetaverse@gmail.com";
-            
-            // Create email message in RFC 2822 format
-            const subjectText = "🚨 Blocked Message Alert - Community Guidelines Violation";
-            const encodedSubject = encodeSubject(subjectText);
-            
-            const message = [
-                `From: IEEE Matchmaking Platform <${fromEmail}>`,
-                `To: ${moderationEmail}`,
-                `Subject: ${encodedSubject}`,
-                `MIME-Version: 1.0`,
-                `Content-Type: multipart/alternative; boundary="boundary123"`,
-                ``,
-                `--boundary123`,
-                `Content-Type: text/plain; charset=utf-8`,
-                ``,
-                textContent,
-                ``,
-                `--boundary123`,
-                `Content-Type: text/html; charset=utf-8`,
-                ``,
-                htmlContent,
-                ``,
-                `--boundary123--`,
-            ].join("\r\n");
-
-            // Encode message in base64url format (Gmail API requirement)
-            const encodedMessage = Buffer.from(message)
-                .toString("base64")
-                .replace(/\+/g, "-")
-                .replace(/\//g, "_")
-                .replace(/=+$/, "");
-
-            const response = await gmailClient.users.messages.send({
-                userId: "me",
-                requestBody: {
-                    raw: encodedMessage,
-                },
+                blockedReason,
+                messagePreview: messageContent.substring(0, 100),
             });
+        }
+        return sent;
+    } catch (error) {
+        logger.error("❌ Error sending moderation alert email", {
+            to: moderationEmail,
+            emailService,
+            error: error.message,
+            code: error.code,
+        });
 
-            logger.info("✅ Moderation alert email sent successfully via Gmail API", {
-                messageId: response.data.id,
-                to: moderationEmail,
-                from: fromEmail,
-            });
-            return response.data;
-        } catch (error) {
-            logger.error("❌ Error sending email via Gmail API", {
-                error: error.message,
-                code: error.code,
-                response: error.response?.data,
-                stack: error.stack,
+        // Log helpful troubleshooting info for connection timeouts
+        if (emailService === "smtp" && (error.code === "ETIMEDOUT" || error.message.includes("timeout"))) {
+            logger.error("💡 SMTP Connection Timeout - Railway blocks SMTP. Use SendGrid instead:", {
+                solution: "Set EMAIL_SERVICE=sendgrid and SENDGRID_API_KEY in Railway",
+                guide: "See EMAIL_SETUP_SENDGRID.md for instructions",
             });
-            throw error;
         }
+
+        throw error;
     }
+}
 
-    // Use SendGrid if configured
-    if (emailService === "sendgrid" && process.env.SENDGRID_API_KEY) {
-        try {
-            logger.info("📧 Sending moderation alert via SendGrid...", {
-                to: moderationEmail,
-                senderEmail,
-                receiverEmail,
-            });
+/**
+ * Invite someone without an account to read messages, or answer a connection request,
+ * that was sent to their email
+ * The email never includes message content
+ * @param {Object} inviteData - Invitation data
+ * @param {string} inviteData.to - Invited email address
+ * @param {string} inviteData.inviterName - Name of the user who contacted them
+ * @param {string} inviteData.inviterEmail - Email of the user who contacted them
+ * @param {string} inviteData.reason - "message" (default) or "connection"
+ * @returns {Promise<boolean>} Whether the email was handed to a mail service
+ */
+export async function sendInvitationEmail({ to, inviterName, inviterEmail, reason = "message" }) {
+    const signupUrl = config.cors.origin;
+    const connection = reason === "connection";
+    const action = connection ? "wants to connect with you" : "sent you a message";
+    const subject = `${inviterName} ${action} on IEEE Matchmaking Platform`;
 
-            const subjectText = "🚨 Blocked Message Alert - Community Guidelines Violation";
-            const msg = {
-                to: moderationEmail,
-                from: process.env.SENDGRID_FROM_EMAIL || "ieeemetaverse@gmail.com",
-                subject: subjectText, // SendGrid handles encoding automatically
-                html: htmlContent,
-                text: textContent,
-            };
-
-            await sgMail.send(msg);
-            
-            logger.info("✅ Moderation alert email sent successfully via SendGrid", {
-                to: moderationEmail,
-                from: msg.from,
-            });
-            return;
-        } catch (error) {
-            logger.error("❌ Error sending email via SendGrid", {
-                error: error.message,
-                code: error.code,
-                response: error.response?.body,
-                stack: error.stack,
-            });
-            throw error;
+    const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #1e293b;">${connection ? "You have a new connection request" : "You have a new message"}</h2>
+                <p style="color: #334155; line-height: 1.6;">
+                    <strong>${escapeHtml(inviterName)}</strong> (${escapeHtml(inviterEmail)}) ${action} on the
+                    IEEE Matchmaking Platform.
+                </p>
+                <p style="color: #334155; line-height: 1.6;">
+                    ${connection
+                        ? "Sign up with this email address to accept or decline the request."
+                        : "Sign up with this email address to read it and reply. Your messages will be waiting for you."}
+                </p>
+                <p style="margin: 1.5rem 0;">
+                    <a href="${signupUrl}" style="background: #1e40af; color: #ffffff; padding: 0.75rem 1.5rem; border-radius: 6px; text-decoration: none;">Join IEEE Matchmaking</a>
+                </p>
+                <div style="margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid #e2e8f0; color: #64748b; font-size: 0.875rem;">
+                    <p>If you weren't expecting this, you can ignore this email.</p>
+                </div>
+            </div>
+        `;
+
+    const text = `
+${connection ? "You have a new connection request" : "You have a new message"}
+
+${inviterName} (${inviterEmail}) ${action} on the IEEE Matchmaking Platform.
+Sign up with this email address to ${connection ? "accept or decline the request" : "read it and reply"}: ${signupUrl}
+
+If you weren't expecting this, you can ignore this email.
+    `.trim();
+
+    try {
+        const sent = await sendEmail({ to, subject, html, text });
+        if (sent) {
+            logger.info("✅ Invitation email sent", { to });
         }
+        return sent;
+    } catch (error) {
+        logger.error("❌ Error sending invitation email", { to, error: error.message });
+        throw error;
     }
+}
 
-    // Fallback to SMTP
-    const transporter = createTransporter();
-    if (!transporter) {
-        logger.warn("📧 Moderation Alert Email (not sent - no email service configured):", {
-            to: moderationEmail,
-            emailService,
-            senderEmail,
-            receiverEmail,
-            blockedReason,
-            messagePreview: messageContent.substring(0, 100),
-        });
-        return;
+/**
+ * Tell a sender how a moderator decided their appeal against a blocked message
+ * @param {Object} outcomeData - Appeal outcome
+ * @param {string} outcomeData.to - Sender's email
+ * @param {string} outcomeData.senderName - Sender's name
+ * @param {boolean} outcomeData.accepted - Whether the appeal was accepted
+ * @param {string} outcomeData.messageContent - The blocked message
+ * @param {boolean} outcomeData.released - Whether the message was delivered
+ * @param {string|null} outcomeData.response - Moderator's explanation
+ * @returns {Promise<boolean>} Whether the email was handed to a mail service
+ */
+export async function sendAppealOutcomeEmail({ to, senderName, accepted, messageContent, released, response }) {
+    const subject = accepted
+        ? "Your appeal was accepted - IEEE Matchmaking Platform"
+        : "Your appeal was reviewed - IEEE Matchmaking Platform";
+    const preview = messageContent.length > 300 ? `${messageContent.slice(0, 300)}…` : messageContent;
+
+    let outcome;
+    if (!accepted) {
+        outcome = "A moderator reviewed your appeal and upheld the block. The message was not delivered.";
+    } else if (released) {
+        outcome = "A moderator reviewed your appeal and lifted the block. Your message has been delivered.";
+    } else {
+        outcome = "A moderator reviewed your appeal and lifted the block, but the message could not be delivered. You can send it again.";
     }
 
-    const mailOptions = {
-        from: `IEEE Matchmaking Platform <${process.env.SMTP_USER}>`,
-        to: moderationEmail,
-        subject: `🚨 Blocked Message Alert - Community Guidelines Violation`,
-        html: htmlContent,
-        text: `
-⚠️ MESSAGE BLOCKED - Community Guidelines Violation
-
-BLOCKED MESSAGE DETAILS:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Sender: ${senderName} (${senderEmail})
-Receiver: ${receiverName} (${receiverEmail})
-Timestamp: ${new Date(timestamp).toLocaleString()}
-Reason: ${blockedReason || "Content violation"}
+    const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #1e293b;">${accepted ? "Appeal accepted" : "Appeal declined"}</h2>
+                <p style="color: #334155; line-height: 1.6;">Hi ${escapeHtml(senderName)},</p>
+                <p style="color: #334155; line-height: 1.6;">${outcome}</p>
+                <div style="background: #f1f5f9; padding: 1rem; border-radius: 6px; color: #334155; white-space: pre-wrap;">${escapeHtml(preview)}</div>
+                ${response ? `
+                <p style="color: #334155; line-height: 1.6; margin-top: 1.5rem;"><strong>Moderator's note:</strong></p>
+                <p style="color: #334155; line-height: 1.6; white-space: pre-wrap;">${escapeHtml(response)}</p>` : ""}
+                <div style="margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid #e2e8f0; color: #64748b; font-size: 0.875rem;">
+                    <p>This is an automated message from the IEEE Matchmaking Platform.</p>
+                </div>
+            </div>
+        `;
 
-BLOCKED MESSAGE CONTENT:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-${messageContent}
+    const text = `
+Hi ${senderName},
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Note: This message was automatically blocked and was not delivered to the recipient.
-Please review this incident and take appropriate action if necessary.
+${outcome}
 
-This is an automated alert from the IEEE Matchmaking Platform moderation system.
-        `.trim(),
-    };
+Your message:
+${preview}
+${response ? `\nModerator's note:\n${response}\n` : ""}
+This is an automated message from the IEEE Matchmaking Platform.
+    `.trim();
 
     try {
-        logger.info("📧 Sending moderation alert email via SMTP...", {
-            to: moderationEmail,
-            from: process.env.SMTP_USER,
-            host: process.env.SMTP_HOST,
-            port: process.env.SMTP_PORT,
-        });
-        
-        // Add timeout wrapper to prevent hanging (15 second timeout)
-        const sendPromise = transporter.sendMail(mailOptions);
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => {
-                reject(new Error("Email send timeout after 15 seconds"));
-            }, 15000);
-        });
-        
-        const info = await Promise.race([sendPromise, timeoutPromise]);
-        
-        logger.info("✅ Moderation alert email sent successfully via SMTP", {
-            messageId: info.messageId,
-            to: moderationEmail,
-            from: process.env.SMTP_USER,
-            accepted: info.accepted,
-            rejected: info.rejected,
-        });
-        return info;
-    } catch (error) {
-        logger.error("❌ Error sending moderation alert email via SMTP", {
-            error: error.message,
-            code: error.code,
-            command: error.command,
-            response: error.response,
-            responseCode: error.responseCode,
-            to: moderationEmail,
-            from: process.env.SMTP_USER,
-            host: process.env.SMTP_HOST,
-            port: process.env.SMTP_PORT,
-            stack: error.stack,
-        });
-        
-        // Log helpful troubleshooting info for connection timeouts
-        if (error.code === "ETIMEDOUT" || error.message.includes("timeout")) {
-            logger.error("💡 SMTP Connection Timeout - Railway blocks SMTP. Use SendGrid instead:", {
-                solution: "Set EMAIL_SERVICE=sendgrid and SENDGRID_API_KEY in Railway",
-                guide: "See EMAIL_SETUP_SENDGRID.md for instructions",
-            });
+        const sent = await sendEmail({ to, subject, html, text });
+        if (sent) {
+            logger.info("✅ Appeal outcome email sent", { to, accepted });
         }
-        
+        return sent;
+    } catch (error) {
+        logger.error("❌ Error sending appeal outcome email", { to, error: error.message });
         throw error;
     }
 }
-
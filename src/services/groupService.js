@@ -0,0 +1,587 @@
+/**
+ * Group Conversation Service
+ * Group conversations keep their members in conversation_participants, each with a role
+ * (admin or member), an unread count and a read position. Shared by the REST routes,
+ * the socket handler and the message service.
+ */
+
+import { supabase } from "../config/supabase.js";
+import config from "../config/index.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+import { getUserProfiles } from "./userProfileService.js";
+import { findConnectionBetween } from "./connectionService.js";
+import { isBlockedEitherWay } from "./blockService.js";
+import { getStorage } from "./attachmentStorage.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+export const GROUP_ROLES = ["admin", "member"];
+
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Validate and trim a group title
+ * @param {string} title - Group title
+ * @returns {string}
+ * @throws {ApiError} 400 if the title is missing or too long
+ */
+function normalizeTitle(title) {
+    const trimmed = typeof title === "string" ? title.trim() : "";
+    if (!trimmed) {
+        throw new ApiError(400, "title is required");
+    }
+    if (trimmed.length > MAX_TITLE_LENGTH) {
+        throw new ApiError(400, `title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    return trimmed;
+}
+
+/**
+ * Format a participant row for API responses and socket events
+ * @param {Object} row - conversation_participants row
+ * @param {Object|undefined} profile - Member's profile
+ * @returns {Object}
+ */
+export function formatParticipant(row, profile) {
+    return {
+        id: row.user_id,
+        name: profile?.name || profile?.email || "Unknown User",
+        email: profile?.email || null,
+        photo: profile?.photo || null,
+        role: row.role,
+        joinedAt: row.joined_at,
+        lastReadAt: row.last_read_at,
+        lastReadMessageId: row.last_read_message_id,
+    };
+}
+
+/**
+ * Load the participant rows of a group
+ * @param {string} conversationId - Group conversation ID
+ * @returns {Promise<Object[]>} conversation_participants rows, oldest member first
+ */
+async function loadParticipants(conversationId) {
+    const { data, error } = await supabase
+        .from("conversation_participants")
+        .select("*")
+        .eq("conversation_id", conversationId)
+        .order("joined_at", { ascending: true });
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch group members: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Build the group summary sent to clients
+ * @param {Object} conversation - conversations row
+ * @param {Object[]} participants - conversation_participants rows
+ * @returns {Promise<Object>}
+ */
+async function formatGroup(conversation, participants) {
+    let byId = new Map();
+    try {
+        ({ byId } = await getUserProfiles({ ids: participants.map((p) => p.user_id) }));
+    } catch (err) {
+        logger.error("Error fetching group member profiles", { error: err.message });
+    }
+
+    return {
+        id: conversation.id,
+        conversationId: conversation.id,
+        type: "group",
+        title: conversation.title,
+        createdBy: conversation.created_by,
+        participants: participants.map((row) => formatParticipant(row, byId.get(row.user_id))),
+        createdAt: conversation.created_at,
+        updatedAt: conversation.updated_at,
+    };
+}
+
+/**
+ * Get a user's membership in a group
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<{conversation: Object, participant: Object}|null>} Null if not a member of a group
+ */
+export async function getGroupMembership(conversationId, userId) {
+    if (!UUID_REGEX.test(conversationId || "")) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from("conversation_participants")
+        .select("*, conversation:conversations(*)")
+        .eq("conversation_id", conversationId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch group membership: ${error.message}`);
+    }
+
+    if (!data?.conversation || data.conversation.type !== "group") {
+        return null;
+    }
+
+    const { conversation, ...participant } = data;
+    return { conversation, participant };
+}
+
+/**
+ * Get a user's membership in a group, or fail
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<{conversation: Object, participant: Object}>}
+ * @throws {ApiError} 404 if the group doesn't exist or the user isn't a member
+ */
+export async function requireGroupMember(conversationId, userId) {
+    const membership = await getGroupMembership(conversationId, userId);
+    if (!membership) {
+        throw new ApiError(404, "Conversation not found");
+    }
+    return membership;
+}
+
+/**
+ * Get an admin's membership in a group, or fail
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<{conversation: Object, participant: Object}>}
+ * @throws {ApiError} 404 if not a member, 403 if not an admin
+ */
+async function requireGroupAdmin(conversationId, userId) {
+    const membership = await requireGroupMember(conversationId, userId);
+    if (membership.participant.role !== "admin") {
+        throw new ApiError(403, "Only group admins can do this");
+    }
+    return membership;
+}
+
+/**
+ * Whether a user is a member of a group conversation
+ * @param {string|null} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export async function isGroupParticipant(conversationId, userId) {
+    if (!conversationId || !userId) return false;
+    return !!(await getGroupMembership(conversationId, userId));
+}
+
+/**
+ * Get the user IDs of a group's members
+ * @param {string} conversationId - Group conversation ID
+ * @returns {Promise<string[]>}
+ */
+export async function getParticipantIds(conversationId) {
+    const participants = await loadParticipants(conversationId);
+    return participants.map((row) => row.user_id);
+}
+
+/**
+ * Send an event to every member of a group
+ * @param {string[]} participantIds - Member IDs
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+function notifyMembers(participantIds, event, payload) {
+    for (const participantId of participantIds) {
+        emitToUser(participantId, event, payload);
+    }
+}
+
+/**
+ * Send the current group summary to every member
+ * @param {Object} conversation - conversations row
+ * @param {string} action - What changed
+ * @returns {Promise<Object>} The group summary
+ */
+async function broadcastGroupUpdate(conversation, action) {
+    const participants = await loadParticipants(conversation.id);
+    const group = await formatGroup(conversation, participants);
+    notifyMembers(participants.map((row) => row.user_id), "group_updated", { action, group });
+    return group;
+}
+
+/**
+ * Check that an admin may add users to a group
+ * Like direct conversations, every new member needs an accepted connection with the person adding them
+ * @param {Object} actor - Adding user ({ id, email })
+ * @param {string[]} userIds - Users to add
+ * @returns {Promise<void>}
+ * @throws {ApiError} 400/403 naming the first user that can't be added
+ */
+async function checkCanAdd(actor, userIds) {
+    if (!userIds.every((id) => typeof id === "string" && UUID_REGEX.test(id))) {
+        throw new ApiError(400, "Members must be given as user IDs");
+    }
+
+    const { byId } = await getUserProfiles({ ids: userIds });
+
+    for (const userId of userIds) {
+        if (!byId.has(userId)) {
+            throw new ApiError(400, `User ${userId} not found`);
+        }
+
+        if (await isBlockedEitherWay(actor.id, userId)) {
+            throw new ApiError(403, `You can't add ${byId.get(userId).name || "this user"} to a group`);
+        }
+
+        const connection = await findConnectionBetween(
+            { userId: actor.id, userEmail: actor.email, otherUserId: userId, otherEmail: byId.get(userId).email },
+            ["accepted"]
+        );
+        if (!connection) {
+            throw new ApiError(403, `You need an accepted connection with ${byId.get(userId).name || "this user"} to add them`);
+        }
+    }
+}
+
+/**
+ * Create a group conversation; the creator becomes its admin
+ * @param {Object} params
+ * @param {Object} params.actor - Creating user ({ id, email })
+ * @param {string} params.title - Group title
+ * @param {string[]} params.memberIds - Other members' user IDs
+ * @returns {Promise<Object>} The group summary
+ */
+export async function createGroup({ actor, title, memberIds }) {
+    const groupTitle = normalizeTitle(title);
+
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+        throw new ApiError(400, "memberIds must list at least one other member");
+    }
+
+    const others = [...new Set(memberIds)].filter((id) => id !== actor.id);
+    if (others.length === 0) {
+        throw new ApiError(400, "memberIds must list at least one other member");
+    }
+    if (others.length + 1 > config.groups.maxParticipants) {
+        throw new ApiError(400, `A group can have at most ${config.groups.maxParticipants} members`);
+    }
+
+    await checkCanAdd(actor, others);
+
+    const { data: conversation, error } = await supabase
+        .from("conversations")
+        .insert({ type: "group", title: groupTitle, created_by: actor.id })
+        .select()
+        .single();
+
+    if (error) {
+        throw new ApiError(500, `Failed to create group: ${error.message}`);
+    }
+
+    const now = new Date().toISOString();
+    const { error: participantsError } = await supabase.from("conversation_participants").insert([
+        { conversation_id: conversation.id, user_id: actor.id, role: "admin", added_by: actor.id, last_read_at: now },
+        ...others.map((userId) => ({
+            conversation_id: conversation.id,
+            user_id: userId,
+            role: "member",
+            added_by: actor.id,
+        })),
+    ]);
+
+    if (participantsError) {
+        await supabase.from("conversations").delete().eq("id", conversation.id);
+        throw new ApiError(500, `Failed to add group members: ${participantsError.message}`);
+    }
+
+    logger.info("👥 Group created", { conversationId: conversation.id, creatorId: actor.id, members: others.length + 1 });
+    return broadcastGroupUpdate(conversation, "created");
+}
+
+/**
+ * Get a group's summary and members
+ * @param {string} conversationId - Group conversation ID
+ * @param {string} userId - Requesting member
+ * @returns {Promise<Object>}
+ */
+export async function getGroup(conversationId, userId) {
+    const { conversation } = await requireGroupMember(conversationId, userId);
+    return formatGroup(conversation, await loadParticipants(conversationId));
+}
+
+/**
+ * Rename a group (admins only)
+ * @param {Object} params
+ * @param {string} params.conversationId - Group conversation ID
+ * @param {string} params.actorId - Renaming admin
+ * @param {string} params.title - New title
+ * @returns {Promise<Object>} The group summary
+ */
+export async function renameGroup({ conversationId, actorId, title }) {
+    const groupTitle = normalizeTitle(title);
+    await requireGroupAdmin(conversationId, actorId);
+
+    const { data: conversation, error } = await supabase
+        .from("conversations")
+        .update({ title: groupTitle, updated_at: new Date().toISOString() })
+        .eq("id", conversationId)
+        .select()
+        .single();
+
+    if (error) {
+        throw new ApiError(500, `Failed to rename group: ${error.message}`);
+    }
+
+    return broadcastGroupUpdate(conversation, "renamed");
+}
+
+/**
+ * Add members to a group (admins only)
+ * @param {Object} params
+ * @param {string} params.conversationId - Group conversation ID
+ * @param {Object} params.actor - Adding admin ({ id, email })
+ * @param {string[]} params.userIds - Users to add
+ * @returns {Promise<Object>} The group summary
+ */
+export async function addGroupMembers({ conversationId, actor, userIds }) {
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+        throw new ApiError(400, "userIds must list at least one user");
+    }
+
+    const { conversation } = await requireGroupAdmin(conversationId, actor.id);
+    const existing = new Set(await getParticipantIds(conversationId));
+    const newIds = [...new Set(userIds)].filter((id) => !existing.has(id));
+
+    if (newIds.length === 0) {
+        return formatGroup(conversation, await loadParticipants(conversationId));
+    }
+
+    if (existing.size + newIds.length > config.groups.maxParticipants) {
+        throw new ApiError(400, `A group can have at most ${config.groups.maxParticipants} members`);
+    }
+
+    await checkCanAdd(actor, newIds);
+
+    const { error } = await supabase
+        .from("conversation_participants")
+        .upsert(
+            newIds.map((userId) => ({
+                conversation_id: conversationId,
+                user_id: userId,
+                role: "member",
+                added_by: actor.id,
+            })),
+            { onConflict: "conversation_id,user_id", ignoreDuplicates: true }
+        );
+
+    if (error) {
+        throw new ApiError(500, `Failed to add group members: ${error.message}`);
+    }
+
+    logger.info("👥 Group members added", { conversationId, actorId: actor.id, added: newIds.length });
+    return broadcastGroupUpdate(conversation, "members_added");
+}
+
+/**
+/**
+ * Delete a group nobody belongs to anymore, with its messages and their attachments
+ * Nobody can read them or rejoin, since only members can add members
+ * @param {string} conversationId - Group conversation ID
+ * @returns {Promise<void>}
+ */
+async function deleteEmptyGroup(conversationId) {
+    const { data: attachments, error: attachmentsError } = await supabase
+        .from("message_attachments")
+        .select("storage_backend, storage_key, message:messages!inner(conversation_id)")
+        .eq("message.conversation_id", conversationId);
+
+    if (attachmentsError) {
+        throw new Error(`Failed to load group attachments: ${attachmentsError.message}`);
+    }
+
+    // The conversation goes first: it references its last message. Participants and settings cascade.
+    const { error: conversationError } = await supabase
+        .from("conversations")
+        .delete()
+        .eq("id", conversationId)
+        .eq("type", "group");
+
+    if (conversationError) {
+        throw new Error(`Failed to delete group: ${conversationError.message}`);
+    }
+
+    // Attachment rows, reactions and edit history cascade from the messages
+    const { error: messagesError } = await supabase
+        .from("messages")
+        .delete()
+        .eq("conversation_id", conversationId);
+
+    if (messagesError) {
+        throw new Error(`Failed to delete group messages: ${messagesError.message}`);
+    }
+
+    const byBackend = new Map();
+    for (const row of attachments || []) {
+        if (!byBackend.has(row.storage_backend)) byBackend.set(row.storage_backend, []);
+        byBackend.get(row.storage_backend).push(row.storage_key);
+    }
+    await Promise.all(
+        [...byBackend.entries()].map(([backend, keys]) => getStorage(backend).remove(keys))
+    );
+}
+
+/**
+ * Remove a member from a group
+ * Admins can remove anyone; any member can remove themselves (leave). If the last admin
+ * leaves, the longest-standing member becomes admin; once the last member leaves, the group
+ * is deleted.
+ * @param {Object} params
+ * @param {string} params.conversationId - Group conversation ID
+ * @param {string} params.actorId - Removing user
+ * @param {string} params.userId - Member to remove
+ * @returns {Promise<Object|null>} The group summary, or null if nobody is left
+ */
+export async function removeGroupMember({ conversationId, actorId, userId }) {
+    const { conversation, participant: actor } = await requireGroupMember(conversationId, actorId);
+
+    if (userId !== actorId && actor.role !== "admin") {
+        throw new ApiError(403, "Only group admins can remove other members");
+    }
+
+    const { data: removed, error } = await supabase
+        .from("conversation_participants")
+        .delete()
+        .eq("conversation_id", conversationId)
+        .eq("user_id", userId)
+        .select();
+
+    if (error) {
+        throw new ApiError(500, `Failed to remove group member: ${error.message}`);
+    }
+
+    if (!removed || removed.length === 0) {
+        throw new ApiError(404, "Member not found");
+    }
+
+    emitToUser(userId, "group_removed", { conversationId, removedBy: actorId });
+
+    const remaining = await loadParticipants(conversationId);
+    if (remaining.length === 0) {
+        try {
+            await deleteEmptyGroup(conversationId);
+            logger.info("👥 Last member left, group deleted", { conversationId });
+        } catch (err) {
+            // The member is already removed; the leftover group is invisible to everyone
+            logger.error("Error deleting empty group", { conversationId, error: err.message });
+        }
+        return null;
+    }
+
+    if (!remaining.some((row) => row.role === "admin")) {
+        const successor = remaining[0];
+        await supabase
+            .from("conversation_participants")
+            .update({ role: "admin" })
+            .eq("conversation_id", conversationId)
+            .eq("user_id", successor.user_id);
+        logger.info("👥 Group admin handed over", { conversationId, userId: successor.user_id });
+    }
+
+    logger.info("👥 Group member removed", { conversationId, actorId, userId });
+    return broadcastGroupUpdate(conversation, userId === actorId ? "member_left" : "member_removed");
+}
+
+/**
+ * Change a member's role (admins only)
+ * A group always keeps at least one admin
+ * @param {Object} params
+ * @param {string} params.conversationId - Group conversation ID
+ * @param {string} params.actorId - Admin making the change
+ * @param {string} params.userId - Member whose role changes
+ * @param {string} params.role - "admin" or "member"
+ * @returns {Promise<Object>} The group summary
+ */
+export async function updateGroupMemberRole({ conversationId, actorId, userId, role }) {
+    if (!GROUP_ROLES.includes(role)) {
+        throw new ApiError(400, `role must be one of: ${GROUP_ROLES.join(", ")}`);
+    }
+
+    const { conversation } = await requireGroupAdmin(conversationId, actorId);
+    const participants = await loadParticipants(conversationId);
+    const target = participants.find((row) => row.user_id === userId);
+
+    if (!target) {
+        throw new ApiError(404, "Member not found");
+    }
+
+    if (target.role === role) {
+        return formatGroup(conversation, participants);
+    }
+
+    if (role === "member" && participants.filter((row) => row.role === "admin").length === 1) {
+        throw new ApiError(409, "A group needs at least one admin");
+    }
+
+    const { error } = await supabase
+        .from("conversation_participants")
+        .update({ role })
+        .eq("conversation_id", conversationId)
+        .eq("user_id", userId);
+
+    if (error) {
+        throw new ApiError(500, `Failed to update member role: ${error.message}`);
+    }
+
+    return broadcastGroupUpdate(conversation, "role_changed");
+}
+
+/**
+ * Mark a group as read up to its latest message and tell the other members
+ * @param {string} conversationId - Group conversation ID
+ * @param {string} userId - Reading member
+ * @returns {Promise<Object>} Read receipt ({ conversationId, userId, readAt, lastReadMessageId })
+ */
+export async function markGroupRead(conversationId, userId) {
+    const { conversation } = await requireGroupMember(conversationId, userId);
+    const readAt = new Date().toISOString();
+
+    const { error } = await supabase
+        .from("conversation_participants")
+        .update({
+            unread_count: 0,
+            last_read_at: readAt,
+            last_read_message_id: conversation.last_message_id,
+        })
+        .eq("conversation_id", conversationId)
+        .eq("user_id", userId);
+
+    if (error) {
+        throw new ApiError(500, `Failed to mark group as read: ${error.message}`);
+    }
+
+    const receipt = {
+        conversationId,
+        userId,
+        readAt,
+        lastReadMessageId: conversation.last_message_id,
+    };
+
+    const participantIds = await getParticipantIds(conversationId);
+    notifyMembers(participantIds.filter((id) => id !== userId), "messages_read", receipt);
+
+    return receipt;
+}
+
+export default {
+    GROUP_ROLES,
+    formatParticipant,
+    getGroupMembership,
+    requireGroupMember,
+    isGroupParticipant,
+    getParticipantIds,
+    createGroup,
+    getGroup,
+    renameGroup,
+    addGroupMembers,
+    removeGroupMember,
+    updateGroupMemberRole,
+    markGroupRead,
+};
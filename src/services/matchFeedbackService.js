@@ -0,0 +1,136 @@
+/**
+ * Match Feedback Service
+ * Persists user reactions to match recommendations and turns them into ranking signals
+ */
+
+import { supabase } from "../config/supabase.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Supported feedback actions
+ */
+export const FEEDBACK_ACTIONS = ["accepted", "dismissed", "not_relevant"];
+
+/**
+ * Actions that remove a candidate from future recommendations
+ */
+const HIDING_ACTIONS = ["dismissed", "not_relevant"];
+
+/**
+ * Save (or replace) a user's feedback about a recommended user
+ * @param {Object} params
+ * @param {string} params.userId - User giving the feedback
+ * @param {string} params.targetUserId - Recommended user
+ * @param {string} params.action - One of FEEDBACK_ACTIONS
+ * @param {string|null} params.reason - Optional reason
+ * @param {number|null} params.score - Match score shown when the feedback was given
+ * @returns {Promise<Object>} Saved match_feedback row
+ */
+export async function saveFeedback({ userId, targetUserId, action, reason = null, score = null }) {
+    const { data, error } = await supabase
+        .from("match_feedback")
+        .upsert(
+            {
+                user_id: userId,
+                target_user_id: targetUserId,
+                action,
+                reason,
+                score,
+                updated_at: new Date().toISOString(),
+            },
+            { onConflict: "user_id,target_user_id" }
+        )
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to save match feedback: ${error.message}`);
+    }
+
+    logger.info("Match feedback saved", { userId, targetUserId, action });
+    return data;
+}
+
+/**
+ * Remove a user's feedback about a recommended user
+ * @param {string} userId - User who gave the feedback
+ * @param {string} targetUserId - Recommended user
+ * @returns {Promise<boolean>} Whether a row was deleted
+ */
+export async function deleteFeedback(userId, targetUserId) {
+    const { data, error } = await supabase
+        .from("match_feedback")
+        .delete()
+        .eq("user_id", userId)
+        .eq("target_user_id", targetUserId)
+        .select("id");
+
+    if (error) {
+        throw new Error(`Failed to delete match feedback: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+}
+
+/**
+ * Load all feedback given by a user
+ * @param {string} userId - User who gave the feedback
+ * @returns {Promise<Object[]>} match_feedback rows, newest first
+ */
+export async function getFeedbackForUser(userId) {
+    const { data, error } = await supabase
+        .from("match_feedback")
+        .select("*")
+        .eq("user_id", userId)
+        .order("updated_at", { ascending: false });
+
+    if (error) {
+        throw new Error(`Failed to load match feedback: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Load every pair where one side has dismissed or flagged the other
+ * Used by the global mutual assignment so hidden people are never paired
+ * @returns {Promise<Set<string>>} Pair keys from pairKey()
+ */
+export async function getHiddenPairs() {
+    const { data, error } = await supabase
+        .from("match_feedback")
+        .select("user_id, target_user_id")
+        .in("action", HIDING_ACTIONS);
+
+    if (error) {
+        throw new Error(`Failed to load match feedback: ${error.message}`);
+    }
+
+    return new Set((data || []).map((row) => pairKey(row.user_id, row.target_user_id)));
+}
+
+/**
+ * Order-independent key for a pair of users
+ * @param {string} a - User ID
+ * @param {string} b - User ID
+ * @returns {string}
+ */
+export function pairKey(a, b) {
+    return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+/**
+ * Whether a feedback action hides the target from recommendations
+ * @param {string} action - Feedback action
+ * @returns {boolean}
+ */
+export function isHidingAction(action) {
+    return HIDING_ACTIONS.includes(action);
+}
+
+export default {
+    saveFeedback,
+    deleteFeedback,
+    getFeedbackForUser,
+    getHiddenPairs,
+};
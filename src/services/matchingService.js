@@ -0,0 +1,628 @@
+/**
+ * Matching Service
+ * Native matchmaking engine that scores questionnaire responses against each other
+ * Produces explainable, reproducible compatibility scores without external LLM calls
+ */
+
+import { supabase } from "../config/supabase.js";
+import logger from "../utils/logger.js";
+import config from "../config/index.js";
+import { buildConstraintProfile, evaluateConstraints } from "./compatibilityRules.js";
+import { getFeedbackForUser, getHiddenPairs, isHidingAction, pairKey } from "./matchFeedbackService.js";
+
+/**
+ * Questionnaire fields loaded for scoring
+ */
+const MATCH_FIELDS = [
+    "user_id",
+    "name",
+    "email",
+    "role",
+    "affiliation",
+    "seniority",
+    "core_research_areas",
+    "subfields_domains",
+    "top_3_collab_topics",
+    "seeking",
+    "offering",
+    "data_sharing_constraints",
+    "ip_licensing_stance",
+];
+
+/**
+ * Scoring factors and their weights (weights sum to 1)
+ * Each factor compares one or more questionnaire fields between two users
+ */
+export const MATCH_FACTORS = {
+    researchAreas: { weight: 0.35, field: "core_research_areas" },
+    subfields: { weight: 0.25, field: "subfields_domains" },
+    collabTopics: { weight: 0.2, field: "top_3_collab_topics" },
+    complementarity: { weight: 0.2, fields: ["seeking", "offering"] },
+};
+
+/**
+ * How strongly past feedback moves a candidate's score
+ * A candidate identical in topics to everyone the user accepted gets +FEEDBACK_BOOST,
+ * one identical to everyone flagged as not relevant gets -FEEDBACK_PENALTY
+ */
+const FEEDBACK_BOOST = 0.25;
+const FEEDBACK_PENALTY = 0.25;
+
+/**
+ * Words ignored when extracting keywords from free-text answers
+ */
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "into",
+    "is", "it", "of", "on", "or", "other", "the", "to", "with", "using", "via",
+]);
+
+/**
+ * Flatten a questionnaire answer (string, array or object) into a list of strings
+ * @param {*} value - Raw answer value
+ * @returns {string[]} List of answer strings
+ */
+function flattenAnswer(value) {
+    if (value === null || value === undefined) return [];
+    if (Array.isArray(value)) return value.flatMap(flattenAnswer);
+    if (typeof value === "object") return Object.values(value).flatMap(flattenAnswer);
+    return String(value)
+        .split(/[,;\n|]+/)
+        .map((part) => part.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Extract a normalized keyword set from a questionnaire answer
+ * @param {*} value - Raw answer value
+ * @returns {Set<string>} Lowercase keywords
+ */
+export function extractKeywords(value) {
+    const keywords = new Set();
+    for (const phrase of flattenAnswer(value)) {
+        const words = phrase
+            .toLowerCase()
+            .replace(/[^a-z0-9+#\s-]/g, " ")
+            .split(/[\s-]+/);
+        for (const word of words) {
+            if (word.length >= 2 && !STOP_WORDS.has(word)) {
+                keywords.add(word);
+            }
+        }
+    }
+    return keywords;
+}
+
+/**
+ * Sorted intersection of two keyword sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {string[]}
+ */
+function intersect(a, b) {
+    return [...a].filter((word) => b.has(word)).sort();
+}
+
+/**
+ * Jaccard similarity between two keyword sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {{score: number, shared: string[]}}
+ */
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return { score: 0, shared: [] };
+    }
+    const shared = intersect(a, b);
+    const unionSize = a.size + b.size - shared.length;
+    return { score: shared.length / unionSize, shared };
+}
+
+/**
+ * Overlap coefficient: how much of what one side needs is covered by the other
+ * @param {Set<string>} needs - Keywords one user is seeking
+ * @param {Set<string>} provides - Keywords the other user is offering
+ * @returns {{score: number, shared: string[]}}
+ */
+export function coverage(needs, provides) {
+    if (needs.size === 0 || provides.size === 0) {
+        return { score: 0, shared: [] };
+    }
+    const shared = intersect(needs, provides);
+    return { score: shared.length / Math.min(needs.size, provides.size), shared };
+}
+
+/**
+ * Round a score to 4 decimal places so results are stable across runs
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundScore(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Pre-compute keyword sets for a questionnaire response
+ * @param {Object} response - questionnaire_responses row
+ * @returns {Object} Profile with keyword sets
+ */
+export function buildProfile(response) {
+    return {
+        response,
+        researchAreas: extractKeywords(response.core_research_areas),
+        subfields: extractKeywords(response.subfields_domains),
+        collabTopics: extractKeywords(response.top_3_collab_topics),
+        seeking: extractKeywords(response.seeking),
+        offering: extractKeywords(response.offering),
+        constraints: buildConstraintProfile(response),
+    };
+}
+
+/**
+ * Score two profiles against each other
+ * Compatibility rules on IP stance and data sharing are applied as a final multiplier
+ * @param {Object} a - Profile from buildProfile (the user receiving recommendations)
+ * @param {Object} b - Candidate profile
+ * @returns {{score: number, breakdown: Object, constraints: Object}} Weighted score (0-1),
+ *   per-factor details and the compatibility rule outcome
+ */
+export function scorePair(a, b) {
+    const researchAreas = jaccard(a.researchAreas, b.researchAreas);
+    const subfields = jaccard(a.subfields, b.subfields);
+    const collabTopics = jaccard(a.collabTopics, b.collabTopics);
+
+    // Complementarity is symmetric: average of how well each side covers the other's needs
+    const theyCoverMe = coverage(a.seeking, b.offering);
+    const iCoverThem = coverage(b.seeking, a.offering);
+    const complementarity = {
+        score: (theyCoverMe.score + iCoverThem.score) / 2,
+        theyOffer: theyCoverMe.shared,
+        youOffer: iCoverThem.shared,
+    };
+
+    const factors = { researchAreas, subfields, collabTopics, complementarity };
+
+    const breakdown = {};
+    let total = 0;
+    for (const [name, { weight }] of Object.entries(MATCH_FACTORS)) {
+        const { score, ...details } = factors[name];
+        const contribution = score * weight;
+        total += contribution;
+        breakdown[name] = {
+            score: roundScore(score),
+            weight,
+            contribution: roundScore(contribution),
+            ...details,
+        };
+    }
+
+    const constraints = evaluateConstraints(a.constraints, b.constraints);
+    if (constraints.excluded) {
+        total = 0;
+    } else {
+        total *= constraints.multiplier;
+    }
+
+    return { score: roundScore(total), breakdown, constraints };
+}
+
+/**
+ * Score a pair on reciprocal seeking/offering complementarity only
+ * A pair is reciprocal when each side offers something the other is seeking
+ * and no compatibility rule excludes it
+ * @param {Object} a - Profile from buildProfile
+ * @param {Object} b - Candidate profile
+ * @returns {{score: number, theyOffer: string[], youOffer: string[], constraints: Object}|null}
+ *   Null if not reciprocal or excluded
+ */
+export function scoreReciprocal(a, b) {
+    const theyCoverMe = coverage(a.seeking, b.offering);
+    const iCoverThem = coverage(b.seeking, a.offering);
+
+    if (theyCoverMe.score === 0 || iCoverThem.score === 0) {
+        return null;
+    }
+
+    const constraints = evaluateConstraints(a.constraints, b.constraints);
+    if (constraints.excluded) {
+        return null;
+    }
+
+    // Harmonic mean rewards pairs where both directions are strong over lopsided ones
+    const score = (2 * theyCoverMe.score * iCoverThem.score) / (theyCoverMe.score + iCoverThem.score);
+
+    return {
+        score: roundScore(score * constraints.multiplier),
+        theyOffer: theyCoverMe.shared,
+        youOffer: iCoverThem.shared,
+        constraints,
+    };
+}
+
+/**
+ * Topic keywords of a profile used for feedback similarity
+ * @param {Object} profile - Profile from buildProfile
+ * @returns {Set<string>}
+ */
+function topicKeywords(profile) {
+    return new Set([...profile.researchAreas, ...profile.subfields, ...profile.collabTopics]);
+}
+
+/**
+ * Turn a user's feedback rows into ranking signals
+ * Dismissed and not-relevant candidates are hidden; accepted and not-relevant candidates
+ * contribute their topics to the positive and negative keyword sets
+ * @param {Object[]} feedback - match_feedback rows given by the user
+ * @param {Map<string, Object>} profilesById - userId -> profile from buildProfile
+ * @returns {Object} Feedback signals
+ */
+export function buildFeedbackSignals(feedback, profilesById) {
+    const signals = {
+        hidden: new Set(),
+        actions: new Map(),
+        acceptedKeywords: new Set(),
+        rejectedKeywords: new Set(),
+    };
+
+    for (const row of feedback) {
+        signals.actions.set(row.target_user_id, row.action);
+        if (isHidingAction(row.action)) {
+            signals.hidden.add(row.target_user_id);
+        }
+
+        const target = profilesById.get(row.target_user_id);
+        if (!target) continue;
+
+        const keywords = row.action === "accepted"
+            ? signals.acceptedKeywords
+            : row.action === "not_relevant" ? signals.rejectedKeywords : null;
+        if (keywords) {
+            topicKeywords(target).forEach((word) => keywords.add(word));
+        }
+    }
+
+    return signals;
+}
+
+/**
+ * Score adjustment for a candidate based on the user's past feedback
+ * @param {Object} candidate - Profile from buildProfile
+ * @param {Object} signals - Signals from buildFeedbackSignals
+ * @returns {{multiplier: number, similarToAccepted: string[], similarToRejected: string[]}}
+ */
+export function applyFeedbackSignals(candidate, signals) {
+    const topics = topicKeywords(candidate);
+    const accepted = jaccard(topics, signals.acceptedKeywords);
+    const rejected = jaccard(topics, signals.rejectedKeywords);
+
+    return {
+        multiplier: roundScore(1 + FEEDBACK_BOOST * accepted.score - FEEDBACK_PENALTY * rejected.score),
+        similarToAccepted: accepted.shared,
+        similarToRejected: rejected.shared,
+    };
+}
+
+/**
+ * Load a user's feedback signals, degrading to no signals if feedback can't be read
+ * @param {string} userId - User to load feedback for
+ * @param {Object[]} responses - questionnaire_responses rows
+ * @returns {Promise<Object>} Signals from buildFeedbackSignals
+ */
+async function loadFeedbackSignals(userId, responses) {
+    let feedback = [];
+    try {
+        feedback = await getFeedbackForUser(userId);
+    } catch (err) {
+        logger.warn("Match feedback unavailable, ranking without it", { userId, error: err.message });
+    }
+
+    const profilesById = new Map();
+    for (const row of feedback) {
+        const response = responses.find((r) => r.user_id === row.target_user_id);
+        if (response) profilesById.set(response.user_id, buildProfile(response));
+    }
+
+    return buildFeedbackSignals(feedback, profilesById);
+}
+
+/**
+ * Load every hidden pair, degrading to none if feedback can't be read
+ * @returns {Promise<Set<string>>}
+ */
+async function loadHiddenPairs() {
+    try {
+        return await getHiddenPairs();
+    } catch (err) {
+        logger.warn("Match feedback unavailable, assigning without it", { error: err.message });
+        return new Set();
+    }
+}
+
+/**
+ * Compute stable mutual assignments across all users
+ * Each user gets at most `slots` partners. Because reciprocal scores are symmetric,
+ * accepting edges greedily in descending score order yields a stable assignment:
+ * no two users would both prefer each other over one of their current partners.
+ * @param {Object[]} responses - questionnaire_responses rows
+ * @param {Object} options
+ * @param {number} options.slots - Maximum mutual partners per user
+ * @param {Set<string>} options.hiddenPairs - Pair keys that must never be assigned
+ * @returns {Map<string, Object[]>} userId -> mutual partners ranked by score
+ */
+export function computeMutualAssignments(responses, { slots = 5, hiddenPairs = new Set() } = {}) {
+    const profiles = responses
+        .filter((r) => r.user_id)
+        .map(buildProfile)
+        .sort((x, y) => String(x.response.user_id).localeCompare(String(y.response.user_id)));
+
+    const edges = [];
+    for (let i = 0; i < profiles.length; i++) {
+        for (let j = i + 1; j < profiles.length; j++) {
+            if (hiddenPairs.has(pairKey(profiles[i].response.user_id, profiles[j].response.user_id))) continue;
+            const reciprocal = scoreReciprocal(profiles[i], profiles[j]);
+            if (!reciprocal) continue;
+            const { score: pairScore } = scorePair(profiles[i], profiles[j]);
+            edges.push({ a: profiles[i], b: profiles[j], reciprocal, pairScore });
+        }
+    }
+
+    edges.sort((x, y) => {
+        if (y.reciprocal.score !== x.reciprocal.score) return y.reciprocal.score - x.reciprocal.score;
+        if (y.pairScore !== x.pairScore) return y.pairScore - x.pairScore;
+        const byA = String(x.a.response.user_id).localeCompare(String(y.a.response.user_id));
+        return byA || String(x.b.response.user_id).localeCompare(String(y.b.response.user_id));
+    });
+
+    const assignments = new Map(profiles.map((p) => [p.response.user_id, []]));
+
+    for (const { a, b, reciprocal, pairScore } of edges) {
+        const aList = assignments.get(a.response.user_id);
+        const bList = assignments.get(b.response.user_id);
+        if (aList.length >= slots || bList.length >= slots) continue;
+
+        aList.push({
+            ...formatCandidate(b.response),
+            score: reciprocal.score,
+            pairScore,
+            theyOffer: reciprocal.theyOffer,
+            youOffer: reciprocal.youOffer,
+            constraints: reciprocal.constraints,
+        });
+        bList.push({
+            ...formatCandidate(a.response),
+            score: reciprocal.score,
+            pairScore,
+            theyOffer: reciprocal.youOffer,
+            youOffer: reciprocal.theyOffer,
+            constraints: reciprocal.constraints,
+        });
+    }
+
+    return assignments;
+}
+
+/**
+ * Compare two ranked matches: higher score first, then user ID for reproducible ordering
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export function compareMatches(a, b) {
+    if (b.score !== a.score) return b.score - a.score;
+    return String(a.userId).localeCompare(String(b.userId));
+}
+
+/**
+ * Load every questionnaire response used for matching
+ * @returns {Promise<Object[]>} questionnaire_responses rows
+ */
+export async function loadQuestionnaireResponses() {
+    const { data, error } = await supabase
+        .from("questionnaire_responses")
+        .select(MATCH_FIELDS.join(", "));
+
+    if (error) {
+        throw new Error(`Failed to load questionnaire responses: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Format the public part of a candidate's questionnaire for match results
+ * @param {Object} response - questionnaire_responses row
+ * @returns {Object}
+ */
+export function formatCandidate(response) {
+    return {
+        userId: response.user_id,
+        name: response.name,
+        email: response.email,
+        role: response.role,
+        affiliation: response.affiliation,
+        seniority: response.seniority,
+    };
+}
+
+/**
+ * Compute ranked matches for a user
+ * Candidates the user dismissed or flagged are skipped; the rest are re-weighted by feedback
+ * @param {string} userId - User to compute matches for
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of matches to return
+ * @param {number} options.minScore - Minimum score (0-1) for a match to be included
+ * @param {boolean} options.includeExcluded - Also return pairs excluded by compatibility rules
+ * @returns {Promise<{hasProfile: boolean, matches: Object[]}>}
+ */
+export async function getMatchesForUser(userId, { limit = 20, minScore = 0, includeExcluded = false } = {}) {
+    const responses = await loadQuestionnaireResponses();
+
+    const own = responses.find((r) => r.user_id === userId);
+    if (!own) {
+        return { hasProfile: false, matches: [] };
+    }
+
+    const me = buildProfile(own);
+    const signals = await loadFeedbackSignals(userId, responses);
+    const matches = [];
+    let excluded = 0;
+
+    for (const response of responses) {
+        if (!response.user_id || response.user_id === userId) continue;
+        if (signals.hidden.has(response.user_id)) continue;
+
+        const candidate = buildProfile(response);
+        const { score: baseScore, breakdown, constraints } = scorePair(me, candidate);
+        const feedback = {
+            action: signals.actions.get(response.user_id) || null,
+            ...applyFeedbackSignals(candidate, signals),
+        };
+        const score = roundScore(Math.min(1, baseScore * feedback.multiplier));
+
+        if (constraints.excluded) {
+            excluded++;
+            if (includeExcluded) {
+                matches.push({ ...formatCandidate(response), score, breakdown, constraints, feedback });
+            }
+            continue;
+        }
+        if (score <= 0 || score < minScore) continue;
+
+        matches.push({ ...formatCandidate(response), score, breakdown, constraints, feedback });
+    }
+
+    matches.sort(compareMatches);
+
+    logger.debug("Computed matches", {
+        userId,
+        candidates: responses.length - 1,
+        matched: matches.length,
+        excluded,
+    });
+
+    return { hasProfile: true, matches: matches.slice(0, limit) };
+}
+
+/**
+ * Compute reciprocal matches for a user
+ * Only candidates whose offering overlaps the user's seeking and vice versa are returned,
+ * ranked by reciprocal score and then by overall compatibility
+ * Candidates the user dismissed or flagged are skipped
+ * @param {string} userId - User to compute matches for
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of matches to return
+ * @returns {Promise<{hasProfile: boolean, matches: Object[]}>}
+ */
+export async function getReciprocalMatchesForUser(userId, { limit = 20 } = {}) {
+    const responses = await loadQuestionnaireResponses();
+
+    const own = responses.find((r) => r.user_id === userId);
+    if (!own) {
+        return { hasProfile: false, matches: [] };
+    }
+
+    const me = buildProfile(own);
+    const signals = await loadFeedbackSignals(userId, responses);
+    const matches = [];
+
+    for (const response of responses) {
+        if (!response.user_id || response.user_id === userId) continue;
+        if (signals.hidden.has(response.user_id)) continue;
+
+        const candidate = buildProfile(response);
+        const reciprocal = scoreReciprocal(me, candidate);
+        if (!reciprocal) continue;
+
+        const { score: pairScore } = scorePair(me, candidate);
+        matches.push({ ...formatCandidate(response), ...reciprocal, pairScore });
+    }
+
+    matches.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        if (b.pairScore !== a.pairScore) return b.pairScore - a.pairScore;
+        return compareMatches(a, b);
+    });
+
+    return { hasProfile: true, matches: matches.slice(0, limit) };
+}
+
+/**
+ * Get a user's partners from the stable mutual assignment
+ * Pairs where either side dismissed or flagged the other are never assigned
+ * @param {string} userId - User to look up
+ * @param {Object} options
+ * @param {number} options.slots - Maximum mutual partners per user
+ * @returns {Promise<{hasProfile: boolean, matches: Object[]}>}
+ */
+export async function getMutualMatchesForUser(userId, { slots = config.matching.mutualSlots } = {}) {
+    const responses = await loadQuestionnaireResponses();
+
+    if (!responses.some((r) => r.user_id === userId)) {
+        return { hasProfile: false, matches: [] };
+    }
+
+    const hiddenPairs = await loadHiddenPairs();
+    const assignments = computeMutualAssignments(responses, { slots, hiddenPairs });
+    return { hasProfile: true, matches: assignments.get(userId) || [] };
+}
+
+/**
+ * Recompute the stable mutual assignment and write it to questionnaire_responses.mutual_recommendation
+ * Only rows whose list changed are updated
+ * @param {Object} options
+ * @param {number} options.slots - Maximum mutual partners per user
+ * @returns {Promise<number>} Number of rows updated
+ */
+export async function refreshMutualRecommendations({ slots = config.matching.mutualSlots } = {}) {
+    const { data: responses, error } = await supabase
+        .from("questionnaire_responses")
+        .select([...MATCH_FIELDS, "mutual_recommendation"].join(", "));
+
+    if (error) {
+        throw new Error(`Failed to load questionnaire responses: ${error.message}`);
+    }
+
+    const hiddenPairs = await loadHiddenPairs();
+    const assignments = computeMutualAssignments(responses || [], { slots, hiddenPairs });
+    let updated = 0;
+
+    for (const response of responses || []) {
+        if (!response.user_id) continue;
+
+        const recommendation = (assignments.get(response.user_id) || []).map((m) => ({
+            user_id: m.userId,
+            name: m.name,
+            email: m.email,
+            score: m.score,
+        }));
+
+        if (JSON.stringify(recommendation) === JSON.stringify(response.mutual_recommendation)) {
+            continue;
+        }
+
+        const { error: updateError } = await supabase
+            .from("questionnaire_responses")
+            .update({ mutual_recommendation: recommendation })
+            .eq("user_id", response.user_id);
+
+        if (updateError) {
+            logger.error("Failed to update mutual_recommendation", {
+                userId: response.user_id,
+                error: updateError.message,
+            });
+            continue;
+        }
+        updated++;
+    }
+
+    logger.info("Mutual recommendations refreshed", { users: assignments.size, updated });
+    return updated;
+}
+
+export default {
+    getMatchesForUser,
+    getReciprocalMatchesForUser,
+    getMutualMatchesForUser,
+    refreshMutualRecommendations,
+    scorePair,
+    buildProfile,
+};
@@ -0,0 +1,131 @@
+/**
+ * Message Details Service
+ * Batch-loads what is shown alongside a message: attachments, the quoted preview of the
+ * message it replies to, and aggregated reactions
+ */
+
+import { supabase } from "../config/supabase.js";
+import logger from "../utils/logger.js";
+import { loadAttachments } from "./attachmentService.js";
+
+/**
+ * Maximum length of the quoted text shown for a reply
+ */
+const REPLY_PREVIEW_LENGTH = 200;
+
+/**
+ * Format the quoted preview of a replied-to message
+ * @param {Object} message - messages row
+ * @returns {Object}
+ */
+export function formatReplyPreview(message) {
+    const content = message.deleted_at ? "" : message.content || "";
+    return {
+        id: message.id,
+        sender_id: message.sender_id,
+        sender_email: message.sender_email,
+        content: content.length > REPLY_PREVIEW_LENGTH ? `${content.slice(0, REPLY_PREVIEW_LENGTH)}…` : content,
+        deleted: !!message.deleted_at,
+    };
+}
+
+/**
+ * Load the quoted previews of replied-to messages in one query
+ * @param {string[]} replyToIds - Replied-to message IDs
+ * @returns {Promise<Map<string, Object>>} messageId -> preview
+ */
+export async function loadReplyPreviews(replyToIds) {
+    const previews = new Map();
+    const ids = [...new Set(replyToIds.filter(Boolean))];
+    if (ids.length === 0) return previews;
+
+    const { data, error } = await supabase
+        .from("messages")
+        .select("id, sender_id, sender_email, content, deleted_at")
+        .in("id", ids);
+
+    if (error) {
+        logger.warn("Error loading reply previews", { error: error.message });
+        return previews;
+    }
+
+    for (const message of data || []) {
+        previews.set(message.id, formatReplyPreview(message));
+    }
+    return previews;
+}
+
+/**
+ * Aggregate reaction rows into per-emoji counts, in the order each emoji was first used
+ * @param {Object[]} rows - message_reactions rows, oldest first
+ * @returns {Object[]} [{ emoji, count, userIds }]
+ */
+export function aggregateReactions(rows) {
+    const byEmoji = new Map();
+    for (const row of rows) {
+        if (!byEmoji.has(row.emoji)) byEmoji.set(row.emoji, { emoji: row.emoji, count: 0, userIds: [] });
+        const reaction = byEmoji.get(row.emoji);
+        reaction.count += 1;
+        reaction.userIds.push(row.user_id);
+    }
+    return [...byEmoji.values()];
+}
+
+/**
+ * Load the aggregated reactions of several messages in one query
+ * @param {string[]} messageIds - Message IDs
+ * @returns {Promise<Map<string, Object[]>>} messageId -> aggregated reactions
+ */
+export async function loadReactions(messageIds) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+
+    const { data, error } = await supabase
+        .from("message_reactions")
+        .select("message_id, user_id, emoji")
+        .in("message_id", messageIds)
+        .order("created_at", { ascending: true });
+
+    if (error) {
+        logger.warn("Error loading reactions", { error: error.message });
+        return byMessage;
+    }
+
+    const rowsByMessage = new Map();
+    for (const row of data || []) {
+        if (!rowsByMessage.has(row.message_id)) rowsByMessage.set(row.message_id, []);
+        rowsByMessage.get(row.message_id).push(row);
+    }
+    for (const [messageId, rows] of rowsByMessage) {
+        byMessage.set(messageId, aggregateReactions(rows));
+    }
+    return byMessage;
+}
+
+/**
+ * Batch-load attachments, reply previews and reactions for a set of messages
+ * @param {Object[]} messages - messages rows
+ * @returns {Promise<Function>} (message) -> { attachments, replyTo, reactions } for formatMessageForClient
+ */
+export async function loadMessageDetails(messages) {
+    const ids = messages.map((message) => message.id);
+    const [attachments, replyPreviews, reactions] = await Promise.all([
+        loadAttachments(ids),
+        loadReplyPreviews(messages.map((message) => message.reply_to_id)),
+        loadReactions(ids),
+    ]);
+
+    return (message) => ({
+        attachments: attachments.get(message.id),
+        replyTo: message.reply_to_id ? replyPreviews.get(message.reply_to_id) || null : null,
+        reactions: reactions.get(message.id),
+    });
+}
+
+export default {
+    formatReplyPreview,
+    loadReplyPreviews,
+    aggregateReactions,
+    loadReactions,
+    loadMessageDetails,
+};
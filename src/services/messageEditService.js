@@ -0,0 +1,271 @@
+/**
+ * Message Edit Service
+ * Editing and deletion of sent messages, and their edit history
+ */
+
+import { supabase } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { moderateMessage, logModerationDecision } from "./moderationService.js";
+import { formatMessageForClient } from "./deliveryService.js";
+import { removeMessageAttachments } from "./attachmentService.js";
+import {
+    isGroupMessage,
+    canViewMessage,
+    formatWithDetails,
+    notifyParticipants,
+    alertModerators,
+} from "./messageService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+/**
+ * Load a message that the user sent
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User who must be the sender
+ * @returns {Promise<Object>} messages row
+ * @throws {ApiError} 404 if the message doesn't exist or isn't visible, 403 if not the sender
+ */
+async function getOwnMessage(messageId, userId) {
+    if (!UUID_REGEX.test(messageId || "")) {
+        throw new ApiError(404, "Message not found");
+    }
+
+    const { data: message, error } = await supabase
+        .from("messages")
+        .select("*")
+        .eq("id", messageId)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch message: ${error.message}`);
+    }
+
+    if (!message || !(await canViewMessage(message, userId))) {
+        throw new ApiError(404, "Message not found");
+    }
+
+    if (message.sender_id !== userId) {
+        throw new ApiError(403, "Only the sender can change a message");
+    }
+
+    if (message.deleted_at) {
+        throw new ApiError(409, "Message has been deleted");
+    }
+
+    return message;
+}
+
+/**
+ * Edit a message's content
+ * The new content is moderated like a new message; the previous version is kept in message_edits
+ * @param {Object} params
+ * @param {string} params.messageId - Message ID
+ * @param {string} params.userId - Editing user (must be the sender)
+ * @param {string} params.content - New content
+ * @returns {Promise<{message: Object|null, blocked: Object|null}>}
+ *   The updated message, or the moderation result (with the moderationLogId to appeal) if the edit was blocked
+ */
+export async function editMessage({ messageId, userId, content }) {
+    if (typeof content !== "string" || !content.trim()) {
+        throw new ApiError(400, "content is required");
+    }
+
+    const message = await getOwnMessage(messageId, userId);
+
+    if (content === message.content) {
+        return { message: await formatWithDetails(message), blocked: null };
+    }
+
+    const moderationResult = await moderateMessage(content);
+
+    const moderationLogId = await logModerationDecision({
+        messageId: message.id,
+        senderId: userId,
+        receiverId: message.receiver_id,
+        conversationId: isGroupMessage(message) ? message.conversation_id : null,
+        messageContent: content,
+        result: moderationResult,
+    });
+
+    if (!moderationResult.allowed) {
+        logger.warn("🚫 Message edit blocked by moderation", {
+            messageId,
+            senderId: userId,
+            reason: moderationResult.reason,
+        });
+        let groupTitle = null;
+        if (isGroupMessage(message)) {
+            const { data: conversation } = await supabase
+                .from("conversations")
+                .select("title")
+                .eq("id", message.conversation_id)
+                .maybeSingle();
+            groupTitle = conversation?.title || "Group conversation";
+        }
+
+        alertModerators({
+            moderationLogId,
+            senderId: message.sender_id,
+            senderEmail: message.sender_email,
+            receiverId: message.receiver_id,
+            receiverEmail: message.receiver_email,
+            groupTitle,
+            content,
+            reason: `Edit blocked: ${moderationResult.reason || "Content violation"}`,
+        });
+        return { message: null, blocked: { ...moderationResult, moderationLogId } };
+    }
+
+    return { message: await applyEdit(message, content), blocked: null };
+}
+
+/**
+ * Replace a message's content with moderated content, keeping the previous version
+ * in message_edits, and notify everyone in the conversation
+ * @param {Object} message - messages row
+ * @param {string} content - New content
+ * @param {Object} options
+ * @param {Function} options.onSaved - Called with the message ID once the new content is saved
+ * @returns {Promise<Object>} The formatted updated message
+ */
+export async function applyEdit(message, content, { onSaved } = {}) {
+    const { error: historyError } = await supabase.from("message_edits").insert({
+        message_id: message.id,
+        previous_content: message.content,
+        edited_by: message.sender_id,
+    });
+
+    if (historyError) {
+        throw new ApiError(500, `Failed to save edit history: ${historyError.message}`);
+    }
+
+    const { data: updated, error } = await supabase
+        .from("messages")
+        .update({ content, edited_at: new Date().toISOString() })
+        .eq("id", message.id)
+        .is("deleted_at", null)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to edit message: ${error.message}`);
+    }
+
+    if (!updated) {
+        throw new ApiError(409, "Message has been deleted");
+    }
+    onSaved?.(updated.id);
+
+    logger.info("✏️ Message edited", { messageId: message.id, senderId: message.sender_id });
+    const payload = await formatWithDetails(updated);
+    await notifyParticipants("message_edited", updated, payload);
+
+    return payload;
+}
+
+/**
+ * Delete a message, leaving a tombstone in the conversation for both participants
+ * The content, edit history and attachments are cleared; moderation_logs keeps the audit trail
+ * @param {Object} params
+ * @param {string} params.messageId - Message ID
+ * @param {string} params.userId - Deleting user (must be the sender)
+ * @returns {Promise<Object>} The tombstone message
+ */
+export async function deleteMessage({ messageId, userId }) {
+    const message = await getOwnMessage(messageId, userId);
+
+    const { data: updated, error } = await supabase
+        .from("messages")
+        .update({ content: "", deleted_at: new Date().toISOString(), deleted_by: userId })
+        .eq("id", message.id)
+        .is("deleted_at", null)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to delete message: ${error.message}`);
+    }
+
+    if (!updated) {
+        throw new ApiError(409, "Message has been deleted");
+    }
+
+    const { error: historyError } = await supabase
+        .from("message_edits")
+        .delete()
+        .eq("message_id", message.id);
+
+    if (historyError) {
+        logger.warn("Failed to clear edit history of deleted message", { messageId, error: historyError.message });
+    }
+
+    try {
+        await removeMessageAttachments(message.id);
+    } catch (err) {
+        logger.warn("Failed to remove attachments of deleted message", { messageId, error: err.message });
+    }
+
+    const { error: reactionsError } = await supabase
+        .from("message_reactions")
+        .delete()
+        .eq("message_id", message.id);
+
+    if (reactionsError) {
+        logger.warn("Failed to clear reactions of deleted message", { messageId, error: reactionsError.message });
+    }
+
+    logger.info("🗑️ Message deleted", { messageId, senderId: userId });
+    const payload = formatMessageForClient(updated);
+    await notifyParticipants("message_deleted", updated, payload);
+
+    return payload;
+}
+
+/**
+ * Get the edit history of a message, oldest first
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Requesting user (sender, receiver or group member)
+ * @returns {Promise<Object[]>}
+ */
+export async function getEditHistory(messageId, userId) {
+    if (!UUID_REGEX.test(messageId || "")) {
+        throw new ApiError(404, "Message not found");
+    }
+
+    const { data: message, error } = await supabase
+        .from("messages")
+        .select("id, sender_id, receiver_id, receiver_email, conversation_id")
+        .eq("id", messageId)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch message: ${error.message}`);
+    }
+
+    if (!message || !(await canViewMessage(message, userId))) {
+        throw new ApiError(404, "Message not found");
+    }
+
+    const { data: edits, error: editsError } = await supabase
+        .from("message_edits")
+        .select("previous_content, edited_by, edited_at")
+        .eq("message_id", messageId)
+        .order("edited_at", { ascending: true });
+
+    if (editsError) {
+        throw new ApiError(500, `Failed to fetch edit history: ${editsError.message}`);
+    }
+
+    return (edits || []).map((edit) => ({
+        content: edit.previous_content,
+        editedBy: edit.edited_by,
+        editedAt: edit.edited_at,
+    }));
+}
+
+export default {
+    editMessage,
+    applyEdit,
+    deleteMessage,
+    getEditHistory,
+};
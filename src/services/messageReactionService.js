@@ -0,0 +1,159 @@
+/**
+ * Message Reaction Service
+ * Emoji reactions to messages, broadcast to everyone in the conversation
+ */
+
+import { supabase } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { loadReactions } from "./messageDetailsService.js";
+import { isBlockedEitherWay } from "./blockService.js";
+import { isGroupMessage, canViewMessage, notifyParticipants } from "./messageService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+/**
+ * A reaction is exactly one emoji (one grapheme): a pictograph with optional skin-tone modifiers,
+ * variation selectors, zero-width joiners and tags ("👍🏽", "👩‍💻", subdivision flags), a flag, or a
+ * keycap ("1️⃣"). Digits, "#" and "*" only count as part of a keycap, and pictographs shown as
+ * text by default ("©", "™", "❤") need the emoji variation selector.
+ */
+const EMOJI_REGEX = /^\p{Extended_Pictographic}(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|[\u{e0020}-\u{e007f}]|\u200d|\ufe0f)*$/u;
+const EMOJI_PRESENTATION_REGEX = /\p{Emoji_Presentation}|\ufe0f/u;
+const FLAG_REGEX = /^\p{Regional_Indicator}{2}$/u;
+const KEYCAP_REGEX = /^[0-9#*]\ufe0f?\u20e3$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+/**
+ * Whether a value is a single emoji
+ * @param {string} emoji - Reaction value
+ * @returns {boolean}
+ */
+function isValidEmoji(emoji) {
+    if (typeof emoji !== "string" || emoji.length > MAX_EMOJI_LENGTH) return false;
+    if ([...graphemes.segment(emoji)].length !== 1) return false;
+
+    return KEYCAP_REGEX.test(emoji) ||
+        FLAG_REGEX.test(emoji) ||
+        (EMOJI_REGEX.test(emoji) && EMOJI_PRESENTATION_REGEX.test(emoji));
+}
+
+/**
+ * Load a message the user may react to
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Reacting user
+ * @returns {Promise<Object>} messages row
+ * @throws {ApiError} 404 if the message isn't visible, 409 if deleted, 403 if the users blocked each other
+ */
+async function getReactableMessage(messageId, userId) {
+    if (!UUID_REGEX.test(messageId || "")) {
+        throw new ApiError(404, "Message not found");
+    }
+
+    const { data: message, error } = await supabase
+        .from("messages")
+        .select("*")
+        .eq("id", messageId)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch message: ${error.message}`);
+    }
+
+    if (!message || !(await canViewMessage(message, userId))) {
+        throw new ApiError(404, "Message not found");
+    }
+
+    if (message.deleted_at) {
+        throw new ApiError(409, "Message has been deleted");
+    }
+
+    const otherUserId = message.sender_id === userId ? message.receiver_id : message.sender_id;
+    if (!isGroupMessage(message) && otherUserId && await isBlockedEitherWay(userId, otherUserId)) {
+        throw new ApiError(403, "You can't react to messages from this user");
+    }
+
+    return message;
+}
+
+/**
+ * Send a message's aggregated reactions to everyone in its conversation
+ * @param {Object} message - messages row
+ * @returns {Promise<Object[]>} Aggregated reactions
+ */
+async function broadcastReactions(message) {
+    const reactions = (await loadReactions([message.id])).get(message.id) || [];
+    await notifyParticipants("message_reactions_updated", message, {
+        messageId: message.id,
+        conversationId: message.conversation_id,
+        reactions,
+    });
+    return reactions;
+}
+
+/**
+ * React to a message with an emoji
+ * Reacting twice with the same emoji is a no-op
+ * @param {Object} params
+ * @param {string} params.messageId - Message ID
+ * @param {string} params.userId - Reacting user (a participant of the conversation)
+ * @param {string} params.emoji - Single emoji
+ * @returns {Promise<Object[]>} The message's aggregated reactions
+ */
+export async function addReaction({ messageId, userId, emoji }) {
+    if (!isValidEmoji(emoji)) {
+        throw new ApiError(400, "emoji must be a single emoji");
+    }
+
+    const message = await getReactableMessage(messageId, userId);
+
+    const { error } = await supabase
+        .from("message_reactions")
+        .upsert(
+            { message_id: message.id, user_id: userId, emoji },
+            { onConflict: "message_id,user_id,emoji", ignoreDuplicates: true }
+        );
+
+    if (error) {
+        throw new ApiError(500, `Failed to add reaction: ${error.message}`);
+    }
+
+    logger.debug("😀 Reaction added", { messageId, userId, emoji });
+    return broadcastReactions(message);
+}
+
+/**
+ * Remove the user's emoji reaction from a message
+ * @param {Object} params
+ * @param {string} params.messageId - Message ID
+ * @param {string} params.userId - Reacting user
+ * @param {string} params.emoji - Emoji to remove
+ * @returns {Promise<Object[]>} The message's aggregated reactions
+ */
+export async function removeReaction({ messageId, userId, emoji }) {
+    if (!isValidEmoji(emoji)) {
+        throw new ApiError(400, "emoji must be a single emoji");
+    }
+
+    const message = await getReactableMessage(messageId, userId);
+
+    const { error } = await supabase
+        .from("message_reactions")
+        .delete()
+        .eq("message_id", message.id)
+        .eq("user_id", userId)
+        .eq("emoji", emoji);
+
+    if (error) {
+        throw new ApiError(500, `Failed to remove reaction: ${error.message}`);
+    }
+
+    logger.debug("Reaction removed", { messageId, userId, emoji });
+    return broadcastReactions(message);
+}
+
+export default {
+    addReaction,
+    removeReaction,
+};
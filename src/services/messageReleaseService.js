@@ -0,0 +1,230 @@
+/**
+ * Message Release Service
+ * Delivers blocked messages and edits after a moderator overturned the decision
+ */
+
+import { supabase } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+import { findUserById, findUserByEmail } from "./userProfileService.js";
+import { formatMessageForClient } from "./deliveryService.js";
+import { formatReplyPreview } from "./messageDetailsService.js";
+import { attachToMessage } from "./attachmentService.js";
+import { isGroupParticipant } from "./groupService.js";
+import { isBlockedEitherWay, hasMuted } from "./blockService.js";
+import { canStartConversation } from "./connectionService.js";
+import { isConversationMuted } from "./conversationSettingsService.js";
+import { getConnectionCount } from "./presenceService.js";
+import { recordPendingRecipient } from "./pendingRecipientService.js";
+import { getReplyTarget, saveGroupMessage } from "./messageService.js";
+import { applyEdit } from "./messageEditService.js";
+
+/**
+ * Load the message a released message replied to, if it can still be quoted
+ * @param {Object} params - Same as getReplyTarget
+ * @returns {Promise<Object|null>}
+ */
+async function findReleasedReplyTarget(params) {
+    try {
+        return await getReplyTarget(params);
+    } catch {
+        // The original was deleted in the meantime; send the message without the quote
+        return null;
+    }
+}
+
+/**
+ * Save a released direct message and deliver it to both participants
+ * @param {Object} params
+ * @param {Object} params.sender - Sender ({ id, email, name })
+ * @param {string|null} params.receiverId - Receiver's ID (null if they have no account yet)
+ * @param {string} params.receiverEmail - Receiver's email
+ * @param {string} params.content - Message text
+ * @param {string[]} params.attachmentIds - Attachments the sender tried to send
+ * @param {string|null} params.replyToId - Replied-to message ID
+ * @param {Function} params.onSaved - Called with the message ID once it is inserted
+ * @returns {Promise<Object>} The formatted message
+ */
+async function releaseDirectMessage({ sender, receiverId, receiverEmail, content, attachmentIds, replyToId, onSaved }) {
+    if (receiverId && await isBlockedEitherWay(sender.id, receiverId)) {
+        throw new ApiError(409, "The sender and the recipient have blocked each other");
+    }
+
+    // Same check as send_message: a release must not open a conversation nobody agreed to
+    const connectionAllowed = await canStartConversation({
+        senderId: sender.id,
+        senderEmail: sender.email,
+        receiverId,
+        receiverEmail,
+    });
+    if (!connectionAllowed) {
+        throw new ApiError(409, "The sender and the recipient have no accepted connection");
+    }
+
+    const replyTarget = await findReleasedReplyTarget({ replyToId, senderId: sender.id, receiverId, receiverEmail });
+
+    // The database trigger creates or updates the conversation
+    const { data: saved, error } = await supabase
+        .from("messages")
+        .insert({
+            sender_id: sender.id,
+            sender_email: sender.email,
+            receiver_id: receiverId,
+            receiver_email: receiverEmail,
+            content,
+            reply_to_id: replyTarget?.id || null,
+            status: "sent",
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new ApiError(500, `Failed to release message: ${error.message}`);
+    }
+    onSaved?.(saved.id);
+
+    let attachments = [];
+    try {
+        attachments = await attachToMessage({ attachmentIds, uploaderId: sender.id, messageId: saved.id });
+    } catch (err) {
+        logger.error("Error linking attachments to released message", err);
+    }
+
+    const replyTo = replyTarget ? formatReplyPreview(replyTarget) : null;
+    const payload = formatMessageForClient(saved, { attachments, replyTo });
+
+    if (!receiverId) {
+        // Held for the email like any message to an unregistered recipient
+        setImmediate(async () => {
+            try {
+                await recordPendingRecipient({ email: receiverEmail, inviter: sender });
+            } catch (err) {
+                logger.error("Error inviting unregistered recipient", err);
+            }
+        });
+    } else if (receiverId !== sender.id) {
+        const muted = (await hasMuted(receiverId, sender.id)) ||
+            (await isConversationMuted(receiverId, saved.conversation_id));
+        emitToUser(receiverId, "receive_message", { ...payload, muted });
+    }
+    emitToUser(sender.id, "receive_message", payload);
+
+    if (receiverId && await getConnectionCount(receiverId) > 0) {
+        const { error: statusError } = await supabase
+            .from("messages")
+            .update({ status: "delivered", delivered_at: new Date().toISOString() })
+            .eq("id", saved.id);
+
+        if (!statusError) {
+            emitToUser(sender.id, "message_status_update", { messageId: saved.id, status: "delivered" });
+        }
+    }
+
+    if (saved.conversation_id) {
+        const { data: conversation } = await supabase
+            .from("conversations")
+            .select("*")
+            .eq("id", saved.conversation_id)
+            .single();
+
+        if (conversation) {
+            for (const userId of new Set([sender.id, receiverId].filter(Boolean))) {
+                emitToUser(userId, "conversation_updated", conversation);
+            }
+        }
+    }
+
+    return payload;
+}
+
+/**
+ * Deliver a blocked message after a moderator overturned the decision
+ * Blocked edits are applied unless the sender edited the message again since, and blocked new
+ * messages are sent as they were written, without moderating them again. Rules that would refuse a normal send still apply: the users must not
+ * have blocked each other and need an accepted connection (or an existing conversation), and a
+ * group sender must still be a member. Attachments are only sent if they haven't been sent with
+ * another message since.
+ * @param {Object} log - moderation_logs row of the blocked decision
+ * @param {Object} options
+ * @param {Function} options.onSaved - Called with the message ID as soon as the message is saved,
+ *   so a caller can tell a failure before anything was sent from one during delivery
+ * @returns {Promise<Object>} The formatted released message
+ * @throws {ApiError} 409 if the message can no longer be delivered
+ */
+export async function releaseBlockedMessage(log, { onSaved } = {}) {
+    const sender = await findUserById(log.sender_id);
+    if (!sender) {
+        throw new ApiError(409, "The sender's account no longer exists");
+    }
+
+    // Blocked edits keep the ID of the message that was being edited
+    if (log.message_id) {
+        const { data: message, error } = await supabase
+            .from("messages")
+            .select("*")
+            .eq("id", log.message_id)
+            .maybeSingle();
+
+        if (error) {
+            throw new ApiError(500, `Failed to fetch message: ${error.message}`);
+        }
+        if (!message || message.deleted_at) {
+            throw new ApiError(409, "The edited message has been deleted");
+        }
+        // Releasing would silently overwrite what the sender wrote after the edit was blocked
+        if (message.edited_at && new Date(message.edited_at) > new Date(log.timestamp)) {
+            throw new ApiError(409, "The sender has edited the message since this edit was blocked");
+        }
+        return applyEdit(message, log.message_content, { onSaved });
+    }
+
+    // Logs written before pending_message existed only have the moderated text
+    const pending = log.pending_message || {};
+    const content = typeof pending.content === "string" ? pending.content : log.message_content;
+    const attachmentIds = Array.isArray(pending.attachmentIds) ? pending.attachmentIds : [];
+    const replyToId = pending.replyToId || null;
+
+    if (!log.receiver_id && !pending.receiverEmail && log.conversation_id) {
+        if (!(await isGroupParticipant(log.conversation_id, sender.id))) {
+            throw new ApiError(409, "The sender is no longer a member of the group");
+        }
+
+        const replyTarget = await findReleasedReplyTarget({
+            replyToId,
+            senderId: sender.id,
+            conversationId: log.conversation_id,
+        });
+        const { saved, attachments, replyTo } = await saveGroupMessage({
+            sender,
+            conversationId: log.conversation_id,
+            text: content,
+            attachmentIds,
+            replyTarget,
+            onSaved,
+        });
+        return formatMessageForClient(saved, { attachments, replyTo });
+    }
+
+    const receiverEmail = pending.receiverEmail || (await findUserById(log.receiver_id))?.email;
+    if (!receiverEmail) {
+        throw new ApiError(409, "The recipient's account no longer exists");
+    }
+
+    // The recipient may have signed up since the message was blocked
+    const receiverId = log.receiver_id || (await findUserByEmail(receiverEmail))?.id || null;
+
+    return releaseDirectMessage({
+        sender,
+        receiverId,
+        receiverEmail,
+        content,
+        attachmentIds,
+        replyToId,
+        onSaved,
+    });
+}
+
+export default {
+    releaseBlockedMessage,
+};
@@ -0,0 +1,351 @@
+/**
+ * Message Service
+ * Group message sending, replies and the helpers shared by the message edit, release and reaction
+ * services: visibility checks, moderator alerts and notifying everyone in a conversation
+ */
+
+import { supabase } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+import { moderateMessage, logModerationDecision, updateModerationLog } from "./moderationService.js";
+import { sendModerationAlert } from "./emailService.js";
+import { getUserProfiles } from "./userProfileService.js";
+import { formatMessageForClient } from "./deliveryService.js";
+import { formatReplyPreview, loadMessageDetails } from "./messageDetailsService.js";
+import { validatePendingAttachments, attachToMessage } from "./attachmentService.js";
+import { requireGroupMember, isGroupParticipant, getParticipantIds } from "./groupService.js";
+import { getBlockedUserIds, getMutedUserIds } from "./blockService.js";
+import { isConversationMuted } from "./conversationSettingsService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+/**
+ * Whether a message was sent to a group conversation
+ * Direct messages always carry the receiver's email; group messages have no receiver
+ * @param {Object} message - messages row
+ * @returns {boolean}
+ */
+export function isGroupMessage(message) {
+    return !message.receiver_email && !!message.conversation_id;
+}
+
+/**
+ * Whether a user may see a message (its sender, its receiver, or a member of its group)
+ * @param {Object} message - messages row
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export async function canViewMessage(message, userId) {
+    if (message.sender_id === userId || message.receiver_id === userId) {
+        return true;
+    }
+    return isGroupMessage(message) && isGroupParticipant(message.conversation_id, userId);
+}
+
+/**
+ * Format a message for clients, including its attachments, reply preview and reactions
+ * @param {Object} message - messages row
+ * @returns {Promise<Object>}
+ */
+export async function formatWithDetails(message) {
+    const detailsFor = await loadMessageDetails([message]);
+    return formatMessageForClient(message, detailsFor(message));
+}
+
+/**
+ * Load the message a new message replies to
+ * It must be an undeleted message of the same conversation: the same group,
+ * or a direct message between the sender and the receiver
+ * @param {Object} params
+ * @param {string} params.replyToId - Replied-to message ID (optional)
+ * @param {string} params.senderId - Sender's ID
+ * @param {string|null} params.receiverId - Receiver's ID for direct messages
+ * @param {string|null} params.receiverEmail - Receiver's email for direct messages
+ * @param {string|null} params.conversationId - Group conversation ID for group messages
+ * @returns {Promise<Object|null>} The replied-to messages row, or null when not replying
+ * @throws {ApiError} 400 if the message can't be replied to
+ */
+export async function getReplyTarget({ replyToId, senderId, receiverId = null, receiverEmail = null, conversationId = null }) {
+    if (!replyToId) return null;
+
+    if (!UUID_REGEX.test(replyToId)) {
+        throw new ApiError(400, "Invalid reply_to_id");
+    }
+
+    const { data: target, error } = await supabase
+        .from("messages")
+        .select("*")
+        .eq("id", replyToId)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch replied-to message: ${error.message}`);
+    }
+
+    const lower = (value) => (value || "").toLowerCase();
+    let sameConversation = false;
+    if (target && conversationId) {
+        sameConversation = isGroupMessage(target) && target.conversation_id === conversationId;
+    } else if (target && !isGroupMessage(target)) {
+        const sentBySender = target.sender_id === senderId && (receiverId
+            ? target.receiver_id === receiverId
+            : lower(target.receiver_email) === lower(receiverEmail));
+        const sentByReceiver = !!receiverId && target.sender_id === receiverId && target.receiver_id === senderId;
+        sameConversation = sentBySender || sentByReceiver;
+    }
+
+    if (!sameConversation) {
+        throw new ApiError(400, "You can only reply to a message in the same conversation");
+    }
+
+    if (target.deleted_at) {
+        throw new ApiError(400, "You can't reply to a deleted message");
+    }
+
+    return target;
+}
+
+/**
+ * Send a changed message to everyone in its conversation
+ * @param {string} event - "message_edited", "message_deleted" or "message_reactions_updated"
+ * @param {Object} message - Updated messages row
+ * @param {Object} payload - Event payload
+ * @returns {Promise<void>}
+ */
+export async function notifyParticipants(event, message, payload) {
+    const recipients = isGroupMessage(message)
+        ? await getParticipantIds(message.conversation_id)
+        : [message.sender_id, message.receiver_id];
+
+    for (const recipientId of new Set(recipients.filter(Boolean))) {
+        emitToUser(recipientId, event, payload);
+    }
+}
+
+/**
+ * Email moderators about blocked content (fire-and-forget)
+ * The moderation log is marked as emailed once the alert has been sent
+ * @param {Object} params
+ * @param {string|null} params.moderationLogId - ID returned by logModerationDecision
+ * @param {string} params.senderId - Sender's ID
+ * @param {string} params.senderEmail - Sender's email
+ * @param {string|null} params.receiverId - Receiver's ID (null for groups)
+ * @param {string|null} params.receiverEmail - Receiver's email (null for groups)
+ * @param {string|null} params.groupTitle - Group title for group messages
+ * @param {string} params.content - Blocked content
+ * @param {string} params.reason - Why it was blocked
+ */
+export function alertModerators({
+    moderationLogId,
+    senderId,
+    senderEmail,
+    receiverId,
+    receiverEmail,
+    groupTitle = null,
+    content,
+    reason,
+}) {
+    setImmediate(async () => {
+        try {
+            const { byId } = await getUserProfiles({ ids: [senderId, receiverId] });
+            await sendModerationAlert({
+                senderName: byId.get(senderId)?.name || senderEmail,
+                senderEmail,
+                receiverName: groupTitle ? `Group "${groupTitle}"` : byId.get(receiverId)?.name || receiverEmail,
+                receiverEmail: groupTitle ? "group conversation" : receiverEmail,
+                messageContent: content,
+                blockedReason: reason,
+                timestamp: new Date().toISOString(),
+            });
+            await updateModerationLog(moderationLogId, { email_sent: true });
+        } catch (err) {
+            logger.error("❌ Error sending moderation alert", { error: err.message });
+        }
+    });
+}
+
+/**
+ * Send a message to a group conversation
+ * The message is moderated like a direct message and delivered to every member's room,
+ * except members who have blocked the sender
+ * @param {Object} params
+ * @param {Object} params.sender - Sending member ({ id, email })
+ * @param {string} params.conversationId - Group conversation ID
+ * @param {string} params.content - Message text (may be empty when sending attachments)
+ * @param {string[]} params.attachmentIds - Uploaded attachments to send
+ * @param {string} params.replyToId - Earlier group message this message replies to (optional)
+ * @returns {Promise<{message: Object|null, blocked: Object|null}>}
+ *   The sent message, or the moderation result (with the moderationLogId to appeal) if it was blocked
+ */
+export async function sendGroupMessage({ sender, conversationId, content, attachmentIds, replyToId }) {
+    const text = typeof content === "string" ? content : "";
+    const ids = Array.isArray(attachmentIds) ? attachmentIds : [];
+
+    if (!text.trim() && ids.length === 0) {
+        throw new ApiError(400, "content or attachments are required");
+    }
+
+    const { conversation } = await requireGroupMember(conversationId, sender.id);
+    const replyTarget = await getReplyTarget({ replyToId, senderId: sender.id, conversationId });
+    const attachments = await validatePendingAttachments(ids, sender.id);
+
+    // File names are moderated with the text; file contents are not scanned
+    const moderatedText = [text, ...attachments.map((attachment) => attachment.file_name)]
+        .filter(Boolean)
+        .join("\n");
+    const moderationResult = await moderateMessage(moderatedText);
+
+    if (!moderationResult.allowed) {
+        const moderationLogId = await logModerationDecision({
+            messageId: null,
+            senderId: sender.id,
+            receiverId: null,
+            conversationId,
+            messageContent: moderatedText,
+            result: moderationResult,
+            pendingMessage: {
+                content: text,
+                receiverEmail: null,
+                attachmentIds: ids,
+                replyToId: replyTarget?.id || null,
+            },
+        });
+
+        logger.warn("🚫 Group message blocked by moderation", {
+            conversationId,
+            senderId: sender.id,
+            reason: moderationResult.reason,
+        });
+        alertModerators({
+            moderationLogId,
+            senderId: sender.id,
+            senderEmail: sender.email,
+            receiverId: null,
+            receiverEmail: null,
+            groupTitle: conversation.title,
+            content: moderatedText,
+            reason: moderationResult.reason || "Content violation",
+        });
+        return { message: null, blocked: { ...moderationResult, moderationLogId } };
+    }
+
+    const { saved, attachments: sentAttachments, replyTo } = await saveGroupMessage({
+        sender,
+        conversationId,
+        text,
+        attachmentIds: ids,
+        replyTarget,
+    });
+
+    await logModerationDecision({
+        messageId: saved.id,
+        senderId: sender.id,
+        receiverId: null,
+        conversationId,
+        messageContent: moderatedText,
+        result: moderationResult,
+    });
+
+    return { message: formatMessageForClient(saved, { attachments: sentAttachments, replyTo }), blocked: null };
+}
+
+/**
+ * Save a moderated group message and deliver it to every member's room,
+ * except members who have blocked the sender
+ * @param {Object} params
+ * @param {Object} params.sender - Sending member ({ id, email })
+ * @param {string} params.conversationId - Group conversation ID
+ * @param {string} params.text - Message text
+ * @param {string[]} params.attachmentIds - Validated attachments to link
+ * @param {Object|null} params.replyTarget - Replied-to messages row
+ * @param {Function} params.onSaved - Called with the message ID once it is inserted (optional)
+ * @returns {Promise<{saved: Object, attachments: Object[], replyTo: Object|null}>}
+ */
+export async function saveGroupMessage({ sender, conversationId, text, attachmentIds, replyTarget, onSaved }) {
+    // The conversation trigger updates the group's last message and members' unread counts
+    const { data: saved, error } = await supabase
+        .from("messages")
+        .insert({
+            sender_id: sender.id,
+            sender_email: sender.email,
+            receiver_id: null,
+            receiver_email: null,
+            conversation_id: conversationId,
+            content: text,
+            reply_to_id: replyTarget?.id || null,
+            status: "sent",
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new ApiError(500, `Failed to send message: ${error.message}`);
+    }
+    onSaved?.(saved.id);
+
+    let sentAttachments = [];
+    try {
+        sentAttachments = await attachToMessage({ attachmentIds, uploaderId: sender.id, messageId: saved.id });
+    } catch (err) {
+        logger.error("Error linking attachments to group message", err);
+    }
+
+    const replyTo = replyTarget ? formatReplyPreview(replyTarget) : null;
+
+    // The message is saved, so delivery problems are logged rather than reported as a failed send;
+    // members who miss the live event still get the message when they load the conversation
+    let participantIds = [];
+    let updatedConversation = null;
+    try {
+        [participantIds, { data: updatedConversation }] = await Promise.all([
+            getParticipantIds(conversationId),
+            supabase.from("conversations").select("*").eq("id", conversationId).single(),
+        ]);
+    } catch (err) {
+        logger.error("Error loading group members for delivery", { conversationId, error: err.message });
+    }
+
+    await Promise.all(
+        participantIds.map(async (participantId) => {
+            let muted = false;
+            if (participantId !== sender.id) {
+                try {
+                    const [blocked, mutedIds, conversationMuted] = await Promise.all([
+                        getBlockedUserIds(participantId),
+                        getMutedUserIds(participantId),
+                        isConversationMuted(participantId, conversationId),
+                    ]);
+                    if (blocked.has(sender.id)) return;
+                    muted = mutedIds.has(sender.id) || conversationMuted;
+                } catch (err) {
+                    // Without the block check the message can't safely be pushed to this member
+                    logger.error("Error checking group member before delivery", {
+                        conversationId,
+                        participantId,
+                        error: err.message,
+                    });
+                    return;
+                }
+            }
+
+            emitToUser(participantId, "receive_message", formatMessageForClient(saved, { muted, attachments: sentAttachments, replyTo }));
+            if (updatedConversation) {
+                emitToUser(participantId, "conversation_updated", updatedConversation);
+            }
+        })
+    );
+
+    logger.info("👥 Group message sent", { conversationId, senderId: sender.id, members: participantIds.length });
+    return { saved, attachments: sentAttachments, replyTo };
+}
+
+export default {
+    isGroupMessage,
+    canViewMessage,
+    formatWithDetails,
+    getReplyTarget,
+    notifyParticipants,
+    alertModerators,
+    sendGroupMessage,
+    saveGroupMessage,
+};
@@ -0,0 +1,415 @@
+/**
+ * Moderation Matcher
+ * Matches message text against blacklist entries for rule-based moderation.
+ *
+ * Text is normalized before matching so obfuscated words are still caught:
+ *   - accents, compatibility forms (fullwidth, ligatures) and zero-width characters are removed
+ *   - look-alike Cyrillic and Greek letters are mapped to Latin ("ѕех" -> "sex")
+ *   - everything but letters and digits becomes a single space ("let's meet!" -> "let s meet")
+ * and two extra variants of the text are checked:
+ *   - leetspeak decoded in words that mix letters with digits or symbols ("wh4tsapp", "$ex")
+ *   - runs of spaced-out single letters joined ("s e x", "s.e.x" -> "sex")
+ *
+ * Entries match as:
+ *   word       -> whole words and their common inflections ("idiot" blocks "idiots", "hate" blocks
+ *                 "hated"; "die" still doesn't block "diesel" or "studied")
+ *   substring  -> anywhere in the normalized text (the old behaviour, for word stems)
+ *   regex      -> a case-insensitive pattern tested against the normalized text. Patterns run on
+ *                 every message, so ones that can backtrack exponentially are rejected (see
+ *                 checkPatternSafety) and long messages are tested in windows
+ *
+ * Allowlisted phrases ("sex differences", "kill switch") are removed from the text first, with the
+ * same endings as word entries ("kill switches").
+ */
+
+export const MATCH_TYPES = ["word", "substring", "regex"];
+
+/**
+ * Look-alike letters mapped to the Latin letter they imitate (after lowercasing)
+ * Accented forms ("ї", "ά") aren't listed: NFKD splits them into a listed letter and a mark
+ */
+const CONFUSABLES = {
+    // Cyrillic
+    "а": "a", "в": "b", "г": "r", "е": "e", "є": "e", "и": "u", "к": "k", "м": "m", "н": "h", "о": "o",
+    "п": "n", "р": "p", "с": "c", "т": "t", "у": "y", "х": "x", "ш": "w", "щ": "w", "ъ": "b", "ь": "b",
+    "э": "e", "я": "r", "ѕ": "s", "і": "i", "ј": "j", "һ": "h", "ӏ": "l", "ԁ": "d", "ԛ": "q", "ԝ": "w",
+    "ґ": "r", "ғ": "r", "қ": "k", "ң": "h", "ү": "y", "ұ": "y", "ҫ": "c", "ө": "o", "ѳ": "o",
+    // Greek
+    "α": "a", "β": "b", "γ": "y", "δ": "d", "ε": "e", "η": "n", "θ": "o", "ι": "i", "κ": "k", "μ": "u",
+    "ν": "v", "ο": "o", "π": "n", "ρ": "p", "ς": "s", "σ": "o", "τ": "t", "υ": "u", "χ": "x", "ω": "w",
+    "ϳ": "j",
+    // Latin look-alikes
+    "ı": "i", "ɩ": "i", "ɪ": "i", "ɑ": "a", "ᴀ": "a", "ʙ": "b", "ᴄ": "c", "ᴅ": "d", "ᴇ": "e", "ɡ": "g",
+    "ɢ": "g", "ʜ": "h", "ᴊ": "j", "ᴋ": "k", "ʟ": "l", "ᴍ": "m", "ɴ": "n", "ᴏ": "o", "ø": "o", "ᴘ": "p",
+    "ʀ": "r", "ꜱ": "s", "ᴛ": "t", "ᴜ": "u", "ᴠ": "v", "ᴡ": "w", "ʏ": "y", "ᴢ": "z", "đ": "d", "ħ": "h",
+    "ł": "l", "ŧ": "t", "ß": "ss", "æ": "ae", "œ": "oe",
+};
+
+/**
+ * Digits and symbols commonly used in place of letters
+ */
+const LEET = {
+    "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+    "@": "a", "$": "s", "!": "i", "|": "i", "+": "t",
+};
+
+const ZERO_WIDTH_REGEX = /[\u00ad\u200b-\u200f\u2060\ufeff]/g;
+const COMBINING_MARK_REGEX = /\p{M}/gu;
+const NON_WORD_REGEX = /[^\p{L}\p{N}]+/gu;
+const LEET_TOKEN_REGEX = /[\p{L}\p{N}@$!|+]+/gu;
+const LETTER_REGEX = /\p{L}/u;
+const LEET_CHAR_REGEX = /[0-9@$!|+]/;
+
+/**
+ * Endings accepted after the last word of a "word" entry ("fuck" -> "fucking", "nude" -> "nudes")
+ */
+const INFLECTIONS = ["s", "es", "d", "ed", "er", "ers", "ing", "y", "ly", "ic", "ity"];
+
+/**
+ * Regex entries are tested on windows of the text, so a slow pattern can't be fed an arbitrarily
+ * long message. Windows overlap, so matches up to REGEX_WINDOW_OVERLAP characters long are never split.
+ */
+const REGEX_WINDOW = 200;
+const REGEX_WINDOW_OVERLAP = 50;
+
+/**
+ * Pattern limits (see checkPatternSafety)
+ * Complexity is the product of every quantifier's range ("?" is 2, "{2,5}" is 4, and "*", "+" or
+ * "{n,}" count as the window length), which bounds how much a match attempt can backtrack
+ */
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_COMPLEXITY = 1000;
+
+/**
+ * Placeholder left where an allowlisted phrase was removed, so words on either side stay apart
+ */
+const MASK = "~";
+
+/**
+ * Shortest run of spaced-out single letters that is joined into a word
+ */
+const MIN_SPACED_RUN = 3;
+
+/**
+ * Remove accents, invisible characters and look-alike letters, and lowercase
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    const stripped = String(text)
+        .normalize("NFKD")
+        .replace(COMBINING_MARK_REGEX, "")
+        .replace(ZERO_WIDTH_REGEX, "")
+        .toLowerCase();
+
+    let normalized = "";
+    for (const char of stripped) {
+        normalized += CONFUSABLES[char] ?? char;
+    }
+    return normalized;
+}
+
+/**
+ * Reduce normalized text to words separated by single spaces
+ * @param {string} text - Normalized text
+ * @returns {string}
+ */
+export function canonicalize(text) {
+    return text.replace(NON_WORD_REGEX, " ").trim();
+}
+
+/**
+ * Decode leetspeak in words that mix letters with digits or symbols
+ * Numbers on their own ("2024") are left alone
+ * @param {string} text - Normalized text
+ * @returns {string}
+ */
+function decodeLeet(text) {
+    return text.replace(LEET_TOKEN_REGEX, (token) => {
+        if (!LETTER_REGEX.test(token) || !LEET_CHAR_REGEX.test(token)) return token;
+        // Trailing "!" or "+" is punctuation ("die!"), not a letter
+        return token.replace(/[!|+]+$/, "").replace(/[0-9@$!|+]/g, (char) => LEET[char] ?? char);
+    });
+}
+
+/**
+ * Join runs of spaced-out single letters ("s e x" -> "sex")
+ * @param {string} canonical - Canonical text
+ * @returns {string}
+ */
+function joinSpacedLetters(canonical) {
+    const words = [];
+    let run = [];
+
+    const flush = () => {
+        if (run.length >= MIN_SPACED_RUN) words.push(run.join(""));
+        else words.push(...run);
+        run = [];
+    };
+
+    for (const word of canonical.split(" ")) {
+        if ([...word].length === 1) {
+            run.push(word);
+        } else {
+            flush();
+            words.push(word);
+        }
+    }
+    flush();
+
+    return words.join(" ");
+}
+
+/**
+ * The canonical forms of a message that entries are matched against
+ * @param {string} text - Raw message text
+ * @returns {string[]}
+ */
+export function textVariants(text) {
+    const normalized = normalizeText(text);
+    const plain = canonicalize(normalized);
+    const leet = canonicalize(decodeLeet(normalized));
+
+    return [...new Set([plain, joinSpacedLetters(plain), leet, joinSpacedLetters(leet)])].filter(Boolean);
+}
+
+/**
+ * Canonical form of a blacklist or allowlist phrase
+ * @param {string} phrase - Word or phrase
+ * @returns {string}
+ */
+export function canonicalPhrase(phrase) {
+    return canonicalize(normalizeText(phrase));
+}
+
+/**
+ * Reject patterns whose matching time can blow up on crafted input
+ * Catches repeated groups that contain a quantifier or alternation ("(a+)+", "(a|aa)*"),
+ * backreferences, and chains of quantifiers that backtrack polynomially ("\d+\d+x")
+ * @param {string} pattern - Regular expression source
+ * @throws {Error} If the pattern is too long or too complex
+ */
+export function checkPatternSafety(pattern) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    // One frame per open group: whether it contains a quantifier or an alternation
+    const stack = [{ quantified: false, alternation: false }];
+    let complexity = 1;
+
+    /**
+     * Read the quantifier at position i, if any
+     * @returns {{length: number, repeats: boolean, range: number}|null}
+     */
+    const quantifierAt = (i) => {
+        const char = pattern[i];
+        if (char === "*" || char === "+") return { length: 1, repeats: true, range: REGEX_WINDOW };
+        if (char === "?") return { length: 1, repeats: false, range: 2 };
+        if (char === "{") {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+            if (!match) return null;
+            const min = Number(match[1]);
+            const max = match[2] === undefined ? min : match[3] === "" ? Infinity : Number(match[3]);
+            return {
+                length: match[0].length,
+                repeats: max > 1,
+                range: max === Infinity ? REGEX_WINDOW : Math.max(max - min + 1, 1),
+            };
+        }
+        return null;
+    };
+
+    let i = 0;
+    while (i < pattern.length) {
+        const char = pattern[i];
+        const top = stack[stack.length - 1];
+
+        if (char === "\\") {
+            if (/[1-9k]/.test(pattern[i + 1] || "")) {
+                throw new Error("backreferences are not allowed");
+            }
+            i += 2;
+        } else if (char === "[") {
+            // Skip the character class
+            i += 1;
+            while (i < pattern.length && pattern[i] !== "]") {
+                i += pattern[i] === "\\" ? 2 : 1;
+            }
+            i += 1;
+        } else if (char === "(") {
+            stack.push({ quantified: false, alternation: false });
+            i += 1;
+            // Group syntax such as (?:, (?=, (?<name> is not a quantifier
+            if (pattern[i] === "?") {
+                const prefix = /^\?(:|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i));
+                i += prefix ? prefix[0].length : 1;
+            }
+            continue;
+        } else if (char === ")") {
+            const group = stack.length > 1 ? stack.pop() : top;
+            const parent = stack[stack.length - 1];
+            i += 1;
+
+            const quantifier = quantifierAt(i);
+            if (quantifier) {
+                if (quantifier.repeats && (group.quantified || group.alternation)) {
+                    throw new Error("repeated groups can't contain quantifiers or alternation, e.g. (a+)+ or (a|b)*");
+                }
+                complexity *= quantifier.range;
+                i += quantifier.length;
+                if (pattern[i] === "?") i += 1;
+            }
+            parent.quantified ||= group.quantified || !!quantifier;
+            parent.alternation ||= group.alternation;
+            continue;
+        } else if (char === "|") {
+            top.alternation = true;
+            i += 1;
+        } else {
+            i += 1;
+        }
+
+        // A quantifier may follow the atom just read
+        const quantifier = quantifierAt(i);
+        if (quantifier && !(char === "(" || char === "|")) {
+            top.quantified = true;
+            complexity *= quantifier.range;
+            i += quantifier.length;
+            // Lazy suffix ("+?")
+            if (pattern[i] === "?") i += 1;
+        }
+    }
+
+    if (complexity > MAX_PATTERN_COMPLEXITY) {
+        throw new Error("pattern is too complex: use at most one *, + or {n,} and keep other ranges small");
+    }
+}
+
+/**
+ * Compile a regex entry
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp}
+ * @throws {Error} If the pattern is invalid or fails checkPatternSafety
+ */
+export function compilePattern(pattern) {
+    checkPatternSafety(pattern);
+    return new RegExp(pattern, "iu");
+}
+
+/**
+ * Split text into overlapping windows for regex testing
+ * @param {string} text - Canonical text
+ * @returns {string[]}
+ */
+function regexWindows(text) {
+    if (text.length <= REGEX_WINDOW) return [text];
+
+    const windows = [];
+    for (let start = 0; start < text.length - REGEX_WINDOW_OVERLAP; start += REGEX_WINDOW - REGEX_WINDOW_OVERLAP) {
+        windows.push(text.slice(start, start + REGEX_WINDOW));
+    }
+    return windows;
+}
+
+/**
+ * Escape a canonical phrase for use in a regular expression
+ * @param {string} phrase - Canonical phrase
+ * @returns {string}
+ */
+function escapeRegex(phrase) {
+    return phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Regex matching a canonical phrase as whole words, with an inflected last word
+ * @param {string} phrase - Canonical phrase
+ * @param {string} flags - Regex flags
+ * @returns {RegExp}
+ */
+function wordRegex(phrase, flags = "u") {
+    return new RegExp(` ${escapeRegex(phrase)}(?:${INFLECTIONS.join("|")})? `, flags);
+}
+
+/**
+ * Remove allowlisted phrases from a canonical text
+ * @param {string} canonical - Canonical text
+ * @param {RegExp[]} allowed - Allowlisted phrases (see wordRegex), longest first
+ * @returns {string} The text padded with spaces, with allowed phrases replaced by a placeholder
+ */
+function maskAllowed(canonical, allowed) {
+    let padded = ` ${canonical} `;
+    for (const phrase of allowed) {
+        // Adjacent matches share a space, so repeat until none is left
+        let previous;
+        do {
+            previous = padded;
+            padded = padded.replace(phrase, ` ${MASK} `);
+        } while (padded !== previous);
+    }
+    return padded;
+}
+
+/**
+ * Build a matcher for a set of blacklist and allowlist entries
+ * @param {Object} params
+ * @param {Object[]} params.entries - Active blacklist rows ({ word_or_phrase, category, match_type })
+ * @param {string[]} params.allowlist - Exempt phrases
+ * @param {Function} params.onInvalidEntry - Called with (entry, error) for entries that can't be compiled
+ * @returns {Function} (text) -> the matching entry, or null
+ */
+export function createMatcher({ entries = [], allowlist = [], onInvalidEntry = () => {} }) {
+    const allowed = [...new Set(allowlist.map(canonicalPhrase).filter(Boolean))]
+        // Longer phrases first, so "sex differences in" is removed before "sex differences"
+        .sort((a, b) => b.length - a.length)
+        .map((phrase) => wordRegex(phrase, "gu"));
+
+    const rules = [];
+    for (const entry of entries) {
+        const matchType = entry.match_type || "word";
+
+        if (matchType === "regex") {
+            try {
+                const regex = compilePattern(entry.word_or_phrase);
+                rules.push({ entry, test: (padded) => regexWindows(padded.trim()).some((window) => regex.test(window)) });
+            } catch (err) {
+                onInvalidEntry(entry, err);
+            }
+            continue;
+        }
+
+        const phrase = canonicalPhrase(entry.word_or_phrase);
+        if (!phrase) {
+            onInvalidEntry(entry, new Error("Entry has no letters or digits"));
+            continue;
+        }
+
+        if (matchType === "substring") {
+            rules.push({ entry, test: (padded) => padded.includes(phrase) });
+        } else {
+            const word = wordRegex(phrase);
+            rules.push({ entry, test: (padded) => word.test(padded) });
+        }
+    }
+
+    return (text) => {
+        const variants = textVariants(text).map((variant) => maskAllowed(variant, allowed));
+        for (const rule of rules) {
+            if (variants.some((padded) => rule.test(padded))) {
+                return rule.entry;
+            }
+        }
+        return null;
+    };
+}
+
+export default {
+    MATCH_TYPES,
+    normalizeText,
+    canonicalize,
+    textVariants,
+    canonicalPhrase,
+    checkPatternSafety,
+    compilePattern,
+    createMatcher,
+};
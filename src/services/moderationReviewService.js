@@ -0,0 +1,407 @@
+/**
+ * Moderation Review Service
+ * Moderator review of blocked messages (see create_moderation_review.sql): a queue of blocked
+ * decisions from moderation_logs, confirming or overturning them, and releasing overturned messages
+ */
+
+import { supabaseAdmin } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { emitToUser } from "../socket/io.js";
+import { getUserProfiles } from "./userProfileService.js";
+import { releaseBlockedMessage } from "./messageReleaseService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_NOTE_LENGTH = 1000;
+
+export const REVIEW_STATUSES = ["pending", "confirmed", "overturned"];
+export const MODERATION_METHODS = ["rule_based", "ai_based", "fallback"];
+
+/**
+ * Review status set by each moderator decision
+ */
+const DECISIONS = {
+    confirm: "confirmed",
+    overturn: "overturned",
+};
+
+/**
+ * Parse an optional ISO date filter
+ * @param {string|undefined} value - Query value
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {string|null} ISO timestamp
+ */
+function parseDate(value, name) {
+    if (value === undefined || value === "") return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be an ISO date`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Format blocked decisions for the review API
+ * @param {Object[]} rows - moderation_logs rows
+ * @returns {Promise<Object[]>}
+ */
+export async function formatReviews(rows) {
+    if (rows.length === 0) return [];
+
+    const groupIds = [...new Set(rows.filter((row) => !row.receiver_id && row.conversation_id).map((row) => row.conversation_id))];
+
+    const [profiles, groups] = await Promise.all([
+        getUserProfiles({ ids: rows.flatMap((row) => [row.sender_id, row.receiver_id]).filter(Boolean) })
+            .catch((err) => {
+                logger.error("Error fetching profiles for moderation reviews", { error: err.message });
+                return { byId: new Map() };
+            }),
+        groupIds.length > 0
+            ? supabaseAdmin.from("conversations").select("id, title").in("id", groupIds)
+            : Promise.resolve({ data: [] }),
+    ]);
+    const groupTitles = new Map((groups.data || []).map((group) => [group.id, group.title]));
+
+    return rows.map((row) => {
+        const sender = profiles.byId.get(row.sender_id);
+        const receiver = row.receiver_id ? profiles.byId.get(row.receiver_id) : null;
+        const pending = row.pending_message || {};
+        const isGroup = !row.receiver_id && !pending.receiverEmail && !!row.conversation_id;
+
+        return {
+            id: row.id,
+            status: row.review_status,
+            kind: row.message_id ? "edit" : "message",
+            messageId: row.message_id,
+            content: row.message_content,
+            attachmentCount: Array.isArray(pending.attachmentIds) ? pending.attachmentIds.length : 0,
+            reason: row.blocked_reason,
+            method: row.moderation_method,
+            category: row.category || null,
+            sender: {
+                id: row.sender_id,
+                email: sender?.email || null,
+                name: sender?.name || sender?.email || "Unknown User",
+            },
+            recipient: isGroup
+                ? { type: "group", conversationId: row.conversation_id, title: groupTitles.get(row.conversation_id) || null }
+                : {
+                      type: "direct",
+                      id: row.receiver_id,
+                      email: receiver?.email || pending.receiverEmail || null,
+                      name: receiver?.name || receiver?.email || pending.receiverEmail || "Unknown User",
+                  },
+            blockedAt: row.timestamp,
+            emailSent: !!row.email_sent,
+            review: row.reviewed_at
+                ? {
+                      reviewedBy: { id: row.reviewed_by, email: row.reviewed_by_email },
+                      reviewedAt: row.reviewed_at,
+                      note: row.review_note,
+                  }
+                : null,
+            release: row.released_at
+                ? { releasedAt: row.released_at, messageId: row.released_message_id }
+                : null,
+        };
+    });
+}
+
+/**
+ * Load a blocked decision
+ * @param {string} reviewId - moderation_logs ID
+ * @returns {Promise<Object>} moderation_logs row
+ * @throws {ApiError} 404 if it doesn't exist or wasn't a blocked decision
+ */
+async function getReviewRow(reviewId) {
+    if (!UUID_REGEX.test(reviewId || "")) {
+        throw new ApiError(404, "Review item not found");
+    }
+
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_logs")
+        .select("*")
+        .eq("id", reviewId)
+        .eq("moderation_result", "blocked")
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to fetch review item: ${error.message}`);
+    }
+
+    if (!row) {
+        throw new ApiError(404, "Review item not found");
+    }
+
+    return row;
+}
+
+/**
+ * List blocked decisions for review
+ * The pending queue is oldest first; reviewed items are newest first
+ * @param {Object} params
+ * @param {string} params.status - "pending" (default), "confirmed", "overturned" or "all"
+ * @param {string} params.method - "rule_based", "ai_based" or "fallback" (optional)
+ * @param {string} params.category - Blacklist category (optional)
+ * @param {string} params.senderId - Only messages from this user (optional)
+ * @param {string} params.from - Only decisions at or after this date (optional)
+ * @param {string} params.to - Only decisions at or before this date (optional)
+ * @param {number|string} params.limit - Page size
+ * @param {number|string} params.offset - Items to skip
+ * @returns {Promise<{reviews: Object[], pagination: Object}>}
+ */
+export async function listReviews({ status, method, category, senderId, from, to, limit, offset }) {
+    const statusFilter = status === undefined ? "pending" : status;
+    if (statusFilter !== "all" && !REVIEW_STATUSES.includes(statusFilter)) {
+        throw new ApiError(400, `status must be one of: ${[...REVIEW_STATUSES, "all"].join(", ")}`);
+    }
+    if (method !== undefined && !MODERATION_METHODS.includes(method)) {
+        throw new ApiError(400, `method must be one of: ${MODERATION_METHODS.join(", ")}`);
+    }
+    if (senderId !== undefined && !UUID_REGEX.test(senderId)) {
+        throw new ApiError(400, "senderId must be a user ID");
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new ApiError(400, "limit must be a positive integer");
+    }
+    const skip = offset === undefined ? 0 : parseInt(offset, 10);
+    if (!Number.isInteger(skip) || skip < 0) {
+        throw new ApiError(400, "offset must be a non-negative integer");
+    }
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+
+    const fromDate = parseDate(from, "from");
+    const toDate = parseDate(to, "to");
+    if (fromDate && toDate && fromDate > toDate) {
+        throw new ApiError(400, "from must be before to");
+    }
+
+    let query = supabaseAdmin
+        .from("moderation_logs")
+        .select("*", { count: "exact" })
+        .eq("moderation_result", "blocked")
+        .order("timestamp", { ascending: statusFilter === "pending" })
+        .range(skip, skip + size - 1);
+
+    if (statusFilter !== "all") query = query.eq("review_status", statusFilter);
+    if (method) query = query.eq("moderation_method", method);
+    if (category) query = query.eq("category", String(category).toLowerCase());
+    if (senderId) query = query.eq("sender_id", senderId);
+    if (fromDate) query = query.gte("timestamp", fromDate);
+    if (toDate) query = query.lte("timestamp", toDate);
+
+    const { data, count, error } = await query;
+
+    if (error) {
+        logger.error("Error listing moderation reviews. Run create_moderation_review.sql", { error: error.message });
+        throw new ApiError(500, `Failed to list review items: ${error.message}`);
+    }
+
+    return {
+        reviews: await formatReviews(data || []),
+        pagination: {
+            limit: size,
+            offset: skip,
+            total: count ?? null,
+            hasMore: count != null ? skip + size < count : (data || []).length === size,
+        },
+    };
+}
+
+/**
+ * Get one blocked decision
+ * @param {string} reviewId - moderation_logs ID
+ * @returns {Promise<Object>}
+ */
+export async function getReview(reviewId) {
+    const [review] = await formatReviews([await getReviewRow(reviewId)]);
+    return review;
+}
+
+/**
+ * Release an overturned message to its recipients
+ * The sender receives message_released with the delivered message
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.reviewId - moderation_logs ID
+ * @returns {Promise<{review: Object, message: Object}>}
+ * @throws {ApiError} 409 if the decision isn't overturned, was already released, or can't be delivered;
+ *   500 if the message was saved but delivery failed (it is recorded as released and not retried)
+ */
+export async function releaseReview({ actor, reviewId }) {
+    if (!UUID_REGEX.test(reviewId || "")) {
+        throw new ApiError(404, "Review item not found");
+    }
+
+    // Claim the release first so two moderators can't deliver the message twice
+    const { data: claimed, error: claimError } = await supabaseAdmin
+        .from("moderation_logs")
+        .update({ released_at: new Date().toISOString() })
+        .eq("id", reviewId)
+        .eq("moderation_result", "blocked")
+        .eq("review_status", "overturned")
+        .is("released_at", null)
+        .select()
+        .maybeSingle();
+
+    if (claimError) {
+        throw new ApiError(500, `Failed to release message: ${claimError.message}`);
+    }
+
+    if (!claimed) {
+        const row = await getReviewRow(reviewId);
+        throw new ApiError(409, row.released_at
+            ? "This message has already been released"
+            : "Only overturned decisions can be released");
+    }
+
+    let message;
+    let savedMessageId = null;
+    try {
+        message = await releaseBlockedMessage(claimed, {
+            onSaved: (messageId) => {
+                savedMessageId = messageId;
+            },
+        });
+    } catch (err) {
+        if (!savedMessageId) {
+            // Nothing was sent, so the release can be retried
+            await supabaseAdmin.from("moderation_logs").update({ released_at: null }).eq("id", claimed.id);
+            throw err;
+        }
+
+        // The message exists and may have reached some recipients; keep the claim so a retry can't send it twice
+        await supabaseAdmin
+            .from("moderation_logs")
+            .update({ released_message_id: savedMessageId })
+            .eq("id", claimed.id);
+        logger.error("Released message saved but not fully delivered", {
+            reviewId,
+            messageId: savedMessageId,
+            error: err.message,
+        });
+        throw new ApiError(500, "The message was released but delivery failed partway; it will not be released again");
+    }
+
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_logs")
+        .update({ released_message_id: message.id })
+        .eq("id", claimed.id)
+        .select()
+        .single();
+
+    if (error) {
+        logger.error("Error recording released message", { reviewId, error: error.message });
+    }
+
+    emitToUser(claimed.sender_id, "message_released", { reviewId: claimed.id, message });
+
+    logger.info("📤 Overturned message released", { reviewId, messageId: message.id, moderatorId: actor.id });
+    const [review] = await formatReviews([row || { ...claimed, released_message_id: message.id }]);
+    return { review, message };
+}
+
+/**
+ * Save a moderator's review of a blocked decision
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.reviewId - moderation_logs ID
+ * @param {string} params.reviewStatus - "confirmed" or "overturned"
+ * @param {string|null} params.note - Reason for the decision
+ * @param {string[]} params.fromStatuses - Review statuses the decision may replace
+ * @returns {Promise<Object|null>} The updated row, or null if the item isn't in one of fromStatuses
+ */
+export async function recordReviewDecision({ actor, reviewId, reviewStatus, note = null, fromStatuses = ["pending"] }) {
+    const { data: row, error } = await supabaseAdmin
+        .from("moderation_logs")
+        .update({
+            review_status: reviewStatus,
+            reviewed_by: actor.id,
+            reviewed_by_email: actor.email,
+            reviewed_at: new Date().toISOString(),
+            review_note: note?.trim() || null,
+        })
+        .eq("id", reviewId)
+        .eq("moderation_result", "blocked")
+        .in("review_status", fromStatuses)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(500, `Failed to save decision: ${error.message}`);
+    }
+
+    if (row) {
+        logger.info("🛡️ Moderation decision reviewed", { reviewId, decision: reviewStatus, moderatorId: actor.id });
+    }
+    return row;
+}
+
+/**
+ * Confirm or overturn a blocked decision
+ * @param {Object} params
+ * @param {Object} params.actor - Moderator ({ id, email })
+ * @param {string} params.reviewId - moderation_logs ID
+ * @param {string} params.decision - "confirm" or "overturn"
+ * @param {string} params.note - Reason for the decision (optional)
+ * @param {boolean} params.release - Also release an overturned message to its recipients
+ * @returns {Promise<{review: Object, message: Object|null, releaseError: string|null}>}
+ *   If the release fails the decision is still saved, and the release can be retried
+ * @throws {ApiError} 409 if the decision was already reviewed
+ */
+export async function decideReview({ actor, reviewId, decision, note, release = false }) {
+    const reviewStatus = DECISIONS[decision];
+    if (!reviewStatus) {
+        throw new ApiError(400, `decision must be one of: ${Object.keys(DECISIONS).join(", ")}`);
+    }
+    if (note !== undefined && note !== null && (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)) {
+        throw new ApiError(400, `note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    if (typeof release !== "boolean") {
+        throw new ApiError(400, "release must be a boolean");
+    }
+    if (release && reviewStatus !== "overturned") {
+        throw new ApiError(400, "Only overturned messages can be released");
+    }
+    if (!UUID_REGEX.test(reviewId || "")) {
+        throw new ApiError(404, "Review item not found");
+    }
+
+    const row = await recordReviewDecision({ actor, reviewId, reviewStatus, note });
+
+    if (!row) {
+        await getReviewRow(reviewId);
+        throw new ApiError(409, "This decision has already been reviewed");
+    }
+
+    if (!release) {
+        const [review] = await formatReviews([row]);
+        return { review, message: null, releaseError: null };
+    }
+
+    try {
+        const { review, message } = await releaseReview({ actor, reviewId });
+        return { review, message, releaseError: null };
+    } catch (err) {
+        if (!err.statusCode || err.statusCode >= 500) {
+            logger.error("Error releasing overturned message", { reviewId, error: err.message });
+        }
+        const [review] = await formatReviews([row]);
+        return { review, message: null, releaseError: err.statusCode < 500 ? err.message : "Failed to release message" };
+    }
+}
+
+export default {
+    REVIEW_STATUSES,
+    MODERATION_METHODS,
+    formatReviews,
+    listReviews,
+    getReview,
+    recordReviewDecision,
+    decideReview,
+    releaseReview,
+};
@@ -7,6 +7,7 @@
 import { supabase, supabaseAdmin } from "../config/supabase.js";
 import logger from "../utils/logger.js";
 import config from "../config/index.js";
+import { createMatcher } from "./moderationMatcher.js";
 
 /**
  * Moderation result structure
@@ -17,23 +18,105 @@ import config from "../config/index.js";
  * @property {Object} metadata - Additional metadata
  */
 
+/**
+ * Load the active allowlist
+ * Moderation still works without it (e.g. before add_moderation_matching.sql is run)
+ * @returns {Promise<string[]>} Exempt phrases
+ */
+async function getAllowlist() {
+    const { data, error } = await supabaseAdmin
+        .from("moderation_allowlist")
+        .select("phrase")
+        .eq("is_active", true);
+
+    if (error) {
+        logger.warn("Error fetching moderation allowlist. Run add_moderation_matching.sql", { error: error.message });
+        return [];
+    }
+
+    return (data || []).map((row) => row.phrase);
+}
+
+/**
+ * Compiled matcher shared by every message, rebuilt when the lists change (see invalidateRuleCache)
+ * or after config.moderation.ruleCacheTtlMs, so changes made on another instance are picked up too
+ */
+let ruleCache = { match: null, loadedAt: 0, loading: null };
+
+/**
+ * Drop the compiled matcher so the next message reloads the blacklist and allowlist
+ * Called after moderators change either list
+ */
+export function invalidateRuleCache() {
+    ruleCache = { match: null, loadedAt: 0, loading: null };
+}
+
+/**
+ * Load both lists and compile them into a matcher
+ * @returns {Promise<Function|null>} Matcher, or null if the blacklist couldn't be fetched
+ */
+async function loadMatcher() {
+    // Fetch active blacklist entries (all columns, so match_type is optional until migrated)
+    const [{ data: blacklist, error }, allowlist] = await Promise.all([
+        supabaseAdmin
+            .from("moderation_blacklist")
+            .select("*")
+            .eq("is_active", true),
+        getAllowlist(),
+    ]);
+
+    if (error) {
+        logger.error("Error fetching moderation blacklist", error);
+        return null;
+    }
+
+    return createMatcher({
+        entries: blacklist || [],
+        allowlist,
+        onInvalidEntry: (entry, err) => {
+            logger.warn("Skipping invalid blacklist entry", { entryId: entry.id, error: err.message });
+        },
+    });
+}
+
+/**
+ * Get the compiled matcher, reloading it when stale
+ * Concurrent messages share one reload; if it fails, the previous matcher is kept
+ * @returns {Promise<Function|null>}
+ */
+async function getMatcher() {
+    if (ruleCache.match && Date.now() - ruleCache.loadedAt < config.moderation.ruleCacheTtlMs) {
+        return ruleCache.match;
+    }
+
+    if (!ruleCache.loading) {
+        const cache = ruleCache;
+        cache.loading = loadMatcher()
+            .then((match) => {
+                if (match && ruleCache === cache) {
+                    ruleCache = { match, loadedAt: Date.now(), loading: null };
+                }
+                return match || cache.match;
+            })
+            .finally(() => {
+                cache.loading = null;
+            });
+    }
+
+    return ruleCache.loading;
+}
+
 /**
  * Rule-based moderation: Check message against blacklist
+ * Entries match whole words, substrings or patterns in the normalized text (see moderationMatcher.js)
  * @param {string} messageContent - Message text to check
  * @returns {Promise<ModerationResult>}
  */
 async function checkRuleBasedModeration(messageContent) {
     try {
-        const normalizedContent = messageContent.toLowerCase().trim();
-
-        // Fetch active blacklist entries
-        const { data: blacklist, error } = await supabaseAdmin
-            .from("moderation_blacklist")
-            .select("word_or_phrase, category")
-            .eq("is_active", true);
+        const match = await getMatcher();
 
-        if (error) {
-            logger.error("Error fetching moderation blacklist", error);
+        if (!match) {
             // If we can't fetch blacklist, allow the message (fail open)
             return {
                 allowed: true,
@@ -43,26 +126,25 @@ async function checkRuleBasedModeration(messageContent) {
             };
         }
 
-        // Check each blacklist entry
-        for (const entry of blacklist || []) {
-            const phrase = entry.word_or_phrase.toLowerCase();
-            if (normalizedContent.includes(phrase)) {
-                logger.warn("Message blocked by rule-based filter", {
+        const entry = match(messageContent);
+        if (entry) {
+            logger.warn("Message blocked by rule-based filter", {
+                matchedPhrase: entry.word_or_phrase,
+                matchType: entry.match_type || "word",
+                category: entry.category,
+                messagePreview: messageContent.substring(0, 50),
+            });
+
+            return {
+                allowed: false,
+                reason: `Message contains blocked content: "${entry.word_or_phrase}" (category: ${entry.category})`,
+                method: "rule_based",
+                metadata: {
                     matchedPhrase: entry.word_or_phrase,
+                    matchType: entry.match_type || "word",
                     category: entry.category,
-                    messagePreview: messageContent.substring(0, 50),
-                });
-
-                return {
-                    allowed: false,
-                    reason: `Message contains blocked content: "${entry.word_or_phrase}" (category: ${entry.category})`,
-                    method: "rule_based",
-                    metadata: {
-                        matchedPhrase: entry.word_or_phrase,
-                        category: entry.category,
-                    },
-                };
-            }
+                },
+            };
         }
 
         // Message passed rule-based check
@@ -231,16 +313,34 @@ export async function moderateMessage(messageContent) {
  * @param {string} params.messageId - Message ID (if message was saved before moderation)
  * @param {string} params.senderId - Sender user ID
  * @param {string} params.receiverId - Receiver user ID
+ * @param {string} params.conversationId - Group conversation ID (group messages have no receiver)
  * @param {string} params.messageContent - Original message content
  * @param {ModerationResult} params.result - Moderation result
- * @returns {Promise<void>}
+ * @param {Object} params.pendingMessage - What a blocked new message would have sent, so a moderator
+ *   can release it ({ content, receiverEmail, attachmentIds, replyToId })
+ * @returns {Promise<string|null>} ID of the log row (senders use it to appeal a block), or null if logging failed
  */
-export async function logModerationDecision({ messageId, senderId, receiverId, messageContent, result }) {
+export async function logModerationDecision({
+    messageId,
+    senderId,
+    receiverId,
+    conversationId,
+    messageContent,
+    result,
+    pendingMessage = null,
+}) {
+    const category = result.metadata?.category || null;
+
     try {
-        const { error } = await supabaseAdmin.from("moderation_logs").insert({
+        const { data, error } = await supabaseAdmin.from("moderation_logs").insert({
             message_id: messageId || null,
             sender_id: senderId,
             receiver_id: receiverId,
+            ...(conversationId && { conversation_id: conversationId }),
+            ...(category && { category }),
+            // Blocked decisions wait for moderator review
+            ...(!result.allowed && { review_status: "pending" }),
+            ...(!result.allowed && pendingMessage && { pending_message: pendingMessage }),
             message_content: messageContent,
             moderation_result: result.allowed ? "allowed" : "blocked",
             moderation_method: result.method,
@@ -248,19 +348,40 @@ export async function logModerationDecision({ messageId, senderId, receiverId, m
             ai_response: result.metadata?.aiResponse ? { response: result.metadata.aiResponse } : null,
             timestamp: new Date().toISOString(),
             email_sent: result.allowed ? false : false, // Will be updated when email is sent
-        });
+        }).select("id").single();
 
         if (error) {
             logger.error("Error logging moderation decision", error);
-        } else {
-            logger.debug("Moderation decision logged", {
-                allowed: result.allowed,
-                method: result.method,
-            });
+            return null;
         }
+
+        logger.debug("Moderation decision logged", {
+            allowed: result.allowed,
+            method: result.method,
+        });
+        return data.id;
     } catch (error) {
         logger.error("Error logging moderation decision", error);
+        return null;
     }
 }
 
+/**
+ * Update a logged moderation decision by the ID logModerationDecision returned,
+ * e.g. to link the message saved after it was allowed or to record that moderators were emailed
+ * @param {string|null} logId - moderation_logs ID (nothing is updated if logging failed)
+ * @param {Object} changes - Columns to set ({ message_id } or { email_sent })
+ * @returns {Promise<void>}
+ */
+export async function updateModerationLog(logId, changes) {
+    if (!logId) return;
 
+    const { error } = await supabaseAdmin
+        .from("moderation_logs")
+        .update(changes)
+        .eq("id", logId);
+
+    if (error) {
+        logger.error("Error updating moderation log", { logId, error: error.message });
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Pending Recipient Service
+ * Handles messages and connection requests sent to an email that doesn't have an account yet.
+ * The message or request is stored unattached, and the recipient is invited once per sender,
+ * within a daily per-sender limit; everything is attached to their account when they sign up
+ * (see create_pending_recipients.sql)
+ */
+
+import { supabase } from "../config/supabase.js";
+import config from "../config/index.js";
+import logger from "../utils/logger.js";
+import { sendInvitationEmail } from "./emailService.js";
+import { EMAIL_REGEX } from "../utils/validation.js";
+
+/**
+ * Count the invitations a sender triggered in the last 24 hours
+ * @param {string} inviterId - Sender's ID
+ * @returns {Promise<number>}
+ */
+async function countRecentInvitations(inviterId) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const { count, error } = await supabase
+        .from("pending_recipients")
+        .select("id", { count: "exact", head: true })
+        .eq("invited_by", inviterId)
+        .gte("invitation_sent_at", since);
+
+    if (error) {
+        throw new Error(`Failed to count invitations: ${error.message}`);
+    }
+    return count || 0;
+}
+
+/**
+ * Record that a sender contacted an unregistered email and invite the recipient
+ * The invitation is only sent the first time a sender contacts that email, and not at all once the
+ * sender reached their daily limit; the message or request is still held for the recipient
+ * @param {Object} params
+ * @param {string} params.email - Recipient's email
+ * @param {Object} params.inviter - Sender ({ id, email, name })
+ * @param {string} params.reason - "message" (default) or "connection"
+ * @returns {Promise<boolean>} Whether an invitation was sent
+ * @throws {Error} If the email isn't a valid address
+ */
+export async function recordPendingRecipient({ email, inviter, reason = "message" }) {
+    const normalized = typeof email === "string" ? email.trim().toLowerCase() : "";
+    if (!EMAIL_REGEX.test(normalized)) {
+        throw new Error("Invalid recipient email");
+    }
+
+    const { error: upsertError } = await supabase
+        .from("pending_recipients")
+        .upsert(
+            { email: normalized, invited_by: inviter.id },
+            { onConflict: "email,invited_by", ignoreDuplicates: true }
+        );
+
+    if (upsertError) {
+        throw new Error(`Failed to record pending recipient: ${upsertError.message}`);
+    }
+
+    // Stops the platform's mailer being used to spam arbitrary addresses
+    if (await countRecentInvitations(inviter.id) >= config.invitations.dailyLimit) {
+        logger.warn("📨 Invitation limit reached, not inviting recipient", { inviterId: inviter.id, reason });
+        return false;
+    }
+
+    // Claim the invitation so concurrent messages don't send it twice
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimError } = await supabase
+        .from("pending_recipients")
+        .update({ invitation_sent_at: now, updated_at: now })
+        .eq("email", normalized)
+        .eq("invited_by", inviter.id)
+        .is("invitation_sent_at", null)
+        .select("id");
+
+    if (claimError) {
+        throw new Error(`Failed to update pending recipient: ${claimError.message}`);
+    }
+
+    if (!claimed || claimed.length === 0) {
+        return false;
+    }
+
+    try {
+        await sendInvitationEmail({
+            to: normalized,
+            inviterName: inviter.name || inviter.email,
+            inviterEmail: inviter.email,
+            reason,
+        });
+    } catch (err) {
+        // Release the claim so the next message retries the invitation
+        await supabase
+            .from("pending_recipients")
+            .update({ invitation_sent_at: null })
+            .eq("id", claimed[0].id);
+        throw err;
+    }
+
+    logger.info("📨 Invited unregistered recipient", { inviterId: inviter.id, reason });
+    return true;
+}
+
+export default {
+    recordPendingRecipient,
+};
@@ -0,0 +1,160 @@
+/**
+ * Presence Service
+ * Tracks every connected socket per user so a user with several devices or tabs stays
+ * online until their last socket disconnects, and records when they were last seen.
+ * State lives in a pluggable presence store (in-memory by default, Redis when running
+ * several instances - see socket/adapter.js)
+ */
+
+import { supabase, supabaseAdmin } from "../config/supabase.js";
+import logger from "../utils/logger.js";
+import { createMemoryPresenceStore } from "./presenceStores.js";
+
+/**
+ * Active presence store, replaced by setPresenceStore during socket setup
+ */
+let store = createMemoryPresenceStore();
+
+/**
+ * Use a different presence store
+ * @param {Object} presenceStore - Store from presenceStores.js
+ */
+export function setPresenceStore(presenceStore) {
+    store = presenceStore;
+}
+
+/**
+ * Register a connected socket for a user
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {Promise<boolean>} Whether this is the user's first connected socket (they just came online)
+ */
+export function addConnection(userId, socketId) {
+    return store.addSocket(userId, socketId);
+}
+
+/**
+ * Unregister a disconnected socket
+ * When the user's last socket goes away, their last-seen time is recorded
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {Promise<{lastConnection: boolean, lastSeen: string|null}>}
+ *   Whether the user just went offline, and the recorded last-seen time if so
+ */
+export async function removeConnection(userId, socketId) {
+    const lastSeen = await store.removeSocket(userId, socketId);
+    if (!lastSeen) {
+        return { lastConnection: false, lastSeen: null };
+    }
+
+    persistLastSeen(userId, lastSeen);
+    return { lastConnection: true, lastSeen };
+}
+
+/**
+ * Release every socket registered by this instance, e.g. on shutdown
+ * @returns {Promise<string[]>} Users who went offline as a result
+ */
+export async function clearInstanceConnections() {
+    const offline = await store.clearInstance();
+    const lastSeen = new Date().toISOString();
+    for (const userId of offline) {
+        persistLastSeen(userId, lastSeen);
+    }
+    return offline;
+}
+
+/**
+ * Save a user's last-seen time to their profile (fire-and-forget)
+ * @param {string} userId - User ID
+ * @param {string} lastSeen - ISO timestamp
+ */
+function persistLastSeen(userId, lastSeen) {
+    supabaseAdmin
+        .from("profiles")
+        .update({ last_seen_at: lastSeen })
+        .eq("id", userId)
+        .then(({ error }) => {
+            if (error) {
+                logger.warn("Failed to persist last-seen time. Run add_presence_last_seen.sql", {
+                    userId,
+                    error: error.message,
+                });
+            }
+        });
+}
+
+/**
+ * Whether a user has at least one connected socket on any instance
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export async function isOnline(userId) {
+    if (!userId) return false;
+    return (await store.countSockets(userId)) > 0;
+}
+
+/**
+ * Number of sockets a user has connected across all instances
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+export function getConnectionCount(userId) {
+    return store.countSockets(userId);
+}
+
+/**
+ * Number of users with at least one connected socket
+ * @returns {Promise<number>}
+ */
+export function getOnlineUserCount() {
+    return store.countOnlineUsers();
+}
+
+/**
+ * Get presence for a list of users
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Object[]>} [{ userId, online, lastSeen }] in the order given
+ */
+export async function getPresence(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+
+    const [online, lastSeen] = await Promise.all([
+        Promise.all(ids.map((id) => isOnline(id))),
+        store.getLastSeen(ids),
+    ]);
+
+    // Users the store hasn't seen disconnect (e.g. before a restart) fall back to their profile
+    const missing = ids.filter((id, i) => !online[i] && !lastSeen.has(id));
+    if (missing.length > 0) {
+        const { data, error } = await supabase
+            .from("profiles")
+            .select("id, last_seen_at")
+            .in("id", missing);
+
+        if (error) {
+            logger.warn("Failed to load last-seen times", { error: error.message });
+        } else {
+            for (const row of data || []) {
+                if (row.last_seen_at) lastSeen.set(row.id, row.last_seen_at);
+            }
+        }
+    }
+
+    return ids.map((id, i) => ({
+        userId: id,
+        online: online[i],
+        lastSeen: lastSeen.get(id) || null,
+    }));
+}
+
+export default {
+    setPresenceStore,
+    addConnection,
+    removeConnection,
+    clearInstanceConnections,
+    isOnline,
+    getConnectionCount,
+    getOnlineUserCount,
+    getPresence,
+};
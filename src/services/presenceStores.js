@@ -0,0 +1,175 @@
+/**
+ * Presence Stores
+ * Storage backends for the presence registry. The in-memory store serves a single instance;
+ * the Redis store shares presence between every backend instance.
+ *
+ * A store implements:
+ *   addSocket(userId, socketId)    -> Promise<boolean> whether this is the user's first socket
+ *   removeSocket(userId, socketId) -> Promise<string|null> last-seen time if it was the user's last socket
+ *   countSockets(userId)           -> Promise<number>
+ *   countOnlineUsers()             -> Promise<number>
+ *   getLastSeen(userIds)           -> Promise<Map<string, string>>
+ *   clearInstance()                -> Promise<string[]> users who went offline when this instance's sockets were removed
+ */
+
+/**
+ * Create an in-memory presence store for single-instance deployments
+ * @returns {Object} Presence store
+ */
+export function createMemoryPresenceStore() {
+    // userId -> Set of socket IDs
+    const userSockets = new Map();
+    // userId -> ISO timestamp of their last disconnect
+    const lastSeen = new Map();
+
+    return {
+        async addSocket(userId, socketId) {
+            let sockets = userSockets.get(userId);
+            if (!sockets) {
+                sockets = new Set();
+                userSockets.set(userId, sockets);
+            }
+            const first = sockets.size === 0;
+            sockets.add(socketId);
+            return first;
+        },
+
+        async removeSocket(userId, socketId) {
+            const sockets = userSockets.get(userId);
+            if (!sockets || !sockets.delete(socketId) || sockets.size > 0) {
+                return null;
+            }
+            userSockets.delete(userId);
+            const seenAt = new Date().toISOString();
+            lastSeen.set(userId, seenAt);
+            return seenAt;
+        },
+
+        async countSockets(userId) {
+            return userSockets.get(userId)?.size || 0;
+        },
+
+        async countOnlineUsers() {
+            return userSockets.size;
+        },
+
+        async getLastSeen(userIds) {
+            return new Map(userIds.filter((id) => lastSeen.has(id)).map((id) => [id, lastSeen.get(id)]));
+        },
+
+        async clearInstance() {
+            const userIds = [...userSockets.keys()];
+            const seenAt = new Date().toISOString();
+            for (const userId of userIds) {
+                lastSeen.set(userId, seenAt);
+            }
+            userSockets.clear();
+            return userIds;
+        },
+    };
+}
+
+/**
+ * Atomically add a socket; returns 1 if it is the user's first socket
+ * KEYS: user sockets set, instance sockets set, online users set
+ * ARGV: socket member, instance member, userId
+ */
+const ADD_SOCKET_SCRIPT = `
+local added = redis.call('SADD', KEYS[1], ARGV[1])
+redis.call('SADD', KEYS[2], ARGV[2])
+redis.call('SADD', KEYS[3], ARGV[3])
+if added == 1 and redis.call('SCARD', KEYS[1]) == 1 then
+    return 1
+end
+return 0
+`;
+
+/**
+ * Atomically remove a socket; returns 1 (and records last-seen) if it was the user's last socket
+ * KEYS: user sockets set, instance sockets set, online users set, last-seen hash
+ * ARGV: socket member, instance member, userId, ISO timestamp
+ */
+const REMOVE_SOCKET_SCRIPT = `
+local removed = redis.call('SREM', KEYS[1], ARGV[1])
+redis.call('SREM', KEYS[2], ARGV[2])
+if removed == 1 and redis.call('SCARD', KEYS[1]) == 0 then
+    redis.call('SREM', KEYS[3], ARGV[3])
+    redis.call('HSET', KEYS[4], ARGV[3], ARGV[4])
+    return 1
+end
+return 0
+`;
+
+/**
+ * Create a presence store backed by Redis (or any server speaking the Redis protocol)
+ * Each socket is recorded under the instance that owns it, so an instance can release its
+ * sockets on shutdown, or on restart with the same instance ID after a crash
+ * @param {Object} client - Connected node-redis client
+ * @param {Object} options
+ * @param {string} options.keyPrefix - Prefix for every key
+ * @param {string} options.instanceId - ID of this backend instance
+ * @returns {Object} Presence store
+ */
+export function createRedisPresenceStore(client, { keyPrefix, instanceId }) {
+    const keys = {
+        sockets: (userId) => `${keyPrefix}:presence:sockets:${userId}`,
+        instance: `${keyPrefix}:presence:instance:${instanceId}`,
+        online: `${keyPrefix}:presence:online`,
+        lastSeen: `${keyPrefix}:presence:last-seen`,
+    };
+
+    const socketMember = (socketId) => `${instanceId}/${socketId}`;
+    const instanceMember = (userId, socketId) => `${userId}/${socketId}`;
+
+    const removeSocket = async (userId, socketId) => {
+        const seenAt = new Date().toISOString();
+        const last = await client.eval(REMOVE_SOCKET_SCRIPT, {
+            keys: [keys.sockets(userId), keys.instance, keys.online, keys.lastSeen],
+            arguments: [socketMember(socketId), instanceMember(userId, socketId), userId, seenAt],
+        });
+        return last === 1 ? seenAt : null;
+    };
+
+    return {
+        async addSocket(userId, socketId) {
+            const first = await client.eval(ADD_SOCKET_SCRIPT, {
+                keys: [keys.sockets(userId), keys.instance, keys.online],
+                arguments: [socketMember(socketId), instanceMember(userId, socketId), userId],
+            });
+            return first === 1;
+        },
+
+        removeSocket,
+
+        async countSockets(userId) {
+            return client.sCard(keys.sockets(userId));
+        },
+
+        async countOnlineUsers() {
+            return client.sCard(keys.online);
+        },
+
+        async getLastSeen(userIds) {
+            if (userIds.length === 0) return new Map();
+            const values = await client.hmGet(keys.lastSeen, userIds);
+            return new Map(userIds.map((id, i) => [id, values[i]]).filter(([, value]) => value));
+        },
+
+        async clearInstance() {
+            const members = await client.sMembers(keys.instance);
+            const offline = [];
+            for (const member of members) {
+                const [userId, socketId] = member.split("/");
+                if (await removeSocket(userId, socketId)) {
+                    offline.push(userId);
+                }
+            }
+            return offline;
+        },
+    };
+}
+
+export default {
+    createMemoryPresenceStore,
+    createRedisPresenceStore,
+};
@@ -0,0 +1,173 @@
+/**
+ * Search Service
+ * Full-text search across the messages of a user's conversations (see create_message_search.sql)
+ */
+
+import { supabase } from "../config/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+import { getUserProfiles } from "./userProfileService.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Markers search_messages() puts around matches in snippets
+ */
+const MATCH_START = "\uE000";
+const MATCH_END = "\uE001";
+
+/**
+ * Escape HTML special characters
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Turn a database snippet into safe HTML with <mark> around matches
+ * Message content is escaped, so the snippet can be rendered as HTML
+ * @param {string} snippet - Snippet with match markers
+ * @returns {string}
+ */
+export function formatSnippet(snippet) {
+    return escapeHtml(snippet || "")
+        .split(MATCH_START).join("<mark>")
+        .split(MATCH_END).join("</mark>");
+}
+
+/**
+ * Parse an optional ISO date filter
+ * @param {string|undefined} value - Query value
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {string|null} ISO timestamp
+ */
+function parseDate(value, name) {
+    if (value === undefined || value === "") return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be an ISO date`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Search the messages of conversations a user participates in
+ * @param {Object} params
+ * @param {string} params.userId - Searching user
+ * @param {string} params.query - Search terms; "quoted phrases", OR and -excluded words are supported
+ * @param {string} params.participantId - Only conversations with this user (optional)
+ * @param {string} params.from - Only messages at or after this date (optional)
+ * @param {string} params.to - Only messages at or before this date (optional)
+ * @param {number|string} params.limit - Page size
+ * @param {number|string} params.offset - Results to skip
+ * @returns {Promise<{results: Object[], pagination: Object}>}
+ */
+export async function searchMessages({ userId, query, participantId, from, to, limit, offset }) {
+    const q = typeof query === "string" ? query.trim() : "";
+    if (q.length < MIN_QUERY_LENGTH) {
+        throw new ApiError(400, `q must be at least ${MIN_QUERY_LENGTH} characters`);
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `q must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new ApiError(400, "limit must be a positive integer");
+    }
+    const skip = offset === undefined ? 0 : parseInt(offset, 10);
+    if (!Number.isInteger(skip) || skip < 0) {
+        throw new ApiError(400, "offset must be a non-negative integer");
+    }
+
+    if (participantId && !UUID_REGEX.test(participantId)) {
+        throw new ApiError(400, "participantId must be a user ID");
+    }
+
+    const fromDate = parseDate(from, "from");
+    const toDate = parseDate(to, "to");
+    if (fromDate && toDate && fromDate > toDate) {
+        throw new ApiError(400, "from must be before to");
+    }
+
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+
+    // Fetch one extra row to know whether another page exists
+    const { data: rows, error } = await supabase.rpc("search_messages", {
+        p_user_id: userId,
+        p_query: q,
+        p_participant_id: participantId || null,
+        p_from: fromDate,
+        p_to: toDate,
+        p_limit: size + 1,
+        p_offset: skip,
+    });
+
+    if (error) {
+        logger.error("Error searching messages. Run create_message_search.sql", { error: error.message });
+        throw new ApiError(500, `Failed to search messages: ${error.message}`);
+    }
+
+    const page = (rows || []).slice(0, size);
+
+    let profiles = { byId: new Map(), byEmail: new Map() };
+    try {
+        profiles = await getUserProfiles({
+            ids: page.flatMap((row) => [row.sender_id, row.other_user_id]).filter(Boolean),
+        });
+    } catch (err) {
+        logger.error("Error fetching profiles for search results", { error: err.message });
+    }
+
+    const results = page.map((row) => {
+        const sender = profiles.byId.get(row.sender_id);
+        const otherUser = row.other_user_id ? profiles.byId.get(row.other_user_id) : null;
+
+        return {
+            messageId: row.message_id,
+            conversationId: row.conversation_id,
+            conversation: row.conversation_type === "group"
+                ? { type: "group", title: row.conversation_title }
+                : {
+                      type: "direct",
+                      otherUser: {
+                          id: row.other_user_id,
+                          email: otherUser?.email || row.other_user_email,
+                          name: otherUser?.name || otherUser?.email || row.other_user_email || "Unknown User",
+                      },
+                  },
+            sender: {
+                id: row.sender_id,
+                name: sender?.name || sender?.email || "Unknown User",
+            },
+            isFromMe: row.sender_id === userId,
+            snippet: formatSnippet(row.snippet),
+            timestamp: row.created_at,
+        };
+    });
+
+    return {
+        results,
+        pagination: {
+            limit: size,
+            offset: skip,
+            hasMore: (rows || []).length > size,
+        },
+    };
+}
+
+export default {
+    formatSnippet,
+    searchMessages,
+};
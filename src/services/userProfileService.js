@@ -0,0 +1,258 @@
+/**
+ * User Profile Service
+ * Batch-loads public user profile fields (email, name, photo) with an in-process TTL cache
+ * Users are looked up by ID or email (case-insensitive) via the indexed profiles table, or the
+ * get_user_profiles function where it isn't deployed - never by scanning auth.admin.listUsers(),
+ * which only returns the first page of users
+ */
+
+import { supabase, supabaseAdmin } from "../config/supabase.js";
+import config from "../config/index.js";
+import logger from "../utils/logger.js";
+import { UUID_REGEX } from "../utils/validation.js";
+
+/**
+ * User profile structure
+ * @typedef {Object} UserProfile
+ * @property {string} id - User ID
+ * @property {string} email - User email
+ * @property {string} name - Full name, falling back to email
+ * @property {string|null} photo - Avatar URL
+ */
+
+/**
+ * Maximum number of cached profiles; the oldest entries are evicted first
+ */
+const MAX_CACHE_SIZE = 5000;
+
+/**
+ * Cache of userId -> { profile, expiresAt }
+ */
+const profileCache = new Map();
+
+/**
+ * Cache of lowercase email -> userId, for lookups by email
+ */
+const emailIndex = new Map();
+
+/**
+ * Build a profile from a profiles/get_user_profiles row or an auth user
+ * @param {Object} row - Row with id, email and full_name/avatar_url or user_metadata
+ * @returns {UserProfile}
+ */
+function toProfile(row) {
+    const fullName = row.full_name ?? row.user_metadata?.full_name;
+    const avatarUrl = row.avatar_url ?? row.user_metadata?.avatar_url;
+    return {
+        id: row.id,
+        email: row.email,
+        name: fullName || row.email,
+        photo: avatarUrl || null,
+    };
+}
+
+/**
+ * Store a profile in the cache
+ * @param {UserProfile} profile
+ */
+function cacheProfile(profile) {
+    profileCache.delete(profile.id);
+    profileCache.set(profile.id, {
+        profile,
+        expiresAt: Date.now() + config.userCache.ttlMs,
+    });
+    if (profile.email) {
+        emailIndex.set(profile.email.toLowerCase(), profile.id);
+    }
+
+    while (profileCache.size > MAX_CACHE_SIZE) {
+        const oldestId = profileCache.keys().next().value;
+        const { profile: oldest } = profileCache.get(oldestId);
+        profileCache.delete(oldestId);
+        if (oldest.email) emailIndex.delete(oldest.email.toLowerCase());
+    }
+}
+
+/**
+ * Get a fresh cached profile by ID
+ * @param {string} id - User ID
+ * @returns {UserProfile|null}
+ */
+function getCached(id) {
+    const entry = profileCache.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        profileCache.delete(id);
+        return null;
+    }
+    return entry.profile;
+}
+
+const PROFILE_COLUMNS = "id, email, full_name, avatar_url";
+
+/**
+ * Query the profiles table (create_profiles_directory.sql) in at most two queries
+ * @param {string[]} ids - User IDs
+ * @param {string[]} emails - Lowercase emails
+ * @returns {Promise<{data: Object[]|null, error: Object|null}>}
+ */
+async function queryProfilesTable(ids, emails) {
+    const queries = [];
+    if (ids.length > 0) {
+        queries.push(supabase.from("profiles").select(PROFILE_COLUMNS).in("id", ids));
+    }
+    if (emails.length > 0) {
+        queries.push(supabase.from("profiles").select(PROFILE_COLUMNS).in("email", emails));
+    }
+
+    const results = await Promise.all(queries);
+    const failed = results.find((r) => r.error);
+    if (failed) {
+        return { data: null, error: failed.error };
+    }
+    return { data: results.flatMap((r) => r.data || []), error: null };
+}
+
+/**
+ * Load profiles one getUserById call at a time; users can't be found by email this way
+ * @param {string[]} ids - User IDs
+ * @returns {Promise<UserProfile[]>}
+ */
+async function fetchUsersById(ids) {
+    const profiles = await Promise.all(
+        ids.map(async (id) => {
+            try {
+                const { data: userData, error: userError } = await supabaseAdmin.auth.admin.getUserById(id);
+                if (userError || !userData?.user) return null;
+                return toProfile(userData.user);
+            } catch (err) {
+                logger.error("Error fetching user info", { userId: id, error: err.message });
+                return null;
+            }
+        })
+    );
+    return profiles.filter(Boolean);
+}
+
+/**
+ * Fetch profiles from the database
+ * Uses the profiles table, then the get_user_profiles function (create_user_profiles_function.sql),
+ * and only then one getUserById per ID
+ * @param {string[]} ids - User IDs to fetch
+ * @param {string[]} emails - Lowercase emails to fetch
+ * @returns {Promise<UserProfile[]>}
+ */
+async function fetchProfiles(ids, emails) {
+    const { data, error } = await queryProfilesTable(ids, emails);
+    if (!error) {
+        return data.map(toProfile);
+    }
+
+    logger.warn("profiles table unavailable, using get_user_profiles. Run create_profiles_directory.sql", {
+        error: error.message,
+    });
+
+    const { data: rows, error: rpcError } = await supabase.rpc("get_user_profiles", {
+        p_user_ids: ids,
+        p_emails: emails,
+    });
+    if (!rpcError) {
+        return (rows || []).map(toProfile);
+    }
+
+    logger.warn("get_user_profiles unavailable, falling back to per-user lookups. Run create_user_profiles_function.sql", {
+        error: rpcError.message,
+    });
+    if (emails.length > 0) {
+        logger.error("Users can't be looked up by email without profiles or get_user_profiles", { count: emails.length });
+    }
+
+    return fetchUsersById(ids);
+}
+
+/**
+ * Load profiles by user ID and/or email
+ * Cached profiles are returned without a query; all misses are fetched together
+ * IDs that aren't UUIDs are skipped, since they would fail the whole uuid-typed lookup
+ * @param {Object} params
+ * @param {string[]} params.ids - User IDs
+ * @param {string[]} params.emails - Emails (matched case-insensitively)
+ * @returns {Promise<{byId: Map<string, UserProfile>, byEmail: Map<string, UserProfile>}>}
+ *   Profiles keyed by ID and by lowercase email; unknown users are absent
+ */
+export async function getUserProfiles({ ids = [], emails = [] } = {}) {
+    const byId = new Map();
+    const byEmail = new Map();
+
+    const add = (profile) => {
+        byId.set(profile.id, profile);
+        if (profile.email) byEmail.set(profile.email.toLowerCase(), profile);
+    };
+
+    const missingIds = [];
+    for (const id of new Set(ids.filter((id) => typeof id === "string" && UUID_REGEX.test(id)))) {
+        const cached = getCached(id);
+        if (cached) add(cached);
+        else missingIds.push(id);
+    }
+
+    const missingEmails = [];
+    for (const email of new Set(emails.filter(Boolean).map((e) => e.trim().toLowerCase()))) {
+        const cachedId = emailIndex.get(email);
+        const cached = cachedId && getCached(cachedId);
+        if (cached) add(cached);
+        else missingEmails.push(email);
+    }
+
+    if (missingIds.length > 0 || missingEmails.length > 0) {
+        const fetched = await fetchProfiles(missingIds, missingEmails);
+        for (const profile of fetched) {
+            cacheProfile(profile);
+            add(profile);
+        }
+    }
+
+    return { byId, byEmail };
+}
+
+/**
+ * Find a user by ID
+ * @param {string} id - User ID
+ * @returns {Promise<UserProfile|null>}
+ */
+export async function findUserById(id) {
+    if (!id) return null;
+    const { byId } = await getUserProfiles({ ids: [id] });
+    return byId.get(id) || null;
+}
+
+/**
+ * Find a user by email (case-insensitive)
+ * @param {string} email - Email address
+ * @returns {Promise<UserProfile|null>}
+ */
+export async function findUserByEmail(email) {
+    if (!email || typeof email !== "string") return null;
+    const normalized = email.trim().toLowerCase();
+    const { byEmail } = await getUserProfiles({ emails: [normalized] });
+    return byEmail.get(normalized) || null;
+}
+
+/**
+ * Drop a user's cached profile, e.g. after their metadata changes
+ * @param {string} id - User ID
+ */
+export function invalidateUserProfile(id) {
+    const entry = profileCache.get(id);
+    if (entry?.profile.email) {
+        emailIndex.delete(entry.profile.email.toLowerCase());
+    }
+    profileCache.delete(id);
+}
+
+export default {
+    getUserProfiles,
+    findUserById,
+    findUserByEmail,
+    invalidateUserProfile,
+};
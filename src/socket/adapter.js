@@ -0,0 +1,139 @@
+/**
+ * Socket.io Adapter Setup
+ * Chooses how rooms, broadcasts and presence are shared:
+ * - "memory": the default Socket.io adapter and an in-process presence store (single instance)
+ * - "redis": the Redis pub/sub adapter and a Redis presence store, so several backend
+ *   instances can run behind a load balancer
+ */
+
+import { createClient } from "redis";
+import { createAdapter } from "@socket.io/redis-adapter";
+import config from "../config/index.js";
+import logger from "../utils/logger.js";
+import { createMemoryPresenceStore, createRedisPresenceStore } from "../services/presenceStores.js";
+import { setPresenceStore, clearInstanceConnections } from "../services/presenceService.js";
+
+/**
+ * Redis clients opened by setupAdapter, closed on shutdown
+ */
+let redisClients = [];
+
+/**
+ * Connection attempts before startup gives up on Redis; once connected, clients retry forever
+ */
+const CONNECT_ATTEMPTS = 5;
+
+/**
+ * Create a Redis client that reconnects after a dropped connection but gives up if the
+ * first connection can't be made, so connect() rejects instead of retrying forever
+ * @param {string} url - Redis URL
+ * @returns {Object} node-redis client
+ */
+function createRedisClient(url) {
+    let connected = false;
+
+    const client = createClient({
+        url,
+        socket: {
+            reconnectStrategy: (retries, cause) => {
+                if (!connected && retries >= CONNECT_ATTEMPTS - 1) return cause;
+                return Math.min(retries * 200, 5000);
+            },
+        },
+    });
+    client.on("ready", () => {
+        connected = true;
+    });
+    client.on("error", (err) => logger.error("Redis client error", { error: err.message }));
+    return client;
+}
+
+/**
+ * Describe a Redis URL for logs without its credentials
+ * @param {string} url - Redis URL
+ * @returns {string}
+ */
+function describeRedisUrl(url) {
+    try {
+        const { protocol, host } = new URL(url);
+        return `${protocol}//${host}`;
+    } catch {
+        return "an invalid REDIS_URL";
+    }
+}
+
+/**
+ * Configure the Socket.io adapter and presence store
+ * @param {Object} io - Socket.io server instance
+ * @returns {Promise<void>}
+ * @throws {Error} If the adapter is unknown, INSTANCE_ID is missing in Redis mode, or Redis can't be
+ *   reached after a few attempts
+ */
+export async function setupAdapter(io) {
+    const { adapter, redisUrl, keyPrefix } = config.realtime;
+
+    if (adapter === "memory") {
+        setPresenceStore(createMemoryPresenceStore());
+        logger.info("Socket.io using in-memory adapter (single instance)");
+        return;
+    }
+
+    if (adapter !== "redis") {
+        throw new Error(`Unknown SOCKET_ADAPTER "${adapter}". Use "memory" or "redis".`);
+    }
+
+    // Presence is recorded per instance and only released by an instance with the same ID, so a
+    // random ID per start would leave a crashed instance's users online in Redis forever
+    const { instanceId } = config.realtime;
+    if (!instanceId) {
+        throw new Error(
+            "SOCKET_ADAPTER=redis requires INSTANCE_ID, a stable ID per replica " +
+                "(e.g. INSTANCE_ID=${{RAILWAY_REPLICA_ID}}), so a restarted instance can release its stale presence."
+        );
+    }
+
+    const pubClient = createRedisClient(redisUrl);
+    const subClient = createRedisClient(redisUrl);
+
+    try {
+        await Promise.all([pubClient.connect(), subClient.connect()]);
+    } catch (err) {
+        await Promise.all(
+            [pubClient, subClient].filter((client) => client.isOpen).map((client) => client.disconnect().catch(() => {}))
+        );
+        throw new Error(
+            `Could not connect to Redis at ${describeRedisUrl(redisUrl)} (${err.message}). ` +
+                `Check REDIS_URL, or set SOCKET_ADAPTER=memory to run a single instance without Redis.`
+        );
+    }
+    redisClients = [pubClient, subClient];
+
+    io.adapter(createAdapter(pubClient, subClient, { key: `${keyPrefix}:socket.io` }));
+    setPresenceStore(createRedisPresenceStore(pubClient, { keyPrefix, instanceId }));
+
+    // With a stable instance ID, drop sockets left behind by a previous crash of this instance
+    const stale = await clearInstanceConnections();
+    if (stale.length > 0) {
+        logger.warn("Released stale presence from a previous run", { instanceId, users: stale.length });
+    }
+
+    logger.info("Socket.io using Redis adapter", { instanceId, keyPrefix });
+}
+
+/**
+ * Close the Redis connections opened by setupAdapter
+ * @returns {Promise<void>}
+ */
+export async function closeAdapter() {
+    await Promise.all(
+        redisClients.map((client) =>
+            client.quit().catch((err) => logger.error("Error closing Redis client", { error: err.message }))
+        )
+    );
+    redisClients = [];
+}
+
+export default {
+    setupAdapter,
+    closeAdapter,
+};
@@ -0,0 +1,49 @@
+/**
+ * Socket.io Instance Holder
+ * Gives REST controllers and services access to the Socket.io server for real-time notifications
+ */
+
+import logger from "../utils/logger.js";
+
+/**
+ * Socket.io server instance, set once by setupSocket
+ */
+let ioInstance = null;
+
+/**
+ * Register the Socket.io server instance
+ * @param {Object} io - Socket.io server instance
+ */
+export function setIO(io) {
+    ioInstance = io;
+}
+
+/**
+ * Get the Socket.io server instance
+ * @returns {Object|null} Socket.io server instance, or null before setup
+ */
+export function getIO() {
+    return ioInstance;
+}
+
+/**
+ * Emit an event to every socket in a user's personal room
+ * @param {string} userId - Target user's ID (room name)
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @returns {boolean} Whether the event was emitted
+ */
+export function emitToUser(userId, event, payload) {
+    if (!ioInstance || !userId) {
+        logger.debug("Skipping socket emit", { userId, event, ioReady: !!ioInstance });
+        return false;
+    }
+    ioInstance.to(userId).emit(event, payload);
+    return true;
+}
+
+export default {
+    setIO,
+    getIO,
+    emitToUser,
+};
@@ -0,0 +1,63 @@
+/**
+ * Socket Authentication Middleware
+ * Validates the Supabase JWT sent with the Socket.io handshake and binds the socket
+ * to the verified user, so client-sent user IDs are never trusted
+ */
+
+import { verifyAccessToken } from "../middleware/requireAuth.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Extract the access token from a handshake
+ * Accepts `auth.token` (preferred), an `Authorization: Bearer` header, or a `token` query param
+ * @param {Object} handshake - Socket.io handshake
+ * @returns {string|null}
+ */
+function extractToken(handshake) {
+    if (handshake.auth?.token) {
+        return handshake.auth.token;
+    }
+
+    const authHeader = handshake.headers?.authorization;
+    if (authHeader) {
+        const parts = authHeader.split(" ");
+        if (parts.length === 2 && parts[0] === "Bearer") {
+            return parts[1];
+        }
+    }
+
+    return handshake.query?.token || null;
+}
+
+/**
+ * Socket.io middleware that rejects connections without a valid access token
+ * On success, the verified user is available as `socket.data.user`
+ * @param {Object} socket - Socket.io socket
+ * @param {Function} next - Socket.io next function
+ */
+export default async function socketAuth(socket, next) {
+    try {
+        const user = await verifyAccessToken(extractToken(socket.handshake));
+
+        socket.data.user = {
+            id: user.id,
+            email: user.email,
+            email_confirmed_at: user.email_confirmed_at || null,
+            name: user.user_metadata?.full_name || user.email,
+        };
+
+        logger.debug("Socket authenticated", { socketId: socket.id, userId: user.id });
+        next();
+    } catch (err) {
+        const message = err instanceof ApiError ? err.message : "Authentication verification failed";
+        if (!(err instanceof ApiError)) {
+            logger.error("Socket authentication error", err);
+        }
+        logger.warn("Socket connection rejected", { socketId: socket.id, reason: message });
+
+        const error = new Error(message);
+        error.data = { code: "unauthorized" };
+        next(error);
+    }
+}
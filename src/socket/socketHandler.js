@@ -4,99 +4,258 @@
  * Handles message sending, typing indicators, and read receipts
  */
 
-import { supabase, supabaseAdmin } from "../config/supabase.js";
+import { supabase } from "../config/supabase.js";
 import logger from "../utils/logger.js";
-import { moderateMessage, logModerationDecision } from "../services/moderationService.js";
+import { moderateMessage, logModerationDecision, updateModerationLog } from "../services/moderationService.js";
 import { sendModerationAlert } from "../services/emailService.js";
+import { canStartConversation } from "../services/connectionService.js";
+import { isBlockedEitherWay, hasMuted, getBlockRelatedUserIds } from "../services/blockService.js";
+import { findUserByEmail, getUserProfiles } from "../services/userProfileService.js";
+import {
+    addConnection,
+    removeConnection,
+    clearInstanceConnections,
+    getConnectionCount,
+    getOnlineUserCount,
+} from "../services/presenceService.js";
+import { formatMessageForClient, deliverPendingMessages } from "../services/deliveryService.js";
+import { formatReplyPreview } from "../services/messageDetailsService.js";
+import { recordPendingRecipient } from "../services/pendingRecipientService.js";
+import { ensureAccountLinked } from "../services/accountLinkService.js";
+import { sendGroupMessage, getReplyTarget } from "../services/messageService.js";
+import { editMessage, deleteMessage } from "../services/messageEditService.js";
+import { addReaction, removeReaction } from "../services/messageReactionService.js";
+import { getGroupMembership, getParticipantIds, markGroupRead } from "../services/groupService.js";
+import { isConversationMuted } from "../services/conversationSettingsService.js";
+import { validatePendingAttachments, attachToMessage } from "../services/attachmentService.js";
+import { setIO } from "./io.js";
+import { setupAdapter, closeAdapter } from "./adapter.js";
+import socketAuth from "./socketAuth.js";
+import { EMAIL_REGEX } from "../utils/validation.js";
 
 /**
- * Map to store user socket connections
- * Maps userId -> socketId for efficient message delivery
+ * Tell other users that a user came online or went offline
+ * Users in a block relationship with them are left out, as in GET /api/v1/presence.
+ * Fails closed: if the block lists can't be read, nobody is told
+ * @param {Object} io - Socket.io server instance
+ * @param {string} userId - User whose presence changed
+ * @param {string|null} lastSeen - Last-seen time when they went offline, null when they came online
+ * @returns {Promise<void>}
  */
-const userSockets = new Map();
+const emitPresence = async (io, userId, lastSeen) => {
+    try {
+        const hidden = await getBlockRelatedUserIds(userId);
+        io.except([userId, ...hidden]).emit(lastSeen ? "user_offline" : "user_online", {
+            userId,
+            online: !lastSeen,
+            lastSeen,
+        });
+    } catch (err) {
+        logger.error("Error broadcasting presence", err);
+    }
+};
 
 /**
  * Setup Socket.io event handlers
+ * Rooms, broadcasts and presence go through the configured adapter, so they work across instances
  * @param {Object} io - Socket.io server instance
+ * @returns {Promise<void>}
  */
-export const setupSocket = (io) => {
+export const setupSocket = async (io) => {
+    await setupAdapter(io);
+    setIO(io);
+
+    // Every connection must carry a valid Supabase access token
+    io.use(socketAuth);
+
     io.on("connection", (socket) => {
-        logger.info(`User connected: ${socket.id}`);
+        // Identity comes from the verified handshake, never from event payloads
+        const authUser = socket.data.user;
+        const userId = authUser.id;
+
+        logger.info(`User connected: ${socket.id} (user: ${userId})`);
 
         /**
-         * Handle user joining their personal room
-         * @param {string} userId - The user's ID
+         * Join the authenticated user's personal room
+         * and deliver anything that arrived while they were offline
          */
-        socket.on("join_user", (userId) => {
-            if (userId) {
-                userSockets.set(userId, socket.id);
-                socket.join(userId); // Join room named with the unique user ID from auth.users
-                
-                // Verify room was joined
-                const room = io.sockets.adapter.rooms.get(userId);
-                const roomSize = room ? room.size : 0;
-                
-                logger.info(`✅ User ${userId} joined their room (socket: ${socket.id}, Room size: ${roomSize})`);
-                logger.info(`📊 Total users connected: ${userSockets.size}`);
+        const joinOwnRoom = async () => {
+            socket.join(userId); // Join room named with the unique user ID from auth.users
+
+            try {
+                const cameOnline = await addConnection(userId, socket.id);
+
+                const [devices, onlineUsers] = await Promise.all([getConnectionCount(userId), getOnlineUserCount()]);
+                logger.info(`✅ User ${userId} joined their room (socket: ${socket.id}, Devices: ${devices})`);
+                logger.info(`📊 Total users connected: ${onlineUsers}`);
 
-                // Notify other users that this user is online
-                socket.broadcast.emit("user_online", userId);
-            } else {
-                logger.warn(`⚠️ join_user called without userId - socket: ${socket.id}`);
+                // Notify other users only when the user's first device connects
+                if (cameOnline) {
+                    await emitPresence(io, userId, null);
+                }
+            } catch (err) {
+                logger.error("Error registering presence", err);
+            }
+
+            try {
+                // Claim anything addressed to the user's email before they signed up, then deliver it
+                await ensureAccountLinked(authUser);
+                await deliverPendingMessages(userId);
+            } catch (err) {
+                logger.error("Error delivering offline messages", err);
+            }
+        };
+
+        joinOwnRoom();
+
+        /**
+         * Handle user joining their personal room
+         * Kept for older clients - the room was already joined on connect, so this does nothing
+         * and a client-supplied user ID is ignored
+         * @param {string} requestedUserId - The user ID sent by the client
+         */
+        socket.on("join_user", (requestedUserId) => {
+            if (requestedUserId && requestedUserId !== userId) {
+                logger.warn(`⚠️ join_user called with another user's ID - ignoring`, {
+                    socketId: socket.id,
+                    userId,
+                    requestedUserId,
+                });
             }
         });
 
         /**
          * Handle sending a message
          * Saves message to database, creates/updates conversation, and delivers to recipient
+         * Files are uploaded first (POST /api/v1/attachments) and referenced by attachment_ids
+         * reply_to_id quotes an earlier message of the same conversation
          */
         socket.on("send_message", async (data) => {
-            const { sender_id, receiver_email, content, sender_email, receiver_id } = data;
-
-            // Validate required fields
-            if (!sender_id || !receiver_email || !content) {
+            const { receiver_email, receiver_id, attachment_ids, reply_to_id } = data || {};
+            const content = data?.content || "";
+            const attachmentIds = Array.isArray(attachment_ids) ? attachment_ids : [];
+            const sender_id = userId;
+            const sender_email = authUser.email;
+
+            // Validate required fields (a message with attachments may have no text)
+            if (!receiver_email || (!content && attachmentIds.length === 0)) {
                 logger.error("Missing required fields in send_message", data);
                 socket.emit("message_error", { error: "Missing required fields" });
                 return;
             }
 
+            if (typeof receiver_email !== "string" || !EMAIL_REGEX.test(receiver_email)) {
+                socket.emit("message_error", { error: "A valid receiver_email is required", code: "invalid_receiver" });
+                return;
+            }
+
             try {
-                // Always get receiver_id from email using auth.users table lookup
-                // This ensures we use the unique ID from the main auth table
-                let finalReceiverId = receiver_id;
-                if (!finalReceiverId && receiver_email) {
-                    try {
-                        // Use getUserByEmail if available, otherwise list and find
-                        // First try direct lookup via user management API
-                        const { data: users, error: listError } = await supabaseAdmin.auth.admin.listUsers();
-                        if (listError) {
-                            logger.error("Error listing users", listError);
-                        } else {
-                            // Find user by email (case-insensitive)
-                            const receiverUser = users?.users?.find(
-                                (u) => u.email?.toLowerCase() === receiver_email?.toLowerCase()
-                            );
-                            if (receiverUser?.id) {
-                                finalReceiverId = receiverUser.id;
-                                logger.info(`✅ Found receiver ID for email ${receiver_email}: ${finalReceiverId}`);
-                            } else {
-                                logger.warn(`⚠️ Receiver not found in auth.users for email: ${receiver_email}`);
-                                logger.warn(`Total users in system: ${users?.users?.length || 0}`);
-                            }
-                        }
-                    } catch (err) {
-                        logger.error("Error looking up receiver by email", err);
-                    }
-                } else if (finalReceiverId) {
-                    logger.info(`Using provided receiver_id: ${finalReceiverId}`);
+                // The receiver is always resolved from the email on the server, so the ID used for the
+                // connection check, delivery and moderation logs belongs to the addressed user
+                let finalReceiverId = null;
+                // Indexed, case-insensitive lookup (works beyond the first page of users)
+                const receiverUser = await findUserByEmail(receiver_email);
+                if (receiverUser?.id) {
+                    finalReceiverId = receiverUser.id;
+                    logger.info(`✅ Found receiver ID for email ${receiver_email}: ${finalReceiverId}`);
                 } else {
-                    logger.warn(`No receiver_id or receiver_email provided`);
+                    logger.warn(`⚠️ Receiver not found in user directory for email: ${receiver_email}`);
+                }
+
+                // Older clients also send receiver_id; it must be the same user
+                if (receiver_id && receiver_id !== finalReceiverId) {
+                    logger.warn("🚫 Message refused - receiver_id doesn't match receiver_email", {
+                        sender_id,
+                        receiver_email,
+                        receiver_id,
+                    });
+                    socket.emit("message_error", {
+                        error: "receiver_id does not match receiver_email",
+                        code: "invalid_receiver",
+                    });
+                    return;
+                }
+
+                // ============================================
+                // BLOCK CHECK - Blocked users can't message each other
+                // ============================================
+                if (finalReceiverId && await isBlockedEitherWay(sender_id, finalReceiverId)) {
+                    logger.warn("🚫 Message refused - users have blocked each other", {
+                        sender_id,
+                        receiver_id: finalReceiverId,
+                    });
+                    socket.emit("message_error", {
+                        error: "You can't send messages to this user",
+                        code: "blocked",
+                    });
+                    return;
+                }
+
+                // ============================================
+                // CONNECTION CHECK - New conversations need an accepted connection
+                // ============================================
+                const connectionAllowed = await canStartConversation({
+                    senderId: sender_id,
+                    senderEmail: sender_email,
+                    receiverId: finalReceiverId,
+                    receiverEmail: receiver_email,
+                });
+
+                if (!connectionAllowed) {
+                    logger.warn("🚫 Message refused - no accepted connection", {
+                        sender_id,
+                        receiver_email,
+                        receiver_id: finalReceiverId,
+                    });
+                    socket.emit("message_error", {
+                        error: "You need an accepted connection before starting a conversation",
+                        code: "connection_required",
+                    });
+                    return;
+                }
+
+                // ============================================
+                // REPLY CHECK - Must quote a message of this conversation
+                // ============================================
+                let replyTarget;
+                try {
+                    replyTarget = await getReplyTarget({
+                        replyToId: reply_to_id,
+                        senderId: sender_id,
+                        receiverId: finalReceiverId,
+                        receiverEmail: receiver_email,
+                    });
+                } catch (err) {
+                    socket.emit("message_error", {
+                        error: err.statusCode < 500 ? err.message : "Failed to check replied-to message",
+                        code: "invalid_reply",
+                    });
+                    return;
+                }
+                const replyTo = replyTarget ? formatReplyPreview(replyTarget) : null;
+
+                // ============================================
+                // ATTACHMENT CHECK - Must be the sender's own unsent uploads
+                // ============================================
+                let attachments;
+                try {
+                    attachments = await validatePendingAttachments(attachmentIds, sender_id);
+                } catch (err) {
+                    socket.emit("message_error", {
+                        error: err.statusCode < 500 ? err.message : "Failed to check attachments",
+                        code: "invalid_attachments",
+                    });
+                    return;
                 }
 
                 // ============================================
                 // MODERATION CHECK - Before saving message
                 // ============================================
-                const moderationResult = await moderateMessage(content);
+                // File names are moderated with the text; file contents are not scanned
+                const moderatedText = [content, ...attachments.map((attachment) => attachment.file_name)]
+                    .filter(Boolean)
+                    .join("\n");
+                const moderationResult = await moderateMessage(moderatedText);
 
                 if (!moderationResult.allowed) {
                     // Message is blocked - DO NOT save or deliver
@@ -105,34 +264,35 @@ export const setupSocket = (io) => {
                         receiver_email,
                         reason: moderationResult.reason,
                         method: moderationResult.method,
-                        messagePreview: content.substring(0, 50),
+                        messagePreview: moderatedText.substring(0, 50),
                     });
 
                     // Get user names for email notification
                     let senderName = sender_email;
                     let receiverName = receiver_email;
                     try {
-                        const { data: senderUser } = await supabaseAdmin.auth.admin.getUserById(sender_id);
-                        if (senderUser?.user?.user_metadata?.full_name) {
-                            senderName = senderUser.user.user_metadata.full_name;
-                        }
+                        const { byId } = await getUserProfiles({ ids: [sender_id, finalReceiverId] });
+                        senderName = byId.get(sender_id)?.name || senderName;
                         if (finalReceiverId) {
-                            const { data: receiverUser } = await supabaseAdmin.auth.admin.getUserById(finalReceiverId);
-                            if (receiverUser?.user?.user_metadata?.full_name) {
-                                receiverName = receiverUser.user.user_metadata.full_name;
-                            }
+                            receiverName = byId.get(finalReceiverId)?.name || receiverName;
                         }
                     } catch (err) {
                         logger.error("Error fetching user names for moderation alert", err);
                     }
 
                     // Log moderation decision first (without message_id since message wasn't saved)
-                    await logModerationDecision({
+                    const moderationLogId = await logModerationDecision({
                         messageId: null,
                         senderId: sender_id,
                         receiverId: finalReceiverId,
-                        messageContent: content,
+                        messageContent: moderatedText,
                         result: moderationResult,
+                        pendingMessage: {
+                            content,
+                            receiverEmail: receiver_email,
+                            attachmentIds,
+                            replyToId: replyTarget?.id || null,
+                        },
                     });
 
                     // Notify sender IMMEDIATELY that message was blocked (don't wait for email)
@@ -144,6 +304,7 @@ export const setupSocket = (io) => {
                     socket.emit("message_blocked", {
                         reason: moderationResult.reason || "Message violates community guidelines",
                         content: content, // Include content so UI can show it in warning
+                        moderationLogId, // Lets the sender appeal the block
                     });
 
                     logger.info("✅ message_blocked event emitted to socket", { socketId: socket.id });
@@ -156,7 +317,7 @@ export const setupSocket = (io) => {
                                 to: process.env.MODERATION_EMAIL || "ieeemetaverse@gmail.com",
                                 senderEmail: sender_email,
                                 receiverEmail: receiver_email,
-                                messagePreview: content.substring(0, 50),
+                                messagePreview: moderatedText.substring(0, 50),
                             });
                             
                             await sendModerationAlert({
@@ -164,7 +325,7 @@ export const setupSocket = (io) => {
                                 senderEmail: sender_email,
                                 receiverName,
                                 receiverEmail: receiver_email,
-                                messageContent: content,
+                                messageContent: moderatedText,
                                 blockedReason: moderationResult.reason,
                                 timestamp: new Date().toISOString(),
                             });
@@ -172,22 +333,7 @@ export const setupSocket = (io) => {
                             logger.info("✅ Moderation alert email sent successfully");
 
                             // Update log to mark email as sent
-                            const { data: recentLog } = await supabaseAdmin
-                                .from("moderation_logs")
-                                .select("id")
-                                .eq("sender_id", sender_id)
-                                .eq("message_content", content)
-                                .order("timestamp", { ascending: false })
-                                .limit(1)
-                                .single();
-
-                            if (recentLog?.id) {
-                                await supabaseAdmin
-                                    .from("moderation_logs")
-                                    .update({ email_sent: true })
-                                    .eq("id", recentLog.id);
-                                logger.debug("✅ Updated moderation log with email_sent=true", { logId: recentLog.id });
-                            }
+                            await updateModerationLog(moderationLogId, { email_sent: true });
                         } catch (emailError) {
                             logger.error("❌ Error sending moderation alert email", {
                                 error: emailError.message,
@@ -211,11 +357,11 @@ export const setupSocket = (io) => {
                 });
 
                 // Log allowed message for audit trail
-                await logModerationDecision({
+                const moderationLogId = await logModerationDecision({
                     messageId: null, // Will be updated after message is saved
                     senderId: sender_id,
                     receiverId: finalReceiverId,
-                    messageContent: content,
+                    messageContent: moderatedText,
                     result: moderationResult,
                 });
 
@@ -229,6 +375,7 @@ export const setupSocket = (io) => {
                         receiver_email,
                         receiver_id: finalReceiverId,
                         content,
+                        reply_to_id: replyTarget?.id || null,
                         status: "sent",
                     })
                     .select()
@@ -241,66 +388,55 @@ export const setupSocket = (io) => {
                 }
 
                 // Update moderation log with message_id now that message is saved
-                try {
-                    const { data: recentLog } = await supabaseAdmin
-                        .from("moderation_logs")
-                        .select("id")
-                        .eq("sender_id", sender_id)
-                        .eq("message_content", content)
-                        .is("message_id", null)
-                        .order("timestamp", { ascending: false })
-                        .limit(1)
-                        .single();
+                await updateModerationLog(moderationLogId, { message_id: savedMsg.id });
 
-                    if (recentLog?.id) {
-                        await supabaseAdmin
-                            .from("moderation_logs")
-                            .update({ message_id: savedMsg.id })
-                            .eq("id", recentLog.id);
-                    }
-                } catch (logError) {
-                    logger.error("Error updating moderation log with message_id", logError);
-                    // Don't fail the whole operation if log update fails
+                // Link the uploaded files to the saved message
+                let sentAttachments = [];
+                try {
+                    sentAttachments = await attachToMessage({
+                        attachmentIds,
+                        uploaderId: sender_id,
+                        messageId: savedMsg.id,
+                    });
+                } catch (attachError) {
+                    logger.error("Error linking attachments to message", attachError);
                 }
 
                 // Get conversation_id from saved message (set by trigger)
                 const conversationId = savedMsg.conversation_id;
 
-                // Find receiver's socket connection and check if they're online
-                let receiverSocketId = null;
+                // Check if the receiver has any device connected
                 let receiverIsOnline = false;
                 if (finalReceiverId) {
-                    receiverSocketId = userSockets.get(finalReceiverId);
-                    receiverIsOnline = !!receiverSocketId;
-                    logger.info(`Receiver status - ID: ${finalReceiverId}, Online: ${receiverIsOnline}, Socket: ${receiverSocketId || 'N/A'}`);
+                    const devices = await getConnectionCount(finalReceiverId);
+                    receiverIsOnline = devices > 0;
+                    logger.info(`Receiver status - ID: ${finalReceiverId}, Online: ${receiverIsOnline}, Devices: ${devices}`);
                 }
 
+                // Muted senders and muted conversations still deliver, but the receiver's client shouldn't notify
+                const receiverMuted =
+                    (await hasMuted(finalReceiverId, sender_id)) ||
+                    (await isConversationMuted(finalReceiverId, conversationId));
+
                 // Format message for frontend consumption
-                const messageForReceiver = {
-                    id: savedMsg.id,
-                    text: savedMsg.content,
-                    content: savedMsg.content,
-                    sender_id: savedMsg.sender_id,
-                    sender_email: savedMsg.sender_email,
-                    receiver_email: savedMsg.receiver_email,
-                    receiver_id: savedMsg.receiver_id || finalReceiverId, // Use the unique ID from auth.users
-                    conversation_id: conversationId,
-                    timestamp: savedMsg.created_at,
-                    created_at: savedMsg.created_at,
-                    status: savedMsg.status || "sent",
-                };
+                const messageForReceiver = formatMessageForClient(
+                    {
+                        ...savedMsg,
+                        receiver_id: savedMsg.receiver_id || finalReceiverId, // Use the unique ID from auth.users
+                        conversation_id: conversationId,
+                    },
+                    { muted: receiverMuted, attachments: sentAttachments, replyTo }
+                );
 
                 // PRIMARY DELIVERY: Send directly to receiver's room using their unique ID
                 // This is the correct way - using the unique ID from auth.users table
                 if (finalReceiverId) {
-                    // Check how many sockets are in the receiver's room
-                    const receiverRoom = io.sockets.adapter.rooms.get(finalReceiverId);
-                    const socketsInRoom = receiverRoom ? receiverRoom.size : 0;
-                    logger.info(`📤 Sending to room '${finalReceiverId}' - Sockets in room: ${socketsInRoom}`);
-                    
-                    if (socketsInRoom > 0) {
+                    // The room spans every instance through the adapter
+                    logger.info(`📤 Sending to room '${finalReceiverId}'`);
+
+                    if (receiverIsOnline) {
                         io.to(finalReceiverId).emit("receive_message", messageForReceiver);
-                        logger.info(`✅ Message sent directly to receiver's room (ID: ${finalReceiverId}, Room size: ${socketsInRoom})`);
+                        logger.info(`✅ Message sent directly to receiver's room (ID: ${finalReceiverId})`);
                     } else {
                         logger.warn(`⚠️ Receiver's room is empty! User ${finalReceiverId} is not connected or hasn't joined their room.`);
                         logger.warn(`⚠️ Message will be available when user fetches conversations, but real-time delivery failed.`);
@@ -308,12 +444,15 @@ export const setupSocket = (io) => {
                         io.to(finalReceiverId).emit("receive_message", messageForReceiver);
                     }
                 } else {
-                    // Fallback: if receiver ID not found, broadcast with email filter
-                    logger.error(`❌ Receiver ID not found, using broadcast fallback for email: ${receiver_email}`);
-                    socket.broadcast.emit("receive_message", {
-                        ...messageForReceiver,
-                        _receiver_email: receiver_email,
-                        _broadcast: true,
+                    // Receiver has no account yet - the message stays stored for their email and is
+                    // attached to their account when they sign up. Never broadcast it to other users.
+                    logger.info(`📭 Receiver not registered, message ${savedMsg.id} held for their email`);
+                    setImmediate(async () => {
+                        try {
+                            await recordPendingRecipient({ email: receiver_email, inviter: authUser });
+                        } catch (err) {
+                            logger.error("Error inviting unregistered recipient", err);
+                        }
                     });
                 }
                 
@@ -323,6 +462,7 @@ export const setupSocket = (io) => {
                         ...messageForReceiver,
                         sender_id: savedMsg.sender_id,
                         receiver_id: savedMsg.receiver_id,
+                        muted: false,
                     };
                     io.to(sender_id).emit("receive_message", messageForSender);
                     logger.info(`✅ Message also sent back to sender (ID: ${sender_id}) so they can see their own message`);
@@ -370,51 +510,199 @@ export const setupSocket = (io) => {
                         // Notify sender about conversation update
                         io.to(sender_id).emit("conversation_updated", conversation);
                         
-                        // PRIMARY: Notify receiver using their unique ID from auth.users
+                        // Notify receiver using their unique ID from auth.users (unregistered receivers have no room)
                         if (finalReceiverId) {
                             io.to(finalReceiverId).emit("conversation_updated", conversation);
                             logger.info(`✅ Conversation update sent to receiver (ID: ${finalReceiverId})`);
-                        } else {
-                            // Fallback: broadcast with email filter (should rarely be needed)
-                            logger.warn(`⚠️ Receiver ID not available, using broadcast fallback for email: ${receiver_email}`);
-                            socket.broadcast.emit("conversation_updated", {
-                                ...conversation,
-                                _receiver_email: receiver_email,
-                                _broadcast: true,
-                            });
                         }
                     }
                 }
 
                 // Confirm message sent to sender
-                socket.emit("message_sent", savedMsg);
+                socket.emit("message_sent", { ...savedMsg, attachments: sentAttachments, reply_to: replyTo, reactions: [] });
             } catch (err) {
                 logger.error("Socket message error", err);
                 socket.emit("message_error", { error: "Internal server error" });
             }
         });
 
+        /**
+         * Handle sending a message to a group conversation
+         * Moderated like a direct message and delivered to every member's room
+         */
+        socket.on("send_group_message", async (data) => {
+            const { conversation_id, content, attachment_ids, reply_to_id } = data || {};
+
+            try {
+                const { message, blocked } = await sendGroupMessage({
+                    sender: authUser,
+                    conversationId: conversation_id,
+                    content,
+                    attachmentIds: attachment_ids,
+                    replyToId: reply_to_id,
+                });
+
+                if (blocked) {
+                    socket.emit("message_blocked", {
+                        conversationId: conversation_id,
+                        reason: blocked.reason || "Message violates community guidelines",
+                        content,
+                        moderationLogId: blocked.moderationLogId,
+                    });
+                    return;
+                }
+
+                socket.emit("message_sent", message);
+            } catch (err) {
+                if (!err.statusCode || err.statusCode >= 500) {
+                    logger.error("Error sending group message", err);
+                }
+                socket.emit("message_error", {
+                    conversationId: conversation_id,
+                    error: err.statusCode < 500 ? err.message : "Failed to send",
+                    code: "group_send_failed",
+                });
+            }
+        });
+
+        /**
+         * Handle editing a message
+         * The new content is moderated; both participants receive message_edited
+         */
+        socket.on("edit_message", async (data) => {
+            const { message_id, content } = data || {};
+
+            try {
+                const { blocked } = await editMessage({ messageId: message_id, userId, content });
+
+                if (blocked) {
+                    socket.emit("message_blocked", {
+                        messageId: message_id,
+                        reason: blocked.reason || "Message violates community guidelines",
+                        content,
+                        moderationLogId: blocked.moderationLogId,
+                    });
+                }
+            } catch (err) {
+                if (!err.statusCode || err.statusCode >= 500) {
+                    logger.error("Error editing message", err);
+                }
+                socket.emit("message_error", {
+                    messageId: message_id,
+                    error: err.statusCode < 500 ? err.message : "Failed to edit message",
+                    code: "edit_failed",
+                });
+            }
+        });
+
+        /**
+         * Handle deleting a message
+         * Both participants receive message_deleted with the tombstone
+         */
+        socket.on("delete_message", async (data) => {
+            const { message_id } = data || {};
+
+            try {
+                await deleteMessage({ messageId: message_id, userId });
+            } catch (err) {
+                if (!err.statusCode || err.statusCode >= 500) {
+                    logger.error("Error deleting message", err);
+                }
+                socket.emit("message_error", {
+                    messageId: message_id,
+                    error: err.statusCode < 500 ? err.message : "Failed to delete message",
+                    code: "delete_failed",
+                });
+            }
+        });
+
+        /**
+         * Handle reacting to a message with an emoji
+         * Everyone in the conversation receives message_reactions_updated with the new counts
+         */
+        socket.on("add_reaction", async (data) => {
+            const { message_id, emoji } = data || {};
+
+            try {
+                await addReaction({ messageId: message_id, userId, emoji });
+            } catch (err) {
+                if (!err.statusCode || err.statusCode >= 500) {
+                    logger.error("Error adding reaction", err);
+                }
+                socket.emit("message_error", {
+                    messageId: message_id,
+                    error: err.statusCode < 500 ? err.message : "Failed to add reaction",
+                    code: "reaction_failed",
+                });
+            }
+        });
+
+        /**
+         * Handle removing an emoji reaction from a message
+         */
+        socket.on("remove_reaction", async (data) => {
+            const { message_id, emoji } = data || {};
+
+            try {
+                await removeReaction({ messageId: message_id, userId, emoji });
+            } catch (err) {
+                if (!err.statusCode || err.statusCode >= 500) {
+                    logger.error("Error removing reaction", err);
+                }
+                socket.emit("message_error", {
+                    messageId: message_id,
+                    error: err.statusCode < 500 ? err.message : "Failed to remove reaction",
+                    code: "reaction_failed",
+                });
+            }
+        });
+
         /**
          * Handle typing indicator
          * Notifies receiver when sender is typing
          */
-        socket.on("typing", (data) => {
-            const { receiver_id, receiver_email, isTyping } = data;
-            const senderUserId = socket.handshake.query.userId || data.sender_id;
+        socket.on("typing", async (data) => {
+            const { receiver_id, receiver_email, conversation_id, isTyping } = data || {};
+            const senderUserId = userId;
 
-            // Emit typing status to receiver (by ID or email)
-            if (receiver_id) {
-                io.to(receiver_id).emit("typing_status", {
-                    userId: senderUserId,
-                    isTyping,
-                });
-            } else if (receiver_email) {
-                // If no receiver_id, broadcast to all (frontend will filter)
-                socket.broadcast.emit("typing_status", {
+            try {
+                // Group conversations notify every other member
+                if (conversation_id && await getGroupMembership(conversation_id, senderUserId)) {
+                    const memberIds = await getParticipantIds(conversation_id);
+                    for (const memberId of memberIds) {
+                        if (memberId === senderUserId || await isBlockedEitherWay(senderUserId, memberId)) {
+                            continue;
+                        }
+                        io.to(memberId).emit("typing_status", {
+                            userId: senderUserId,
+                            conversationId: conversation_id,
+                            isTyping,
+                        });
+                    }
+                    return;
+                }
+
+                // Resolve the receiver's room from their email if needed; unregistered
+                // receivers have nobody to notify
+                let targetId = receiver_id;
+                if (!targetId && receiver_email) {
+                    targetId = (await findUserByEmail(receiver_email))?.id;
+                }
+                if (!targetId) {
+                    return;
+                }
+
+                // Don't leak typing indicators between users who blocked each other
+                if (await isBlockedEitherWay(senderUserId, targetId)) {
+                    return;
+                }
+
+                io.to(targetId).emit("typing_status", {
                     userId: senderUserId,
-                    receiver_email,
                     isTyping,
                 });
+            } catch (err) {
+                logger.error("Error sending typing indicator", err);
             }
         });
 
@@ -423,14 +711,23 @@ export const setupSocket = (io) => {
          * Updates message status in database, resets unread counts, and notifies sender
          */
         socket.on("mark_read", async (data) => {
-            const { conversation_id, user_id, messageIds } = data;
+            const { conversation_id, messageIds } = data || {};
+            const user_id = userId;
 
-            if (!conversation_id || !user_id) {
-                logger.error("Missing conversation_id or user_id in mark_read", data);
+            if (!conversation_id) {
+                logger.error("Missing conversation_id in mark_read", data);
                 return;
             }
 
             try {
+                // Groups record the member's read position and notify the other members
+                const membership = await getGroupMembership(conversation_id, user_id);
+                if (membership) {
+                    await markGroupRead(conversation_id, user_id);
+                    io.to(user_id).emit("conversation_updated", membership.conversation);
+                    return;
+                }
+
                 // Use database function to mark messages as read and update conversation
                 const { error: functionError } = await supabase.rpc("mark_messages_as_read", {
                     p_conversation_id: conversation_id,
@@ -447,7 +744,8 @@ export const setupSocket = (io) => {
                                 status: "read",
                                 read_at: new Date().toISOString()
                             })
-                            .in("id", messageIds);
+                            .in("id", messageIds)
+                            .eq("receiver_id", user_id); // Only the receiver can mark a message read
                     }
                 }
 
@@ -489,18 +787,39 @@ export const setupSocket = (io) => {
 
         /**
          * Handle user disconnection
-         * Clean up user socket mapping
+         * The user only goes offline when their last device disconnects
          */
-        socket.on("disconnect", () => {
-            logger.info(`User disconnected: ${socket.id}`);
-
-            // Remove user from socket mapping
-            for (const [uid, sid] of userSockets.entries()) {
-                if (sid === socket.id) {
-                    userSockets.delete(uid);
-                    break;
+        socket.on("disconnect", async () => {
+            logger.info(`User disconnected: ${socket.id} (user: ${userId})`);
+
+            try {
+                const { lastConnection, lastSeen } = await removeConnection(userId, socket.id);
+                if (lastConnection) {
+                    await emitPresence(io, userId, lastSeen);
                 }
+            } catch (err) {
+                logger.error("Error removing presence", err);
             }
         });
     });
 };
+
+/**
+ * Disconnect this instance's sockets and release their presence before the process exits
+ * Sockets on other instances are unaffected
+ * @param {Object} io - Socket.io server instance
+ * @returns {Promise<void>}
+ */
+export const shutdownSocket = async (io) => {
+    io.local.disconnectSockets(true);
+
+    try {
+        const offline = await clearInstanceConnections();
+        const lastSeen = new Date().toISOString();
+        await Promise.all(offline.map((userId) => emitPresence(io, userId, lastSeen)));
+    } catch (err) {
+        logger.error("Error releasing presence on shutdown", err);
+    }
+
+    await closeAdapter();
+};
@@ -0,0 +1,19 @@
+/**
+ * Validation Utility
+ * Shared patterns for validating IDs and emails from requests and socket events
+ */
+
+/**
+ * Supabase row and user IDs; checked before querying, since a malformed ID fails a uuid column
+ */
+export const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Loose email shape check (something@domain.tld); the address is confirmed by the account itself
+ */
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export default {
+    UUID_REGEX,
+    EMAIL_REGEX,
+};
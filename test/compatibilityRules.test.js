@@ -0,0 +1,84 @@
+/**
+ * Compatibility Rules tests
+ * Run with: npm test
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    classifyIpStance,
+    classifyDataConstraints,
+    buildConstraintProfile,
+    evaluateConstraints,
+} from "../src/services/compatibilityRules.js";
+
+describe("classifyIpStance", () => {
+    it("classifies affirmative stances", () => {
+        assert.equal(classifyIpStance("Open source only"), "open_only");
+        assert.equal(classifyIpStance("Exclusive licensing to our sponsor"), "exclusive");
+        assert.equal(classifyIpStance("We usually patent results"), "patent");
+        assert.equal(classifyIpStance("MIT or Apache"), "open");
+        assert.equal(classifyIpStance("Negotiable"), "negotiable");
+    });
+
+    it("ignores negated stances", () => {
+        assert.equal(classifyIpStance("Non-exclusive licensing"), null);
+        assert.equal(classifyIpStance("nonexclusive license"), null);
+        assert.equal(classifyIpStance("not necessarily exclusive"), null);
+        assert.equal(classifyIpStance("No patents"), null);
+        assert.equal(classifyIpStance("no patents, open source preferred"), "open");
+        assert.equal(classifyIpStance("Non-exclusive, case by case"), "negotiable");
+    });
+
+    it("still matches when only another mention is negated", () => {
+        assert.equal(classifyIpStance("not open source, exclusive to the lab"), "exclusive");
+    });
+});
+
+describe("classifyDataConstraints", () => {
+    it("classifies affirmative constraints", () => {
+        assert.deepEqual([...classifyDataConstraints("Confidential, covered by an NDA")], ["no_sharing"]);
+        assert.deepEqual([...classifyDataConstraints("ITAR export control")], ["export_controlled"]);
+        assert.deepEqual([...classifyDataConstraints("Open data")], ["open_data"]);
+    });
+
+    it("ignores negated constraints", () => {
+        assert.deepEqual([...classifyDataConstraints("Not confidential")], []);
+        assert.deepEqual([...classifyDataConstraints("no NDA needed")], []);
+        assert.deepEqual([...classifyDataConstraints("Data is not export controlled")], []);
+        assert.deepEqual([...classifyDataConstraints("open data, not classified")], ["open_data"]);
+    });
+
+    it("keeps constraints that are phrased as a negation", () => {
+        assert.deepEqual([...classifyDataConstraints("We cannot share data")], ["no_sharing"]);
+        assert.deepEqual([...classifyDataConstraints("There is no data sharing")], ["no_sharing"]);
+    });
+});
+
+describe("evaluateConstraints", () => {
+    const profile = (ip, data) =>
+        buildConstraintProfile({ ip_licensing_stance: ip, data_sharing_constraints: data });
+
+    it("excludes conflicting pairs", () => {
+        const result = evaluateConstraints(profile("Open source only", ""), profile("Exclusive licensing", ""));
+        assert.equal(result.excluded, true);
+    });
+
+    it("keeps pairs whose conflict is negated", () => {
+        const ipResult = evaluateConstraints(profile("Open source only", ""), profile("Non-exclusive licensing", ""));
+        assert.equal(ipResult.excluded, false);
+
+        const patentResult = evaluateConstraints(profile("GPL", ""), profile("No patents", ""));
+        assert.equal(patentResult.excluded, false);
+
+        const dataResult = evaluateConstraints(profile("", "Open data"), profile("", "Not confidential"));
+        assert.equal(dataResult.excluded, false);
+        assert.deepEqual(dataResult.reasons, []);
+    });
+
+    it("penalizes differing stances", () => {
+        const result = evaluateConstraints(profile("Apache", ""), profile("We patent our work", ""));
+        assert.equal(result.excluded, false);
+        assert.equal(result.multiplier, 0.8);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Moderation Matcher tests
+ * Run with: npm test
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    normalizeText,
+    textVariants,
+    checkPatternSafety,
+    compilePattern,
+    createMatcher,
+} from "../src/services/moderationMatcher.js";
+
+/**
+ * Matcher over word entries, returning whether a text is blocked
+ */
+const blocks = (words, allowlist = []) => {
+    const matcher = createMatcher({ entries: words.map((word) => ({ word_or_phrase: word })), allowlist });
+    return (text) => matcher(text) !== null;
+};
+
+describe("normalizeText", () => {
+    it("removes accents and zero-width characters", () => {
+        assert.equal(normalizeText("Séx"), "sex");
+        assert.equal(normalizeText("s\u200bex"), "sex");
+        assert.equal(normalizeText("ｓｅｘ"), "sex");
+    });
+
+    it("maps look-alike Cyrillic and Greek letters", () => {
+        assert.equal(normalizeText("ѕех"), "sex");
+        assert.equal(normalizeText("sєx"), "sex");
+        assert.equal(normalizeText("sεx"), "sex");
+        assert.equal(normalizeText("nυdέ"), "nude");
+    });
+});
+
+describe("textVariants", () => {
+    it("joins spaced-out letters", () => {
+        assert.ok(textVariants("s e x").includes("sex"));
+        assert.ok(textVariants("s.e.x").includes("sex"));
+    });
+
+    it("decodes leetspeak only in words that mix letters and symbols", () => {
+        assert.ok(textVariants("wh4tsapp me").includes("whatsapp me"));
+        assert.ok(textVariants("$ex").includes("sex"));
+        assert.deepEqual(textVariants("call me in 2024"), ["call me in 2024"]);
+    });
+});
+
+describe("word entries", () => {
+    const isBlocked = blocks(["die", "idiot", "hate", "fuck", "cum"]);
+
+    it("match whole words and common endings", () => {
+        assert.ok(isBlocked("you should die"));
+        assert.ok(isBlocked("what idiots"));
+        assert.ok(isBlocked("I hated it"));
+        assert.ok(isBlocked("fucking hell"));
+        assert.ok(isBlocked("magna cum laude"));
+    });
+
+    it("don't match inside other words", () => {
+        assert.ok(!isBlocked("the diesel engine"));
+        assert.ok(!isBlocked("we studied the data"));
+        assert.ok(!isBlocked("whatever works"));
+        assert.ok(!isBlocked("magna cumin"));
+    });
+
+    it("match obfuscated forms", () => {
+        assert.ok(isBlocked("d i e"));
+        assert.ok(isBlocked("d.i.e"));
+        assert.ok(isBlocked("1d10t"));
+        assert.ok(isBlocked("ıdıot"));
+    });
+});
+
+describe("allowlist", () => {
+    const isBlocked = blocks(["sex", "kill"], ["sex differences", "kill switch"]);
+
+    it("masks allowlisted phrases before matching", () => {
+        assert.ok(!isBlocked("sex differences in sensor data"));
+        assert.ok(!isBlocked("add a kill switch"));
+        assert.ok(isBlocked("sex"));
+        assert.ok(isBlocked("kill switch, then kill them"));
+    });
+
+    it("accepts endings on the last word of a phrase", () => {
+        assert.ok(!isBlocked("both kill switches failed"));
+        assert.ok(!isBlocked("kill switch kill switch"));
+    });
+
+    it("masks obfuscated allowlisted phrases", () => {
+        assert.ok(!isBlocked("s e x differences"));
+    });
+});
+
+describe("regex entries", () => {
+    it("match the canonical text", () => {
+        const matcher = createMatcher({ entries: [{ word_or_phrase: "\\d{3} \\d{3} \\d{4}", match_type: "regex" }] });
+        assert.ok(matcher("call 555-123-4567"));
+        assert.equal(matcher("call me"), null);
+    });
+
+    it("reject patterns that can backtrack exponentially", () => {
+        assert.throws(() => checkPatternSafety("(a+)+b"), /repeated groups/);
+        assert.throws(() => checkPatternSafety("(a|aa)*"), /repeated groups/);
+        assert.throws(() => checkPatternSafety("(\\w+\\s?)*$"), /repeated groups/);
+        assert.throws(() => checkPatternSafety("(a)\\1"), /backreferences/);
+        assert.throws(() => checkPatternSafety("\\d+\\d+\\d+x"), /too complex/);
+        assert.throws(() => checkPatternSafety("a".repeat(201)), /at most/);
+    });
+
+    it("accept bounded patterns", () => {
+        assert.doesNotThrow(() => checkPatternSafety("\\d{3} \\d{3} \\d{4}"));
+        assert.doesNotThrow(() => checkPatternSafety("(?:whats|telegram) ?app"));
+        assert.doesNotThrow(() => checkPatternSafety("wh?ats ?app.*me"));
+    });
+
+    it("report invalid entries instead of compiling them", () => {
+        const invalid = [];
+        const matcher = createMatcher({
+            entries: [{ word_or_phrase: "(a+)+", match_type: "regex" }, { word_or_phrase: "[", match_type: "regex" }],
+            onInvalidEntry: (entry) => invalid.push(entry.word_or_phrase),
+        });
+        assert.deepEqual(invalid, ["(a+)+", "["]);
+        assert.equal(matcher("aaaa"), null);
+        assert.throws(() => compilePattern("["));
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Presence Store tests
+ * The Redis store runs against a real server at TEST_REDIS_URL (default redis://localhost:6379)
+ * and is skipped when none is reachable. Keys live under a random prefix and are removed afterwards.
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { createClient } from "redis";
+import { createMemoryPresenceStore, createRedisPresenceStore } from "../src/services/presenceStores.js";
+
+const REDIS_URL = process.env.TEST_REDIS_URL || "redis://localhost:6379";
+const RUN_PREFIX = `presence-test-${randomUUID()}`;
+
+/**
+ * Connect to the test Redis server, giving up quickly if there is none
+ * @returns {Promise<Object|null>} Connected node-redis client, or null
+ */
+async function connectRedis() {
+    const client = createClient({ url: REDIS_URL, socket: { connectTimeout: 1000, reconnectStrategy: false } });
+    client.on("error", () => {});
+    try {
+        await client.connect();
+        return client;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * List the keys under a prefix
+ * @param {Object} client - Connected node-redis client
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<string[]>}
+ */
+async function keysUnder(client, prefix) {
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `${prefix}:*` })) {
+        keys.push(key);
+    }
+    return keys;
+}
+
+const redis = await connectRedis();
+const skipRedis = redis ? false : `no Redis server at ${REDIS_URL}`;
+let testCount = 0;
+
+/**
+ * A key prefix no other test uses, so every test starts from an empty store
+ * @returns {string}
+ */
+function freshPrefix() {
+    testCount += 1;
+    return `${RUN_PREFIX}:${testCount}`;
+}
+
+after(async () => {
+    if (!redis) return;
+    const keys = await keysUnder(redis, RUN_PREFIX);
+    if (keys.length > 0) await redis.del(keys);
+    await redis.quit();
+});
+
+const stores = {
+    memory: { create: () => createMemoryPresenceStore(), skip: false },
+    redis: {
+        create: () => createRedisPresenceStore(redis, { keyPrefix: freshPrefix(), instanceId: "a" }),
+        skip: skipRedis,
+    },
+};
+
+for (const [name, { create, skip }] of Object.entries(stores)) {
+    describe(`${name} presence store`, { skip }, () => {
+        let store;
+
+        beforeEach(() => {
+            store = create();
+        });
+
+        it("reports a user's first socket only", async () => {
+            assert.equal(await store.addSocket("u1", "s1"), true);
+            assert.equal(await store.addSocket("u1", "s2"), false);
+            assert.equal(await store.addSocket("u1", "s2"), false);
+            assert.equal(await store.countSockets("u1"), 2);
+            assert.equal(await store.countOnlineUsers(), 1);
+        });
+
+        it("records last-seen when the last socket goes away", async () => {
+            await store.addSocket("u1", "s1");
+            await store.addSocket("u1", "s2");
+
+            assert.equal(await store.removeSocket("u1", "s1"), null);
+            assert.equal((await store.getLastSeen(["u1"])).size, 0);
+
+            const seenAt = await store.removeSocket("u1", "s2");
+            assert.ok(!Number.isNaN(Date.parse(seenAt)));
+            assert.equal(await store.countSockets("u1"), 0);
+            assert.equal(await store.countOnlineUsers(), 0);
+            assert.deepEqual(await store.getLastSeen(["u1", "u2"]), new Map([["u1", seenAt]]));
+        });
+
+        it("ignores sockets it doesn't know", async () => {
+            assert.equal(await store.removeSocket("u1", "missing"), null);
+            await store.addSocket("u1", "s1");
+            assert.equal(await store.removeSocket("u1", "missing"), null);
+            assert.equal(await store.countSockets("u1"), 1);
+        });
+
+        it("releases every socket on clearInstance", async () => {
+            await store.addSocket("u1", "s1");
+            await store.addSocket("u1", "s2");
+            await store.addSocket("u2", "s3");
+
+            assert.deepEqual((await store.clearInstance()).sort(), ["u1", "u2"]);
+            assert.equal(await store.countOnlineUsers(), 0);
+            assert.equal((await store.getLastSeen(["u1", "u2"])).size, 2);
+        });
+    });
+}
+
+describe("redis presence store across instances", { skip: skipRedis }, () => {
+    let prefix;
+    let instanceA;
+    let instanceB;
+
+    beforeEach(() => {
+        prefix = freshPrefix();
+        instanceA = createRedisPresenceStore(redis, { keyPrefix: prefix, instanceId: "a" });
+        instanceB = createRedisPresenceStore(redis, { keyPrefix: prefix, instanceId: "b" });
+    });
+
+    it("shares presence between instances", async () => {
+        assert.equal(await instanceA.addSocket("u1", "s1"), true);
+        assert.equal(await instanceB.addSocket("u1", "s1"), false);
+        assert.equal(await instanceB.countSockets("u1"), 2);
+        assert.equal(await instanceA.countOnlineUsers(), 1);
+
+        assert.equal(await instanceA.removeSocket("u1", "s1"), null);
+        assert.ok(await instanceB.removeSocket("u1", "s1"));
+        assert.equal(await instanceA.countOnlineUsers(), 0);
+    });
+
+    it("only releases the clearing instance's sockets", async () => {
+        await instanceA.addSocket("u1", "s1");
+        await instanceB.addSocket("u1", "s2");
+        await instanceA.addSocket("u2", "s3");
+
+        assert.deepEqual(await instanceA.clearInstance(), ["u2"]);
+        assert.equal(await instanceB.countSockets("u1"), 1);
+        assert.equal(await instanceB.countOnlineUsers(), 1);
+        assert.equal(await redis.exists(`${prefix}:presence:instance:a`), 0);
+    });
+
+    it("keeps every key under the prefix", async () => {
+        const before = await redis.dbSize();
+        await instanceA.addSocket("u1", "s1");
+        await instanceA.addSocket("u2", "s2");
+        await instanceA.removeSocket("u1", "s1");
+
+        const created = (await redis.dbSize()) - before;
+        assert.ok(created > 0);
+        assert.equal((await keysUnder(redis, prefix)).length, created);
+    });
+});